@@ -42,6 +42,14 @@ import {
 import {
     initView,
     setViewMode,
+    setBenchmarkProfile,
+    setRealBaseYear,
+    setCompBasis,
+    setShowNetPay,
+    setFilingStatus,
+    setStateTaxRate,
+    renderBenchmarkProfileOptions,
+    renderFilingStatusOptions,
     togglePrivacy
 } from './js/view.js';
 import {
@@ -94,13 +102,21 @@ import {
     setYoyChartType,
     setProjectionYears,
     setProjectionView,
-    updateCustomRate
+    setProjectionMode,
+    updateCustomRate,
+    renderGoalSummary,
+    updateGoal,
+    clearGoal
 } from './js/projections.js';
 import {
     initValidation,
     parseAndGenerate,
-    validatePasteInput
+    completeImport,
+    validatePasteInput,
+    handlePaste
 } from './js/validation.js';
+import { initCustomReasonsPanel } from './js/reasons.js';
+import { initCustomBenchmarkControls } from './js/custom-benchmarks.js';
 import {
     initDashboardModule,
     showDashboard,
@@ -158,18 +174,27 @@ let employeeData = null;
 let state = {
     theme: 'artistic',
     showDollars: true,
+    benchmarkProfile: CONSTANTS.DEFAULT_BENCHMARK_PROFILE,  // benchmarkProfiles key for Market / Story comparisons
+    compBasis: 'base',  // 'base' salary or 'total' compensation (bonuses, 401(k) match, ...)
+    realBaseYear: null,  // Base year of the main chart's real-salary line (null = nominal only)
+    showNetPay: false,  // Estimated take-home pay column (History) and series (main chart)
+    filingStatus: CONSTANTS.DEFAULT_FILING_STATUS,
+    stateTaxRate: 0,  // Flat state income tax rate (%) for take-home estimates
     currentTab: 'home',
     mainChartType: 'line',
     yoyChartType: 'bar',
     projectionYears: 5,
     customRate: 8,
+    projectionMode: 'scenarios',  // 'scenarios' (fixed-rate lines) or 'monteCarlo' (simulated bands)
+    goal: null,  // Salary goal { salary, date } on the Projections tab
     currentScenarioIndex: 2  // Default to Scenario 3 (Established, 8 years) for richer demo
 };
 
 let charts = {
     main: null,
     yoy: null,
-    projection: null
+    projection: null,
+    percentile: null  // Market tab percentile bands
 };
 
 /**
@@ -264,6 +289,31 @@ async function downloadData() {
     return module.downloadData();
 }
 
+/**
+ * Review module - loaded on first parse (Generate Dashboard)
+ * Editable record grid between parsing and dashboard rendering
+ */
+let reviewModule = null;
+
+async function getReviewModule() {
+    if (!reviewModule) {
+        try {
+            reviewModule = await import('./js/review.js');
+            reviewModule.initReview({ completeImport });
+        } catch (error) {
+            console.error('Failed to load review module:', error);
+            showUserMessage('Failed to load record review. Please refresh the page.', 'error');
+            throw error;
+        }
+    }
+    return reviewModule;
+}
+
+async function openReview(data, diagnostics) {
+    const module = await getReviewModule();
+    return module.openReview(data, diagnostics);
+}
+
 // Initialize charts module with dependencies
 initCharts({
     state,
@@ -291,9 +341,12 @@ initView({
     buildHistoryTable,
     updateAnalytics,
     updateStory,
+    updateMarket,
     buildProjectionTable,
     updateUrlParams
 });
+renderBenchmarkProfileOptions();
+renderFilingStatusOptions();
 
 // Initialize data persistence module with dependencies
 initDataPersistence({
@@ -321,8 +374,14 @@ initNavigation({
     initProjections,
     buildProjectionChart,
     buildProjectionTable,
+    renderGoalSummary,
     setTheme,
     setViewMode,
+    setBenchmarkProfile,
+    setRealBaseYear,
+    setShowNetPay,
+    setFilingStatus,
+    setStateTaxRate,
     loadDemoData,
     charts,
     buildHistoryTable,
@@ -353,18 +412,21 @@ initProjectionsModule({
     updateMainChartType,
     updateYoyChartType,
     updateProjectionChartData,
+    buildProjectionChart,
     buildProjectionTable
 });
 
 // Initialize validation module with dependencies
 initValidation({
+    getEmployeeData: () => employeeData,
     setEmployeeData: (data) => { employeeData = data; },
     getDomCache: () => domCache,
     showDashboard,
     updateUrlParams,
     saveBackup,
     loadChartJS,
-    showUserMessage
+    showUserMessage,
+    openReview
 });
 
 // Initialize dashboard module with dependencies
@@ -430,6 +492,12 @@ initEventHandlers({
     setDomCache: (cache) => { domCache = cache; },
     setTheme,
     setViewMode,
+    setBenchmarkProfile,
+    setRealBaseYear,
+    setCompBasis,
+    setShowNetPay,
+    setFilingStatus,
+    setStateTaxRate,
     setTab,
     loadDemoData,
     cycleNextScenario,
@@ -441,12 +509,16 @@ initEventHandlers({
     restoreFromBackup,
     parseAndGenerate,
     validatePasteInput,
+    handlePaste,
     resetDashboard,
     setChartType,
     setYoyChartType,
     setProjectionYears,
     setProjectionView,
+    setProjectionMode,
     updateCustomRate,
+    updateGoal,
+    clearGoal,
     debounce,
     switchHeroView
 });
@@ -468,6 +540,13 @@ if (typeof window !== 'undefined' && typeof document !== 'undefined') {
     // Initialize event listeners when DOM is ready
     const onReady = () => {
         initEventListeners();
+        // Re-validate pasted text so newly defined reasons stop parsing as "Unknown"
+        initCustomReasonsPanel({ onChange: validatePasteInput });
+        initCustomBenchmarkControls({
+            getSelectedProfile: () => state.benchmarkProfile,
+            renderOptions: renderBenchmarkProfileOptions,
+            selectProfile: setBenchmarkProfile
+        });
         setupKeyboardShortcuts();
 
         // Initialize hero preview with idle callback for non-blocking Chart.js load
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * Compensation Report CLI
+ *
+ * Runs the dashboard's CAGR, inflation and benchmark analysis over pasted
+ * payroll text files or exported JSON files, without a browser.
+ *
+ * Usage:
+ *   node cli.js [options] <file...>
+ *
+ * Options:
+ *   --format json|table   Output format (default: table)
+ *   --basis base|total    Base salary or total compensation (default: base)
+ *   --benchmarks <id>     Benchmark profile key from benchmarkProfiles (default: saas-all-us)
+ *   --parser <id>         Force a parser for text files (paylocity, csv, html-table)
+ *   --help                Show this message
+ *
+ * JSON output is an array with one entry per file: the report plus `file`,
+ * or `{ file, error }` when a file could not be read. Exits with 1 if any
+ * file failed, 2 on invalid options.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { loadCompensationInput, buildReport, formatReportTable, REPORT_FORMATS } from './js/report.js';
+
+const USAGE = `Usage: node cli.js [--format json|table] [--basis base|total] [--benchmarks <id>] [--parser <id>] <file...>`;
+
+/**
+ * Reads one input file and builds its report.
+ *
+ * @param {string} file - Path to a paste-text or exported JSON file
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<Object>} { file, ...report } or { file, error }
+ */
+async function reportFile(file, options) {
+    try {
+        const data = loadCompensationInput(await readFile(file, 'utf8'), { parserId: options.parser });
+        return { file, ...buildReport(data, { basis: options.basis, benchmarkProfile: options.benchmarks }) };
+    } catch (err) {
+        return { file, error: err.message };
+    }
+}
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                format: { type: 'string', default: 'table' },
+                basis: { type: 'string', default: 'base' },
+                benchmarks: { type: 'string', default: 'saas-all-us' },
+                parser: { type: 'string' },
+                help: { type: 'boolean', default: false }
+            }
+        });
+    } catch (err) {
+        console.error(`${err.message}\n${USAGE}`);
+        process.exit(2);
+    }
+
+    const { values: options, positionals: files } = parsed;
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (files.length === 0 || !REPORT_FORMATS.includes(options.format) || !['base', 'total'].includes(options.basis)) {
+        console.error(USAGE);
+        process.exit(2);
+    }
+
+    const results = [];
+    for (const file of files) {
+        results.push(await reportFile(file, options));
+    }
+
+    if (options.format === 'json') {
+        console.log(JSON.stringify(results, null, 2));
+    } else {
+        results.forEach(({ file, error, ...report }, i) => {
+            if (i > 0) console.log('');
+            if (error) console.error(`${file}: ${error}`);
+            else console.log(formatReportTable(report, file));
+        });
+    }
+
+    if (results.some(r => r.error)) process.exitCode = 1;
+}
+
+main();
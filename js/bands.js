@@ -0,0 +1,147 @@
+// ========================================
+// SALARY BANDS MODULE
+// ========================================
+// Pay band history stored as `employeeData.bands = [{ date, level?, min, mid, max }]`
+// next to the base-rate records. A band applies from its date until the next
+// band (a promotion to a new level, or a yearly range refresh). Each record is
+// positioned in the band in effect on its date: compa-ratio (salary ÷ midpoint)
+// and range penetration (how far between min and max). The main chart shades
+// the band behind the salary line and the Market tab tracks position over time.
+
+import { getEmployerSegments } from './calculations.js';
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_LEVEL_LENGTH = 50;
+
+// ========================================
+// DATA ACCESS
+// ========================================
+
+/**
+ * Returns the pay bands recorded for an employee.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {Array<Object>} Bands (may be empty)
+ */
+export function getBands(employeeData) {
+    return Array.isArray(employeeData?.bands) ? employeeData.bands : [];
+}
+
+/**
+ * Checks whether any pay bands were recorded.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {boolean} True if band positioning can be shown
+ */
+export function hasBands(employeeData) {
+    return getBands(employeeData).length > 0;
+}
+
+/**
+ * Returns the band in effect on a date: the latest band dated on or before it.
+ * Bands don't carry over a job change: at a later employer only bands dated
+ * on or after its hire date apply (see getEmployerSegments()).
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object|null} { date, level?, min, mid, max }, or null if no band applies
+ */
+export function getBandAt(employeeData, date) {
+    const segments = getEmployerSegments(employeeData);
+    const segmentIndex = segments.findLastIndex(s => s.hireDate <= date);
+    const earliest = segmentIndex > 0 ? segments[segmentIndex].hireDate : '';
+
+    return getBands(employeeData)
+        .filter(band => band.date <= date && band.date >= earliest)
+        .reduce((latest, band) => (!latest || band.date > latest.date ? band : latest), null);
+}
+
+// ========================================
+// POSITIONING
+// ========================================
+
+/**
+ * Compa-ratio: salary as a multiple of the band midpoint (1.00 = at midpoint).
+ *
+ * @param {number} salary - Annual salary
+ * @param {Object} band - { min, mid, max }
+ * @returns {number} Ratio (e.g., 0.95)
+ */
+export function calculateCompaRatio(salary, band) {
+    return salary / band.mid;
+}
+
+/**
+ * Range penetration: how far a salary sits between band min (0%) and max (100%).
+ * Salaries outside the band fall below 0% or above 100%.
+ *
+ * @param {number} salary - Annual salary
+ * @param {Object} band - { min, mid, max }
+ * @returns {number} Percentage (e.g., 40 for 40% of the way from min to max)
+ */
+export function calculateRangePenetration(salary, band) {
+    return ((salary - band.min) / (band.max - band.min)) * 100;
+}
+
+/**
+ * Positions each record in the band in effect on its date.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {Array<{date: string, annual: number, band: Object, compaRatio: number, penetration: number}>}
+ *   Records with a band, oldest first
+ *
+ * @example
+ * // $95,000 in an L4 band of $80,000 / $100,000 / $120,000
+ * getBandPositions(employeeData)[0]; // { ..., compaRatio: 0.95, penetration: 37.5 }
+ */
+export function getBandPositions(employeeData) {
+    return [...employeeData.records].reverse()
+        .map(record => ({ record, band: getBandAt(employeeData, record.date) }))
+        .filter(({ band }) => band !== null)
+        .map(({ record, band }) => ({
+            date: record.date,
+            annual: record.annual,
+            band,
+            compaRatio: calculateCompaRatio(record.annual, band),
+            penetration: calculateRangePenetration(record.annual, band)
+        }));
+}
+
+// ========================================
+// VALIDATION
+// ========================================
+
+/**
+ * Validates a `bands` list (JSON import, review grid).
+ *
+ * @param {Array<Object>} bands - [{ date, level?, min, mid, max }]
+ * @returns {Array<string>} Error messages ("Band N: ..."), empty if valid
+ */
+export function getBandErrors(bands) {
+    if (!Array.isArray(bands)) {
+        return ['"bands" must be an array'];
+    }
+
+    const errors = [];
+    bands.forEach((band, index) => {
+        const prefix = `Band ${index + 1}`;
+
+        if (!DATE_REGEX.test(band?.date ?? '')) {
+            errors.push(`${prefix}: date must be YYYY-MM-DD`);
+        }
+        if (band?.level !== undefined && (typeof band.level !== 'string' || band.level.length > MAX_LEVEL_LENGTH)) {
+            errors.push(`${prefix}: level must be text of up to ${MAX_LEVEL_LENGTH} characters`);
+        }
+
+        const amounts = ['min', 'mid', 'max'];
+        const invalid = amounts.filter(field =>
+            typeof band?.[field] !== 'number' || !(band[field] > 0) || !Number.isFinite(band[field])
+        );
+        invalid.forEach(field => errors.push(`${prefix}: ${field} must be a positive number`));
+        if (invalid.length === 0 && !(band.min <= band.mid && band.mid <= band.max && band.min < band.max)) {
+            errors.push(`${prefix}: band must satisfy min ≤ mid ≤ max with min below max`);
+        }
+    });
+
+    return errors;
+}
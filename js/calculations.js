@@ -2,7 +2,62 @@
 // CALCULATION FUNCTIONS
 // ========================================
 
-import { CONSTANTS, cpiData } from './constants.js';
+import { CONSTANTS, cpiMonthlyIndex, PAY_FREQUENCIES, benchmarkProfiles, meritBudgetHistory, BENCHMARK_PERCENTILE_METRICS, BENCHMARK_PERCENTILE_POINTS } from './constants.js';
+import { memoize, clearDataMemo, objectKey } from './memo.js';
+import { getCustomBenchmarkProfile } from './custom-benchmarks.js';
+import { getReasonCategory } from './reasons.js';
+
+// ========================================
+// CPI INDEX LOOKUP
+// ========================================
+
+/**
+ * Published months of cpiMonthlyIndex in chronological order.
+ * offset = year * 12 + month (0-indexed), so consecutive months differ by 1.
+ */
+const cpiSeries = Object.keys(cpiMonthlyIndex)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .flatMap(year => cpiMonthlyIndex[year].map((value, month) => ({ offset: year * 12 + month, value })))
+    .filter(entry => entry.value != null);
+
+/**
+ * Returns the CPI-U index value for a month.
+ *
+ * Published months are returned as-is. Unpublished months inside the series
+ * are interpolated geometrically between their neighbours; months before or
+ * after the series are extrapolated at CONSTANTS.DEFAULT_CPI_RATE per year.
+ *
+ * @param {number} year - Calendar year (e.g., 2023)
+ * @param {number} month - Month (0-indexed: 0=January, 11=December)
+ * @returns {number} CPI-U index value (1982-84 = 100)
+ *
+ * @example
+ * getCpiIndex(2024, 11); // 315.605 (December 2024)
+ */
+export function getCpiIndex(year, month) {
+    const published = cpiMonthlyIndex[year]?.[month];
+    if (published != null) return published;
+
+    const offset = year * 12 + month;
+    const monthlyGrowth = Math.pow(1 + CONSTANTS.DEFAULT_CPI_RATE / 100, 1 / 12);
+    const first = cpiSeries[0];
+    const last = cpiSeries[cpiSeries.length - 1];
+
+    if (offset < first.offset) {
+        return first.value / Math.pow(monthlyGrowth, first.offset - offset);
+    }
+    const nextIdx = cpiSeries.findIndex(entry => entry.offset > offset);
+    if (nextIdx === -1) {
+        return last.value * Math.pow(monthlyGrowth, offset - last.offset);
+    }
+
+    // Gap inside the series (e.g. a month BLS never published)
+    const prev = cpiSeries[nextIdx - 1];
+    const next = cpiSeries[nextIdx];
+    const fraction = (offset - prev.offset) / (next.offset - prev.offset);
+    return prev.value * Math.pow(next.value / prev.value, fraction);
+}
 
 // ========================================
 // MEMOIZATION CACHE (#P1-4 Performance)
@@ -15,12 +70,25 @@ import { CONSTANTS, cpiData } from './constants.js';
  */
 const inflationCache = new Map();
 
+/**
+ * Clears the inflation cache and the per-dataset metric memo (see memo.js).
+ * Intended for tests and benchmarks; in-place edits to employee data are
+ * handled by markDataChanged() in memo.js.
+ *
+ * @returns {void}
+ */
+export function clearMemoCache() {
+    inflationCache.clear();
+    clearDataMemo();
+}
+
 /**
  * Calculates cumulative inflation over a specific time period.
  *
- * Supports partial-year calculations with month-level precision using CPI data.
- * Handles three scenarios: same year (partial), multi-year with partial start/end,
- * and full years. Uses compounding to accurately reflect cumulative inflation.
+ * Months are inclusive: the period runs from the end of the month before
+ * startMonth to the end of endMonth, so the result is the CPI index ratio
+ * index(endYear, endMonth) / index(startYear, startMonth - 1). A full calendar
+ * year therefore equals that year's December-over-December rate in cpiData.
  *
  * @param {number} startYear - Starting year (e.g., 2020)
  * @param {number} endYear - Ending year (e.g., 2023)
@@ -31,17 +99,17 @@ const inflationCache = new Map();
  * @example
  * // Full year inflation (2020 to 2023)
  * const inflation = calculateInflationOverPeriod(2020, 2023);
- * console.log(inflation); // ~19.5% (cumulative over 4 years)
+ * console.log(inflation); // ~19.4% (Dec 2023 index ÷ Dec 2019 index)
  *
  * @example
  * // Partial year (March 2023 to October 2023)
  * const inflation = calculateInflationOverPeriod(2023, 2023, 2, 9);
- * console.log(inflation); // ~2.73% (8 months of 2023's 4.1% annual rate)
+ * console.log(inflation); // ~2.27% (Oct 2023 index ÷ Feb 2023 index)
  *
  * @example
  * // Multi-year with partial start and end
  * const inflation = calculateInflationOverPeriod(2021, 2023, 6, 5);
- * // July 2021 through May 2023
+ * // July 2021 through June 2023
  */
 export function calculateInflationOverPeriod(startYear, endYear, startMonth = 0, endMonth = 11) {
     // Check memoization cache first (#P1-4 Performance)
@@ -50,39 +118,50 @@ export function calculateInflationOverPeriod(startYear, endYear, startMonth = 0,
         return inflationCache.get(cacheKey);
     }
 
-    // Supports partial years - months are 0-indexed (0 = January, 11 = December)
-    let cumulativeInflation = 1;
-
-    for (let year = startYear; year <= endYear; year++) {
-        const rate = cpiData[year] || CONSTANTS.DEFAULT_CPI_RATE; // Default to 2.5% if year not found
-
-        if (year === startYear && year === endYear) {
-            // Same year - calculate partial
-            const monthsInPeriod = endMonth - startMonth + 1;
-            const partialRate = (rate / 12) * monthsInPeriod;
-            cumulativeInflation *= (1 + partialRate / 100);
-        } else if (year === startYear) {
-            // First year - partial from startMonth to December
-            const monthsRemaining = 12 - startMonth;
-            const partialRate = (rate / 12) * monthsRemaining;
-            cumulativeInflation *= (1 + partialRate / 100);
-        } else if (year === endYear) {
-            // Last year - partial from January to endMonth
-            const monthsElapsed = endMonth + 1;
-            const partialRate = (rate / 12) * monthsElapsed;
-            cumulativeInflation *= (1 + partialRate / 100);
-        } else {
-            // Full year
-            cumulativeInflation *= (1 + rate / 100);
-        }
-    }
-    const result = (cumulativeInflation - 1) * 100; // Return as percentage
+    // Month before the period starts (Date-style rollover: month -1 = previous December)
+    const baseIndex = startMonth === 0
+        ? getCpiIndex(startYear - 1, 11)
+        : getCpiIndex(startYear, startMonth - 1);
+    const result = (getCpiIndex(endYear, endMonth) / baseIndex - 1) * 100; // Return as percentage
 
     // Store in cache for future calls (#P1-4 Performance)
     inflationCache.set(cacheKey, result);
     return result;
 }
 
+/**
+ * Calculates inflation between two dates as a CPI index ratio.
+ *
+ * Uses the index for the month containing each date, so two dates in the
+ * same month return 0.
+ *
+ * @param {string|Date} fromDate - Start date (YYYY-MM-DD or Date)
+ * @param {string|Date} toDate - End date (YYYY-MM-DD or Date)
+ * @returns {number} Inflation as percentage (negative if prices fell)
+ *
+ * @example
+ * calculateInflationBetweenDates('2022-06-15', '2024-06-01'); // ~6.0
+ */
+export function calculateInflationBetweenDates(fromDate, toDate) {
+    const from = toYearMonth(fromDate);
+    const to = toYearMonth(toDate);
+    return (getCpiIndex(to.year, to.month) / getCpiIndex(from.year, from.month) - 1) * 100;
+}
+
+/**
+ * Splits a date into calendar year and 0-indexed month.
+ * ISO strings are read directly so the result doesn't shift with the local timezone.
+ *
+ * @param {string|Date} date - Date to split
+ * @returns {{year: number, month: number}}
+ */
+function toYearMonth(date) {
+    const iso = typeof date === 'string' && /^(\d{4})-(\d{2})/.exec(date);
+    if (iso) return { year: Number(iso[1]), month: Number(iso[2]) - 1 };
+    const d = new Date(date);
+    return { year: d.getFullYear(), month: d.getMonth() };
+}
+
 /**
  * Calculates inflation-adjusted (real) growth rate.
  *
@@ -109,9 +188,9 @@ export function calculateRealGrowth(nominalGrowthPercent, inflationPercent) {
 /**
  * Calculates inflation-adjusted salary for a given time period.
  *
- * Applies cumulative CPI inflation rate year-by-year to adjust a salary
- * forward or backward in time. Uses compounding to accurately reflect
- * the impact of inflation across multiple years.
+ * Scales the salary by the CPI index ratio between the Decembers before
+ * fromYear and toYear, i.e. the December-over-December inflation of each
+ * year from fromYear up to (but not including) toYear, compounded.
  *
  * @param {number} salary - Starting salary amount
  * @param {number} fromYear - Year to adjust from
@@ -121,15 +200,124 @@ export function calculateRealGrowth(nominalGrowthPercent, inflationPercent) {
  * @example
  * // Adjust $65,000 from 2020 to 2023
  * const adjusted = calculateInflationAdjustedSalary(65000, 2020, 2023);
- * console.log(adjusted); // ~$77,675 (accounting for cumulative inflation)
+ * console.log(adjusted); // ~$75,073 (accounting for cumulative inflation)
  */
 export function calculateInflationAdjustedSalary(salary, fromYear, toYear) {
-    let adjustedSalary = salary;
-    for (let year = fromYear; year < toYear; year++) {
-        const rate = cpiData[year] || CONSTANTS.DEFAULT_CPI_RATE;
-        adjustedSalary *= (1 + rate / 100);
+    // Forward adjustment only
+    if (!(toYear > fromYear)) return salary;
+    return salary * getCpiIndex(toYear - 1, 11) / getCpiIndex(fromYear - 1, 11);
+}
+
+// ========================================
+// REAL (INFLATION-ADJUSTED) SALARY
+// ========================================
+
+/**
+ * First and last calendar years with published CPI data.
+ *
+ * @returns {{first: number, last: number}} Year range
+ */
+export function getCpiYearRange() {
+    return {
+        first: Math.floor(cpiSeries[0].offset / 12),
+        last: Math.floor(cpiSeries[cpiSeries.length - 1].offset / 12)
+    };
+}
+
+/**
+ * Average CPI index over a calendar year (the level "constant YYYY dollars"
+ * are expressed in).
+ *
+ * @param {number} year - Calendar year
+ * @returns {number} Annual average CPI-U index
+ */
+export function getCpiAnnualAverage(year) {
+    let sum = 0;
+    for (let month = 0; month < 12; month++) {
+        sum += getCpiIndex(year, month);
     }
-    return adjustedSalary;
+    return sum / 12;
+}
+
+/**
+ * Converts an amount paid on a date into base-year dollars, deflating by the
+ * CPI index for the month containing the date.
+ *
+ * @param {number} amount - Nominal dollars
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} baseYear - Year whose dollars the result is expressed in
+ * @returns {number} Real (base-year) dollars
+ *
+ * @example
+ * // $100,000 in June 2020, in 2024 dollars
+ * toRealDollars(100000, '2020-06-15', 2024); // ~121,700
+ */
+export function toRealDollars(amount, date, baseYear) {
+    const { year, month } = toYearMonth(date);
+    return amount * getCpiAnnualAverage(baseYear) / getCpiIndex(year, month);
+}
+
+/**
+ * Builds the real salary series: each record's annual salary deflated at its
+ * own date into base-year dollars. A falling `real` value means a raise did
+ * not keep up with prices since the previous record.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @param {number} baseYear - Year whose dollars the series is expressed in
+ * @returns {Array<{date: string, nominal: number, real: number}>} One point per record, oldest first
+ */
+export function buildRealSalarySeries(employeeData, baseYear) {
+    return [...employeeData.records].reverse().map(r => ({
+        date: r.date,
+        nominal: r.annual,
+        real: toRealDollars(r.annual, r.date, baseYear)
+    }));
+}
+
+/**
+ * Calculates CAGR after inflation: nominal growth deflated by the CPI change
+ * over the same period, annualized the same way as calculateCAGR(). It does
+ * not depend on a base year.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @param {string} [basis='base'] - 'base' (salary only) or 'total' (salary + components)
+ * @returns {number} Real CAGR as percentage (negative if pay lost purchasing power)
+ *
+ * @example
+ * // $60,000 (Jan 2020) → $100,000 (Jan 2025)
+ * calculateRealCAGR(employeeData); // ~6.2 (vs ~10.8 nominal)
+ */
+export function calculateRealCAGR(employeeData, basis = 'base') {
+    // Memoized per data version (performance optimization - #47)
+    return memoize(employeeData, `realCagr-${basis}`, () => {
+        const start = getStartingComp(employeeData, basis);
+        const end = getCurrentComp(employeeData, basis);
+        const years = getBasisYears(employeeData, basis);
+
+        if (years <= 0 || start <= 0 || end <= 0) return 0;
+
+        const realRatio = (end / start) / (1 + getTenureInflation(employeeData, basis) / 100);
+        // Same short-tenure rule as calculateCAGR
+        return years < CONSTANTS.CAGR_MIN_YEARS_THRESHOLD
+            ? (realRatio - 1) * 100
+            : (Math.pow(realRatio, 1 / years) - 1) * 100;
+    });
+}
+
+/**
+ * Cumulative inflation over the period a metric basis covers (hire month
+ * through the last record, or the last component for total comp).
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @param {string} basis - 'base' or 'total'
+ * @returns {number} Inflation as percentage
+ */
+function getTenureInflation(employeeData, basis) {
+    const hireDate = new Date(employeeData.hireDate);
+    const currentDate = new Date(basis === 'total' ? getCompEndDate(employeeData) : employeeData.currentDate);
+    return calculateInflationOverPeriod(
+        hireDate.getFullYear(), currentDate.getFullYear(), hireDate.getMonth(), currentDate.getMonth()
+    );
 }
 
 /**
@@ -177,6 +365,7 @@ export function calculateYearsOfService(employeeData) {
  * - Prevents NaN/Infinity propagation that would crash UI
  *
  * @param {Object} employeeData - Employee compensation data
+ * @param {string} [basis='base'] - 'base' (salary only) or 'total' (salary + components)
  * @returns {number} CAGR as percentage (e.g., 8.5 for 8.5%)
  *
  * @example
@@ -189,46 +378,159 @@ export function calculateYearsOfService(employeeData) {
  * const cagr = calculateCAGR(employeeData);
  * console.log(cagr); // 0 (graceful fallback)
  */
-export function calculateCAGR(employeeData) {
-    // Return cached value if available (performance optimization - #47)
-    if (employeeData._cachedCAGR !== undefined) {
-        return employeeData._cachedCAGR;
-    }
+export function calculateCAGR(employeeData, basis = 'base') {
+    // Memoized per data version (performance optimization - #47)
+    return memoize(employeeData, `cagr-${basis}`, () => {
+        const start = getStartingComp(employeeData, basis);
+        const end = getCurrentComp(employeeData, basis);
+        const years = getBasisYears(employeeData, basis);
+
+        // Validation: Prevent division by zero and NaN propagation
+        if (years <= 0 || start <= 0 || end <= 0) {
+            console.warn('calculateCAGR: Invalid inputs, returning 0', { start, end, years });
+            return 0;
+        }
 
-    const start = getStartingSalary(employeeData);
-    const end = getCurrentSalary(employeeData);
-    const years = calculateYearsOfService(employeeData);
+        // For very short tenure (<~36 days), use simple percentage instead of CAGR
+        // This avoids extreme CAGR values from compounding over very short periods
+        if (years < CONSTANTS.CAGR_MIN_YEARS_THRESHOLD) {
+            return ((end - start) / start) * 100;
+        }
+        return (Math.pow(end / start, 1 / years) - 1) * 100;
+    });
+}
 
-    // Validation: Prevent division by zero and NaN propagation
-    if (years <= 0 || start <= 0 || end <= 0) {
-        console.warn('calculateCAGR: Invalid inputs, returning 0', { start, end, years });
-        employeeData._cachedCAGR = 0;
-        return 0;
-    }
+/**
+ * Checks whether a benchmark profile exists: bundled or imported (see custom-benchmarks.js).
+ *
+ * @param {string} profileId - benchmarkProfiles key or 'custom-...' id
+ * @returns {boolean} True if getBenchmarkProfile() would return that profile
+ */
+export function hasBenchmarkProfile(profileId) {
+    return Object.hasOwn(benchmarkProfiles, profileId ?? '') || getCustomBenchmarkProfile(profileId) !== null;
+}
 
-    // For very short tenure (<~36 days), use simple percentage instead of CAGR
-    // This avoids extreme CAGR values from compounding over very short periods
-    let result;
-    if (years < CONSTANTS.CAGR_MIN_YEARS_THRESHOLD) {
-        result = ((end - start) / start) * 100;
-    } else {
-        result = (Math.pow(end / start, 1 / years) - 1) * 100;
+/**
+ * Looks up a bundled or imported benchmark profile. Unknown keys fall back to
+ * the default profile.
+ *
+ * @param {string} profileId - benchmarkProfiles key (e.g. 'engineering-mid-us') or 'custom-...' id
+ * @returns {Object} Benchmark profile, usable as getBenchmarkComparisons() benchmarks
+ *
+ * @example
+ * getBenchmarkProfile('sales-mid-us').industryCagr; // 4.5
+ * getBenchmarkProfile('nope') === benchmarks;       // true
+ */
+export function getBenchmarkProfile(profileId) {
+    if (Object.hasOwn(benchmarkProfiles, profileId ?? '')) return benchmarkProfiles[profileId];
+    return getCustomBenchmarkProfile(profileId) ?? benchmarkProfiles[CONSTANTS.DEFAULT_BENCHMARK_PROFILE];
+}
+
+/**
+ * Year a profile's raise ranges and industryCagr describe: the year in its
+ * dataAsOf ('2024-Q4' → 2024), or the latest meritBudgetHistory year.
+ *
+ * @param {Object} benchmarks - Benchmark profile
+ * @returns {number} Reference year
+ */
+function getBenchmarkYear(benchmarks) {
+    const match = /\b(?:19|20)\d{2}\b/.exec(benchmarks.dataAsOf ?? '');
+    return match ? Number(match[0]) : Math.max(...Object.keys(meritBudgetHistory).map(Number));
+}
+
+/**
+ * Merit budget for a year, using the nearest year outside meritBudgetHistory.
+ *
+ * @param {number} year - Calendar year
+ * @returns {number} Budget in %
+ */
+function getMeritBudget(year) {
+    const years = Object.keys(meritBudgetHistory).map(Number);
+    return meritBudgetHistory[Math.min(Math.max(year, Math.min(...years)), Math.max(...years))];
+}
+
+/**
+ * Returns a benchmark profile as of one year. Years listed in the profile's
+ * `byYear` use those figures; other years shift typicalRaise,
+ * highPerformerRaise and industryCagr by the change in merit budget from the
+ * profile's dataAsOf year (meritBudgetHistory), so a 2018 raise is compared
+ * with 2018 budgets rather than today's.
+ *
+ * @param {Object} benchmarks - Benchmark profile (see getBenchmarkProfile())
+ * @param {number} year - Calendar year
+ * @returns {Object} Profile with that year's typicalRaise, highPerformerRaise and
+ *   industryCagr, plus `year`
+ *
+ * @example
+ * // Default profile (2024 data, 3.9% budget) in 2018 (3.0% budget)
+ * getBenchmarksForYear(benchmarks, 2018).typicalRaise; // { min: 2.1, max: 4.1, avg: 3.1 }
+ */
+export function getBenchmarksForYear(benchmarks, year) {
+    const shift = getMeritBudget(year) - getMeritBudget(getBenchmarkYear(benchmarks));
+    const shiftRange = ({ min, max, avg }) => ({
+        min: Math.max(0, min + shift),
+        max: Math.max(0, max + shift),
+        avg: Math.max(0, avg + shift)
+    });
+    const listed = benchmarks.byYear?.[year] ?? {};
+
+    return {
+        ...benchmarks,
+        year,
+        typicalRaise: listed.typicalRaise ?? shiftRange(benchmarks.typicalRaise),
+        highPerformerRaise: listed.highPerformerRaise ?? shiftRange(benchmarks.highPerformerRaise),
+        industryCagr: listed.industryCagr ?? benchmarks.industryCagr + shift
+    };
+}
+
+/**
+ * Compounds a salary at each calendar year's industryCagr between two dates,
+ * prorating partial years.
+ *
+ * @param {number} startSalary - Salary at `from`
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @param {Object} benchmarks - Benchmark profile
+ * @returns {number} Projected salary at `to`
+ */
+function projectAtIndustryRates(startSalary, from, to, benchmarks) {
+    let salary = startSalary;
+    for (let cursor = from; cursor < to;) {
+        const year = cursor.getUTCFullYear();
+        const next = new Date(Math.min(Date.UTC(year + 1, 0, 1), to.getTime()));
+        const rate = getBenchmarksForYear(benchmarks, year).industryCagr;
+        salary *= Math.pow(1 + rate / 100, (next - cursor) / CONSTANTS.MS_PER_YEAR);
+        cursor = next;
     }
+    return salary;
+}
 
-    // Cache the result on the employeeData object
-    employeeData._cachedCAGR = result;
-    return result;
+/**
+ * Averages { min, max, avg } ranges field by field.
+ *
+ * @param {Array<{min: number, max: number, avg: number}>} ranges - At least one range
+ * @returns {{min: number, max: number, avg: number}} Mean range
+ */
+function averageRanges(ranges) {
+    const mean = (key) => ranges.reduce((sum, range) => sum + range[key], 0) / ranges.length;
+    return { min: mean('min'), max: mean('max'), avg: mean('avg') };
 }
 
 /**
  * Calculates comprehensive benchmark comparisons against industry standards.
  *
  * Computes user metrics (CAGR, raise frequency, average raise) and compares them
- * to B2B SaaS industry benchmarks. Includes inflation-adjusted analysis and
- * purchasing power calculations.
+ * to a benchmark profile (see getBenchmarkProfile()). Includes inflation-adjusted analysis and
+ * purchasing power calculations. Average raise counts internal raises only
+ * (see getInternalRaises()), since benchmarks describe raises within one employer.
+ * Benchmarks are time-indexed (see getBenchmarksForYear()): each raise is compared
+ * with its own year's budget, and the industry projection compounds each year's
+ * industryCagr.
  *
  * @param {Object} employeeData - Employee compensation data
- * @param {Object} benchmarks - Industry benchmark data (industryCagr, typicalRaise, etc.)
+ * @param {Object} benchmarks - Benchmark profile (industryCagr, typicalRaise, etc.)
+ * @param {string} [basis='base'] - 'base' (salary only) or 'total' (salary + components) for
+ *   CAGR, growth and purchasing-power figures; average raise is always base-rate
  * @returns {Object|null} Benchmark comparison metrics, or null if no employee data
  *
  * @example
@@ -236,36 +538,43 @@ export function calculateCAGR(employeeData) {
  * console.log(bench.userCagr); // 10.5 (user's CAGR)
  * console.log(bench.cagrVsIndustry); // 2.5 (difference from industry avg)
  */
-export function getBenchmarkComparisons(employeeData, benchmarks) {
+export function getBenchmarkComparisons(employeeData, benchmarks, basis = 'base') {
     if (!employeeData) return null;
 
-    // Return cached value if available (performance optimization - #47)
-    if (employeeData._cachedBenchmarks) {
-        return employeeData._cachedBenchmarks;
-    }
+    // Memoized per data version and benchmark set (performance optimization - #47)
+    return memoize(employeeData, `benchmarks-${basis}-${objectKey(benchmarks)}`, () =>
+        computeBenchmarkComparisons(employeeData, benchmarks, basis));
+}
 
-    const raises = employeeData.records.filter(r => r.changePercent > 0);
+/**
+ * Uncached body of getBenchmarkComparisons().
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @param {Object} benchmarks - Industry benchmark data
+ * @param {string} basis - 'base' or 'total'
+ * @returns {Object} Benchmark comparison metrics
+ */
+function computeBenchmarkComparisons(employeeData, benchmarks, basis) {
+    const raises = getInternalRaises(employeeData);
     const avgRaise = raises.length > 0
         ? raises.reduce((sum, r) => sum + r.changePercent, 0) / raises.length
         : 0;
 
-    const userCagr = calculateCAGR(employeeData);
-    const years = calculateYearsOfService(employeeData);
+    const userCagr = calculateCAGR(employeeData, basis);
+    const years = getBasisYears(employeeData, basis);
     const hireDate = new Date(employeeData.hireDate);
-    const currentDate = new Date(employeeData.currentDate);
+    const currentDate = new Date(basis === 'total' ? getCompEndDate(employeeData) : employeeData.currentDate);
     const startYear = hireDate.getFullYear();
-    const startMonth = hireDate.getMonth();
     const endYear = currentDate.getFullYear();
-    const endMonth = currentDate.getMonth();
 
     // Calculate time between raises (exclude "New Hire" - it's the starting point)
     const adjustments = employeeData.records.filter(r => r.reason !== 'New Hire');
     const avgMonthsBetween = calculateAverageMonthsBetweenDates(adjustments);
 
     // Inflation calculations (with partial year support)
-    const totalInflation = calculateInflationOverPeriod(startYear, endYear, startMonth, endMonth);
-    const startSalary = getStartingSalary(employeeData);
-    const currentSalary = getCurrentSalary(employeeData);
+    const totalInflation = getTenureInflation(employeeData, basis);
+    const startSalary = getStartingComp(employeeData, basis);
+    const currentSalary = getCurrentComp(employeeData, basis);
     const nominalGrowth = ((currentSalary - startSalary) / startSalary) * 100;
     const realGrowth = calculateRealGrowth(nominalGrowth, totalInflation);
 
@@ -273,11 +582,32 @@ export function getBenchmarkComparisons(employeeData, benchmarks) {
     const inflationAdjustedStart = calculateInflationAdjustedSalary(startSalary, startYear, endYear);
     const purchasingPowerGain = currentSalary - inflationAdjustedStart;
 
-    // Industry comparison: what would salary be at industry CAGR?
-    const industryProjectedSalary = startSalary * Math.pow(1 + benchmarks.industryCagr / 100, years);
+    // Industry comparison: what would salary be at each year's industry rate?
+    const industryProjectedSalary = projectAtIndustryRates(startSalary, hireDate, currentDate, benchmarks);
+    const industryCagrOverTenure = years > 0 && startSalary > 0
+        ? (Math.pow(industryProjectedSalary / startSalary, 1 / years) - 1) * 100
+        : getBenchmarksForYear(benchmarks, startYear).industryCagr;
+
+    // Each raise against its own year's budget; ranges averaged over the raises
+    const raiseComparisons = raises.map(r => {
+        const yearly = getBenchmarksForYear(benchmarks, new Date(r.date).getUTCFullYear());
+        return {
+            date: r.date,
+            changePercent: r.changePercent,
+            typicalRaise: yearly.typicalRaise,
+            highPerformerRaise: yearly.highPerformerRaise,
+            vsTypical: r.changePercent - yearly.typicalRaise.avg
+        };
+    });
+    const typicalRaise = raises.length > 0 ? averageRanges(raiseComparisons.map(c => c.typicalRaise)) : benchmarks.typicalRaise;
+    const highPerformerRaise = raises.length > 0 ? averageRanges(raiseComparisons.map(c => c.highPerformerRaise)) : benchmarks.highPerformerRaise;
+    const percentiles = getPercentileStandings({
+        raise: raises.length > 0 ? avgRaise : null,
+        cagr: userCagr,
+        monthsBetweenRaises: raises.length > 0 ? avgMonthsBetween : null
+    }, benchmarks);
 
-    // Build result object
-    const result = {
+    return {
         // User metrics
         avgRaise,
         userCagr,
@@ -285,33 +615,54 @@ export function getBenchmarkComparisons(employeeData, benchmarks) {
         totalRaises: raises.length,
 
         // Growth comparisons
+        compBasis: basis,
         nominalGrowth,
         totalInflation,
         realGrowth,
+        realCagr: calculateRealCAGR(employeeData, basis),
         inflationAdjustedStart,
         purchasingPowerGain,
 
         // Industry comparisons
         industryProjectedSalary,
+        industryCagrOverTenure,
         vsIndustrySalary: currentSalary - industryProjectedSalary,
         vsIndustryPercent: ((currentSalary / industryProjectedSalary) - 1) * 100,
 
-        // Raise comparisons
-        raiseVsTypical: avgRaise - benchmarks.typicalRaise.avg,
-        raiseVsHighPerformer: avgRaise - benchmarks.highPerformerRaise.avg,
-        cagrVsIndustry: userCagr - benchmarks.industryCagr,
+        // Raise comparisons (year-specific benchmarks averaged over the raises)
+        raiseComparisons,
+        typicalRaiseOverTenure: typicalRaise,
+        highPerformerRaiseOverTenure: highPerformerRaise,
+        raiseVsTypical: avgRaise - typicalRaise.avg,
+        raiseVsHighPerformer: avgRaise - highPerformerRaise.avg,
+        cagrVsIndustry: userCagr - industryCagrOverTenure,
 
         // Timing comparisons
         raisesMoreFrequent: benchmarks.avgMonthsBetweenRaises - avgMonthsBetween,
 
+        // Promotion bumps, timing and share of growth (see getPromotionAnalysis())
+        promotions: getPromotionAnalysis(employeeData, benchmarks),
+
+        // Estimated standing in the benchmark's P10-P90 distributions (raise metrics
+        // have no standing without raises)
+        percentiles,
+
         // Performance tier
-        performanceTier: avgRaise >= benchmarks.highPerformerRaise.min ? 'high' :
-                         avgRaise >= benchmarks.typicalRaise.avg ? 'solid' : 'below'
+        performanceTier: getPerformanceTier(percentiles.raise.percentile)
     };
+}
 
-    // Cache the result on the employeeData object
-    employeeData._cachedBenchmarks = result;
-    return result;
+/**
+ * Classifies the average raise by its estimated percentile in the benchmark
+ * distribution. No raises (null percentile) counts as below.
+ *
+ * @param {number|null} raisePercentile - percentiles.raise.percentile
+ * @returns {'high'|'solid'|'below'} Performance tier
+ */
+function getPerformanceTier(raisePercentile) {
+    if (raisePercentile === null) return 'below';
+    if (raisePercentile >= CONSTANTS.HIGH_PERFORMER_PERCENTILE) return 'high';
+    return raisePercentile >= CONSTANTS.SOLID_PERFORMER_PERCENTILE ? 'solid' : 'below';
 }
 
 /**
@@ -340,6 +691,613 @@ export function calculateAverageMonthsBetweenDates(records, defaultValue = 12) {
     return (totalDays / (dates.length - 1)) / 30.44;
 }
 
+// ========================================
+// TOTAL COMPENSATION UTILITIES
+// ========================================
+
+/**
+ * Returns the compensation components (bonuses, 401(k) match, ...) recorded
+ * alongside the base-rate records.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {Array<{date: string, type: string, amount: number}>} Components (may be empty)
+ */
+export function getCompComponents(employeeData) {
+    return Array.isArray(employeeData?.components) ? employeeData.components : [];
+}
+
+/**
+ * Checks whether any compensation beyond base pay was recorded.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {boolean} True if total comp can differ from base salary
+ */
+export function hasCompComponents(employeeData) {
+    return getCompComponents(employeeData).length > 0;
+}
+
+/**
+ * Returns the base salary in effect on a date (the latest record on or before it;
+ * the earliest record for dates before hire).
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} Annual base salary
+ */
+export function getBaseSalaryAt(employeeData, date) {
+    const record = employeeData.records.find(r => r.date <= date);
+    return (record || employeeData.records[employeeData.records.length - 1]).annual;
+}
+
+/**
+ * Returns total compensation on a date: the base salary in effect plus every
+ * component paid in the trailing CONSTANTS.TOTAL_COMP_WINDOW_MONTHS (window
+ * end inclusive, start exclusive).
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} Annual total compensation
+ *
+ * @example
+ * // $100k base, $10k bonus paid 2024-03-01
+ * getTotalCompAt(employeeData, '2024-06-30'); // 110000
+ * getTotalCompAt(employeeData, '2025-03-01'); // 100000 (bonus left the window)
+ */
+export function getTotalCompAt(employeeData, date) {
+    const windowStart = shiftIsoDateByMonths(date, -CONSTANTS.TOTAL_COMP_WINDOW_MONTHS);
+    const extras = getCompComponents(employeeData)
+        .filter(c => c.date > windowStart && c.date <= date)
+        .reduce((sum, c) => sum + c.amount, 0);
+    return getBaseSalaryAt(employeeData, date) + extras;
+}
+
+/**
+ * Returns the last date total-comp metrics cover: the latest base record or
+ * component, whichever is later (a bonus paid after the last raise still counts).
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {string} YYYY-MM-DD
+ */
+export function getCompEndDate(employeeData) {
+    return getCompComponents(employeeData).reduce(
+        (latest, c) => (c.date > latest ? c.date : latest),
+        employeeData.currentDate
+    );
+}
+
+/**
+ * Returns the starting pay for a metric basis.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @param {string} [basis='base'] - 'base' (salary only) or 'total' (salary + components)
+ * @returns {number} Starting annual pay
+ */
+export function getStartingComp(employeeData, basis = 'base') {
+    return basis === 'total'
+        ? getTotalCompAt(employeeData, employeeData.hireDate)
+        : getStartingSalary(employeeData);
+}
+
+/**
+ * Returns the current pay for a metric basis.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @param {string} [basis='base'] - 'base' (salary only) or 'total' (salary + components)
+ * @returns {number} Current annual pay
+ */
+export function getCurrentComp(employeeData, basis = 'base') {
+    return basis === 'total'
+        ? getTotalCompAt(employeeData, getCompEndDate(employeeData))
+        : getCurrentSalary(employeeData);
+}
+
+/**
+ * Builds the chart timeline for base and total comp: one point per base record
+ * and per component date, oldest first.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {Array<{date: string, record: Object, base: number, total: number}>}
+ *   Points with the base record in effect on each date
+ */
+export function buildCompTimeline(employeeData) {
+    const dates = new Set(employeeData.records.map(r => r.date));
+    getCompComponents(employeeData).forEach(c => dates.add(c.date));
+
+    return [...dates].sort().map(date => ({
+        date,
+        record: employeeData.records.find(r => r.date <= date) || employeeData.records[employeeData.records.length - 1],
+        base: getBaseSalaryAt(employeeData, date),
+        total: getTotalCompAt(employeeData, date)
+    }));
+}
+
+/**
+ * Years covered by a metric basis (total comp may run past the last base record).
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @param {string} basis - 'base' or 'total'
+ * @returns {number} Years as decimal
+ */
+function getBasisYears(employeeData, basis) {
+    if (basis !== 'total') return calculateYearsOfService(employeeData);
+    return (new Date(getCompEndDate(employeeData)) - new Date(employeeData.hireDate)) / CONSTANTS.MS_PER_YEAR;
+}
+
+/**
+ * Shifts a YYYY-MM-DD date by whole months, clamping to the month's last day.
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} months - Months to add (negative to go back)
+ * @returns {string} YYYY-MM-DD
+ *
+ * @example
+ * shiftIsoDateByMonths('2024-01-31', 1); // '2024-02-29'
+ */
+export function shiftIsoDateByMonths(date, months) {
+    const [year, month, day] = date.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDay));
+    return target.toISOString().slice(0, 10);
+}
+
+// ========================================
+// EARNINGS UTILITIES
+// ========================================
+
+/**
+ * Days from 1970-01-01 to a YYYY-MM-DD date (UTC, so DST never shifts a day).
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} Whole days
+ */
+function toEpochDay(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / CONSTANTS.MS_PER_DAY;
+}
+
+/**
+ * Prorates an annual salary over [startDate, endDate) by day, split by
+ * calendar year. Each day earns annual ÷ days in its year, so a full calendar
+ * year earns exactly the annual salary.
+ *
+ * @param {number} annual - Annual salary in effect
+ * @param {string} startDate - YYYY-MM-DD (inclusive)
+ * @param {string} endDate - YYYY-MM-DD (exclusive)
+ * @param {Map<number, number>} byYear - Earnings per calendar year, added to in place
+ * @returns {number} Earnings over the period
+ */
+function accrueEarnings(annual, startDate, endDate, byYear) {
+    let total = 0;
+    const endYear = Number(endDate.slice(0, 4));
+    for (let year = Number(startDate.slice(0, 4)); year <= endYear; year++) {
+        const from = Math.max(toEpochDay(startDate), toEpochDay(`${year}-01-01`));
+        const to = Math.min(toEpochDay(endDate), toEpochDay(`${year + 1}-01-01`));
+        if (to <= from) continue;
+        const daysInYear = toEpochDay(`${year + 1}-01-01`) - toEpochDay(`${year}-01-01`);
+        const earned = annual * (to - from) / daysInYear;
+        byYear.set(year, (byYear.get(year) || 0) + earned);
+        total += earned;
+    }
+    return total;
+}
+
+/**
+ * Calculates base salary actually earned over time, as opposed to the
+ * point-in-time rates in each record.
+ *
+ * Each record's annual salary applies from its date until the next record's
+ * date; the current rate runs until `asOf` (exclusive). Pay is prorated by day.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @param {string} [asOf] - YYYY-MM-DD end of the period; defaults to today, or the
+ *   last record date if that is later
+ * @returns {{asOf: string, total: number, byYear: Array<{year: number, earnings: number}>,
+ *   periods: Array<{date: string, endDate: string, annual: number, earnings: number, cumulative: number}>}}
+ *   Totals, calendar-year earnings (oldest first) and one period per record (oldest first)
+ *
+ * @example
+ * // Hired 2023-01-01 at $100,000, raised to $120,000 on 2023-07-01
+ * calculateEarnings(employeeData, '2024-01-01').total; // ≈ 110,082 (181 days at $100k + 184 at $120k)
+ */
+export function calculateEarnings(employeeData, asOf) {
+    const today = new Date().toISOString().slice(0, 10);
+    const endDate = asOf ?? (today > employeeData.currentDate ? today : employeeData.currentDate);
+
+    // Memoized per data version and end date (performance optimization - #47)
+    return memoize(employeeData, `earnings-${endDate}`, () => {
+        const byYear = new Map();
+        const chronological = [...employeeData.records].reverse();
+        let cumulative = 0;
+        const periods = chronological.map((record, i) => {
+            const next = chronological[i + 1];
+            const periodEnd = next && next.date < endDate ? next.date : endDate;
+            const earnings = periodEnd > record.date ? accrueEarnings(record.annual, record.date, periodEnd, byYear) : 0;
+            cumulative += earnings;
+            return { date: record.date, endDate: periodEnd, annual: record.annual, earnings, cumulative };
+        });
+
+        return {
+            asOf: endDate,
+            total: cumulative,
+            byYear: [...byYear.entries()].sort((a, b) => a[0] - b[0]).map(([year, earnings]) => ({ year, earnings })),
+            periods
+        };
+    });
+}
+
+// ========================================
+// EMPLOYER SEGMENTS
+// ========================================
+
+/**
+ * Returns the employers of a multi-employer career (`employeeData.employers`),
+ * oldest first.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {Array<{name: string, hireDate: string}>} Employers (empty for single-employer data)
+ */
+export function getEmployers(employeeData) {
+    const employers = Array.isArray(employeeData?.employers) ? employeeData.employers : [];
+    return [...employers].sort((a, b) => a.hireDate.localeCompare(b.hireDate));
+}
+
+/**
+ * Checks whether the records span more than one employer.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {boolean} True if job changes can be shown
+ */
+export function hasMultipleEmployers(employeeData) {
+    return getEmployers(employeeData).length > 1;
+}
+
+/**
+ * Splits a career into one segment per employer. Each record belongs to the
+ * latest employer hired on or before its date.
+ *
+ * Segments are shaped like employeeData (hireDate, currentDate, records newest
+ * first), so single-employer calculations such as calculateCAGR() apply to
+ * them directly. A segment runs until the next employer's hire date; the last
+ * one until the career's currentDate. Data without `employers` is one unnamed
+ * segment.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {Array<{name: string, hireDate: string, currentDate: string, records: Array<Object>}>}
+ *   Segments, oldest first
+ */
+export function getEmployerSegments(employeeData) {
+    const employers = getEmployers(employeeData);
+    if (employers.length === 0) {
+        return [{ name: '', hireDate: employeeData.hireDate, currentDate: employeeData.currentDate, records: employeeData.records }];
+    }
+
+    return employers
+        .map((employer, i) => {
+            const next = employers[i + 1];
+            return {
+                name: employer.name,
+                hireDate: employer.hireDate,
+                currentDate: next ? next.hireDate : employeeData.currentDate,
+                records: employeeData.records.filter(r =>
+                    (i === 0 || r.date >= employer.hireDate) && (!next || r.date < next.hireDate)
+                )
+            };
+        })
+        .filter(segment => segment.records.length > 0);
+}
+
+/**
+ * Returns the moves between employers: the first record at each later
+ * employer, whose changePercent is the raise over the last salary at the
+ * previous one.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {Array<{date: string, from: string, to: string, record: Object, changePercent: number}>}
+ *   Job changes, oldest first (empty for single-employer data)
+ */
+export function getJobChanges(employeeData) {
+    const segments = getEmployerSegments(employeeData);
+    return segments.slice(1).map((segment, i) => {
+        const record = segment.records[segment.records.length - 1];
+        return { date: record.date, from: segments[i].name, to: segment.name, record, changePercent: record.changePercent };
+    });
+}
+
+/**
+ * Returns raises received while staying with an employer (job-change raises excluded).
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {Array<Object>} Records with a positive changePercent, newest first
+ */
+export function getInternalRaises(employeeData) {
+    const jobChangeRecords = new Set(getJobChanges(employeeData).map(c => c.record));
+    return employeeData.records.filter(r => r.changePercent > 0 && !jobChangeRecords.has(r));
+}
+
+/**
+ * Summarizes base salary growth at each employer.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {Array<{name: string, hireDate: string, endDate: string, years: number, startSalary: number,
+ *   endSalary: number, cagr: number, internalRaises: number, jobChangeRaise: number|null}>}
+ *   One summary per employer, oldest first; jobChangeRaise is the raise for joining
+ *   (null for the first employer)
+ *
+ * @example
+ * // $80k → $95k over 3 years at Acme, then joined Globex at $110k
+ * getEmployerSummaries(employeeData).map(s => [s.name, s.cagr.toFixed(1), s.jobChangeRaise]);
+ * // [['Acme', '5.9', null], ['Globex', '0.0', 15.7895]]
+ */
+export function getEmployerSummaries(employeeData) {
+    return getEmployerSegments(employeeData).map((segment, i) => {
+        const firstRecord = segment.records[segment.records.length - 1];
+        return {
+            name: segment.name,
+            hireDate: segment.hireDate,
+            endDate: segment.currentDate,
+            years: calculateYearsOfService(segment),
+            startSalary: getStartingSalary(segment),
+            endSalary: getCurrentSalary(segment),
+            cagr: calculateCAGR(segment),
+            internalRaises: segment.records.filter(r => r.changePercent > 0 && (i === 0 || r !== firstRecord)).length,
+            jobChangeRaise: i > 0 ? firstRecord.changePercent : null
+        };
+    });
+}
+
+// ========================================
+// BENCHMARK PERCENTILES
+// ========================================
+
+/**
+ * Returns a benchmark profile's P10-P90 distributions. Profiles without
+ * `percentiles` (imported files may omit them) get an estimate from their
+ * ranges: raises from typicalRaise and highPerformerRaise, CAGR with the same
+ * spread around industryCagr, and raise intervals spread around
+ * avgMonthsBetweenRaises.
+ *
+ * @param {Object} benchmarks - Benchmark profile (see getBenchmarkProfile())
+ * @returns {{raise: Object, cagr: Object, monthsBetweenRaises: Object, estimated: boolean}}
+ *   One { p10, p25, p50, p75, p90 } per BENCHMARK_PERCENTILE_METRICS key; estimated is
+ *   true when derived from ranges
+ *
+ * @example
+ * getBenchmarkPercentiles(benchmarks).raise; // { p10: 2, p25: 3, p50: 4, p75: 5.5, p90: 8 }
+ */
+export function getBenchmarkPercentiles(benchmarks) {
+    if (benchmarks.percentiles) {
+        return { ...benchmarks.percentiles, estimated: false };
+    }
+
+    const { typicalRaise: typical, highPerformerRaise: high } = benchmarks;
+    const raise = {
+        p10: Math.max(0, 2 * typical.min - typical.avg),
+        p25: typical.min,
+        p50: typical.avg,
+        p75: typical.max,
+        p90: Math.max(typical.max, high.avg)
+    };
+    const spread = (transform) => Object.fromEntries(Object.entries(raise).map(([key, value]) => [key, transform(value)]));
+    const monthFactors = { p10: 0.75, p25: 0.9, p50: 1, p75: 1.2, p90: 1.5 };
+
+    return {
+        raise,
+        cagr: spread(value => benchmarks.industryCagr + value - raise.p50),
+        monthsBetweenRaises: Object.fromEntries(Object.entries(monthFactors)
+            .map(([key, factor]) => [key, benchmarks.avgMonthsBetweenRaises * factor])),
+        estimated: true
+    };
+}
+
+/**
+ * Estimates where a value falls in a P10-P90 distribution, interpolating
+ * linearly between the listed points and extrapolating past P10 / P90.
+ *
+ * @param {number} value - Value to place
+ * @param {{p10: number, p25: number, p50: number, p75: number, p90: number}} distribution
+ * @returns {number} Estimated percentile, clamped to 1-99
+ *
+ * @example
+ * estimatePercentile(4.75, { p10: 2, p25: 3, p50: 4, p75: 5.5, p90: 8 }); // 62.5
+ */
+export function estimatePercentile(value, distribution) {
+    const points = BENCHMARK_PERCENTILE_POINTS.map(p => ({ p, x: distribution[`p${p}`] }));
+
+    // Segment ending at the first point above value (outer segments extrapolate)
+    let i = 0;
+    while (i < points.length - 2 && value >= points[i + 1].x) i++;
+    const a = points[i];
+    const b = points[i + 1];
+
+    let percentile;
+    if (b.x === a.x) {
+        percentile = value < a.x ? 0 : value > b.x ? 100 : (a.p + b.p) / 2;
+    } else {
+        percentile = a.p + (value - a.x) / (b.x - a.x) * (b.p - a.p);
+    }
+    return Math.min(99, Math.max(1, percentile));
+}
+
+/**
+ * Places the user's metrics in the benchmark distributions.
+ *
+ * @param {{raise: number|null, cagr: number, monthsBetweenRaises: number|null}} values - User
+ *   metrics; null for a metric the history can't measure (raise metrics without raises)
+ * @param {Object} benchmarks - Benchmark profile
+ * @returns {Object} { estimated, <metric>: { value, percentile, distribution } } per
+ *   BENCHMARK_PERCENTILE_METRICS key (percentile null when the value is). Higher is better:
+ *   for monthsBetweenRaises the percentile is the share of peers waiting longer between raises
+ */
+function getPercentileStandings(values, benchmarks) {
+    const { estimated, ...distributions } = getBenchmarkPercentiles(benchmarks);
+    const standings = { estimated };
+    for (const metric of Object.keys(BENCHMARK_PERCENTILE_METRICS)) {
+        const distribution = distributions[metric];
+        const value = values[metric];
+        let percentile = null;
+        if (value !== null) {
+            const position = estimatePercentile(value, distribution);
+            percentile = metric === 'monthsBetweenRaises' ? 100 - position : position;
+        }
+        standings[metric] = { value, percentile, distribution };
+    }
+    return standings;
+}
+
+// ========================================
+// PROMOTION ANALYSIS
+// ========================================
+
+/**
+ * Analyzes promotions (records whose reason maps to the 'promotion' category,
+ * job changes excluded) against the benchmark's promotionBump: average bump,
+ * months from hire or the previous promotion at the same employer, and how
+ * base salary growth splits between promotions, merit raises and everything
+ * else (market adjustments, job changes, decreases).
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @param {Object} benchmarks - Benchmark profile (uses promotionBump)
+ * @returns {{count: number, avgBump: number|null, largestBump: number|null, bumpVsBenchmark: number|null,
+ *   avgMonthsBetween: number|null, promotions: Array<{date: string, changePercent: number, monthsSincePrevious: number}>,
+ *   totalGrowth: number, promotionGrowth: number, meritGrowth: number, otherGrowth: number,
+ *   promotionShare: number|null, meritShare: number|null, otherShare: number|null}}
+ *   Bump figures are null without promotions; shares (% of totalGrowth) are null unless salary grew
+ *
+ * @example
+ * // Hired at $80k, merit to $84k, promoted to $96.6k 2 years after hire
+ * const promo = getPromotionAnalysis(employeeData, benchmarks);
+ * promo.avgBump;          // 15
+ * promo.avgMonthsBetween; // ~24
+ * promo.promotionShare;   // ~75.9 (12.6k of 16.6k growth)
+ */
+export function getPromotionAnalysis(employeeData, benchmarks) {
+    const jobChangeRecords = new Set(getJobChanges(employeeData).map(c => c.record));
+    const isPromotion = (record) =>
+        !jobChangeRecords.has(record) && getReasonCategory(record.reason) === 'promotion';
+
+    // Growth split: each record's change over the previous salary, by reason
+    const chronological = [...employeeData.records].reverse();
+    let promotionGrowth = 0, meritGrowth = 0, otherGrowth = 0;
+    chronological.slice(1).forEach((record, i) => {
+        const delta = record.annual - chronological[i].annual;
+        if (isPromotion(record)) promotionGrowth += delta;
+        else if (!jobChangeRecords.has(record) && getReasonCategory(record.reason) === 'merit') meritGrowth += delta;
+        else otherGrowth += delta;
+    });
+    const totalGrowth = promotionGrowth + meritGrowth + otherGrowth;
+    const share = (amount) => totalGrowth > 0 ? (amount / totalGrowth) * 100 : null;
+
+    // Promotion timing restarts at each employer's hire date
+    const promotions = getEmployerSegments(employeeData).flatMap(segment => {
+        let previous = segment.hireDate;
+        return [...segment.records].reverse()
+            .filter(r => r.changePercent > 0 && isPromotion(r))
+            .map(r => {
+                const monthsSincePrevious = (new Date(r.date) - new Date(previous)) / CONSTANTS.MS_PER_YEAR * 12;
+                previous = r.date;
+                return { date: r.date, changePercent: r.changePercent, monthsSincePrevious };
+            });
+    });
+    const mean = (values) => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    const avgBump = mean(promotions.map(p => p.changePercent));
+
+    return {
+        count: promotions.length,
+        avgBump,
+        largestBump: promotions.length > 0 ? Math.max(...promotions.map(p => p.changePercent)) : null,
+        bumpVsBenchmark: avgBump === null ? null : avgBump - benchmarks.promotionBump.avg,
+        avgMonthsBetween: mean(promotions.map(p => p.monthsSincePrevious)),
+        promotions,
+        totalGrowth,
+        promotionGrowth,
+        meritGrowth,
+        otherGrowth,
+        promotionShare: share(promotionGrowth),
+        meritShare: share(meritGrowth),
+        otherShare: share(otherGrowth)
+    };
+}
+
+// ========================================
+// GOAL SEEK
+// ========================================
+
+/**
+ * Number of raises of `percent` needed to grow salary by `ratio`.
+ *
+ * @param {number} ratio - Target salary / current salary (> 1)
+ * @param {number} percent - Raise size (%)
+ * @returns {number} Whole raises (rounded up)
+ */
+function raisesToReach(ratio, percent) {
+    // Tolerance keeps an exact fit (e.g. two 10% raises for +21%) from rounding up
+    return Math.ceil(Math.log(ratio) / Math.log(1 + percent / 100) - 1e-9);
+}
+
+/**
+ * Solves for the growth needed to reach a target salary by a target date,
+ * starting from the current salary at employeeData.currentDate, and sets it
+ * against the user's historical CAGR and the benchmark ranges: how many
+ * typical raises or promotions close the gap, and how large each raise would
+ * have to be at the benchmark cadence (avgMonthsBetweenRaises).
+ *
+ * `standing` places that per-raise figure: 'typical' (within or below
+ * typicalRaise), 'highPerformer' (up to highPerformerRaise.max), 'beyond'
+ * (above it, or no raise cycle fits before the date), or 'reached' when the
+ * current salary already meets the target.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @param {{salary: number, date: string}} goal - Target salary and date (YYYY-MM-DD)
+ * @param {Object} benchmarks - Benchmark profile
+ * @returns {{targetSalary: number, targetDate: string, currentSalary: number, years: number,
+ *   requiredRate: number, historicalCagr: number, vsHistorical: number,
+ *   typicalRaisesNeeded: number, promotionsNeeded: number, raiseCycles: number,
+ *   requiredRaisePerCycle: number|null, standing: string}|null}
+ *   Rates in %; null unless the salary is positive and the date is after currentDate
+ *
+ * @example
+ * // $150k today, $200k in 4 years, 5.7% historical CAGR
+ * const goal = getGoalAnalysis(employeeData, { salary: 200000, date: '2030-01-01' }, benchmarks);
+ * goal.requiredRate;        // ~7.5
+ * goal.vsHistorical;        // ~1.7
+ * goal.typicalRaisesNeeded; // 8 (at 4% each)
+ * goal.standing;            // 'highPerformer'
+ */
+export function getGoalAnalysis(employeeData, goal, benchmarks) {
+    const years = (new Date(goal.date) - new Date(employeeData.currentDate)) / CONSTANTS.MS_PER_YEAR;
+    if (!(goal.salary > 0) || !(years > 0)) return null;
+
+    const currentSalary = getCurrentSalary(employeeData);
+    const ratio = goal.salary / currentSalary;
+    const requiredRate = (Math.pow(ratio, 1 / years) - 1) * 100;
+    const historicalCagr = calculateCAGR(employeeData);
+    const raiseCycles = Math.floor(years * 12 / benchmarks.avgMonthsBetweenRaises);
+    const requiredRaisePerCycle = raiseCycles > 0 ? (Math.pow(ratio, 1 / raiseCycles) - 1) * 100 : null;
+
+    let standing;
+    if (ratio <= 1) standing = 'reached';
+    else if (requiredRaisePerCycle === null) standing = 'beyond';
+    else if (requiredRaisePerCycle <= benchmarks.typicalRaise.max) standing = 'typical';
+    else if (requiredRaisePerCycle <= benchmarks.highPerformerRaise.max) standing = 'highPerformer';
+    else standing = 'beyond';
+
+    return {
+        targetSalary: goal.salary,
+        targetDate: goal.date,
+        currentSalary,
+        years,
+        requiredRate,
+        historicalCagr,
+        vsHistorical: requiredRate - historicalCagr,
+        typicalRaisesNeeded: ratio > 1 ? raisesToReach(ratio, benchmarks.typicalRaise.avg) : 0,
+        promotionsNeeded: ratio > 1 ? raisesToReach(ratio, benchmarks.promotionBump.avg) : 0,
+        raiseCycles,
+        requiredRaisePerCycle,
+        standing
+    };
+}
+
 // ========================================
 // DATE FORMATTING UTILITIES (#86)
 // ========================================
@@ -390,3 +1348,88 @@ export function formatDateCompact(date) {
     const d = typeof date === 'string' ? new Date(date) : date;
     return d.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
 }
+
+// ========================================
+// PAY TYPE UTILITIES
+// ========================================
+
+/**
+ * Checks whether a record was parsed from an hourly (rather than salaried) row.
+ *
+ * @param {Object} record - Compensation record
+ * @returns {boolean} True if the record's annual value is annualized from an hourly rate
+ */
+export function isHourlyRecord(record) {
+    return record?.payType === 'hourly' && record.hourlyRate > 0;
+}
+
+/**
+ * Formats an hourly rate for display alongside annualized values.
+ *
+ * @param {number} rate - Hourly rate in dollars
+ * @returns {string} Formatted rate like "$25.00/hr"
+ *
+ * @example
+ * formatHourlyRate(25); // "$25.00/hr"
+ */
+export function formatHourlyRate(rate) {
+    return `$${rate.toFixed(2)}/hr`;
+}
+
+// ========================================
+// PAY FREQUENCY UTILITIES
+// ========================================
+
+const PAY_FREQUENCY_LABELS = {
+    weekly: 'weekly',
+    biweekly: 'bi-weekly',
+    semimonthly: 'semi-monthly',
+    monthly: 'monthly',
+    unknown: 'unknown frequency'
+};
+
+/**
+ * Works out a record's pay frequency from its per-check to annual ratio.
+ *
+ * @param {number} annual - Annual salary
+ * @param {number} perCheck - Per-paycheck amount
+ * @returns {string|null} Key of PAY_FREQUENCIES, 'unknown' if the ratio fits
+ *   none of them, or null if either amount is missing
+ *
+ * @example
+ * detectPayFrequency(65000, 2500);    // 'biweekly' (65,000 ÷ 2,500 = 26)
+ * detectPayFrequency(65000, 2708.33); // 'semimonthly'
+ * detectPayFrequency(65000, 3000);    // 'unknown'
+ */
+export function detectPayFrequency(annual, perCheck) {
+    if (!(annual > 0) || !(perCheck > 0)) return null;
+    const periods = annual / perCheck;
+    for (const [frequency, expected] of Object.entries(PAY_FREQUENCIES)) {
+        if (Math.abs(periods - expected) / expected <= CONSTANTS.PAY_FREQUENCY_TOLERANCE) {
+            return frequency;
+        }
+    }
+    return 'unknown';
+}
+
+/**
+ * Returns how many paychecks per year a record's perCheck represents.
+ * Records without a known frequency (older exports, 'unknown') use the
+ * semi-monthly default.
+ *
+ * @param {Object} record - Compensation record
+ * @returns {number} Pay periods per year
+ */
+export function getPayPeriodsPerYear(record) {
+    return PAY_FREQUENCIES[record?.payFrequency] || CONSTANTS.PAY_PERIODS_PER_YEAR;
+}
+
+/**
+ * Formats a pay frequency for display.
+ *
+ * @param {string} frequency - Key of PAY_FREQUENCIES or 'unknown'
+ * @returns {string} Label like "bi-weekly", or '' for missing values
+ */
+export function formatPayFrequency(frequency) {
+    return PAY_FREQUENCY_LABELS[frequency] || '';
+}
@@ -5,7 +5,11 @@
 /* global Chart */
 
 import { CONSTANTS } from './constants.js';
-import { calculateCAGR, getCurrentSalary, getStartingSalary, formatDateCompact } from './calculations.js';
+import { hasEquity, getTrailingVestedValue } from './equity.js';
+import { hasBands, getBandAt } from './bands.js';
+import { estimateTakeHome } from './taxes.js';
+import { calculateCAGR, getCurrentSalary, getStartingSalary, formatDateCompact, isHourlyRecord, formatHourlyRate, hasCompComponents, buildCompTimeline, calculateEarnings, toRealDollars, getJobChanges, getBenchmarkProfile, getBenchmarkComparisons, getGoalAnalysis } from './calculations.js';
+import { requestMonteCarloProjection, onMonteCarloResult } from './monte-carlo.js';
 
 // ========================================
 // MODULE STATE (injected via initCharts)
@@ -110,6 +114,12 @@ export function getTooltipConfig(options = {}) {
 /**
  * Builds projection datasets (labels + 3 scenario arrays) from current state.
  * Shared by buildProjectionChart and updateProjectionChartData.
+ *
+ * In Monte Carlo mode, `simulation` holds the P10 / median / P90 series once
+ * the background simulation has finished (null until then, and in scenario
+ * mode); `job` is the simulation job either way in Monte Carlo mode.
+ * `goal` is the salary goal marker (see goalMarkerPlugin), null without a
+ * solvable goal.
  */
 function buildProjectionDatasets() {
     const employeeData = _getEmployeeData();
@@ -135,7 +145,115 @@ function buildProjectionDatasets() {
         custom.push(currentSalary * Math.pow(1 + customRate, i));
     }
 
-    return { labels, historical, conservative, custom, cagr };
+    // Simulation and goal are in dollars; rescale like the other series in privacy mode
+    const scale = currentSalary / currentSalaryRaw;
+    const benchmarks = getBenchmarkProfile(_state.benchmarkProfile);
+
+    let job = null;
+    let simulation = null;
+    if (_state.projectionMode === 'monteCarlo') {
+        job = requestMonteCarloProjection(employeeData, benchmarks);
+        if (job.result) {
+            const series = (values) => values.slice(0, years + 1).map(v => v * scale);
+            simulation = { p10: series(job.result.p10), p50: series(job.result.p50), p90: series(job.result.p90), paths: job.result.paths };
+        }
+    }
+
+    const goalAnalysis = _state.goal ? getGoalAnalysis(employeeData, _state.goal, benchmarks) : null;
+    const goal = goalAnalysis && {
+        years: goalAnalysis.years,
+        value: goalAnalysis.targetSalary * scale,
+        label: `Goal ${_state.showDollars ? '$' + (goalAnalysis.targetSalary / 1000).toFixed(0) + 'k · ' : ''}${formatDateCompact(goalAnalysis.targetDate)}` +
+            ` (${goalAnalysis.requiredRate.toFixed(1)}%/yr)` + (goalAnalysis.years > years ? ` beyond +${years}yr →` : '')
+    };
+
+    return { labels, historical, conservative, custom, cagr, simulation, job, goal };
+}
+
+/**
+ * Inline Chart.js plugin marking the salary goal on the projection chart
+ * (options.plugins.goalMarker.goal): a dashed line at the target from the
+ * y axis to the target date, placed between the yearly labels, and a
+ * diamond at the goal itself. Goals past the horizon sit at the right edge.
+ * Drawn in the axis text color so it follows theme changes.
+ */
+const goalMarkerPlugin = {
+    id: 'goalMarker',
+    afterDatasetsDraw(chart, args, options) {
+        const goal = options?.goal;
+        if (!goal) return;
+
+        const { ctx, chartArea, scales } = chart;
+        const lastIndex = chart.data.labels.length - 1;
+        const position = Math.min(goal.years, lastIndex);
+        const before = Math.floor(position);
+        const after = Math.min(before + 1, lastIndex);
+        const x = scales.x.getPixelForValue(before) +
+            (scales.x.getPixelForValue(after) - scales.x.getPixelForValue(before)) * (position - before);
+        const y = scales.y.getPixelForValue(goal.value);
+        const color = scales.x.options.ticks.color;
+
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(chartArea.left, y);
+        ctx.lineTo(x, y);
+        ctx.lineTo(x, chartArea.bottom);
+        ctx.stroke();
+
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.moveTo(x, y - 7);
+        ctx.lineTo(x + 7, y);
+        ctx.lineTo(x, y + 7);
+        ctx.lineTo(x - 7, y);
+        ctx.closePath();
+        ctx.fill();
+
+        ctx.font = 'bold 12px sans-serif';
+        ctx.textBaseline = 'bottom';
+        ctx.textAlign = x > (chartArea.left + chartArea.right) / 2 ? 'right' : 'left';
+        ctx.fillText(goal.label, x + (ctx.textAlign === 'right' ? -10 : 10), y - 6);
+        ctx.restore();
+    }
+};
+
+// Tooltip names for the simulated band edges (the legend shows one band entry)
+const PROJECTION_BAND_LABELS = {
+    monteCarloP10: 'Simulated P10',
+    monteCarloP90: 'Simulated P90'
+};
+
+/**
+ * Projection chart tooltip label: series name and value (index in privacy mode).
+ *
+ * @param {Object} ctx - Chart.js tooltip context
+ * @returns {string} Label text
+ */
+function getProjectionTooltipLabel(ctx) {
+    const name = PROJECTION_BAND_LABELS[ctx.dataset.datasetType] ?? ctx.dataset.label;
+    return _state.showDollars ?
+        `${name}: $${Math.round(ctx.raw).toLocaleString()}` :
+        `${name}: ${ctx.raw.toFixed(0)}`;
+}
+
+/**
+ * Monte Carlo datasets for the projection chart: the P10-P90 band (P90 edge
+ * shaded down to the P10 edge) and the median path.
+ *
+ * @param {{p10: Array<number>, p50: Array<number>, p90: Array<number>, paths: number}} simulation - Scaled series
+ * @param {Object} colors - Theme colors from getThemeColors()
+ * @returns {Array<Object>} Chart.js datasets
+ */
+function getMonteCarloDatasets(simulation, colors) {
+    return [
+        { label: 'Simulated P10', data: simulation.p10, datasetType: 'monteCarloP10', borderColor: 'transparent', backgroundColor: 'transparent', fill: false, borderWidth: 0, tension: 0.3, pointRadius: 0 },
+        { label: `P10–P90 (${simulation.paths.toLocaleString('en-US')} simulated paths)`, data: simulation.p90, datasetType: 'monteCarloP90', borderColor: 'transparent', backgroundColor: colors.fill2, fill: '-1', borderWidth: 0, tension: 0.3, pointRadius: 0 },
+        { label: 'Simulated median', data: simulation.p50, datasetType: 'monteCarloMedian', borderColor: colors.accent, backgroundColor: 'transparent', borderWidth: 3, borderDash: [6, 4], tension: 0.3, pointRadius: 3 }
+    ];
 }
 
 // ========================================
@@ -163,12 +281,52 @@ export function updateChartTheme(chart) {
                     dataset.pointBackgroundColor = colors.line1;
                     dataset.pointBorderColor = colors.line1;
                     break;
+                case 'cumulativeEarnings':
+                    dataset.borderColor = colors.line1;
+                    dataset.pointBackgroundColor = colors.line1;
+                    dataset.pointBorderColor = colors.line1;
+                    break;
+                case 'totalComp':
+                    dataset.borderColor = colors.line2;
+                    dataset.pointBackgroundColor = colors.line2;
+                    dataset.pointBorderColor = colors.line2;
+                    break;
+                case 'realSalary':
+                    dataset.borderColor = colors.text;
+                    dataset.pointBackgroundColor = colors.text;
+                    dataset.pointBorderColor = colors.text;
+                    break;
+                case 'netPay':
+                    dataset.borderColor = colors.line1;
+                    dataset.pointBackgroundColor = colors.line1;
+                    dataset.pointBorderColor = colors.line1;
+                    break;
+                case 'vestedEquity':
+                    dataset.borderColor = colors.accent;
+                    dataset.pointBackgroundColor = colors.accent;
+                    dataset.pointBorderColor = colors.accent;
+                    break;
+                case 'bandMin':
+                case 'bandMax':
+                    dataset.borderColor = colors.grid;
+                    break;
+                case 'percentileMedian':
+                    dataset.borderColor = colors.text;
+                    break;
+                case 'percentileUser':
+                    dataset.borderColor = colors.line1;
+                    dataset.pointBackgroundColor = colors.line1;
+                    dataset.pointBorderColor = colors.line1;
+                    break;
                 case 'yoyGrowth':
                     dataset.borderColor = colors.line2;
                     break;
                 case 'historicalCAGR':
                     dataset.borderColor = colors.line1;
                     break;
+                case 'monteCarloMedian':
+                    dataset.borderColor = colors.accent;
+                    break;
                 case 'custom':
                     dataset.borderColor = colors.line2;
                     break;
@@ -192,6 +350,35 @@ export function updateChartTheme(chart) {
                         dataset.backgroundColor = colors.line1;
                     }
                     break;
+                case 'cumulativeEarnings':
+                    dataset.backgroundColor = colors.fill1;
+                    break;
+                case 'totalComp':
+                    if (_state.mainChartType === 'bar') {
+                        dataset.backgroundColor = colors.line2;
+                    }
+                    break;
+                case 'realSalary':
+                    if (_state.mainChartType === 'bar') {
+                        dataset.backgroundColor = colors.text;
+                    }
+                    break;
+                case 'netPay':
+                    if (_state.mainChartType === 'bar') {
+                        dataset.backgroundColor = colors.fill1;
+                    }
+                    break;
+                case 'vestedEquity':
+                    dataset.backgroundColor = _state.mainChartType === 'bar' ? colors.accent : colors.fill2;
+                    break;
+                case 'bandMax':
+                    dataset.backgroundColor = colors.grid;
+                    break;
+                case 'percentileOuter':
+                case 'percentileInner':
+                case 'monteCarloP90':
+                    dataset.backgroundColor = colors.fill2;
+                    break;
                 case 'yoyGrowth':
                     if (_state.yoyChartType === 'bar') {
                         dataset.backgroundColor = colors.line2;
@@ -279,13 +466,9 @@ function createChartUpdater(chartKey, buildFn, updateFn, options = {}) {
 // ========================================
 
 /**
- * Efficiently updates main chart type without full rebuild.
- * Uses Chart.js in-place updates for type and dataset properties.
- * Falls back to full rebuild if chart doesn't exist.
- *
- * Performance: ~5-10ms vs 20-40ms for full rebuild
+ * In-place style update for the timeline chart types (line, bar, area, step).
  */
-export const updateMainChartType = createChartUpdater(
+const updateMainChartStyle = createChartUpdater(
     'main',
     buildMainChart,
     (chart) => {
@@ -303,10 +486,57 @@ export const updateMainChartType = createChartUpdater(
         dataset.tension = type === 'step' ? 0 : 0.3;
         dataset.stepped = type === 'step' ? 'before' : false;
         dataset.pointRadius = type === 'bar' ? 0 : 4;
+
+        const totalDataset = findMainDataset(chart, 'totalComp');
+        if (totalDataset) {
+            Object.assign(totalDataset, getTotalCompDatasetStyle(colors, type));
+        }
+        const equityDataset = findMainDataset(chart, 'vestedEquity');
+        if (equityDataset) {
+            Object.assign(equityDataset, getVestedEquityDatasetStyle(colors, type));
+        }
+        const realDataset = findMainDataset(chart, 'realSalary');
+        if (realDataset) {
+            Object.assign(realDataset, getRealSalaryDatasetStyle(colors, type));
+        }
+        const netDataset = findMainDataset(chart, 'netPay');
+        if (netDataset) {
+            Object.assign(netDataset, getNetPayDatasetStyle(colors, type));
+        }
+        chart.data.datasets
+            .filter(d => d.datasetType === 'bandMin' || d.datasetType === 'bandMax')
+            .forEach(d => Object.assign(d, getPayBandDatasetStyle(colors, type)));
     },
     { requiresData: false }
 );
 
+/**
+ * Efficiently updates main chart type without full rebuild.
+ * Uses Chart.js in-place updates for type and dataset properties.
+ * Falls back to full rebuild if chart doesn't exist, or when switching into or
+ * out of the cumulative earnings mode (different data and labels).
+ *
+ * Performance: ~5-10ms vs 20-40ms for full rebuild
+ */
+export function updateMainChartType() {
+    const chart = _charts.main;
+    if (chart && isCumulativeChart(chart) !== (_state.mainChartType === 'cumulative')) {
+        buildMainChart();
+        return;
+    }
+    updateMainChartStyle();
+}
+
+/**
+ * Checks whether the main chart currently shows cumulative earnings.
+ *
+ * @param {Object} chart - Chart.js instance
+ * @returns {boolean} True in cumulative earnings mode
+ */
+function isCumulativeChart(chart) {
+    return chart.data.datasets[0]?.datasetType === 'cumulativeEarnings';
+}
+
 /**
  * Efficiently updates YoY chart type without full rebuild.
  * Uses Chart.js in-place updates for type and dataset properties.
@@ -338,6 +568,527 @@ export const updateYoyChartType = createChartUpdater(
     { requiresData: false }
 );
 
+// Tooltip prefixes for the optional main chart series (base salary has none)
+const MAIN_CHART_LABEL_PREFIXES = {
+    totalComp: 'Total comp: ',
+    realSalary: 'Real: ',
+    netPay: 'Take-home: ',
+    vestedEquity: 'Vested equity (12 mo): ',
+    bandMin: 'Band min: ',
+    bandMax: 'Band max: '
+};
+
+/**
+ * Builds the main chart tooltip label callback.
+ * Hourly records show their rate beneath the annualized value (dollars mode only),
+ * and the first record at a new employer names it.
+ * Total-comp, real-salary, take-home, vested-equity and pay band points are prefixed so the series can be told apart.
+ *
+ * @param {Array<Object>} points - Main chart points (see getMainChartPoints)
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {Function} Chart.js label callback
+ */
+function getMainChartLabelCallback(points, employeeData) {
+    const joined = new Map(getJobChanges(employeeData).map(c => [c.record, c.to]));
+    return (ctx) => {
+        // Pay band gaps (dates without a band) have no value
+        if (ctx.raw === null) return '';
+        const prefix = MAIN_CHART_LABEL_PREFIXES[ctx.dataset?.datasetType] || '';
+        if (!_state.showDollars) return `${prefix}Index: ${ctx.raw.toFixed(0)}`;
+        const label = `${prefix}$${ctx.raw.toLocaleString()}`;
+        if (prefix) return label;
+        const { date, record } = points[ctx.dataIndex];
+        const lines = [label];
+        if (isHourlyRecord(record)) lines.push(`${formatHourlyRate(record.hourlyRate)} (annualized)`);
+        if (joined.has(record) && date === record.date) lines.push(`Joined ${joined.get(record)}`);
+        return lines.length > 1 ? lines : label;
+    };
+}
+
+/**
+ * Main chart x positions of job changes, labelled with the new employer.
+ *
+ * @param {Array<Object>} points - Main chart points (see getMainChartPoints)
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {Array<{index: number, label: string}>} Markers (empty for single-employer data)
+ */
+function getJobChangeMarkers(points, employeeData) {
+    return getJobChanges(employeeData)
+        .map(change => ({ index: points.findIndex(p => p.date === change.date), label: change.to }))
+        .filter(marker => marker.index >= 0);
+}
+
+/**
+ * Inline Chart.js plugin drawing a dashed vertical line at each job change
+ * (options.plugins.jobChangeMarkers.markers), in the axis text color so it
+ * follows theme changes.
+ */
+const jobChangeMarkersPlugin = {
+    id: 'jobChangeMarkers',
+    afterDatasetsDraw(chart, args, options) {
+        const markers = options?.markers || [];
+        if (markers.length === 0) return;
+
+        const { ctx, chartArea, scales } = chart;
+        const color = scales.x.options.ticks.color;
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.font = 'bold 12px sans-serif';
+        ctx.textBaseline = 'top';
+        markers.forEach(({ index, label }) => {
+            const x = scales.x.getPixelForValue(index);
+            ctx.beginPath();
+            ctx.moveTo(x, chartArea.top);
+            ctx.lineTo(x, chartArea.bottom);
+            ctx.stroke();
+            ctx.fillText(label, x + 4, chartArea.top + 4);
+        });
+        ctx.restore();
+    }
+};
+
+/**
+ * Finds a main chart dataset by its datasetType (optional series come and go).
+ *
+ * @param {Object} chart - Chart.js instance
+ * @param {string} datasetType - e.g. 'totalComp', 'vestedEquity'
+ * @returns {Object|undefined} Dataset
+ */
+function findMainDataset(chart, datasetType) {
+    return chart.data.datasets.find(d => d.datasetType === datasetType);
+}
+
+/**
+ * Point styles for the main chart: hourly records are drawn as diamonds so a
+ * mixed hourly → salaried history stays one continuous series.
+ *
+ * @param {Array<Object>} points - Main chart points (see getMainChartPoints)
+ * @returns {Array<string>} Chart.js pointStyle per data point
+ */
+function getPayTypePointStyles(points) {
+    return points.map(p => isHourlyRecord(p.record) ? 'rectRot' : 'circle');
+}
+
+/**
+ * Main chart points, oldest first. Without compensation components there is
+ * one point per record; with them, component dates are added so the
+ * total-comp line steps when a bonus is paid. Each point also carries the
+ * equity vested in the trailing 12 months (0 without grants).
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {Array<{date: string, record: Object, base: number, total: number, equity: number}>} Chart points
+ */
+function getMainChartPoints(employeeData) {
+    const points = hasCompComponents(employeeData)
+        ? buildCompTimeline(employeeData)
+        : [...employeeData.records].reverse().map(r => ({ date: r.date, record: r, base: r.annual, total: r.annual }));
+    const withEquity = hasEquity(employeeData);
+    return points.map(p => ({ ...p, equity: withEquity ? getTrailingVestedValue(employeeData, p.date) : 0 }));
+}
+
+/**
+ * Style for the dashed total-comp dataset (depends on main chart type).
+ *
+ * @param {Object} colors - Theme colors from getThemeColors()
+ * @param {string} type - Main chart type (line, bar, area, step)
+ * @returns {Object} Chart.js dataset properties
+ */
+function getTotalCompDatasetStyle(colors, type) {
+    return {
+        borderColor: colors.line2,
+        backgroundColor: type === 'bar' ? colors.line2 : 'transparent',
+        fill: false,
+        tension: type === 'step' ? 0 : 0.3,
+        stepped: type === 'step' ? 'before' : false,
+        borderDash: type === 'bar' ? [] : [6, 4],
+        pointBackgroundColor: colors.line2,
+        pointBorderColor: colors.line2,
+        pointRadius: type === 'bar' ? 0 : 3
+    };
+}
+
+/**
+ * Style for the vested-equity band stacked on base salary (depends on main chart type).
+ *
+ * @param {Object} colors - Theme colors from getThemeColors()
+ * @param {string} type - Main chart type (line, bar, area, step)
+ * @returns {Object} Chart.js dataset properties
+ */
+function getVestedEquityDatasetStyle(colors, type) {
+    return {
+        borderColor: colors.accent,
+        backgroundColor: type === 'bar' ? colors.accent : colors.fill2,
+        fill: type === 'bar' ? false : '-1',
+        tension: type === 'step' ? 0 : 0.3,
+        stepped: type === 'step' ? 'before' : false,
+        pointBackgroundColor: colors.accent,
+        pointBorderColor: colors.accent,
+        pointRadius: type === 'bar' ? 0 : 3
+    };
+}
+
+/**
+ * Style for the real (inflation-adjusted) salary line (depends on main chart type).
+ *
+ * @param {Object} colors - Theme colors from getThemeColors()
+ * @param {string} type - Main chart type (line, bar, area, step)
+ * @returns {Object} Chart.js dataset properties
+ */
+function getRealSalaryDatasetStyle(colors, type) {
+    return {
+        borderColor: colors.text,
+        backgroundColor: type === 'bar' ? colors.text : 'transparent',
+        fill: false,
+        tension: type === 'step' ? 0 : 0.3,
+        stepped: type === 'step' ? 'before' : false,
+        borderDash: type === 'bar' ? [] : [2, 3],
+        pointBackgroundColor: colors.text,
+        pointBorderColor: colors.text,
+        pointRadius: type === 'bar' ? 0 : 3
+    };
+}
+
+/**
+ * Style for the estimated take-home pay line: the salary color, long-dashed
+ * (depends on main chart type).
+ *
+ * @param {Object} colors - Theme colors from getThemeColors()
+ * @param {string} type - Main chart type (line, bar, area, step)
+ * @returns {Object} Chart.js dataset properties
+ */
+function getNetPayDatasetStyle(colors, type) {
+    return {
+        borderColor: colors.line1,
+        backgroundColor: type === 'bar' ? colors.fill1 : 'transparent',
+        fill: false,
+        tension: type === 'step' ? 0 : 0.3,
+        stepped: type === 'step' ? 'before' : false,
+        borderDash: type === 'bar' ? [] : [10, 4],
+        pointBackgroundColor: colors.line1,
+        pointBorderColor: colors.line1,
+        pointRadius: type === 'bar' ? 0 : 3
+    };
+}
+
+/**
+ * Style for the pay band edges (same for any main chart type; bands stay lines
+ * in bar mode). The max edge fills down to the min edge, behind the salary series.
+ *
+ * @param {Object} colors - Theme colors from getThemeColors()
+ * @param {string} type - Main chart type (line, bar, area, step)
+ * @returns {Object} Chart.js dataset properties
+ */
+function getPayBandDatasetStyle(colors, type) {
+    return {
+        type: 'line',
+        borderColor: colors.grid,
+        borderWidth: 1,
+        tension: 0,
+        stepped: type === 'step' ? 'before' : false,
+        pointRadius: 0,
+        pointHoverRadius: 0,
+        order: 10  // Higher order draws first, i.e. behind the other series
+    };
+}
+
+/**
+ * Pay band edge values for the main chart: the band in effect at each point
+ * (null where no band applies, leaving a gap).
+ *
+ * @param {Array<Object>} points - Main chart points (see getMainChartPoints)
+ * @param {Object} employeeData - Employee compensation data
+ * @param {string} edge - 'min' or 'max'
+ * @returns {Array<number|null>} Chart values (dollars or index)
+ */
+function getPayBandValues(points, employeeData, edge) {
+    return points.map(p => {
+        const band = getBandAt(employeeData, p.date);
+        return band ? toMainChartValue(band[edge], employeeData) : null;
+    });
+}
+
+/**
+ * Real salary values for the main chart: base salary at each point deflated
+ * into state.realBaseYear dollars.
+ *
+ * @param {Array<Object>} points - Main chart points (see getMainChartPoints)
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {Array<number>} Chart values (dollars or index)
+ */
+function getRealSalaryValues(points, employeeData) {
+    return points.map(p => toMainChartValue(
+        toRealDollars(p.base, p.date, _state.realBaseYear),
+        employeeData
+    ));
+}
+
+/**
+ * Take-home pay values for the main chart: estimated net pay on base salary at
+ * each point, with the tax rules of the point's year and the state's tax settings.
+ *
+ * @param {Array<Object>} points - Main chart points (see getMainChartPoints)
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {Array<number>} Chart values (dollars or index)
+ */
+function getNetPayValues(points, employeeData) {
+    const settings = { filingStatus: _state.filingStatus, stateTaxRate: _state.stateTaxRate };
+    return points.map(p => toMainChartValue(
+        estimateTakeHome(p.base, Number(p.date.slice(0, 4)), settings).net,
+        employeeData
+    ));
+}
+
+/**
+ * Converts a main chart value to the current view mode (dollars or index).
+ *
+ * @param {number} value - Annual dollars
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {number} Dollars, or index relative to starting salary
+ */
+function toMainChartValue(value, employeeData) {
+    return _state.showDollars ? value : (value / getStartingSalary(employeeData)) * 100;
+}
+
+/**
+ * Chart.js config for the compensation timeline (base salary plus optional
+ * total-comp, real-salary, take-home, vested-equity and pay band series, and job-change markers).
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @param {Object} colors - Theme colors from getThemeColors()
+ * @returns {Object} Chart.js config
+ */
+function getTimelineChartConfig(employeeData, colors) {
+    const points = getMainChartPoints(employeeData);
+    const showTotal = hasCompComponents(employeeData);
+    const showEquity = hasEquity(employeeData);
+    const showReal = Number.isInteger(_state.realBaseYear);
+    const showNet = _state.showNetPay;
+    const showBands = hasBands(employeeData);
+
+    const labels = points.map(p => formatDateCompact(p.date));
+
+    const values = points.map(p => toMainChartValue(p.base, employeeData));
+
+    return {
+        type: _state.mainChartType === 'bar' ? 'bar' : 'line',
+        plugins: [jobChangeMarkersPlugin],
+        data: {
+            labels,
+            datasets: [{
+                label: _state.showDollars ? 'Annual Salary' : 'Index Value',
+                data: values,
+                datasetType: 'mainSalary', // Metadata for theme updates (closes #29)
+                borderColor: colors.line1,
+                backgroundColor: _state.mainChartType === 'area' ? colors.fill1 :
+                                _state.mainChartType === 'bar' ? colors.line1 : 'transparent',
+                fill: _state.mainChartType === 'area',
+                tension: _state.mainChartType === 'step' ? 0 : 0.3,
+                stepped: _state.mainChartType === 'step' ? 'before' : false,
+                borderWidth: 2,
+                pointBackgroundColor: colors.line1,
+                pointBorderColor: colors.line1,
+                pointRadius: _state.mainChartType === 'bar' ? 0 : 4,
+                pointHoverRadius: 6,
+                pointStyle: getPayTypePointStyles(points),
+                stack: 'base'
+            }, ...(showEquity ? [{
+                label: 'Vested Equity (12 mo)',
+                data: points.map(p => toMainChartValue(p.equity, employeeData)),
+                datasetType: 'vestedEquity',
+                borderWidth: 2,
+                pointHoverRadius: 5,
+                stack: 'base',
+                ...getVestedEquityDatasetStyle(colors, _state.mainChartType)
+            }] : []), ...(showReal ? [{
+                label: `Real Salary (${_state.realBaseYear} $)`,
+                data: getRealSalaryValues(points, employeeData),
+                datasetType: 'realSalary',
+                borderWidth: 2,
+                pointHoverRadius: 5,
+                stack: 'real',
+                ...getRealSalaryDatasetStyle(colors, _state.mainChartType)
+            }] : []), ...(showNet ? [{
+                label: 'Take-Home Pay (est.)',
+                data: getNetPayValues(points, employeeData),
+                datasetType: 'netPay',
+                borderWidth: 2,
+                pointHoverRadius: 5,
+                stack: 'net',
+                ...getNetPayDatasetStyle(colors, _state.mainChartType)
+            }] : []), ...(showTotal ? [{
+                label: 'Total Compensation',
+                data: points.map(p => toMainChartValue(p.total, employeeData)),
+                datasetType: 'totalComp',
+                borderWidth: 2,
+                pointHoverRadius: 5,
+                stack: 'total',
+                ...getTotalCompDatasetStyle(colors, _state.mainChartType)
+            }] : []), ...(showBands ? [{
+                label: 'Band Min',
+                data: getPayBandValues(points, employeeData, 'min'),
+                datasetType: 'bandMin',
+                backgroundColor: 'transparent',
+                fill: false,
+                stack: 'bandMin',
+                ...getPayBandDatasetStyle(colors, _state.mainChartType)
+            }, {
+                label: 'Pay Band',
+                data: getPayBandValues(points, employeeData, 'max'),
+                datasetType: 'bandMax',
+                backgroundColor: colors.grid,
+                fill: '-1',  // Shade down to the min edge (previous dataset)
+                stack: 'bandMax',
+                ...getPayBandDatasetStyle(colors, _state.mainChartType)
+            }] : [])]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            layout: { padding: { top: 80 } },  // #139: Reserve space for Line/Bar/Step toggle buttons (increased from 50px to prevent overlap at high salaries)
+            interaction: { intersect: false, mode: 'index' },
+            plugins: {
+                legend: {
+                    display: showTotal || showEquity || showReal || showNet || showBands,
+                    labels: {
+                        color: colors.text,
+                        // One legend entry for the band: the shaded max edge
+                        filter: (item, data) => data.datasets[item.datasetIndex]?.datasetType !== 'bandMin'
+                    }
+                },
+                tooltip: getTooltipConfig({
+                    labelCallback: getMainChartLabelCallback(points, employeeData)
+                }),
+                jobChangeMarkers: { markers: getJobChangeMarkers(points, employeeData) }
+            },
+            scales: {
+                x: {
+                    grid: { color: colors.grid, drawBorder: false },
+                    ticks: {
+                        color: colors.text,
+                        maxRotation: 45,
+                        minRotation: 45,
+                        font: { size: 13, weight: 'bold' }  // #71: Increased from 12px, made bold for consistency
+                    }
+                },
+                y: {
+                    grid: { color: colors.grid, drawBorder: false },
+                    beginAtZero: true,  // Start Y-axis at $0 for better context
+                    stacked: showEquity,  // Vested equity sits on top of base salary ('base' stack)
+                    ticks: {
+                        color: colors.text,
+                        font: { size: 14, weight: 'bold' },  // #71: Increased from 12px, made bold
+                        callback: (v) => _state.showDollars ? '$' + (v / 1000) + 'k' : v
+                    }
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Cumulative earnings points, oldest first: $0 at the first record, then the
+ * running total at each following rate change and at the end of the period.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {Array<{date: string, cumulative: number, period: Object|null}>}
+ *   Points with the pay period that ended there (null for the first point)
+ */
+function getCumulativeEarningsPoints(employeeData) {
+    const { periods } = calculateEarnings(employeeData);
+    return [
+        { date: periods[0].date, cumulative: 0, period: null },
+        ...periods
+            .filter(p => p.endDate > p.date)
+            .map(p => ({ date: p.endDate, cumulative: p.cumulative, period: p }))
+    ];
+}
+
+/**
+ * Tooltip label callback for the cumulative earnings chart: the running total,
+ * plus what the period ending at the point added.
+ *
+ * @param {Array<Object>} points - Points from getCumulativeEarningsPoints()
+ * @returns {Function} Chart.js label callback
+ */
+function getCumulativeLabelCallback(points) {
+    return (ctx) => {
+        const label = _state.showDollars
+            ? `Earned: $${Math.round(ctx.raw).toLocaleString()}`
+            : `Index: ${ctx.raw.toFixed(0)}`;
+        const period = points[ctx.dataIndex].period;
+        if (!period || !_state.showDollars) return label;
+        return [label, `+$${Math.round(period.earnings).toLocaleString()} at $${period.annual.toLocaleString()}/yr`];
+    };
+}
+
+/**
+ * Chart.js config for the cumulative earnings mode: base salary integrated
+ * over time (see calculateEarnings()), drawn as a filled line.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @param {Object} colors - Theme colors from getThemeColors()
+ * @returns {Object} Chart.js config
+ */
+function getCumulativeEarningsChartConfig(employeeData, colors) {
+    const points = getCumulativeEarningsPoints(employeeData);
+
+    return {
+        type: 'line',
+        data: {
+            labels: points.map(p => formatDateCompact(p.date)),
+            datasets: [{
+                label: _state.showDollars ? 'Cumulative Earnings' : 'Cumulative Earnings (Index)',
+                data: points.map(p => toMainChartValue(p.cumulative, employeeData)),
+                datasetType: 'cumulativeEarnings',
+                borderColor: colors.line1,
+                backgroundColor: colors.fill1,
+                fill: true,
+                tension: 0,  // Earnings accrue linearly between rate changes
+                borderWidth: 2,
+                pointBackgroundColor: colors.line1,
+                pointBorderColor: colors.line1,
+                pointRadius: 4,
+                pointHoverRadius: 6
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            layout: { padding: { top: 80 } },  // Room for the chart type buttons (#139)
+            interaction: { intersect: false, mode: 'index' },
+            plugins: {
+                legend: { display: false },
+                tooltip: getTooltipConfig({
+                    labelCallback: getCumulativeLabelCallback(points)
+                })
+            },
+            scales: {
+                x: {
+                    grid: { color: colors.grid, drawBorder: false },
+                    ticks: {
+                        color: colors.text,
+                        maxRotation: 45,
+                        minRotation: 45,
+                        font: { size: 13, weight: 'bold' }
+                    }
+                },
+                y: {
+                    grid: { color: colors.grid, drawBorder: false },
+                    beginAtZero: true,
+                    ticks: {
+                        color: colors.text,
+                        font: { size: 14, weight: 'bold' },
+                        callback: (v) => _state.showDollars ? '$' + (v / 1000) + 'k' : v
+                    }
+                }
+            }
+        }
+    };
+}
+
 // ========================================
 // CHART BUILD FUNCTIONS
 // ========================================
@@ -345,7 +1096,14 @@ export const updateYoyChartType = createChartUpdater(
 /**
  * Builds the main compensation timeline chart with theme-aware styling.
  *
- * Supports 4 chart types (line, bar, area, step) and 2 view modes (dollars vs indexed).
+ * Supports 4 chart types (line, bar, area, step) and 2 view modes (dollars vs indexed),
+ * plus a 'cumulative' mode that plots base salary earned to date instead of rates.
+ * When compensation components exist, a dashed total-comp line is drawn alongside base salary;
+ * with equity grants, trailing 12-month vested value is stacked on top of base salary;
+ * with state.realBaseYear set, a dotted line shows base salary in that year's dollars;
+ * with state.showNetPay on, a long-dashed line shows estimated take-home pay.
+ * Careers spanning several employers get a dashed marker at each job change, and
+ * pay bands are shaded behind the salary line.
  * Destroys previous chart instance before creating new one to prevent memory leaks.
  * Automatically adjusts colors, tooltips, and formatting based on current theme.
  *
@@ -361,70 +1119,13 @@ export function buildMainChart() {
 
         const colors = getThemeColors();
 
-        const data = [...employeeData.records].reverse();
-
-        const labels = data.map(r => formatDateCompact(r.date));
-
-        const values = data.map(r => _state.showDollars ? r.annual : (r.annual / getStartingSalary(employeeData)) * 100);
-
         if (_charts.main) {
             _charts.main.destroy();
         }
 
-        _charts.main = new Chart(ctx, {
-            type: _state.mainChartType === 'bar' ? 'bar' : 'line',
-            data: {
-                labels,
-                datasets: [{
-                    label: _state.showDollars ? 'Annual Salary' : 'Index Value',
-                    data: values,
-                    datasetType: 'mainSalary', // Metadata for theme updates (closes #29)
-                    borderColor: colors.line1,
-                    backgroundColor: _state.mainChartType === 'area' ? colors.fill1 :
-                                    _state.mainChartType === 'bar' ? colors.line1 : 'transparent',
-                    fill: _state.mainChartType === 'area',
-                    tension: _state.mainChartType === 'step' ? 0 : 0.3,
-                    stepped: _state.mainChartType === 'step' ? 'before' : false,
-                    borderWidth: 2,
-                    pointBackgroundColor: colors.line1,
-                    pointBorderColor: colors.line1,
-                    pointRadius: _state.mainChartType === 'bar' ? 0 : 4,
-                    pointHoverRadius: 6
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                layout: { padding: { top: 80 } },  // #139: Reserve space for Line/Bar/Step toggle buttons (increased from 50px to prevent overlap at high salaries)
-                interaction: { intersect: false, mode: 'index' },
-                plugins: {
-                    legend: { display: false },
-                    tooltip: getTooltipConfig({
-                        labelCallback: (ctx) => _state.showDollars ? `$${ctx.raw.toLocaleString()}` : `Index: ${ctx.raw.toFixed(0)}`
-                    })
-                },
-                scales: {
-                    x: {
-                        grid: { color: colors.grid, drawBorder: false },
-                        ticks: {
-                            color: colors.text,
-                            maxRotation: 45,
-                            minRotation: 45,
-                            font: { size: 13, weight: 'bold' }  // #71: Increased from 12px, made bold for consistency
-                        }
-                    },
-                    y: {
-                        grid: { color: colors.grid, drawBorder: false },
-                        beginAtZero: true,  // Start Y-axis at $0 for better context
-                        ticks: {
-                            color: colors.text,
-                            font: { size: 14, weight: 'bold' },  // #71: Increased from 12px, made bold
-                            callback: (v) => _state.showDollars ? '$' + (v / 1000) + 'k' : v
-                        }
-                    }
-                }
-            }
-        });
+        _charts.main = new Chart(ctx, _state.mainChartType === 'cumulative'
+            ? getCumulativeEarningsChartConfig(employeeData, colors)
+            : getTimelineChartConfig(employeeData, colors));
 
         // Hide loading state
         const loading = document.getElementById('mainChartLoading');
@@ -459,16 +1160,49 @@ export const updateMainChartData = createChartUpdater(
     buildMainChart,
     (chart) => {
         const employeeData = _getEmployeeData();
-        const data = [...employeeData.records].reverse();
-        const labels = data.map(r => formatDateCompact(r.date));
-        const values = data.map(r =>
-            _state.showDollars ? r.annual : (r.annual / getStartingSalary(employeeData)) * 100
-        );
+        if (isCumulativeChart(chart)) {
+            const earnings = getCumulativeEarningsPoints(employeeData);
+            chart.data.datasets[0].data = earnings.map(p => toMainChartValue(p.cumulative, employeeData));
+            chart.data.datasets[0].label = _state.showDollars ? 'Cumulative Earnings' : 'Cumulative Earnings (Index)';
+            chart.options.scales.y.ticks.callback = (v) =>
+                _state.showDollars ? '$' + (v / 1000) + 'k' : v;
+            chart.options.plugins.tooltip = getTooltipConfig({
+                labelCallback: getCumulativeLabelCallback(earnings)
+            });
+            return;
+        }
+
+        const points = getMainChartPoints(employeeData);
+        const labels = points.map(p => formatDateCompact(p.date));
+        const values = points.map(p => toMainChartValue(p.base, employeeData));
 
         // Update data in place
         chart.data.labels = labels;
         chart.data.datasets[0].data = values;
         chart.data.datasets[0].label = _state.showDollars ? 'Annual Salary' : 'Index Value';
+        chart.data.datasets[0].pointStyle = getPayTypePointStyles(points);
+        const totalDataset = findMainDataset(chart, 'totalComp');
+        if (totalDataset) {
+            totalDataset.data = points.map(p => toMainChartValue(p.total, employeeData));
+        }
+        const equityDataset = findMainDataset(chart, 'vestedEquity');
+        if (equityDataset) {
+            equityDataset.data = points.map(p => toMainChartValue(p.equity, employeeData));
+        }
+        const realDataset = findMainDataset(chart, 'realSalary');
+        if (realDataset) {
+            realDataset.data = getRealSalaryValues(points, employeeData);
+        }
+        const netDataset = findMainDataset(chart, 'netPay');
+        if (netDataset) {
+            netDataset.data = getNetPayValues(points, employeeData);
+        }
+        const bandMinDataset = findMainDataset(chart, 'bandMin');
+        const bandMaxDataset = findMainDataset(chart, 'bandMax');
+        if (bandMinDataset && bandMaxDataset) {
+            bandMinDataset.data = getPayBandValues(points, employeeData, 'min');
+            bandMaxDataset.data = getPayBandValues(points, employeeData, 'max');
+        }
 
         // Update Y-axis formatting
         chart.options.scales.y.ticks.callback = (v) =>
@@ -476,8 +1210,7 @@ export const updateMainChartData = createChartUpdater(
 
         // Update tooltip formatting
         chart.options.plugins.tooltip = getTooltipConfig({
-            labelCallback: (ctx) => _state.showDollars ?
-                `$${ctx.raw.toLocaleString()}` : `Index: ${ctx.raw.toFixed(0)}`
+            labelCallback: getMainChartLabelCallback(points, employeeData)
         });
     }
 );
@@ -622,6 +1355,11 @@ export const updateYoyChartData = createChartUpdater(
  * custom (user-adjustable via slider), and optimistic (12%).
  * Shows projected salary values over configurable year range.
  *
+ * In Monte Carlo mode (state.projectionMode) the historical and conservative
+ * lines give way to the simulated median and P10-P90 band; the chart is
+ * rebuilt with them once the background simulation finishes. A salary goal
+ * (state.goal) is marked with goalMarkerPlugin.
+ *
  * @returns {void}
  */
 export function buildProjectionChart() {
@@ -633,7 +1371,14 @@ export function buildProjectionChart() {
         if (!ctx) return;
 
         const colors = getThemeColors();
-        const { labels, historical, conservative, custom, cagr } = buildProjectionDatasets();
+        const { labels, historical, conservative, custom, cagr, simulation, job, goal } = buildProjectionDatasets();
+        const monteCarlo = _state.projectionMode === 'monteCarlo';
+
+        if (monteCarlo && !simulation) {
+            onMonteCarloResult(job, 'projectionChart', () => {
+                if (_state.projectionMode === 'monteCarlo' && _charts.projection) buildProjectionChart();
+            });
+        }
 
         if (_charts.projection) _charts.projection.destroy();
 
@@ -642,8 +1387,11 @@ export function buildProjectionChart() {
             data: {
                 labels,
                 datasets: [
-                    { label: `Historical CAGR (${(cagr * 100).toFixed(1)}%)`, data: historical, datasetType: 'historicalCAGR', borderColor: colors.line1, backgroundColor: 'transparent', borderWidth: 3, tension: 0.3, pointRadius: 4 },
-                    { label: 'Conservative (3%)', data: conservative, datasetType: 'conservative', borderColor: _state.theme === 'tactical' ? '#666' : '#8a837a', backgroundColor: 'transparent', borderWidth: 2, tension: 0.3, pointRadius: 3 },
+                    ...(monteCarlo ? [] : [
+                        { label: `Historical CAGR (${(cagr * 100).toFixed(1)}%)`, data: historical, datasetType: 'historicalCAGR', borderColor: colors.line1, backgroundColor: 'transparent', borderWidth: 3, tension: 0.3, pointRadius: 4 },
+                        { label: 'Conservative (3%)', data: conservative, datasetType: 'conservative', borderColor: _state.theme === 'tactical' ? '#666' : '#8a837a', backgroundColor: 'transparent', borderWidth: 2, tension: 0.3, pointRadius: 3 }
+                    ]),
+                    ...(simulation ? getMonteCarloDatasets(simulation, colors) : []),
                     { label: `Custom (${_state.customRate}%)`, data: custom, datasetType: 'custom', borderColor: colors.line2, backgroundColor: 'transparent', borderWidth: 2, tension: 0.3, pointRadius: 4 }
                 ]
             },
@@ -657,19 +1405,19 @@ export function buildProjectionChart() {
                         labels: {
                             color: colors.text,
                             padding: 20,
-                            font: { family: _state.theme === 'tactical' ? 'JetBrains Mono' : 'Space Grotesk', size: 11 }
+                            font: { family: _state.theme === 'tactical' ? 'JetBrains Mono' : 'Space Grotesk', size: 11 },
+                            // One legend entry for the simulated band: the shaded P90 edge
+                            filter: (item, data) => data.datasets[item.datasetIndex]?.datasetType !== 'monteCarloP10'
                         }
                     },
-                    tooltip: getTooltipConfig({
-                        labelCallback: (ctx) => _state.showDollars ?
-                            `${ctx.dataset.label}: $${Math.round(ctx.raw).toLocaleString()}` :
-                            `${ctx.dataset.label}: ${ctx.raw.toFixed(0)}`
-                    })
+                    tooltip: getTooltipConfig({ labelCallback: getProjectionTooltipLabel }),
+                    goalMarker: { goal }
                 },
                 scales: {
                     x: { grid: { color: colors.grid, drawBorder: false }, ticks: { color: colors.text, font: { size: 13, weight: 'bold' } } },  // #71: Bold for consistency
                     y: {
                         beginAtZero: true,  // Start Y-axis at $0 for consistency with home tab
+                        suggestedMax: goal?.value,  // Keep a goal above the projections on the chart
                         grid: { color: colors.grid, drawBorder: false },
                         ticks: {
                             color: colors.text,
@@ -678,7 +1426,8 @@ export function buildProjectionChart() {
                         }
                     }
                 }
-            }
+            },
+            plugins: [goalMarkerPlugin]
         });
     } catch (error) {
         console.error('Failed to build projection chart:', error);
@@ -699,22 +1448,133 @@ export const updateProjectionChartData = createChartUpdater(
     'projection',
     buildProjectionChart,
     (chart) => {
-        const { labels, historical, conservative, custom } = buildProjectionDatasets();
+        const { labels, historical, conservative, custom, simulation, goal } = buildProjectionDatasets();
+        const series = {
+            historicalCAGR: historical,
+            conservative,
+            custom,
+            monteCarloP10: simulation?.p10,
+            monteCarloMedian: simulation?.p50,
+            monteCarloP90: simulation?.p90
+        };
 
         chart.data.labels = labels;
-        chart.data.datasets[0].data = historical;
-        chart.data.datasets[1].data = conservative;
-        chart.data.datasets[2].data = custom;
-        chart.data.datasets[2].label = `Custom (${_state.customRate}%)`;
+        chart.data.datasets.forEach(dataset => {
+            dataset.data = series[dataset.datasetType] ?? dataset.data;
+        });
+        chart.data.datasets.find(d => d.datasetType === 'custom').label = `Custom (${_state.customRate}%)`;
 
         // Update Y-axis and tooltip formatting based on privacy mode
         chart.options.scales.y.ticks.callback = (v) =>
             _state.showDollars ? '$' + (v / 1000).toFixed(0) + 'k' : v.toFixed(0);
 
-        chart.options.plugins.tooltip = getTooltipConfig({
-            labelCallback: (ctx) => _state.showDollars ?
-                `$${ctx.raw.toLocaleString('en-US', { maximumFractionDigits: 0 })}` :
-                `Index: ${ctx.raw.toFixed(0)}`
-        });
+        chart.options.plugins.tooltip = getTooltipConfig({ labelCallback: getProjectionTooltipLabel });
+        chart.options.plugins.goalMarker = { goal };
+        chart.options.scales.y.suggestedMax = goal?.value;
     }
 );
+
+/** Rows of the Market tab percentile chart: metric, axis label, unit and y axis */
+const PERCENTILE_CHART_ROWS = [
+    { metric: 'raise', label: 'Avg Raise', unit: '%', axis: 'y' },
+    { metric: 'cagr', label: 'CAGR', unit: '%', axis: 'y' },
+    { metric: 'monthsBetweenRaises', label: 'Months Between Raises', unit: ' mo', axis: 'yMonths' }
+];
+
+/**
+ * Chart.js config for the percentile chart: P10-P90 and P25-P75 bands as
+ * shaded floating bars, a median tick and the user's value per metric.
+ * Percentage metrics share the left axis; raise intervals use a months axis
+ * on the right, so every band and marker is built once per axis.
+ *
+ * @param {Object} percentiles - getBenchmarkComparisons().percentiles
+ * @param {Object} colors - Theme colors from getThemeColors()
+ * @returns {Object} Chart.js configuration
+ */
+function getPercentileChartConfig(percentiles, colors) {
+    const datasets = ['y', 'yMonths'].flatMap(axis => {
+        // Values on this axis; null leaves the other axis' rows empty
+        const pick = (fn) => PERCENTILE_CHART_ROWS.map(row => row.axis === axis ? fn(percentiles[row.metric]) : null);
+        const shared = { yAxisID: axis, secondaryAxis: axis !== 'y' };
+        return [
+            { ...shared, type: 'bar', label: 'P10–P90', data: pick(s => [s.distribution.p10, s.distribution.p90]), datasetType: 'percentileOuter', backgroundColor: colors.fill2, grouped: false, barPercentage: 0.5, order: 4 },
+            { ...shared, type: 'bar', label: 'P25–P75', data: pick(s => [s.distribution.p25, s.distribution.p75]), datasetType: 'percentileInner', backgroundColor: colors.fill2, grouped: false, barPercentage: 0.5, order: 3 },
+            { ...shared, type: 'line', label: 'Median', data: pick(s => s.distribution.p50), datasetType: 'percentileMedian', borderColor: colors.text, showLine: false, pointStyle: 'line', pointRadius: 24, pointHoverRadius: 24, pointBorderWidth: 2, order: 2 },
+            { ...shared, type: 'line', label: 'You', data: pick(s => s.value), datasetType: 'percentileUser', borderColor: colors.line1, pointBackgroundColor: colors.line1, pointBorderColor: colors.line1, showLine: false, pointRadius: 7, pointHoverRadius: 9, order: 1 }
+        ];
+    });
+
+    const labelCallback = (ctx) => {
+        const row = PERCENTILE_CHART_ROWS[ctx.dataIndex];
+        const format = (v) => `${v.toFixed(1)}${row.unit}`;
+        if (Array.isArray(ctx.raw)) return `${ctx.dataset.label}: ${format(ctx.raw[0])} – ${format(ctx.raw[1])}`;
+        if (ctx.dataset.datasetType !== 'percentileUser') return `${ctx.dataset.label}: ${format(ctx.raw)}`;
+        const percentile = Math.round(percentiles[row.metric].percentile);
+        if (percentiles[row.metric].percentile === null) return `You: ${format(ctx.raw)}`;
+        return row.metric === 'monthsBetweenRaises'
+            ? `You: ${format(ctx.raw)} (faster than ${percentile}% of peers)`
+            : `You: ${format(ctx.raw)} (P${percentile})`;
+    };
+
+    return {
+        data: {
+            labels: PERCENTILE_CHART_ROWS.map(row => row.label),
+            datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { intersect: false, mode: 'index' },
+            plugins: {
+                legend: {
+                    position: 'top',
+                    labels: {
+                        color: colors.text,
+                        padding: 20,
+                        usePointStyle: true,
+                        font: { family: _state.theme === 'tactical' ? 'JetBrains Mono' : 'Space Grotesk', size: 11 },
+                        filter: (item, data) => !data.datasets[item.datasetIndex].secondaryAxis
+                    }
+                },
+                tooltip: {
+                    ...getTooltipConfig({ labelCallback }),
+                    filter: (item) => item.raw !== null && item.raw !== undefined
+                }
+            },
+            scales: {
+                x: { grid: { color: colors.grid, drawBorder: false }, ticks: { color: colors.text, font: { size: 13, weight: 'bold' } } },
+                y: { position: 'left', grid: { color: colors.grid, drawBorder: false }, ticks: { color: colors.text, font: { size: 14, weight: 'bold' }, callback: (v) => v + '%' }, grace: '10%' },
+                yMonths: { position: 'right', beginAtZero: true, grid: { color: colors.grid, drawOnChartArea: false }, ticks: { color: colors.text, font: { size: 14, weight: 'bold' }, callback: (v) => v + ' mo' } }
+            }
+        }
+    };
+}
+
+/**
+ * Builds the Market tab percentile chart for the selected benchmark profile:
+ * P10-P90 / P25-P75 bands, median and the user's estimated position for
+ * average raise, CAGR and months between raises.
+ * Destroys the previous instance; called from updateMarket() on every refresh.
+ *
+ * @returns {void}
+ */
+export function buildPercentileChart() {
+    const employeeData = _getEmployeeData();
+    if (!employeeData) return;
+
+    try {
+        const ctx = getChartContext('percentileChart', 'Percentile chart');
+        if (!ctx) return;
+
+        const benchmarks = getBenchmarkProfile(_state.benchmarkProfile);
+        const bench = getBenchmarkComparisons(employeeData, benchmarks, _state.compBasis);
+        if (!bench) return;
+
+        if (_charts.percentile) _charts.percentile.destroy();
+
+        _charts.percentile = new Chart(ctx, getPercentileChartConfig(bench.percentiles, getThemeColors()));
+    } catch (error) {
+        console.error('Failed to build percentile chart:', error);
+        _showUserMessage('Percentile chart rendering failed. Try refreshing the page.', 'error');
+    }
+}
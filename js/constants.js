@@ -9,11 +9,67 @@
 export const VALID_TABS = ['home', 'story', 'market', 'history', 'analytics', 'projections', 'help'];
 
 /**
- * Valid change reasons for compensation records.
- * Used by parser.js (extractReason) and io.js (import validation).
+ * Built-in change reasons for compensation records.
+ * User-defined reasons extend this list at runtime - read the full
+ * taxonomy via getValidReasons() in reasons.js.
  */
 export const VALID_REASONS = ['Merit Increase', 'Promotion', 'Market Adjustment', 'Equity', 'New Hire'];
 
+/**
+ * Pay frequencies and their pay periods per year.
+ * Records store the key as `payFrequency`; 'unknown' marks a per-check
+ * amount whose ratio to the annual salary fits none of these.
+ */
+export const PAY_FREQUENCIES = {
+    weekly: 52,
+    biweekly: 26,
+    semimonthly: 24,
+    monthly: 12
+};
+
+/**
+ * Compensation paid on top of base pay, stored in `employeeData.components`
+ * as { date, type, amount } entries. Amount is what was paid on that date
+ * (e.g. a year's 401(k) match entered once, on the date it was deposited).
+ */
+export const COMPENSATION_COMPONENTS = {
+    bonus: 'Annual Bonus',
+    signOn: 'Sign-On Bonus',
+    match401k: '401(k) Match',
+    spot: 'Spot Award'
+};
+
+/**
+ * Equity grant vesting schedules (`employeeData.equity.grants[].schedule`).
+ * Monthly and quarterly grants may also have a cliff (`cliffMonths`).
+ */
+export const VESTING_SCHEDULES = {
+    cliff: 'Cliff',
+    monthly: 'Monthly',
+    quarterly: 'Quarterly'
+};
+
+/**
+ * Federal filing statuses for take-home pay estimates (see taxes.js).
+ */
+export const FILING_STATUSES = {
+    single: 'Single',
+    married: 'Married filing jointly',
+    headOfHousehold: 'Head of household'
+};
+
+/**
+ * Metrics with a percentile distribution in each benchmark profile
+ * (`percentiles.<metric>`), and the points every distribution lists as
+ * { p10, p25, p50, p75, p90 }.
+ */
+export const BENCHMARK_PERCENTILE_METRICS = {
+    raise: 'Average raise',
+    cagr: 'CAGR',
+    monthsBetweenRaises: 'Months between raises'
+};
+export const BENCHMARK_PERCENTILE_POINTS = [10, 25, 50, 75, 90];
+
 export const CONSTANTS = {
     // Salary validation
     MIN_REALISTIC_SALARY: 1000,         // $1K minimum (sanity check)
@@ -39,7 +95,11 @@ export const CONSTANTS = {
     MS_PER_YEAR: 31557600000,
 
     // Paycheck calculations
-    PAY_PERIODS_PER_YEAR: 24,           // Used in Paylocity data conversions
+    PAY_PERIODS_PER_YEAR: 24,           // Fallback when a record's pay frequency can't be detected
+    DEFAULT_PAY_FREQUENCY: 'semimonthly', // PAY_FREQUENCIES key matching PAY_PERIODS_PER_YEAR
+    PAY_FREQUENCY_TOLERANCE: 0.02,      // Max relative gap between annual ÷ perCheck and a frequency's periods
+    STANDARD_HOURS_PER_YEAR: 2080,      // 40 hrs x 52 weeks (hourly → annualized salary)
+    TOTAL_COMP_WINDOW_MONTHS: 12,       // Components paid within this many months count toward total comp
 
     // Time intervals
     TYPICAL_RAISE_INTERVAL_MONTHS: 12,  // Annual review cycle
@@ -49,10 +109,28 @@ export const CONSTANTS = {
     // Inflation defaults
     DEFAULT_CPI_RATE: 2.5,              // Default CPI when data missing (%)
 
+    // Benchmarks
+    DEFAULT_BENCHMARK_PROFILE: 'saas-all-us', // benchmarkProfiles key used when no profile is selected
+    HIGH_PERFORMER_PERCENTILE: 75,      // Average raise at or above this percentile: 'high' tier
+    SOLID_PERFORMER_PERCENTILE: 50,     // ... at or above the median: 'solid' tier
+
+    // Take-home pay estimates
+    DEFAULT_FILING_STATUS: 'single',    // FILING_STATUSES key used until the user picks one
+    MAX_STATE_TAX_RATE: 15,             // % cap for the flat state income tax rate setting
+    SOCIAL_SECURITY_RATE: 0.062,        // Employee share, up to the year's wage base
+    MEDICARE_RATE: 0.0145,              // Employee share, no wage limit
+    ADDITIONAL_MEDICARE_RATE: 0.009,    // On wages above the filing status threshold
+
     // Projection rates
     PROJECTION_RATE_CONSERVATIVE: 0.03,  // 3% conservative growth
     PROJECTION_RATE_OPTIMISTIC: 0.12,    // 12% optimistic growth
 
+    // Monte Carlo projections
+    MONTE_CARLO_PATHS: 5000,            // Simulated salary paths per dataset
+    MONTE_CARLO_YEARS: 20,              // Horizon simulated (longest projection interval)
+    MONTE_CARLO_SEED: 1337,             // Fixed seed: same data, same bands on every render
+    MONTE_CARLO_MIN_RAISE_MONTHS: 3,    // Floor on sampled months between raises
+
     // Chart configuration
     CHART_ANIMATION_DURATION: 300,      // ms for smooth transitions
     CHART_UPDATE_MODE: 'none',          // No animation on theme updates
@@ -65,6 +143,8 @@ export const CONSTANTS = {
     // LocalStorage keys
     STORAGE_KEY_THEME: 'theme',
     STORAGE_KEY_CPI_WARNING: 'cpiStaleWarningDismissed',
+    STORAGE_KEY_CUSTOM_REASONS: 'cj-custom-reasons',
+    STORAGE_KEY_CUSTOM_BENCHMARKS: 'cj-custom-benchmarks',
 
     // Screen size breakpoints
     MIN_VIEWPORT_WIDTH: 1280,           // px - minimum width for desktop block overlay (#146)
@@ -83,43 +163,68 @@ export const CONSTANTS = {
 };
 
 // ========================================
-// CPI DATA (US CPI-U December 12-Month Percent Change)
+// CPI DATA (US CPI-U Monthly Index)
 // ========================================
 
 /**
- * US CPI-U all-items, U.S. city average, 12-month percent change in December (%).
- * Source: Bureau of Labor Statistics.
+ * US CPI-U all-items, U.S. city average, not seasonally adjusted (1982-84 = 100).
+ * One array of 12 monthly index values per year (index 0 = January).
+ * Source: Bureau of Labor Statistics. Maintained by scripts/update-cpi.cjs.
  *
  * Notes:
- * - This app currently uses one CPI rate per calendar year for lightweight client-side calculations.
- * - Values are December-over-December changes, which match the historical convention already used here.
- * - The dataset is intentionally kept to complete year-end values; moving to monthly CPI would require
- *   a different calculation model for partial-year precision.
- */
-export const cpiData = {
-    2011: 3,
-    2012: 1.7,
-    2013: 1.5,
-    2014: 0.8,
-    2015: 0.7,
-    2016: 2.1,
-    2017: 2.1,
-    2018: 1.9,
-    2019: 2.3,
-    2020: 1.4,
-    2021: 7,
-    2022: 6.5,
-    2023: 3.4,
-    2024: 2.9,
-    2025: 2.7
+ * - Inflation between two months is the ratio of their index values.
+ * - null marks a month BLS did not publish (October 2025, lost to the federal
+ *   government shutdown); lookups interpolate across it.
+ */
+export const cpiMonthlyIndex = {
+    2010: [216.687, 216.741, 217.631, 218.009, 218.178, 217.965, 218.011, 218.312, 218.439, 218.711, 218.803, 219.179],
+    2011: [220.223, 221.309, 223.467, 224.906, 225.964, 225.722, 225.922, 226.545, 226.889, 226.421, 226.230, 225.672],
+    2012: [226.665, 227.663, 229.392, 230.085, 229.815, 229.478, 229.104, 230.379, 231.407, 231.317, 230.221, 229.601],
+    2013: [230.280, 232.166, 232.773, 232.531, 232.945, 233.504, 233.596, 233.877, 234.149, 233.546, 233.069, 233.049],
+    2014: [233.916, 234.781, 236.293, 237.072, 237.900, 238.343, 238.250, 237.852, 238.031, 237.433, 236.151, 234.812],
+    2015: [233.707, 234.722, 236.119, 236.599, 237.805, 238.638, 238.654, 238.316, 237.945, 237.838, 237.336, 236.525],
+    2016: [236.916, 237.111, 238.132, 239.261, 240.229, 241.018, 240.628, 240.849, 241.428, 241.729, 241.353, 241.432],
+    2017: [242.839, 243.603, 243.801, 244.524, 244.733, 244.955, 244.786, 245.519, 246.819, 246.663, 246.669, 246.524],
+    2018: [247.867, 248.991, 249.554, 250.546, 251.588, 251.989, 252.006, 252.146, 252.439, 252.885, 252.038, 251.233],
+    2019: [251.712, 252.776, 254.202, 255.548, 256.092, 256.143, 256.571, 256.558, 256.759, 257.346, 257.208, 256.974],
+    2020: [257.971, 258.678, 258.115, 256.389, 256.394, 257.797, 259.101, 259.918, 260.280, 260.388, 260.229, 260.474],
+    2021: [261.582, 263.014, 264.877, 267.054, 269.195, 271.696, 273.003, 273.567, 274.310, 276.589, 277.948, 278.802],
+    2022: [281.148, 283.716, 287.504, 289.109, 292.296, 296.311, 296.276, 296.171, 296.808, 298.012, 297.711, 296.797],
+    2023: [299.170, 300.840, 301.836, 303.363, 304.127, 305.109, 305.691, 307.026, 307.789, 307.671, 307.051, 306.746],
+    2024: [308.417, 310.326, 312.332, 313.548, 314.069, 314.175, 314.540, 314.796, 315.301, 315.664, 315.493, 315.605],
+    2025: [317.671, 319.082, 319.799, 320.795, 321.465, 322.561, 323.048, 323.976, 324.800, null, 324.122, 324.054]
 };
 
+/**
+ * Derives December-over-December percent changes from the monthly index.
+ *
+ * @param {Object<number, Array<number|null>>} index - Monthly index by year
+ * @returns {Object<number, number>} Annual rate (%) by year, rounded to 1 decimal
+ */
+function deriveAnnualRates(index) {
+    const rates = {};
+    for (const year of Object.keys(index).map(Number)) {
+        const december = index[year][11];
+        const previousDecember = index[year - 1]?.[11];
+        if (december != null && previousDecember != null) {
+            rates[year] = Math.round((december / previousDecember - 1) * 1000) / 10;
+        }
+    }
+    return rates;
+}
+
+/**
+ * US CPI-U 12-month percent change in December (%), derived from cpiMonthlyIndex.
+ * Kept for displays that show one inflation rate per calendar year.
+ */
+export const cpiData = deriveAnnualRates(cpiMonthlyIndex);
+
 /**
  * CPI Data Metadata
  * Used for freshness checking and source attribution
  */
 export const cpiMetadata = {
-    lastUpdated: '2025-12', // YYYY-MM format for the most recent complete year in cpiData
+    lastUpdated: '2025-12', // YYYY-MM format for the most recent month in cpiMonthlyIndex
     source: 'Bureau of Labor Statistics',
     seriesId: 'CUUR0000SA0', // CPI-U All Urban Consumers, U.S. city average
     updateFrequency: 'quarterly',
@@ -127,29 +232,355 @@ export const cpiMetadata = {
 };
 
 // ========================================
-// BENCHMARK DATA (B2B SaaS Industry)
+// TAX DATA (US Federal Income Tax + FICA)
 // ========================================
 
 /**
- * Industry benchmark data for B2B SaaS compensation
- * Sources: Compiled from Radford, Mercer, Levels.fyi, Glassdoor B2B SaaS data
+ * Federal income tax brackets, standard deductions, personal exemptions and
+ * the Social Security wage base by tax year. Brackets are [taxable income
+ * floor, marginal rate %] pairs per FILING_STATUSES key. Personal exemptions
+ * ended with the 2018 tax law; the 2025 standard deductions include the
+ * mid-year increase. Source: IRS Revenue Procedures and SSA wage base
+ * announcements. Years outside the table use the nearest year (see getTaxYear()).
  */
-export const benchmarks = {
-    // Annual raise percentages
-    typicalRaise: { min: 3, max: 5, avg: 4 },
-    highPerformerRaise: { min: 6, max: 10, avg: 8 },
-    promotionBump: { min: 10, max: 20, avg: 15 },
+export const federalTaxData = {
+    2013: {
+        standardDeduction: { single: 6100, married: 12200, headOfHousehold: 8950 },
+        personalExemption: 3900,
+        socialSecurityWageBase: 113700,
+        brackets: {
+            single: [[0, 10], [8925, 15], [36250, 25], [87850, 28], [183250, 33], [398350, 35], [400000, 39.6]],
+            married: [[0, 10], [17850, 15], [72500, 25], [146400, 28], [223050, 33], [398350, 35], [450000, 39.6]],
+            headOfHousehold: [[0, 10], [12750, 15], [48600, 25], [125450, 28], [203150, 33], [398350, 35], [425000, 39.6]]
+        }
+    },
+    2014: {
+        standardDeduction: { single: 6200, married: 12400, headOfHousehold: 9100 },
+        personalExemption: 3950,
+        socialSecurityWageBase: 117000,
+        brackets: {
+            single: [[0, 10], [9075, 15], [36900, 25], [89350, 28], [186350, 33], [405100, 35], [406750, 39.6]],
+            married: [[0, 10], [18150, 15], [73800, 25], [148850, 28], [226850, 33], [405100, 35], [457600, 39.6]],
+            headOfHousehold: [[0, 10], [12950, 15], [49400, 25], [127550, 28], [206600, 33], [405100, 35], [432200, 39.6]]
+        }
+    },
+    2015: {
+        standardDeduction: { single: 6300, married: 12600, headOfHousehold: 9250 },
+        personalExemption: 4000,
+        socialSecurityWageBase: 118500,
+        brackets: {
+            single: [[0, 10], [9225, 15], [37450, 25], [90750, 28], [189300, 33], [411500, 35], [413200, 39.6]],
+            married: [[0, 10], [18450, 15], [74900, 25], [151200, 28], [230450, 33], [411500, 35], [464850, 39.6]],
+            headOfHousehold: [[0, 10], [13150, 15], [50200, 25], [129600, 28], [209850, 33], [411500, 35], [439000, 39.6]]
+        }
+    },
+    2016: {
+        standardDeduction: { single: 6300, married: 12600, headOfHousehold: 9300 },
+        personalExemption: 4050,
+        socialSecurityWageBase: 118500,
+        brackets: {
+            single: [[0, 10], [9275, 15], [37650, 25], [91150, 28], [190150, 33], [413350, 35], [415050, 39.6]],
+            married: [[0, 10], [18550, 15], [75300, 25], [151900, 28], [231450, 33], [413350, 35], [466950, 39.6]],
+            headOfHousehold: [[0, 10], [13250, 15], [50400, 25], [130150, 28], [210800, 33], [413350, 35], [441000, 39.6]]
+        }
+    },
+    2017: {
+        standardDeduction: { single: 6350, married: 12700, headOfHousehold: 9350 },
+        personalExemption: 4050,
+        socialSecurityWageBase: 127200,
+        brackets: {
+            single: [[0, 10], [9325, 15], [37950, 25], [91900, 28], [191650, 33], [416700, 35], [418400, 39.6]],
+            married: [[0, 10], [18650, 15], [75900, 25], [153100, 28], [233350, 33], [416700, 35], [470700, 39.6]],
+            headOfHousehold: [[0, 10], [13350, 15], [50800, 25], [131200, 28], [212500, 33], [416700, 35], [444550, 39.6]]
+        }
+    },
+    2018: {
+        standardDeduction: { single: 12000, married: 24000, headOfHousehold: 18000 },
+        personalExemption: 0,
+        socialSecurityWageBase: 128400,
+        brackets: {
+            single: [[0, 10], [9525, 12], [38700, 22], [82500, 24], [157500, 32], [200000, 35], [500000, 37]],
+            married: [[0, 10], [19050, 12], [77400, 22], [165000, 24], [315000, 32], [400000, 35], [600000, 37]],
+            headOfHousehold: [[0, 10], [13600, 12], [51800, 22], [82500, 24], [157500, 32], [200000, 35], [500000, 37]]
+        }
+    },
+    2019: {
+        standardDeduction: { single: 12200, married: 24400, headOfHousehold: 18350 },
+        personalExemption: 0,
+        socialSecurityWageBase: 132900,
+        brackets: {
+            single: [[0, 10], [9700, 12], [39475, 22], [84200, 24], [160725, 32], [204100, 35], [510300, 37]],
+            married: [[0, 10], [19400, 12], [78950, 22], [168400, 24], [321450, 32], [408200, 35], [612350, 37]],
+            headOfHousehold: [[0, 10], [13850, 12], [52850, 22], [84200, 24], [160700, 32], [204100, 35], [510300, 37]]
+        }
+    },
+    2020: {
+        standardDeduction: { single: 12400, married: 24800, headOfHousehold: 18650 },
+        personalExemption: 0,
+        socialSecurityWageBase: 137700,
+        brackets: {
+            single: [[0, 10], [9875, 12], [40125, 22], [85525, 24], [163300, 32], [207350, 35], [518400, 37]],
+            married: [[0, 10], [19750, 12], [80250, 22], [171050, 24], [326600, 32], [414700, 35], [622050, 37]],
+            headOfHousehold: [[0, 10], [14100, 12], [53700, 22], [85500, 24], [163300, 32], [207350, 35], [518400, 37]]
+        }
+    },
+    2021: {
+        standardDeduction: { single: 12550, married: 25100, headOfHousehold: 18800 },
+        personalExemption: 0,
+        socialSecurityWageBase: 142800,
+        brackets: {
+            single: [[0, 10], [9950, 12], [40525, 22], [86375, 24], [164925, 32], [209425, 35], [523600, 37]],
+            married: [[0, 10], [19900, 12], [81050, 22], [172750, 24], [329850, 32], [418850, 35], [628300, 37]],
+            headOfHousehold: [[0, 10], [14200, 12], [54200, 22], [86350, 24], [164900, 32], [209400, 35], [523600, 37]]
+        }
+    },
+    2022: {
+        standardDeduction: { single: 12950, married: 25900, headOfHousehold: 19400 },
+        personalExemption: 0,
+        socialSecurityWageBase: 147000,
+        brackets: {
+            single: [[0, 10], [10275, 12], [41775, 22], [89075, 24], [170050, 32], [215950, 35], [539900, 37]],
+            married: [[0, 10], [20550, 12], [83550, 22], [178150, 24], [340100, 32], [431900, 35], [647850, 37]],
+            headOfHousehold: [[0, 10], [14650, 12], [55900, 22], [89050, 24], [170050, 32], [215950, 35], [539900, 37]]
+        }
+    },
+    2023: {
+        standardDeduction: { single: 13850, married: 27700, headOfHousehold: 20800 },
+        personalExemption: 0,
+        socialSecurityWageBase: 160200,
+        brackets: {
+            single: [[0, 10], [11000, 12], [44725, 22], [95375, 24], [182100, 32], [231250, 35], [578125, 37]],
+            married: [[0, 10], [22000, 12], [89450, 22], [190750, 24], [364200, 32], [462500, 35], [693750, 37]],
+            headOfHousehold: [[0, 10], [15700, 12], [59850, 22], [95350, 24], [182100, 32], [231250, 35], [578100, 37]]
+        }
+    },
+    2024: {
+        standardDeduction: { single: 14600, married: 29200, headOfHousehold: 21900 },
+        personalExemption: 0,
+        socialSecurityWageBase: 168600,
+        brackets: {
+            single: [[0, 10], [11600, 12], [47150, 22], [100525, 24], [191950, 32], [243725, 35], [609350, 37]],
+            married: [[0, 10], [23200, 12], [94300, 22], [201050, 24], [383900, 32], [487450, 35], [731200, 37]],
+            headOfHousehold: [[0, 10], [16550, 12], [63100, 22], [100500, 24], [191950, 32], [243700, 35], [609350, 37]]
+        }
+    },
+    2025: {
+        standardDeduction: { single: 15750, married: 31500, headOfHousehold: 23625 },
+        personalExemption: 0,
+        socialSecurityWageBase: 176100,
+        brackets: {
+            single: [[0, 10], [11925, 12], [48475, 22], [103350, 24], [197300, 32], [250525, 35], [626350, 37]],
+            married: [[0, 10], [23850, 12], [96950, 22], [206700, 24], [394600, 32], [501050, 35], [751600, 37]],
+            headOfHousehold: [[0, 10], [17000, 12], [64850, 22], [103350, 24], [197300, 32], [250500, 35], [626350, 37]]
+        }
+    },
+    2026: {
+        standardDeduction: { single: 16100, married: 32200, headOfHousehold: 24150 },
+        personalExemption: 0,
+        socialSecurityWageBase: 184500,
+        brackets: {
+            single: [[0, 10], [12400, 12], [50400, 22], [105700, 24], [201775, 32], [256225, 35], [640600, 37]],
+            married: [[0, 10], [24800, 12], [100800, 22], [211400, 24], [403550, 32], [512450, 35], [768700, 37]],
+            headOfHousehold: [[0, 10], [17700, 12], [67450, 22], [105700, 24], [201750, 32], [256200, 35], [640600, 37]]
+        }
+    }
+};
 
-    // Growth metrics
-    industryCagr: 6, // ~6% average CAGR for tech compensation
+/**
+ * Wages above which the Additional Medicare Tax applies, by filing status
+ * (fixed by statute, not indexed for inflation).
+ */
+export const additionalMedicareThresholds = {
+    single: 200000,
+    married: 250000,
+    headOfHousehold: 200000
+};
 
-    // Timing
-    avgMonthsBetweenRaises: 12,
+// ========================================
+// BENCHMARK DATA (Profiles by Role, Level, Region)
+// ========================================
+
+/**
+ * Benchmark profiles selectable on the Market tab, one per role family ×
+ * level × region. Every profile has the fields getBenchmarkComparisons()
+ * reads (typicalRaise, highPerformerRaise, promotionBump, industryCagr,
+ * avgMonthsBetweenRaises), P10-P90 distributions of the same metrics for
+ * percentile estimates (`percentiles`, see BENCHMARK_PERCENTILE_METRICS) and
+ * its own metadata for labels and the footnote. Raise ranges and industryCagr
+ * are as of dataAsOf; other years follow meritBudgetHistory unless a profile
+ * lists them in an optional `byYear` ({ [year]: { typicalRaise?,
+ * highPerformerRaise?, industryCagr? } }).
+ * Sources: Compiled from Radford, Mercer, Levels.fyi, Glassdoor B2B SaaS data
+ */
+export const benchmarkProfiles = {
+    'saas-all-us': {
+        label: 'B2B SaaS · All roles · United States',
+        roleFamily: 'All roles',
+        level: 'All levels',
+        region: 'United States',
+        industry: 'B2B SaaS',
+        dataAsOf: '2024-Q4',
+        typicalRaise: { min: 3, max: 5, avg: 4 },
+        highPerformerRaise: { min: 6, max: 10, avg: 8 },
+        promotionBump: { min: 10, max: 20, avg: 15 },
+        industryCagr: 6, // ~6% average CAGR for tech compensation
+        avgMonthsBetweenRaises: 12,
+        percentiles: {
+            raise: { p10: 2, p25: 3, p50: 4, p75: 5.5, p90: 8 },
+            cagr: { p10: 2.5, p25: 4, p50: 6, p75: 8.5, p90: 11.5 },
+            monthsBetweenRaises: { p10: 9, p25: 11, p50: 12, p75: 14, p90: 18 }
+        },
+        lastUpdated: '2025'
+    },
+    'engineering-mid-us': {
+        label: 'Engineering · Mid-level · United States',
+        roleFamily: 'Engineering',
+        level: 'Mid-level (IC2-IC3)',
+        region: 'United States',
+        industry: 'B2B SaaS',
+        dataAsOf: '2024-Q4',
+        typicalRaise: { min: 3.5, max: 5.5, avg: 4.5 },
+        highPerformerRaise: { min: 7, max: 12, avg: 9 },
+        promotionBump: { min: 10, max: 20, avg: 15 },
+        industryCagr: 7,
+        avgMonthsBetweenRaises: 12,
+        percentiles: {
+            raise: { p10: 2.5, p25: 3.5, p50: 4.5, p75: 6, p90: 9 },
+            cagr: { p10: 3, p25: 5, p50: 7, p75: 9.5, p90: 13 },
+            monthsBetweenRaises: { p10: 9, p25: 11, p50: 12, p75: 13, p90: 17 }
+        },
+        lastUpdated: '2025'
+    },
+    'engineering-senior-sf': {
+        label: 'Engineering · Senior · SF Bay Area',
+        roleFamily: 'Engineering',
+        level: 'Senior (IC4+)',
+        region: 'San Francisco Bay Area',
+        industry: 'B2B SaaS',
+        dataAsOf: '2024-Q4',
+        typicalRaise: { min: 3, max: 5, avg: 4 },
+        highPerformerRaise: { min: 6, max: 10, avg: 8 },
+        promotionBump: { min: 12, max: 25, avg: 18 },
+        industryCagr: 6.5,
+        avgMonthsBetweenRaises: 12,
+        percentiles: {
+            raise: { p10: 2, p25: 3, p50: 4, p75: 5.5, p90: 8 },
+            cagr: { p10: 2.5, p25: 4.5, p50: 6.5, p75: 9, p90: 12.5 },
+            monthsBetweenRaises: { p10: 10, p25: 11, p50: 12, p75: 14, p90: 18 }
+        },
+        lastUpdated: '2025'
+    },
+    'sales-mid-us': {
+        label: 'Sales (base pay) · Mid-level · United States',
+        roleFamily: 'Sales',
+        level: 'Mid-level',
+        region: 'United States',
+        industry: 'B2B SaaS',
+        dataAsOf: '2024-Q3',
+        typicalRaise: { min: 2.5, max: 4.5, avg: 3.5 },
+        highPerformerRaise: { min: 5, max: 8, avg: 6.5 },
+        promotionBump: { min: 8, max: 15, avg: 12 },
+        industryCagr: 4.5,
+        avgMonthsBetweenRaises: 12,
+        percentiles: {
+            raise: { p10: 1.5, p25: 2.5, p50: 3.5, p75: 4.5, p90: 6.5 },
+            cagr: { p10: 1.5, p25: 3, p50: 4.5, p75: 6.5, p90: 9 },
+            monthsBetweenRaises: { p10: 10, p25: 12, p50: 12, p75: 15, p90: 20 }
+        },
+        lastUpdated: '2025'
+    },
+    'sales-mid-nyc': {
+        label: 'Sales (base pay) · Mid-level · New York City',
+        roleFamily: 'Sales',
+        level: 'Mid-level',
+        region: 'New York City',
+        industry: 'B2B SaaS',
+        dataAsOf: '2024-Q3',
+        typicalRaise: { min: 3, max: 5, avg: 4 },
+        highPerformerRaise: { min: 5.5, max: 9, avg: 7 },
+        promotionBump: { min: 8, max: 15, avg: 12 },
+        industryCagr: 5,
+        avgMonthsBetweenRaises: 12,
+        percentiles: {
+            raise: { p10: 2, p25: 3, p50: 4, p75: 5, p90: 7 },
+            cagr: { p10: 2, p25: 3.5, p50: 5, p75: 7, p90: 9.5 },
+            monthsBetweenRaises: { p10: 10, p25: 12, p50: 12, p75: 15, p90: 19 }
+        },
+        lastUpdated: '2025'
+    },
+    'support-entry-us': {
+        label: 'Customer Support · Entry-level · United States',
+        roleFamily: 'Customer Support',
+        level: 'Entry-level',
+        region: 'United States',
+        industry: 'B2B SaaS',
+        dataAsOf: '2024-Q3',
+        typicalRaise: { min: 3, max: 4.5, avg: 3.5 },
+        highPerformerRaise: { min: 5, max: 8, avg: 6 },
+        promotionBump: { min: 8, max: 15, avg: 10 },
+        industryCagr: 4,
+        avgMonthsBetweenRaises: 12,
+        percentiles: {
+            raise: { p10: 2, p25: 3, p50: 3.5, p75: 4.5, p90: 6 },
+            cagr: { p10: 1.5, p25: 2.5, p50: 4, p75: 5.5, p90: 8 },
+            monthsBetweenRaises: { p10: 9, p25: 11, p50: 12, p75: 14, p90: 18 }
+        },
+        lastUpdated: '2025'
+    },
+    'support-mid-remote': {
+        label: 'Customer Support · Mid-level · Remote (US)',
+        roleFamily: 'Customer Support',
+        level: 'Mid-level',
+        region: 'Remote (United States)',
+        industry: 'B2B SaaS',
+        dataAsOf: '2024-Q3',
+        typicalRaise: { min: 2.5, max: 4, avg: 3 },
+        highPerformerRaise: { min: 4.5, max: 7, avg: 5.5 },
+        promotionBump: { min: 8, max: 12, avg: 10 },
+        industryCagr: 3.5,
+        avgMonthsBetweenRaises: 13,
+        percentiles: {
+            raise: { p10: 1.5, p25: 2.5, p50: 3, p75: 4, p90: 5.5 },
+            cagr: { p10: 1, p25: 2, p50: 3.5, p75: 5, p90: 7 },
+            monthsBetweenRaises: { p10: 10, p25: 12, p50: 13, p75: 15, p90: 20 }
+        },
+        lastUpdated: '2025'
+    }
+};
 
-    // Metadata
-    lastUpdated: '2025'
+/**
+ * U.S. average merit increase budgets by year (% of payroll), used to
+ * time-index benchmark profiles: a profile's raise ranges and industryCagr
+ * describe its dataAsOf year and move with the budget in other years (see
+ * getBenchmarksForYear()). Years outside the table use the nearest year.
+ * Sources: WorldatWork, Mercer and Payscale salary budget surveys (2026 planned)
+ */
+export const meritBudgetHistory = {
+    2010: 2.7,
+    2011: 2.8,
+    2012: 2.8,
+    2013: 2.9,
+    2014: 2.9,
+    2015: 3.0,
+    2016: 3.0,
+    2017: 3.0,
+    2018: 3.0,
+    2019: 3.1,
+    2020: 2.8,
+    2021: 3.0,
+    2022: 4.1,
+    2023: 4.4,
+    2024: 3.9,
+    2025: 3.6,
+    2026: 3.5
 };
 
+/**
+ * Default benchmark profile (B2B SaaS, all roles, United States).
+ * Kept as its own export for callers that don't offer a profile choice.
+ */
+export const benchmarks = benchmarkProfiles[CONSTANTS.DEFAULT_BENCHMARK_PROFILE];
+
 // ========================================
 // BENCHMARK METADATA & PROVENANCE (#147)
 // ========================================
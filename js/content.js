@@ -2,20 +2,30 @@
 // CONTENT RENDERING MODULE
 // ========================================
 
-import { CONSTANTS, benchmarks, benchmarkMetadata } from './constants.js';
+import { CONSTANTS, benchmarkMetadata } from './constants.js';
 import {
     calculateInflationOverPeriod,
     calculateRealGrowth,
     getStartingSalary,
     getCurrentSalary,
+    getStartingComp,
+    getCurrentComp,
     calculateYearsOfService,
     calculateCAGR,
     getBenchmarkComparisons,
+    getBenchmarkProfile,
+    getPromotionAnalysis,
+    getEmployerSegments,
+    getJobChanges,
+    getInternalRaises,
     calculateAverageMonthsBetweenDates,
     formatDateSummary,
     formatDateDetail
 } from './calculations.js';
 import { escapeHTML, validateTemplateData } from './security.js';
+import { getBandPositions } from './bands.js';
+import { buildPercentileChart } from './charts.js';
+import { getReasonCategory } from './reasons.js';
 
 // ========================================
 // MODULE STATE (injected via initContent)
@@ -85,10 +95,18 @@ export const storyContent = {
 
             <p><span class="story-highlight">OPERATIONAL SUMMARY:</span> Over <span class="story-stat">${data.years} years</span> of continuous deployment, the specialist has demonstrated consistent value appreciation. Total resource adjustments: <span class="story-stat">${data.totalAdjustments} modifications</span>. Current valuation stands at <span class="story-stat">${data.currentSalary}</span>, representing a <span class="story-stat">${data.growth}%</span> increase from baseline. Adjustment frequency exceeds standard annual review cycles, indicating active performance recognition protocols.</p>
 
-            <p><span class="story-highlight">PERFORMANCE METRICS:</span> Compound Annual Growth Rate (CAGR) calculated at <span class="story-stat">${data.cagr}%</span>. Average interval between resource reallocations: <span class="story-stat">${data.avgInterval} months</span>. Primary adjustment category: Merit-based (${data.meritPercent}% of all modifications). Remaining adjustments attributed to promotions, market corrections, and role transitions. Cumulative inflation during deployment period: <span class="story-stat">${data.cumulativeInflation}%</span>. Inflation-adjusted growth rate: <span class="story-stat">${data.realGrowth}%</span>, confirming real value appreciation beyond cost-of-living factors.</p>
+            <p><span class="story-highlight">PERFORMANCE METRICS:</span> Compound Annual Growth Rate (CAGR) calculated at <span class="story-stat">${data.cagr}%</span>, <span class="story-stat">${data.cagrVsBenchmark} points</span> ${data.benchmarkComparison} the reference benchmark (${escapeHTML(data.benchmarkLabel)}: ${data.benchmarkCagr}%). Average interval between resource reallocations: <span class="story-stat">${data.avgInterval} months</span>. Primary adjustment category: Merit-based (${data.meritPercent}% of all modifications). Remaining adjustments attributed to promotions, market corrections, and role transitions. Cumulative inflation during deployment period: <span class="story-stat">${data.cumulativeInflation}%</span>. Inflation-adjusted growth rate: <span class="story-stat">${data.realGrowth}%</span>, confirming real value appreciation beyond cost-of-living factors.</p>
 
             <p><span class="story-highlight">NOTABLE OPERATIONS:</span> Largest single-event appreciation occurred <span class="story-stat">${data.largestRaiseDate}</span> with a <span class="story-stat">${data.largestRaise}%</span> value increase.${data.sixFigureDate ? ` Six-figure threshold breached <span class="story-stat">${data.sixFigureDate}</span>, achieved within <span class="story-stat">${data.yearsToSixFigures}</span> of initial deployment.` : ''} Compensation trajectory has maintained positive momentum across all recorded intervals.</p>
-
+${data.employerCount > 1 ? `
+            <p><span class="story-highlight">REDEPLOYMENTS:</span> Service record spans <span class="story-stat">${data.employerCount} organizations</span> (${escapeHTML(data.employerPath)}). Transfers between organizations yielded an average <span class="story-stat">${data.jobChangeRaise}%</span> per move, versus <span class="story-stat">${data.internalRaise}%</span> per internal adjustment. Adjustment metrics above exclude transfers.</p>
+` : ''}
+${data.promotionCount > 0 ? `
+            <div class="story-insight">
+                <span class="story-insight-label">Advancement Assessment</span>
+                Promotion events logged: <span class="story-stat">${data.promotionCount}</span>, averaging a <span class="story-stat">${data.promotionBump}%</span> value increase (${data.promotionVsBenchmark} the ${data.promotionBenchmarkRange}% reference range). Mean interval to promotion: <span class="story-stat">${data.monthsPerPromotion} months</span>.${data.promotionShare !== null ? ` Promotions account for <span class="story-stat">${data.promotionShare}%</span> of total appreciation; merit adjustments for <span class="story-stat">${data.meritShare}%</span>.` : ''}
+            </div>
+` : ''}
             <p><span class="story-highlight">STATUS:</span> Specialist remains in active deployment. Current trajectory sustainable pending continued performance alignment. See <a href="#market" onclick="setTab('market'); return false;" class="tab-link">Market</a> tab for industry benchmarks and inflation-adjusted analysis.</p>
 
             <div class="story-insight">
@@ -106,11 +124,19 @@ export const storyContent = {
             <p>Over <span class="story-stat">${data.years} years</span>, your compensation has increased <span class="story-stat">${data.growth}%</span> through <span class="story-stat">${data.totalAdjustments} adjustments</span>. That works out to a compound annual growth rate (CAGR) of <span class="story-stat">${data.cagr}%</span>, with adjustments occurring roughly every <span class="story-stat">${data.avgInterval} months</span> on average—more frequently than the typical annual review cycle.</p>
 
             <p><span class="story-stat">${data.meritPercent}%</span> of your adjustments were merit-based, with the remainder coming from promotions, market adjustments, or role changes. Your largest single increase was <span class="story-stat">${data.largestRaise}%</span> in <span class="story-stat">${data.largestRaiseDate}</span>.${data.sixFigureDate ? ` You crossed the six-figure threshold in <span class="story-stat">${data.sixFigureDate}</span>, about <span class="story-stat">${data.yearsToSixFigures}</span> into your tenure.` : ''}</p>
-
+${data.employerCount > 1 ? `
+            <p>Your career spans <span class="story-stat">${data.employerCount} employers</span> (${escapeHTML(data.employerPath)}). Changing jobs brought an average raise of <span class="story-stat">${data.jobChangeRaise}%</span>, compared with <span class="story-stat">${data.internalRaise}%</span> for raises within an employer; the raise figures above count only those internal raises.</p>
+` : ''}
             <p>Accounting for <span class="story-stat">${data.cumulativeInflation}%</span> cumulative inflation over this period, your real purchasing power has grown by approximately <span class="story-stat">${data.realGrowth}%</span>. In other words, your raises have ${parseFloat(data.realGrowth) > 0 ? 'outpaced' : 'not kept pace with'} the cost of living.</p>
 
-            <p>For context on how these numbers compare to industry standards, see the <a href="#market" onclick="setTab('market'); return false;" class="tab-link">Market</a> tab. The <a href="#analytics" onclick="setTab('analytics'); return false;" class="tab-link">Analytics</a> tab provides additional breakdowns of your raise history and patterns over time.</p>
+            <p>Your CAGR is <span class="story-stat">${data.cagrVsBenchmark} points</span> ${data.benchmarkComparison} the <span class="story-stat">${data.benchmarkCagr}%</span> benchmark for ${escapeHTML(data.benchmarkLabel)}. For the full comparison against that benchmark, see the <a href="#market" onclick="setTab('market'); return false;" class="tab-link">Market</a> tab. The <a href="#analytics" onclick="setTab('analytics'); return false;" class="tab-link">Analytics</a> tab provides additional breakdowns of your raise history and patterns over time.</p>
 
+${data.promotionCount > 0 ? `
+            <div class="story-insight">
+                <span class="story-insight-label">Promotions</span>
+                You've been promoted <span class="story-stat">${data.promotionCount} time${data.promotionCount === 1 ? '' : 's'}</span>, with an average bump of <span class="story-stat">${data.promotionBump}%</span>—${data.promotionVsBenchmark} the typical ${data.promotionBenchmarkRange}% promotion increase. Promotions came about every <span class="story-stat">${data.monthsPerPromotion} months</span>${data.promotionShare !== null ? ` and account for <span class="story-stat">${data.promotionShare}%</span> of your salary growth, compared with <span class="story-stat">${data.meritShare}%</span> from merit raises` : ''}.
+            </div>
+` : ''}
             <div class="story-insight">
                 <span class="story-insight-label">Note</span>
                 This summary tracks compensation only. Career growth encompasses many things—skills developed, problems solved, teams built, impact made—that aren't captured in salary data alone. The numbers here tell one part of the story.
@@ -171,8 +197,8 @@ export function detectMilestones() {
         });
     }
 
-    // Biggest raise
-    const raises = employeeData.records.filter(r => r.changePercent > 0);
+    // Biggest raise (job-change raises are covered by the story's career paragraph)
+    const raises = getInternalRaises(employeeData);
     if (raises.length > 0) {
         const biggestRaise = raises.reduce((max, r) => r.changePercent > max.changePercent ? r : max);
         milestones.push({
@@ -183,14 +209,15 @@ export function detectMilestones() {
         });
     }
 
-    // Decade of service milestone
-    const years = calculateYearsOfService(employeeData);
+    // Decade of service milestone (at the current employer)
+    const currentEmployer = getEmployerSegments(employeeData).at(-1);
+    const years = calculateYearsOfService(currentEmployer);
     if (years >= CONSTANTS.YEARS_DECADE_SERVICE) {
         milestones.push({
             icon: '🏆',
             title: 'Decade of Service',
             detail: '10+ years with the organization',
-            date: formatDateSummary(new Date(new Date(employeeData.hireDate).getTime() + CONSTANTS.YEARS_DECADE_SERVICE * CONSTANTS.MS_PER_YEAR))
+            date: formatDateSummary(new Date(new Date(currentEmployer.hireDate).getTime() + CONSTANTS.YEARS_DECADE_SERVICE * CONSTANTS.MS_PER_YEAR))
         });
     }
 
@@ -220,14 +247,23 @@ export function updateStory() {
     const growth = ((current - start) / start) * 100;
     const cagr = calculateCAGR(employeeData);
     const years = calculateYearsOfService(employeeData);
+    const profile = getBenchmarkProfile(_state.benchmarkProfile);
+    // Industry CAGR compounded year by year over the same tenure
+    const benchmarkCagr = getBenchmarkComparisons(employeeData, profile).industryCagrOverTenure;
+    const cagrVsBenchmark = cagr - benchmarkCagr;
+    const promo = getPromotionAnalysis(employeeData, profile);
+    const { promotionBump } = profile;
 
     // Exclude "New Hire" - it's the starting point, not an adjustment
     const adjustments = employeeData.records.filter(r => r.reason !== 'New Hire');
 
-    const raises = employeeData.records.filter(r => r.changePercent > 0);
+    // Job-change raises are reported separately from raises within an employer
+    const raises = getInternalRaises(employeeData);
+    const jobChanges = getJobChanges(employeeData);
+    const averageRaise = (list) => list.reduce((sum, r) => sum + r.changePercent, 0) / list.length;
     const largestRaise = raises.length > 0 ? raises.reduce((max, r) => r.changePercent > max.changePercent ? r : max) : null;
 
-    const meritCount = adjustments.filter(r => r.reason.includes('Merit')).length;
+    const meritCount = adjustments.filter(r => getReasonCategory(r.reason) === 'merit').length;
     const meritPercent = adjustments.length > 0 ? ((meritCount / adjustments.length) * 100).toFixed(1) : '0';
 
     // Calculate avg interval (exclude New Hire from time calculation)
@@ -262,6 +298,18 @@ export function updateStory() {
         totalAdjustments: adjustments.length,
         growth: growth.toFixed(0),
         cagr: cagr.toFixed(1),
+        benchmarkLabel: profile.label,
+        benchmarkCagr: benchmarkCagr.toFixed(1),
+        cagrVsBenchmark: Math.abs(cagrVsBenchmark).toFixed(1),
+        benchmarkComparison: cagrVsBenchmark >= 0 ? 'above' : 'below',
+        promotionCount: promo.count,
+        promotionBump: promo.count > 0 ? promo.avgBump.toFixed(1) : '0',
+        promotionBenchmarkRange: `${promotionBump.min}-${promotionBump.max}`,
+        promotionVsBenchmark: promo.avgBump > promotionBump.max ? 'above'
+            : promo.avgBump >= promotionBump.min ? 'within' : 'below',
+        monthsPerPromotion: promo.count > 0 ? promo.avgMonthsBetween.toFixed(0) : '0',
+        promotionShare: promo.promotionShare !== null ? promo.promotionShare.toFixed(0) : null,
+        meritShare: promo.meritShare !== null ? promo.meritShare.toFixed(0) : null,
         avgInterval: avgMonths.toFixed(1),
         meritPercent,
         largestRaiseDate: largestRaise ? formatDateSummary(largestRaise.date) : 'N/A',
@@ -270,7 +318,11 @@ export function updateStory() {
         yearsToSixFigures,
         cumulativeInflation: cumulativeInflation.toFixed(1),
         realGrowth: realGrowth.toFixed(1),
-        dateRange: formatDateSummary(employeeData.hireDate) + ' – Present'
+        dateRange: formatDateSummary(employeeData.hireDate) + ' – Present',
+        employerCount: jobChanges.length + 1,
+        employerPath: getEmployerSegments(employeeData).map(s => s.name).join(' → '),
+        jobChangeRaise: jobChanges.length > 0 ? averageRaise(jobChanges).toFixed(1) : '0',
+        internalRaise: raises.length > 0 ? averageRaise(raises).toFixed(1) : '0'
     };
 
     // Security: Validate data types before template interpolation (defense-in-depth)
@@ -283,6 +335,7 @@ export function updateStory() {
     // Security Note: innerHTML is safe here because all dynamic values come from safe sources:
     // - Dates: toLocaleDateString() (browser API, produces safe strings)
     // - Numbers: toFixed(), formatCurrency() (numeric methods, produce safe strings)
+    // - Benchmark profile label from constants.js (escaped in the template)
     // - Parser validates all inputs: parser.js:25-50 (validateSalaryRange) and parser.js:106 (HTML stripping)
     // No user-controlled strings are interpolated without sanitization.
     document.getElementById('storyText').innerHTML = content.getText(data);
@@ -296,19 +349,20 @@ export function updateStory() {
 /**
  * Updates the Market tab with benchmark comparisons and performance analysis.
  *
- * Compares user's CAGR, average raises, and real growth against B2B SaaS
- * industry benchmarks. Generates performance tier (high/solid/low) and
+ * Compares user's CAGR, average raises, and real growth against the selected
+ * benchmark profile (role family × level × region). Generates performance tier (high/solid/low) and
  * theme-appropriate headline. Renders comparison cards and inflation analysis.
  *
  * @returns {void}
  */
 export function updateMarket() {
     const employeeData = _getEmployeeData();
-    const bench = getBenchmarkComparisons(employeeData, benchmarks);
+    const benchmarks = getBenchmarkProfile(_state.benchmarkProfile);
+    const bench = getBenchmarkComparisons(employeeData, benchmarks, _state.compBasis);
     if (!bench) return;
 
-    const start = getStartingSalary(employeeData);
-    const current = getCurrentSalary(employeeData);
+    const start = getStartingComp(employeeData, _state.compBasis);
+    const current = getCurrentComp(employeeData, _state.compBasis);
     const years = calculateYearsOfService(employeeData);
 
     // Update header based on theme
@@ -316,46 +370,101 @@ export function updateMarket() {
     const summaryCard = document.getElementById('marketSummaryCard');
     summaryCard.className = 'market-summary-card ' + (isOutperforming ? 'outperforming' : bench.cagrVsIndustry < -1 ? 'underperforming' : '');
 
-    // Generate summary headline
+    // Generate summary headline (industry CAGR and typical raise for the years worked / raised in)
+    const benchmarkName = escapeHTML(benchmarks.label);
+    const industryCagr = bench.industryCagrOverTenure.toFixed(1);
+    const typicalRaise = bench.typicalRaiseOverTenure;
     let headline, detail;
     if (bench.performanceTier === 'high') {
         headline = _state.theme === 'tactical'
             ? 'PERFORMANCE STATUS: EXCEEDING BENCHMARKS'
             : 'Your growth outpaces the industry';
-        detail = `Your <strong>${bench.userCagr.toFixed(1)}% CAGR</strong> exceeds the B2B SaaS benchmark of ${benchmarks.industryCagr}%. With raises averaging <strong>${bench.avgRaise.toFixed(1)}%</strong> (above the typical ${benchmarks.typicalRaise.min}-${benchmarks.typicalRaise.max}% range), your compensation trajectory demonstrates exceptional growth.`;
+        detail = `Your <strong>${bench.userCagr.toFixed(1)}% CAGR</strong> exceeds the ${benchmarkName} benchmark of ${industryCagr}%. With raises averaging <strong>${bench.avgRaise.toFixed(1)}%</strong> (above the typical ${typicalRaise.min.toFixed(1)}-${typicalRaise.max.toFixed(1)}% range), your compensation trajectory demonstrates exceptional growth.`;
     } else if (bench.performanceTier === 'solid') {
         headline = _state.theme === 'tactical'
             ? 'PERFORMANCE STATUS: MEETING STANDARDS'
             : 'Tracking with industry benchmarks';
-        detail = `Your <strong>${bench.userCagr.toFixed(1)}% CAGR</strong> ${bench.cagrVsIndustry >= 0 ? 'meets' : 'approaches'} the B2B SaaS benchmark of ${benchmarks.industryCagr}%. With raises averaging <strong>${bench.avgRaise.toFixed(1)}%</strong>, your compensation growth aligns with industry norms.`;
+        detail = `Your <strong>${bench.userCagr.toFixed(1)}% CAGR</strong> ${bench.cagrVsIndustry >= 0 ? 'meets' : 'approaches'} the ${benchmarkName} benchmark of ${industryCagr}%. With raises averaging <strong>${bench.avgRaise.toFixed(1)}%</strong>, your compensation growth aligns with industry norms.`;
     } else {
         headline = _state.theme === 'tactical'
             ? 'PERFORMANCE STATUS: OPPORTUNITY IDENTIFIED'
             : 'Room to grow toward benchmarks';
-        detail = `Your <strong>${bench.userCagr.toFixed(1)}% CAGR</strong> trails the B2B SaaS benchmark of ${benchmarks.industryCagr}%. With raises averaging <strong>${bench.avgRaise.toFixed(1)}%</strong>, there may be opportunity to negotiate stronger increases.`;
+        detail = `Your <strong>${bench.userCagr.toFixed(1)}% CAGR</strong> trails the ${benchmarkName} benchmark of ${industryCagr}%. With raises averaging <strong>${bench.avgRaise.toFixed(1)}%</strong>, there may be opportunity to negotiate stronger increases.`;
     }
 
     document.getElementById('marketSummaryHeadline').textContent = headline;
     // Security Note: innerHTML safe - 'detail' contains only <strong> tags around numeric values from toFixed()
+    // and the escaped benchmark profile label from constants.js
     document.getElementById('marketSummaryDetail').innerHTML = detail;
+    document.getElementById('marketSubtitle').textContent = `How your compensation compares to ${benchmarks.label} benchmarks`;
+    const context = document.getElementById('benchmarkContext');
+    if (context) {
+        context.textContent = `Benchmarks for ${benchmarks.roleFamily} (${benchmarks.level}) in ${benchmarks.region}, from ${benchmarks.industry} market data.`;
+    }
 
     // Build comparison cards
     buildMarketComparison();
 
+    // Percentile bands chart and its text summary
+    buildPercentileChart();
+    const percentileSummary = document.getElementById('percentileSummary');
+    if (percentileSummary) {
+        percentileSummary.textContent = describePercentiles(bench.percentiles, benchmarks);
+    }
+
     // Build inflation analysis
     buildInflationAnalysis(bench, start, current, years);
 
     // Populate market footnote with metadata (#147)
     const footnote = document.getElementById('marketFootnote');
     if (footnote) {
-        footnote.textContent =
-            `Benchmarks: ${benchmarkMetadata.lastUpdated.salaryBenchmarks} | ` +
-            `CPI Data: ${benchmarkMetadata.lastUpdated.inflationData} | ` +
-            `Region: ${benchmarkMetadata.region} | ` +
-            `Industry: ${benchmarkMetadata.industry}`;
+        footnote.textContent = describeMarketSources(_state.benchmarkProfile);
     }
 }
 
+/**
+ * Market tab footnote: the benchmark profile (and its source, for imported
+ * benchmarks) behind the figures.
+ *
+ * @param {string} profileId - benchmarkProfiles key or imported 'custom-...' id
+ * @returns {string} e.g. "Benchmarks: Engineering · Mid-level · United States (2024-Q4) | CPI Data: ..."
+ */
+export function describeMarketSources(profileId) {
+    const profile = getBenchmarkProfile(profileId);
+    return `Benchmarks: ${profile.label} (${profile.dataAsOf}) | ` +
+        (profile.custom ? `Source: ${profile.source} (imported) | ` : '') +
+        `CPI Data: ${benchmarkMetadata.lastUpdated.inflationData} | ` +
+        `Region: ${profile.region} | ` +
+        `Industry: ${profile.industry}`;
+}
+
+/**
+ * Text summary of the user's estimated percentiles, shown under the Market
+ * tab's percentile chart (and read by screen readers in place of it).
+ *
+ * @param {Object} percentiles - getBenchmarkComparisons().percentiles
+ * @param {Object} profile - Benchmark profile the percentiles are against
+ * @returns {string} e.g. "Estimated standing vs ...: average raise P62 · CAGR P48 · raises faster than 55% of peers"
+ */
+export function describePercentiles(percentiles, profile) {
+    const frequency = formatStanding(percentiles.monthsBetweenRaises, p => `raises faster than ${p}% of peers`);
+    return `Estimated standing vs ${profile.label}: average raise ${formatStanding(percentiles.raise)} · ` +
+        `CAGR ${formatStanding(percentiles.cagr)} · ${frequency === 'n/a' ? 'raise frequency n/a' : frequency}` +
+        (percentiles.estimated ? ' (distributions estimated from the benchmark ranges)' : '');
+}
+
+/**
+ * Formats one estimated percentile standing, or 'n/a' when the history can't
+ * measure the metric (raise metrics without raises).
+ *
+ * @param {{percentile: number|null}} standing - getBenchmarkComparisons().percentiles[metric]
+ * @param {Function} [format] - (rounded percentile) => text; defaults to "P62"
+ * @returns {string} Formatted standing or 'n/a'
+ */
+function formatStanding(standing, format = (p) => `P${p}`) {
+    return standing.percentile === null ? 'n/a' : format(Math.round(standing.percentile));
+}
+
 // ========================================
 // INFLATION ANALYSIS
 // ========================================
@@ -451,7 +560,8 @@ export function buildMilestones() {
 export function buildMarketComparison() {
     const employeeData = _getEmployeeData();
     const grid = document.getElementById('marketComparisonGrid');
-    const bench = getBenchmarkComparisons(employeeData, benchmarks);
+    const benchmarks = getBenchmarkProfile(_state.benchmarkProfile);
+    const bench = getBenchmarkComparisons(employeeData, benchmarks, _state.compBasis);
 
     if (!bench) {
         grid.innerHTML = '<p style="color: var(--text-muted);">Unable to calculate market comparisons.</p>';
@@ -459,13 +569,19 @@ export function buildMarketComparison() {
     }
 
     const start = getStartingSalary(employeeData);
+    const source = describeBenchmarkSource(benchmarks);
+    const promo = bench.promotions;
+    const { promotionBump } = benchmarks;
+    const standing = (metric, format) => formatStanding(bench.percentiles[metric], format);
+    const industryCagr = bench.industryCagrOverTenure.toFixed(1);
+    const typicalRaise = bench.typicalRaiseOverTenure;
 
     // #79: Primary metrics get larger cards, secondary metrics get smaller cards
     const cards = [
         {
             label: 'Your CAGR',
             value: `${bench.userCagr.toFixed(1)}%`,
-            comparison: `Industry avg: <strong>${benchmarks.industryCagr}%</strong>`,
+            comparison: `Industry avg: <strong>${industryCagr}%</strong> · Real CAGR: <strong>${bench.realCagr.toFixed(1)}%</strong> · <strong>${standing('cagr')}</strong>`,
             diff: bench.cagrVsIndustry,
             badge: bench.cagrVsIndustry > 0.5 ? 'above' : bench.cagrVsIndustry < -0.5 ? 'below' : 'at',
             primary: true
@@ -483,7 +599,7 @@ export function buildMarketComparison() {
             value: _state.showDollars
                 ? (bench.vsIndustrySalary >= 0 ? '+' : '') + formatCurrency(bench.vsIndustrySalary)
                 : (bench.vsIndustrySalary >= 0 ? '+' : '') + (bench.vsIndustrySalary / start * 100).toFixed(0) + ' pts',
-            comparison: `At ${benchmarks.industryCagr}% CAGR: <strong>${_state.showDollars ? formatCurrency(bench.industryProjectedSalary) : Math.round(bench.industryProjectedSalary / start * 100)}</strong>`,
+            comparison: `At ${industryCagr}% CAGR: <strong>${_state.showDollars ? formatCurrency(bench.industryProjectedSalary) : Math.round(bench.industryProjectedSalary / start * 100)}</strong>`,
             diff: bench.vsIndustrySalary,
             badge: bench.vsIndustryPercent > 5 ? 'above' : bench.vsIndustryPercent < -5 ? 'below' : 'at',
             primary: true
@@ -491,14 +607,26 @@ export function buildMarketComparison() {
         {
             label: 'Avg Raise',
             value: `${bench.avgRaise.toFixed(1)}%`,
-            comparison: `Typical range: <strong>${benchmarks.typicalRaise.min}-${benchmarks.typicalRaise.max}%</strong>`,
+            comparison: `Typical in your raise years: <strong>${typicalRaise.min.toFixed(1)}-${typicalRaise.max.toFixed(1)}%</strong> · <strong>${standing('raise')}</strong>`,
             diff: bench.raiseVsTypical,
-            badge: bench.avgRaise > benchmarks.typicalRaise.max ? 'above' : bench.avgRaise >= benchmarks.typicalRaise.min ? 'at' : 'below'
+            badge: bench.avgRaise > typicalRaise.max ? 'above' : bench.avgRaise >= typicalRaise.min ? 'at' : 'below'
         },
+        // Promotion bumps, only when the history has promotions
+        ...(promo.count > 0 ? [{
+            label: 'Promotion Bump',
+            value: `${promo.avgBump.toFixed(1)}%`,
+            comparison: `Benchmark: <strong>${promotionBump.min}-${promotionBump.max}%</strong> · ` +
+                `${promo.count} promotion${promo.count === 1 ? '' : 's'}, every <strong>${promo.avgMonthsBetween.toFixed(0)} mo</strong>` +
+                (promo.promotionShare !== null
+                    ? ` · <strong>${promo.promotionShare.toFixed(0)}%</strong> of growth (merit <strong>${promo.meritShare.toFixed(0)}%</strong>)`
+                    : ''),
+            diff: promo.bumpVsBenchmark,
+            badge: promo.avgBump > promotionBump.max ? 'above' : promo.avgBump >= promotionBump.min ? 'at' : 'below'
+        }] : []),
         {
             label: 'Raise Frequency',
             value: `${bench.avgMonthsBetween.toFixed(0)} mo`,
-            comparison: `Industry avg: <strong>${benchmarks.avgMonthsBetweenRaises} months</strong>`,
+            comparison: `Industry avg: <strong>${benchmarks.avgMonthsBetweenRaises} months</strong> · ${standing('monthsBetweenRaises', p => `faster than <strong>${p}%</strong> of peers`)}`,
             diff: benchmarks.avgMonthsBetweenRaises - bench.avgMonthsBetween,
             badge: bench.avgMonthsBetween < benchmarks.avgMonthsBetweenRaises - 1 ? 'above' : bench.avgMonthsBetween > benchmarks.avgMonthsBetweenRaises + 1 ? 'below' : 'at'
         },
@@ -511,24 +639,85 @@ export function buildMarketComparison() {
             diff: bench.purchasingPowerGain,
             badge: bench.purchasingPowerGain > 0 ? 'above' : bench.purchasingPowerGain < 0 ? 'below' : 'at'
         }
-    ];
+    ].map(card => ({ ...card, source }));
+
+    // Pay band position, only when bands were entered
+    const positions = getBandPositions(employeeData);
+    if (positions.length > 0) {
+        const latest = positions[positions.length - 1];
+        const bandName = latest.band.level ? `${escapeHTML(latest.band.level)} band` : 'band';
+        cards.push({
+            label: 'Position in Band',
+            value: latest.compaRatio.toFixed(2),
+            comparison: `Compa-ratio · <strong>${Math.round(latest.penetration)}%</strong> of the way through your ${bandName}`,
+            diff: latest.compaRatio - 1,
+            // Within ±5% of midpoint counts as "at"
+            badge: latest.compaRatio > 1.05 ? 'above' : latest.compaRatio < 0.95 ? 'below' : 'at',
+            extra: renderBandHistory(positions),
+            wide: true
+        });
+    }
 
     // Security Note: innerHTML safe - 'cards' array contains only:
     // - Static labels (hardcoded strings)
     // - Numeric values (toFixed, formatCurrency, Math.round - all produce safe strings)
     // - Badge strings (conditional on 'above'/'below'/'at' - all hardcoded safe values)
+    // - Pay band level names (user-entered, escaped with escapeHTML)
+    // - Imported benchmark provenance (escaped in describeBenchmarkSource)
     // No user-controlled data interpolated without validation.
     grid.innerHTML = cards.map(card => `
-        <div class="market-card ${card.diff > 0 ? 'positive' : card.diff < 0 ? 'negative' : 'neutral'}${card.primary ? ' market-card-primary' : ''}">
+        <div class="market-card ${card.diff > 0 ? 'positive' : card.diff < 0 ? 'negative' : 'neutral'}${card.primary ? ' market-card-primary' : ''}${card.wide ? ' market-card-wide' : ''}">
             <div class="market-card-header">
                 <span class="market-card-label">${card.label}</span>
                 <span class="market-card-badge ${card.badge}">${card.badge === 'above' ? '↑ Above' : card.badge === 'below' ? '↓ Below' : '● At'}</span>
             </div>
             <div class="market-card-value ${card.diff > 0 ? 'positive' : card.diff < 0 ? 'negative' : ''}">${card.value}</div>
             <div class="market-card-comparison">${card.comparison}</div>
+            ${card.source ? `<div class="market-card-source">${card.source}</div>` : ''}
+            ${card.extra || ''}
         </div>
     `).join('');
 
     // Update footnote
-    document.getElementById('marketFootnote').textContent = `Benchmarks based on B2B SaaS industry data (${benchmarks.lastUpdated}). CPI data from Bureau of Labor Statistics. Individual results vary by role, location, and company stage.`;
+    document.getElementById('marketFootnote').textContent = describeMarketSources(_state.benchmarkProfile);
+}
+
+/**
+ * Provenance line for comparison cards built from an imported benchmark file
+ * (bundled profiles are described in the Data Sources panel instead).
+ *
+ * @param {Object} profile - Benchmark profile from getBenchmarkProfile()
+ * @returns {string} Escaped HTML text, or '' for bundled profiles
+ *
+ * @example
+ * describeBenchmarkSource(getBenchmarkProfile('custom-radford-eng-3'));
+ * // 'Source: Radford Global Technology Survey · ENG-3 · as of 2025-Q2'
+ */
+export function describeBenchmarkSource(profile) {
+    if (!profile.custom) return '';
+    return `Source: ${escapeHTML(profile.source)} · ${escapeHTML(profile.label)} · as of ${escapeHTML(profile.dataAsOf)}`;
+}
+
+/**
+ * Renders range penetration at each pay change as a row of bars (0% = band
+ * min, full height = band max), oldest to newest, for the Position in Band card.
+ *
+ * @param {Array<Object>} positions - From getBandPositions()
+ * @returns {string} HTML
+ */
+export function renderBandHistory(positions) {
+    const bars = positions.map(p => {
+        const height = Math.min(Math.max(p.penetration, 0), 100);
+        const level = p.band.level ? ` (${p.band.level})` : '';
+        const title = `${formatDateSummary(p.date)}${level}: ${p.compaRatio.toFixed(2)} compa-ratio, ${Math.round(p.penetration)}% penetration`;
+        return `<span class="band-history-bar" style="height: ${height.toFixed(1)}%" title="${escapeHTML(title)}"></span>`;
+    }).join('');
+
+    return `
+        <div class="band-history" role="img" aria-label="Range penetration at each pay change">${bars}</div>
+        <div class="band-history-axis">
+            <span>${formatDateSummary(positions[0].date)}</span>
+            <span>${formatDateSummary(positions[positions.length - 1].date)}</span>
+        </div>
+    `;
 }
@@ -0,0 +1,440 @@
+// ========================================
+// CUSTOM BENCHMARKS MODULE
+// ========================================
+// User-imported benchmark files (e.g. licensed Radford data for specific job
+// codes): the fields of `benchmarks` (`percentiles` and `byYear` optional)
+// plus a `benchmarkMetadata` block naming the data and its source. Valid
+// files become benchmark profiles next to the bundled benchmarkProfiles, kept
+// in localStorage and selectable on the Market tab.
+
+import { CONSTANTS, BENCHMARK_PERCENTILE_METRICS, BENCHMARK_PERCENTILE_POINTS } from './constants.js';
+import { showUserMessage } from './notifications.js';
+
+/** Raise ranges every benchmark file must provide as { min, max, avg } */
+const RAISE_RANGES = ['typicalRaise', 'highPerformerRaise', 'promotionBump'];
+
+/** Allowed [min, max] of each optional `percentiles` distribution */
+const PERCENTILE_LIMITS = {
+    raise: [0, 100],
+    cagr: [-50, 100],
+    monthsBetweenRaises: [0, 60]
+};
+
+/** Optional benchmarkMetadata text fields */
+const METADATA_TEXT_FIELDS = ['level', 'region', 'industry'];
+
+const MAX_NAME_LENGTH = 80;
+const MAX_SOURCE_LENGTH = 200;
+
+// ========================================
+// VALIDATION
+// ========================================
+
+/**
+ * Error for a free-text field, or null if it's acceptable.
+ *
+ * @param {*} value - Field value
+ * @param {string} field - Field name for the message
+ * @param {number} maxLength - Maximum trimmed length
+ * @returns {string|null} Error message
+ */
+function getTextError(value, field, maxLength) {
+    if (typeof value !== 'string' || !value.trim()) return `${field} must be a non-empty string`;
+    if (value.trim().length > maxLength) return `${field} must be ${maxLength} characters or fewer`;
+    if (/[<>]/.test(value)) return `${field} cannot contain < or >`;
+    return null;
+}
+
+/**
+ * Error for a { min, avg, max } raise range, or null if it's acceptable.
+ *
+ * @param {*} range - Range value
+ * @param {string} field - Field name for the message
+ * @returns {string|null} Error message
+ */
+function getRangeError(range, field) {
+    if (!range || !['min', 'avg', 'max'].every(key => Number.isFinite(range[key]))) {
+        return `"${field}" must have numeric min, avg and max`;
+    }
+    if (range.min < 0 || range.max > 100) return `"${field}" values must be between 0 and 100 (%)`;
+    if (!(range.min <= range.avg && range.avg <= range.max)) return `"${field}" must satisfy min ≤ avg ≤ max`;
+    return null;
+}
+
+/**
+ * Whether a CAGR figure is a number between -50 and 100 (%).
+ *
+ * @param {*} value - industryCagr value
+ * @returns {boolean} True if valid
+ */
+function isValidCagr(value) {
+    return Number.isFinite(value) && value >= -50 && value <= 100;
+}
+
+/**
+ * Validates a benchmark file: the shape of `benchmarks` plus `benchmarkMetadata`.
+ *
+ * @param {Object} data - Parsed JSON
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ *
+ * @example
+ * validateBenchmarkData({ ...benchmarks, benchmarkMetadata: { name: 'ENG-3', source: 'Radford 2025' } });
+ * // { valid: true, errors: [] }
+ */
+export function validateBenchmarkData(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        errors.push('Invalid benchmark format: expected object');
+        return { valid: false, errors };
+    }
+
+    RAISE_RANGES.forEach(field => {
+        const error = getRangeError(data[field], field);
+        if (error) errors.push(error);
+    });
+
+    if (!isValidCagr(data.industryCagr)) {
+        errors.push('"industryCagr" must be a number between -50 and 100 (%)');
+    }
+
+    if (!Number.isFinite(data.avgMonthsBetweenRaises) || data.avgMonthsBetweenRaises <= 0 || data.avgMonthsBetweenRaises > 60) {
+        errors.push('"avgMonthsBetweenRaises" must be a number between 0 and 60');
+    }
+
+    if (data.percentiles !== undefined) {
+        errors.push(...getPercentileErrors(data.percentiles));
+    }
+
+    if (data.byYear !== undefined) {
+        errors.push(...getByYearErrors(data.byYear));
+    }
+
+    if (data.lastUpdated !== undefined && typeof data.lastUpdated !== 'string') {
+        errors.push('"lastUpdated" must be a string');
+    }
+
+    const meta = data.benchmarkMetadata;
+    if (!meta || typeof meta !== 'object' || Array.isArray(meta)) {
+        errors.push('Missing or invalid "benchmarkMetadata" object');
+        return { valid: false, errors };
+    }
+
+    const nameError = getTextError(meta.name, 'benchmarkMetadata.name', MAX_NAME_LENGTH);
+    if (nameError) errors.push(nameError);
+    const sourceError = getTextError(meta.source, 'benchmarkMetadata.source', MAX_SOURCE_LENGTH);
+    if (sourceError) errors.push(sourceError);
+
+    METADATA_TEXT_FIELDS.forEach(field => {
+        if (meta[field] === undefined) return;
+        const error = getTextError(meta[field], `benchmarkMetadata.${field}`, MAX_NAME_LENGTH);
+        if (error) errors.push(error);
+    });
+
+    if (meta.lastUpdated !== undefined) {
+        const asOf = meta.lastUpdated?.salaryBenchmarks;
+        if (typeof meta.lastUpdated !== 'object' || (asOf !== undefined && getTextError(asOf, '', MAX_NAME_LENGTH))) {
+            errors.push('benchmarkMetadata.lastUpdated.salaryBenchmarks must be a short string (e.g. "2025-Q2")');
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validates an optional `percentiles` block: a non-decreasing
+ * { p10, p25, p50, p75, p90 } for every BENCHMARK_PERCENTILE_METRICS key.
+ *
+ * @param {*} percentiles - benchmark file's `percentiles`
+ * @returns {string[]} Error messages
+ */
+function getPercentileErrors(percentiles) {
+    if (!percentiles || typeof percentiles !== 'object' || Array.isArray(percentiles)) {
+        return ['"percentiles" must be an object'];
+    }
+
+    const keys = BENCHMARK_PERCENTILE_POINTS.map(p => `p${p}`);
+    return Object.keys(BENCHMARK_PERCENTILE_METRICS).flatMap(metric => {
+        const distribution = percentiles[metric];
+        const [min, max] = PERCENTILE_LIMITS[metric];
+        if (!distribution || !keys.every(key => Number.isFinite(distribution[key]))) {
+            return [`"percentiles.${metric}" must have numeric ${keys.join(', ')}`];
+        }
+        const values = keys.map(key => distribution[key]);
+        if (values[0] < min || values[values.length - 1] > max) {
+            return [`"percentiles.${metric}" values must be between ${min} and ${max}`];
+        }
+        if (values.some((value, i) => i > 0 && value < values[i - 1])) {
+            return [`"percentiles.${metric}" must not decrease from p10 to p90`];
+        }
+        return [];
+    });
+}
+
+/**
+ * Validates an optional `byYear` block: year-specific figures keyed by
+ * four-digit year, each with any of typicalRaise, highPerformerRaise and
+ * industryCagr.
+ *
+ * @param {*} byYear - benchmark file's `byYear`
+ * @returns {string[]} Error messages
+ */
+function getByYearErrors(byYear) {
+    if (!byYear || typeof byYear !== 'object' || Array.isArray(byYear)) {
+        return ['"byYear" must be an object keyed by year'];
+    }
+
+    return Object.entries(byYear).flatMap(([year, entry]) => {
+        if (!/^(19|20)\d{2}$/.test(year)) return [`"byYear" key "${year}" must be a four-digit year`];
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return [`"byYear.${year}" must be an object`];
+
+        const errors = [];
+        ['typicalRaise', 'highPerformerRaise'].forEach(field => {
+            if (entry[field] === undefined) return;
+            const error = getRangeError(entry[field], `byYear.${year}.${field}`);
+            if (error) errors.push(error);
+        });
+        if (entry.industryCagr !== undefined && !isValidCagr(entry.industryCagr)) {
+            errors.push(`"byYear.${year}.industryCagr" must be a number between -50 and 100 (%)`);
+        }
+        return errors;
+    });
+}
+
+/**
+ * Profile id for a benchmark name ("Radford ENG-3" → 'custom-radford-eng-3').
+ *
+ * @param {string} name - benchmarkMetadata.name
+ * @returns {string} benchmark profile key
+ */
+function toProfileId(name) {
+    const slug = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+    return `custom-${slug || 'benchmark'}`;
+}
+
+/**
+ * Copies a raise range without extra properties.
+ *
+ * @param {{min: number, max: number, avg: number}} range - Validated range
+ * @returns {{min: number, max: number, avg: number}} Range
+ */
+function pickRange({ min, max, avg }) {
+    return { min, max, avg };
+}
+
+/**
+ * Profile for a stored file, built once so every lookup returns the same
+ * object (memoized metrics are keyed on profile identity, see objectKey()).
+ * Re-importing a file stores a new object, which gets a new profile.
+ *
+ * @param {Object} file - Stored benchmark file
+ * @returns {Object} Benchmark profile
+ */
+function getProfile(file) {
+    if (!_profiles.has(file)) _profiles.set(file, toProfile(file));
+    return _profiles.get(file);
+}
+
+/**
+ * Builds a benchmark profile (same fields as benchmarkProfiles entries) from a
+ * validated file. `custom` and `source` mark it as imported.
+ *
+ * @param {Object} data - Data that passed validateBenchmarkData()
+ * @returns {Object} Benchmark profile
+ */
+function toProfile(data) {
+    const meta = data.benchmarkMetadata;
+    return {
+        label: meta.name.trim(),
+        roleFamily: 'Custom',
+        level: meta.level?.trim() ?? 'Not specified',
+        region: meta.region?.trim() ?? 'Not specified',
+        industry: meta.industry?.trim() ?? 'Not specified',
+        dataAsOf: meta.lastUpdated?.salaryBenchmarks?.trim() || data.lastUpdated || 'undated',
+        source: meta.source.trim(),
+        custom: true,
+        ...Object.fromEntries(RAISE_RANGES.map(field => [field, pickRange(data[field])])),
+        industryCagr: data.industryCagr,
+        avgMonthsBetweenRaises: data.avgMonthsBetweenRaises,
+        // Without byYear, getBenchmarksForYear() follows meritBudgetHistory
+        ...(data.byYear ? {
+            byYear: Object.fromEntries(Object.entries(data.byYear).map(([year, entry]) => [year, {
+                ...(entry.typicalRaise ? { typicalRaise: pickRange(entry.typicalRaise) } : {}),
+                ...(entry.highPerformerRaise ? { highPerformerRaise: pickRange(entry.highPerformerRaise) } : {}),
+                ...(entry.industryCagr !== undefined ? { industryCagr: entry.industryCagr } : {})
+            }]))
+        } : {}),
+        // Without percentiles, getBenchmarkPercentiles() estimates them from the ranges
+        ...(data.percentiles ? {
+            percentiles: Object.fromEntries(Object.keys(BENCHMARK_PERCENTILE_METRICS).map(metric => [
+                metric,
+                Object.fromEntries(BENCHMARK_PERCENTILE_POINTS.map(p => [`p${p}`, data.percentiles[metric][`p${p}`]]))
+            ]))
+        } : {}),
+        lastUpdated: data.lastUpdated ?? ''
+    };
+}
+
+// ========================================
+// STORE
+// ========================================
+
+/** Imported files (as validated), keyed by profile id; null until first access */
+let _files = null;
+
+/** Stored file → its benchmark profile (see getProfile()) */
+const _profiles = new WeakMap();
+
+/**
+ * Lazily loads imported files from localStorage on first access.
+ *
+ * @returns {Map<string, Object>} Live store
+ */
+function getStore() {
+    if (_files === null) {
+        _files = new Map();
+        try {
+            addFiles(JSON.parse(localStorage.getItem(CONSTANTS.STORAGE_KEY_CUSTOM_BENCHMARKS) || '[]'));
+        } catch {
+            // localStorage unavailable (tests, privacy mode) or corrupt - start empty
+        }
+    }
+    return _files;
+}
+
+function persist() {
+    try {
+        localStorage.setItem(CONSTANTS.STORAGE_KEY_CUSTOM_BENCHMARKS, JSON.stringify([..._files.values()]));
+    } catch {
+        // Quota exceeded or localStorage disabled - benchmarks still work for this session
+    }
+}
+
+/**
+ * Adds valid files to the store (no persistence); invalid entries are skipped.
+ *
+ * @param {Array} files - Candidate benchmark files
+ */
+function addFiles(files) {
+    if (!Array.isArray(files)) return;
+    for (const file of files) {
+        if (validateBenchmarkData(file).valid) {
+            _files.set(toProfileId(file.benchmarkMetadata.name), file);
+        }
+    }
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Returns the imported benchmark profiles.
+ *
+ * @returns {Object<string, Object>} Profiles keyed by id ('custom-...')
+ */
+export function getCustomBenchmarkProfiles() {
+    return Object.fromEntries([...getStore()].map(([id, file]) => [id, getProfile(file)]));
+}
+
+/**
+ * Looks up one imported benchmark profile.
+ *
+ * @param {string} profileId - 'custom-...' key
+ * @returns {Object|null} Benchmark profile, or null if not imported
+ */
+export function getCustomBenchmarkProfile(profileId) {
+    const file = getStore().get(profileId);
+    return file ? getProfile(file) : null;
+}
+
+/**
+ * Validates and stores a benchmark file. A file with the same name replaces
+ * the earlier import.
+ *
+ * @param {Object} data - Parsed benchmark JSON
+ * @returns {string} Profile id of the import
+ * @throws {Error} With every validation error, if the file is invalid
+ */
+export function addCustomBenchmark(data) {
+    const validation = validateBenchmarkData(data);
+    if (!validation.valid) {
+        throw new Error(validation.errors.join('; '));
+    }
+    const id = toProfileId(data.benchmarkMetadata.name);
+    getStore().set(id, structuredClone(data));
+    persist();
+    return id;
+}
+
+/**
+ * Removes an imported benchmark and persists the store.
+ *
+ * @param {string} profileId - 'custom-...' key
+ * @returns {boolean} True if a benchmark was removed
+ */
+export function removeCustomBenchmark(profileId) {
+    const removed = getStore().delete(profileId);
+    if (removed) persist();
+    return removed;
+}
+
+/**
+ * Replaces all imported benchmarks (no persistence). Intended for tests and resets.
+ *
+ * @param {Array<Object>} files - Benchmark files
+ * @returns {void}
+ */
+export function setCustomBenchmarks(files) {
+    _files = new Map();
+    addFiles(files);
+}
+
+// ========================================
+// MARKET TAB CONTROLS
+// ========================================
+
+/**
+ * Binds the Market tab's benchmark import and remove buttons.
+ *
+ * @param {Object} deps - Dependencies to inject
+ * @param {Function} deps.getSelectedProfile - Returns the selected benchmark profile id
+ * @param {Function} deps.renderOptions - Re-renders the benchmark selector
+ * @param {Function} deps.selectProfile - Selects a benchmark profile (view.js setBenchmarkProfile)
+ */
+export function initCustomBenchmarkControls({ getSelectedProfile, renderOptions, selectProfile }) {
+    const importBtn = document.getElementById('benchmarkImportBtn');
+    const fileInput = document.getElementById('benchmarkFileInput');
+    const removeBtn = document.getElementById('benchmarkRemoveBtn');
+    if (!importBtn || !fileInput || !removeBtn) return;
+
+    importBtn.addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        try {
+            let parsed;
+            try {
+                parsed = JSON.parse(await file.text());
+            } catch (err) {
+                throw new Error(`Invalid JSON: ${err.message}`);
+            }
+            const id = addCustomBenchmark(parsed);
+            renderOptions();
+            selectProfile(id);
+            showUserMessage(`Imported benchmark "${parsed.benchmarkMetadata.name.trim()}"`, 'success');
+        } catch (err) {
+            showUserMessage('Error importing benchmark: ' + err.message, 'error');
+        } finally {
+            fileInput.value = '';  // Allow re-importing the same file
+        }
+    });
+
+    removeBtn.addEventListener('click', () => {
+        if (removeCustomBenchmark(getSelectedProfile())) {
+            renderOptions();
+            selectProfile(CONSTANTS.DEFAULT_BENCHMARK_PROFILE);
+        }
+    });
+}
@@ -11,9 +11,22 @@ import {
     getStartingSalary,
     calculateYearsOfService,
     calculateCAGR,
+    calculateRealCAGR,
+    getStartingComp,
+    getCurrentComp,
+    hasCompComponents,
     formatDateSummary,
-    calculateAverageMonthsBetweenDates
+    calculateAverageMonthsBetweenDates,
+    isHourlyRecord,
+    formatHourlyRate,
+    hasMultipleEmployers,
+    getEmployerSummaries,
+    getJobChanges,
+    getInternalRaises
 } from './calculations.js';
+import { getReasonCategory } from './reasons.js';
+import { escapeHTML } from './security.js';
+import { syncCompBasisControls, updateEarningsCard, renderRealBaseYearOptions } from './view.js';
 
 // ========================================
 // MODULE STATE (injected via init)
@@ -132,6 +145,7 @@ export function resetDashboard() {
     _charts.main = null;
     _charts.yoy = null;
     _charts.projection = null;
+    _charts.percentile = null;
 
     // Reset lazy rendering tracker (#181)
     _resetRenderedTabs();
@@ -152,7 +166,8 @@ export function resetDashboard() {
     // Close import modal if open
     const importModal = document.getElementById('importModal');
     if (importModal) {
-        importModal.classList.remove('visible');
+        importModal.classList.remove('visible', 'reviewing');
+        document.getElementById('reviewStep')?.classList.add('hidden');
         document.body.style.overflow = '';
     }
 
@@ -176,8 +191,10 @@ export function resetDashboard() {
  * Initializes the main dashboard with KPI cards and summary statistics.
  *
  * Calculates and displays current salary, total growth percentage, tenure,
- * adjustment count, CAGR, and real (inflation-adjusted) growth. Populates
+ * adjustment count, lifetime earnings, CAGR, and real (inflation-adjusted) growth. Populates
  * the Home tab KPI cards. Called after parsing data or loading demo.
+ * The Base/Total switch is shown only when the data has compensation
+ * components; otherwise metrics fall back to base salary.
  *
  * @returns {void}
  */
@@ -185,8 +202,13 @@ export function initDashboard() {
     const employeeData = _getEmployeeData();
     if (!employeeData) return;
 
-    const current = getCurrentSalary(employeeData);
-    const start = getStartingSalary(employeeData);
+    const hasComponents = hasCompComponents(employeeData);
+    if (!hasComponents) _state.compBasis = 'base';
+    document.getElementById('compBasisSwitcher')?.classList.toggle('hidden', !hasComponents);
+    syncCompBasisControls();
+
+    const current = getCurrentComp(employeeData, _state.compBasis);
+    const start = getStartingComp(employeeData, _state.compBasis);
     const growth = ((current - start) / start) * 100;
     const years = calculateYearsOfService(employeeData);
 
@@ -195,15 +217,22 @@ export function initDashboard() {
     const adjustmentCount = adjustments.length;
 
     document.getElementById('currentSalary').textContent = _formatCurrency(current);
-    document.getElementById('currentSalaryIndexed').textContent = `Index: ${_formatCurrency(current, false)}`;
+    // Hourly employees also see their current rate next to the annualized figure
+    const currentRecord = employeeData.records[0];
+    const rateSuffix = _state.compBasis === 'base' && isHourlyRecord(currentRecord)
+        ? ` · ${formatHourlyRate(currentRecord.hourlyRate)}`
+        : '';
+    document.getElementById('currentSalaryIndexed').textContent = `Index: ${_formatCurrency(current, false)}${rateSuffix}`;
     document.getElementById('totalGrowth').textContent = `+${growth.toFixed(0)}%`;
     document.getElementById('yearsService').textContent = years.toFixed(1);
     document.getElementById('hireDateText').textContent = `Since ${formatDateSummary(employeeData.hireDate)}`;
     document.getElementById('totalRaises').textContent = adjustmentCount;
     document.getElementById('avgRaisesPerYear').textContent = `Avg: ${(adjustmentCount / years).toFixed(1)} per year`;
+    updateEarningsCard();
 
     // Only render Home tab content immediately (#181)
     // Story, History, Market, Analytics, Projections are lazy-loaded on first tab visit
+    renderRealBaseYearOptions();
     _buildMainChart();
     updateAnalytics();
 }
@@ -216,15 +245,21 @@ export function initDashboard() {
  * Updates the analytics tab with calculated statistics.
  *
  * Computes and displays:
- * - CAGR
+ * - CAGR (nominal and real)
  * - Average/median/largest raise percentages
  * - Average time between raises
- * - Merit increase count and percentage
+ * - Merit increase count and percentage (any reason in the merit category)
+ * - Per-employer breakdown for multi-employer careers
+ *
+ * Raise statistics cover internal raises only; raises for changing
+ * employers are shown in the per-employer breakdown.
  */
 export function updateAnalytics() {
     const employeeData = _getEmployeeData();
     if (!employeeData) return;
 
+    renderEmployerBreakdown(employeeData);
+
     const records = employeeData.records;
     const startingSalary = getStartingSalary(employeeData);
 
@@ -234,7 +269,7 @@ export function updateAnalytics() {
     // Guard against no adjustments (shouldn't happen, but be safe)
     if (adjustments.length === 0) return;
 
-    const raises = records.filter(r => r.changePercent > 0);
+    const raises = getInternalRaises(employeeData);
     if (raises.length === 0) return;
 
     const avgRaisePercent = raises.reduce((sum, r) => sum + r.changePercent, 0) / raises.length;
@@ -243,12 +278,17 @@ export function updateAnalytics() {
     const largestRaise = Math.max(...raises.map(r => r.changePercent));
     const largestRaiseRecord = raises.find(r => r.changePercent === largestRaise);
 
-    const meritCount = adjustments.filter(r => r.reason.includes('Merit')).length;
+    const meritCount = adjustments.filter(r => getReasonCategory(r.reason) === 'merit').length;
 
     // Use adjustments (excludes New Hire) for time between raises
     const avgMonths = calculateAverageMonthsBetweenDates(adjustments);
 
-    document.getElementById('cagr').textContent = _formatPercent(calculateCAGR(employeeData));
+    const cagr = calculateCAGR(employeeData, _state.compBasis);
+    const realCagr = calculateRealCAGR(employeeData, _state.compBasis);
+    document.getElementById('cagr').textContent = _formatPercent(cagr);
+    // Annual inflation implied by the gap between nominal and real CAGR
+    const annualInflation = ((1 + cagr / 100) / (1 + realCagr / 100) - 1) * 100;
+    document.getElementById('realCagr').textContent = `Real: ${_formatPercent(realCagr)} after ${_formatPercent(annualInflation)}/yr inflation`;
     document.getElementById('avgRaise').textContent = _formatPercent(avgRaisePercent);
 
     const avgRaiseDollar = (avgRaisePercent / 100) * getCurrentSalary(employeeData);
@@ -275,3 +315,41 @@ export function updateAnalytics() {
     document.getElementById('meritCount').textContent = meritCount;
     document.getElementById('meritPercent').textContent = `${((meritCount / adjustments.length) * 100).toFixed(1)}% of all adjustments`;
 }
+
+/**
+ * Renders the "Career by Employer" section: CAGR, internal raises and the
+ * job-change raise at each employer, plus whole-career CAGR. Hidden for
+ * single-employer data.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ */
+function renderEmployerBreakdown(employeeData) {
+    const section = document.getElementById('employerSection');
+    if (!section) return;
+    const show = hasMultipleEmployers(employeeData);
+    section.classList.toggle('hidden', !show);
+    if (!show) return;
+
+    const summaries = getEmployerSummaries(employeeData);
+    document.getElementById('employerTableBody').innerHTML = summaries.map((s, i) => `
+        <tr>
+            <td>${escapeHTML(s.name)}</td>
+            <td>${formatDateSummary(s.hireDate)} – ${i === summaries.length - 1 ? 'Present' : formatDateSummary(s.endDate)} (${s.years.toFixed(1)} yrs)</td>
+            <td>${_formatCurrency(s.startSalary)}</td>
+            <td>${_formatCurrency(s.endSalary)}</td>
+            <td>${_formatPercent(s.cagr)}</td>
+            <td>${s.internalRaises}</td>
+            <td>${s.jobChangeRaise === null ? '—' : `${s.jobChangeRaise >= 0 ? '+' : ''}${_formatPercent(s.jobChangeRaise)}`}</td>
+        </tr>
+    `).join('');
+
+    const jobChanges = getJobChanges(employeeData);
+    const internal = getInternalRaises(employeeData);
+    const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const internalText = internal.length > 0
+        ? ` vs ${_formatPercent(average(internal.map(r => r.changePercent)))} for internal raises`
+        : '';
+    document.getElementById('employerSummary').textContent =
+        `Whole career: ${_formatPercent(calculateCAGR(employeeData))} CAGR across ${summaries.length} employers. ` +
+        `Job changes averaged ${_formatPercent(average(jobChanges.map(c => c.changePercent)))}${internalText}.`;
+}
@@ -5,6 +5,7 @@
  */
 
 import { showUserMessage } from './notifications.js';
+import { withoutCacheFields } from './memo.js';
 
 // ========================================
 // MODULE STATE (injected dependencies)
@@ -51,7 +52,7 @@ export function saveBackup() {
 
     try {
         const backup = {
-            data: employeeData,
+            data: withoutCacheFields(employeeData),
             timestamp: Date.now(),
             version: 1
         };
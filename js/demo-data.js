@@ -184,6 +184,7 @@ export async function cycleNextScenario() {
     _charts.main = null;
     _charts.yoy = null;
     _charts.projection = null;
+    _charts.percentile = null;
 
     // Load the new scenario
     await loadDemoData(_state.currentScenarioIndex);
@@ -0,0 +1,129 @@
+// ========================================
+// EMPLOYERS MODULE
+// ========================================
+// Combines compensation histories from several employers into one career,
+// stored as `employeeData.employers = [{ name, hireDate }]` next to a single
+// merged record list. getEmployerSegments() in calculations.js assigns the
+// records to employers; this module merges new histories in and validates
+// the `employers` list.
+
+import { getEmployers, getJobChanges } from './calculations.js';
+import { hasEquity } from './equity.js';
+import { deriveRecordChange } from './parser.js';
+import { withoutCacheFields } from './memo.js';
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_EMPLOYER_NAME_LENGTH = 100;
+
+// ========================================
+// MERGING
+// ========================================
+
+/**
+ * Adds another employer's history to a career.
+ *
+ * Records are merged newest first. The first record at each employer after
+ * the earliest is re-derived against the last salary at the previous one, so
+ * its changePercent is the job-change raise. Histories can be added in any
+ * order, but one employer's records may not fall inside another's tenure.
+ * Bonuses, other components and pay bands from both histories are kept;
+ * equity grants can only come from one of them (share prices are per company).
+ *
+ * @param {Object} career - Loaded employee data (one or more employers)
+ * @param {Object} history - Reviewed data from the employer being added
+ * @param {string} name - Employer of `history`
+ * @param {string} [careerName='Previous employer'] - Employer of `career`, used
+ *   when it doesn't have an `employers` list yet
+ * @returns {Object} New employee data with an `employers` list
+ * @throws {Error} If a name is invalid, the histories overlap, or both have equity grants
+ *
+ * @example
+ * const merged = addEmployerHistory(employeeData, reviewed, 'Globex', 'Acme');
+ * merged.employers; // [{ name: 'Acme', hireDate: '2019-06-03' }, { name: 'Globex', hireDate: '2023-02-13' }]
+ */
+export function addEmployerHistory(career, history, name, careerName = 'Previous employer') {
+    const known = getEmployers(career);
+    const added = { name: String(name ?? '').trim(), hireDate: history.hireDate };
+    const employers = [
+        ...(known.length > 0 ? known : [{ name: String(careerName ?? '').trim(), hireDate: career.hireDate }]),
+        added
+    ].sort((a, b) => a.hireDate.localeCompare(b.hireDate));
+
+    const errors = getEmployerErrors(employers);
+    if (errors.length > 0) throw new Error(errors[0]);
+
+    const next = employers[employers.indexOf(added) + 1];
+    const overlaps = career.records.some(r => r.date >= added.hireDate && (!next || r.date < next.hireDate)) ||
+        (next && history.records.some(r => r.date >= next.hireDate));
+    if (overlaps) {
+        throw new Error(`Records for ${added.name} overlap the loaded history`);
+    }
+
+    if (hasEquity(career) && hasEquity(history)) {
+        throw new Error('Equity grants can only be tracked for one employer');
+    }
+
+    // Fresh copies, minus cache fields carried over from older saves
+    const base = withoutCacheFields(career);
+    const records = [...career.records, ...history.records]
+        .map(r => ({ ...r }))
+        .sort((a, b) => b.date.localeCompare(a.date));
+    const merged = {
+        ...base,
+        hireDate: employers[0].hireDate,
+        currentDate: history.currentDate > career.currentDate ? history.currentDate : career.currentDate,
+        records,
+        employers
+    };
+
+    const components = [...(career.components || []), ...(history.components || [])];
+    if (components.length > 0) merged.components = components;
+    const equity = hasEquity(history) ? history.equity : career.equity;
+    if (equity) merged.equity = equity;
+    const bands = [...(career.bands || []), ...(history.bands || [])];
+    if (bands.length > 0) merged.bands = bands;
+
+    getJobChanges(merged).forEach(({ record }) => deriveRecordChange(record, records[records.indexOf(record) + 1]));
+    return merged;
+}
+
+// ========================================
+// VALIDATION
+// ========================================
+
+/**
+ * Validates an `employers` list (JSON import, adding an employer).
+ *
+ * @param {Array<Object>} employers - [{ name, hireDate }]
+ * @param {string} [hireDate] - Career hire date; the earliest employer must start on it
+ * @returns {Array<string>} Error messages ("Employer N: ..."), empty if valid
+ */
+export function getEmployerErrors(employers, hireDate) {
+    if (!Array.isArray(employers)) {
+        return ['"employers" must be an array'];
+    }
+
+    const errors = [];
+    const seen = new Set();
+    employers.forEach((employer, index) => {
+        const prefix = `Employer ${index + 1}`;
+        const name = typeof employer?.name === 'string' ? employer.name.trim() : '';
+
+        if (name === '' || name.length > MAX_EMPLOYER_NAME_LENGTH) {
+            errors.push(`${prefix}: name must be 1 to ${MAX_EMPLOYER_NAME_LENGTH} characters`);
+        }
+        if (!DATE_REGEX.test(employer?.hireDate ?? '')) {
+            errors.push(`${prefix}: hireDate must be YYYY-MM-DD`);
+        } else if (seen.has(employer.hireDate)) {
+            errors.push(`${prefix}: another employer starts on ${employer.hireDate}`);
+        } else {
+            seen.add(employer.hireDate);
+        }
+    });
+
+    if (errors.length === 0 && hireDate && seen.size > 0 && [...seen].sort()[0] !== hireDate) {
+        errors.push('The earliest employer must start on "hireDate"');
+    }
+
+    return errors;
+}
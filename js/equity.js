@@ -0,0 +1,236 @@
+// ========================================
+// EQUITY VESTING MODULE
+// ========================================
+// RSU / stock grants with a vesting schedule plus a share price history,
+// stored as `employeeData.equity = { grants, prices }` next to the base-rate
+// records. Each vest is valued at the share price on its vest date; the main
+// chart stacks the trailing 12 months of vested value on base salary and the
+// History table shows what vested while each pay rate was in effect.
+
+import { CONSTANTS, VESTING_SCHEDULES } from './constants.js';
+import { shiftIsoDateByMonths } from './calculations.js';
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_VESTING_MONTHS = 120;
+
+// ========================================
+// DATA ACCESS
+// ========================================
+
+/**
+ * Returns the equity grants recorded for an employee.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {Array<Object>} Grants (may be empty)
+ */
+export function getEquityGrants(employeeData) {
+    return Array.isArray(employeeData?.equity?.grants) ? employeeData.equity.grants : [];
+}
+
+/**
+ * Checks whether any equity grants were recorded.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {boolean} True if vested equity can be shown
+ */
+export function hasEquity(employeeData) {
+    return getEquityGrants(employeeData).length > 0;
+}
+
+/**
+ * Returns the share price in effect on a date: the latest price on or before
+ * it, or the earliest known price for dates before the history starts.
+ *
+ * @param {Array<{date: string, price: number}>} prices - Share price history (any order)
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} Price per share, or 0 if no prices are known
+ */
+export function getSharePriceAt(prices, date) {
+    if (!Array.isArray(prices) || prices.length === 0) return 0;
+    const sorted = [...prices].sort((a, b) => a.date.localeCompare(b.date));
+    const known = sorted.filter(p => p.date <= date);
+    return (known.length > 0 ? known[known.length - 1] : sorted[0]).price;
+}
+
+// ========================================
+// VESTING SCHEDULES
+// ========================================
+
+/**
+ * Expands a grant into its vest events.
+ *
+ * - `cliff`: everything vests `vestingMonths` after the grant date
+ * - `monthly` / `quarterly`: shares vest every 1 / 3 months over `vestingMonths`;
+ *   with `cliffMonths`, nothing vests before the cliff and the cliff date
+ *   catches up on everything accrued so far
+ *
+ * Cumulative vested shares are rounded down so each event is a whole number
+ * of shares; the final event vests the remainder.
+ *
+ * @param {Object} grant - { grantDate, shares, schedule, vestingMonths, cliffMonths? }
+ * @returns {Array<{date: string, shares: number}>} Vest events, oldest first
+ *
+ * @example
+ * // 4,800 shares, 4-year monthly vesting with a 1-year cliff
+ * getVestingEvents({ grantDate: '2022-03-01', shares: 4800, schedule: 'monthly', vestingMonths: 48, cliffMonths: 12 });
+ * // [{ date: '2023-03-01', shares: 1200 }, { date: '2023-04-01', shares: 100 }, ...]
+ */
+export function getVestingEvents(grant) {
+    const total = grant.vestingMonths;
+    if (grant.schedule === 'cliff') {
+        return [{ date: shiftIsoDateByMonths(grant.grantDate, total), shares: grant.shares }];
+    }
+
+    const step = grant.schedule === 'quarterly' ? 3 : 1;
+    const cliff = Math.min(grant.cliffMonths || 0, total);
+    const months = new Set(cliff > 0 ? [cliff] : []);
+    for (let m = step; m < total; m += step) {
+        if (m >= cliff) months.add(m);
+    }
+    months.add(total);
+
+    const events = [];
+    let vested = 0;
+    [...months].sort((a, b) => a - b).forEach(month => {
+        const cumulative = month === total ? grant.shares : Math.floor((grant.shares * month) / total);
+        if (cumulative > vested) {
+            events.push({ date: shiftIsoDateByMonths(grant.grantDate, month), shares: cumulative - vested });
+            vested = cumulative;
+        }
+    });
+    return events;
+}
+
+/**
+ * Returns every vest event across all grants, valued at the share price on
+ * the vest date.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {Array<{date: string, grantDate: string, shares: number, price: number, value: number}>}
+ *   Vest events, oldest first
+ */
+export function getEquityVestingEvents(employeeData) {
+    const prices = employeeData?.equity?.prices;
+    return getEquityGrants(employeeData)
+        .flatMap(grant => getVestingEvents(grant).map(event => {
+            const price = getSharePriceAt(prices, event.date);
+            return { ...event, grantDate: grant.grantDate, price, value: event.shares * price };
+        }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Returns the last date vested equity is reported through: the later of the
+ * last base record and the latest share price (vests after that have no known
+ * price yet).
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {string} YYYY-MM-DD
+ */
+export function getEquityEndDate(employeeData) {
+    const prices = Array.isArray(employeeData?.equity?.prices) ? employeeData.equity.prices : [];
+    return prices.reduce((latest, p) => (p.date > latest ? p.date : latest), employeeData.currentDate);
+}
+
+// ========================================
+// VESTED VALUE
+// ========================================
+
+/**
+ * Returns the value vested in the trailing CONSTANTS.TOTAL_COMP_WINDOW_MONTHS
+ * (window end inclusive, start exclusive), comparable to an annual salary.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} Vested value in dollars
+ */
+export function getTrailingVestedValue(employeeData, date) {
+    const windowStart = shiftIsoDateByMonths(date, -CONSTANTS.TOTAL_COMP_WINDOW_MONTHS);
+    return getEquityVestingEvents(employeeData)
+        .filter(e => e.date > windowStart && e.date <= date)
+        .reduce((sum, e) => sum + e.value, 0);
+}
+
+/**
+ * Returns what vested while each record's pay rate was in effect: from the
+ * record's date up to (not including) the next record, and through
+ * getEquityEndDate() for the current record.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {Array<{shares: number, value: number}>} One entry per record, same order (newest first)
+ */
+export function getVestedValueByRecord(employeeData) {
+    const events = getEquityVestingEvents(employeeData);
+    const endDate = getEquityEndDate(employeeData);
+
+    return employeeData.records.map((record, i) => {
+        const next = employeeData.records[i - 1];
+        const inPeriod = events.filter(e =>
+            e.date >= record.date && (next ? e.date < next.date : e.date <= endDate)
+        );
+        return {
+            shares: inPeriod.reduce((sum, e) => sum + e.shares, 0),
+            value: inPeriod.reduce((sum, e) => sum + e.value, 0)
+        };
+    });
+}
+
+// ========================================
+// VALIDATION
+// ========================================
+
+/**
+ * Validates an `equity` block (JSON import, review grid).
+ *
+ * @param {Object} equity - { grants, prices }
+ * @returns {Array<string>} Error messages ("Grant N: ..." / "Share price N: ..."), empty if valid
+ */
+export function getEquityErrors(equity) {
+    if (!equity || typeof equity !== 'object' || Array.isArray(equity)) {
+        return ['"equity" must be an object with "grants" and "prices" arrays'];
+    }
+
+    const errors = [];
+    const grants = equity.grants ?? [];
+    const prices = equity.prices ?? [];
+    if (!Array.isArray(grants)) errors.push('"equity.grants" must be an array');
+    if (!Array.isArray(prices)) errors.push('"equity.prices" must be an array');
+    if (errors.length > 0) return errors;
+
+    grants.forEach((grant, index) => {
+        const prefix = `Grant ${index + 1}`;
+
+        if (!DATE_REGEX.test(grant?.grantDate ?? '')) {
+            errors.push(`${prefix}: grantDate must be YYYY-MM-DD`);
+        }
+        if (typeof grant?.shares !== 'number' || !(grant.shares > 0) || !Number.isFinite(grant.shares)) {
+            errors.push(`${prefix}: shares must be a positive number`);
+        }
+        if (!Object.hasOwn(VESTING_SCHEDULES, grant?.schedule)) {
+            errors.push(`${prefix}: schedule must be one of ${Object.keys(VESTING_SCHEDULES).join(', ')}`);
+        }
+        if (!Number.isInteger(grant?.vestingMonths) || grant.vestingMonths < 1 || grant.vestingMonths > MAX_VESTING_MONTHS) {
+            errors.push(`${prefix}: vestingMonths must be a whole number from 1 to ${MAX_VESTING_MONTHS}`);
+        } else if (grant.cliffMonths !== undefined && grant.cliffMonths !== null &&
+            !(Number.isInteger(grant.cliffMonths) && grant.cliffMonths >= 0 && grant.cliffMonths <= grant.vestingMonths)) {
+            errors.push(`${prefix}: cliffMonths must be a whole number from 0 to vestingMonths`);
+        }
+    });
+
+    prices.forEach((entry, index) => {
+        const prefix = `Share price ${index + 1}`;
+
+        if (!DATE_REGEX.test(entry?.date ?? '')) {
+            errors.push(`${prefix}: date must be YYYY-MM-DD`);
+        }
+        if (typeof entry?.price !== 'number' || !(entry.price > 0) || !Number.isFinite(entry.price)) {
+            errors.push(`${prefix}: price must be a positive number`);
+        }
+    });
+
+    if (grants.length > 0 && prices.length === 0) {
+        errors.push('Equity grants need at least one share price');
+    }
+
+    return errors;
+}
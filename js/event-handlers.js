@@ -16,6 +16,12 @@ let _deps = {};
  * @param {Function} deps.setDomCache - Function to set domCache in app.js
  * @param {Function} deps.setTheme - Theme setter from theme.js
  * @param {Function} deps.setViewMode - View mode setter from view.js
+ * @param {Function} deps.setBenchmarkProfile - Benchmark profile setter from view.js
+ * @param {Function} deps.setRealBaseYear - Real-salary base year setter from view.js
+ * @param {Function} deps.setCompBasis - Base/total compensation setter from view.js
+ * @param {Function} deps.setShowNetPay - Take-home pay toggle from view.js
+ * @param {Function} deps.setFilingStatus - Take-home filing status setter from view.js
+ * @param {Function} deps.setStateTaxRate - Take-home state tax rate setter from view.js
  * @param {Function} deps.setTab - Tab navigation from navigation.js
  * @param {Function} deps.loadDemoData - Demo data loader from demo-data.js
  * @param {Function} deps.cycleNextScenario - Demo scenario cycler from demo-data.js
@@ -27,12 +33,16 @@ let _deps = {};
  * @param {Function} deps.restoreFromBackup - Backup restorer from data-persistence.js
  * @param {Function} deps.parseAndGenerate - Main parse function from app.js
  * @param {Function} deps.validatePasteInput - Input validator from app.js
+ * @param {Function} deps.handlePaste - Paste handler that keeps copied HTML tables (validation.js)
  * @param {Function} deps.resetDashboard - Dashboard resetter from app.js
  * @param {Function} deps.setChartType - Main chart type setter from app.js
  * @param {Function} deps.setYoyChartType - YoY chart type setter from app.js
  * @param {Function} deps.setProjectionYears - Projection years setter from app.js
  * @param {Function} deps.setProjectionView - Projection view setter from app.js
+ * @param {Function} deps.setProjectionMode - Projection mode setter (scenarios / Monte Carlo) from projections.js
  * @param {Function} deps.updateCustomRate - Custom rate updater from app.js
+ * @param {Function} deps.updateGoal - Salary goal setter from projections.js
+ * @param {Function} deps.clearGoal - Salary goal reset from projections.js
  * @param {Function} deps.debounce - Debounce utility from app.js
  */
 export function initEventHandlers(deps) {
@@ -167,7 +177,9 @@ function setupImportModal() {
 
     function closeImportModal() {
         if (importModal) {
-            importModal.classList.remove('visible');
+            // Also leave the record review step so reopening starts at the paste step
+            importModal.classList.remove('visible', 'reviewing');
+            document.getElementById('reviewStep')?.classList.add('hidden');
             document.body.style.overflow = '';
 
             // Reset legal consent checkbox when closing modal
@@ -250,7 +262,7 @@ function setupDemoControls(closeImportModal) {
 }
 
 /**
- * Set up dashboard controls: view/theme buttons, save/start over, backup, footer link, tabs
+ * Set up dashboard controls: view/theme/comp-basis buttons, save/start over, backup, footer link, tabs
  */
 function setupDashboardControls() {
     // Dashboard view mode buttons
@@ -258,11 +270,42 @@ function setupDashboardControls() {
         btn.addEventListener('click', () => _deps.setViewMode(btn.dataset.view));
     });
 
+    // Base salary / total compensation switch (shown when the data has bonuses etc.)
+    document.querySelectorAll('.comp-basis-btn').forEach(btn => {
+        btn.addEventListener('click', () => _deps.setCompBasis(btn.dataset.basis));
+    });
+
     // Dashboard theme buttons
     document.querySelectorAll('.theme-btn').forEach(btn => {
         btn.addEventListener('click', () => _deps.setTheme(btn.dataset.theme));
     });
 
+    // Market tab benchmark profile selector
+    const benchmarkProfileSelect = document.getElementById('benchmarkProfileSelect');
+    if (benchmarkProfileSelect) {
+        benchmarkProfileSelect.addEventListener('change', () => _deps.setBenchmarkProfile(benchmarkProfileSelect.value));
+    }
+
+    // Main chart real-dollars base year selector
+    const realBaseYearSelect = document.getElementById('realBaseYearSelect');
+    if (realBaseYearSelect) {
+        realBaseYearSelect.addEventListener('change', () => _deps.setRealBaseYear(realBaseYearSelect.value));
+    }
+
+    // Main chart take-home pay toggle and tax settings
+    const netPayToggle = document.getElementById('netPayToggle');
+    if (netPayToggle) {
+        netPayToggle.addEventListener('change', () => _deps.setShowNetPay(netPayToggle.checked));
+    }
+    const filingStatusSelect = document.getElementById('filingStatusSelect');
+    if (filingStatusSelect) {
+        filingStatusSelect.addEventListener('change', () => _deps.setFilingStatus(filingStatusSelect.value));
+    }
+    const stateTaxRateInput = document.getElementById('stateTaxRateInput');
+    if (stateTaxRateInput) {
+        stateTaxRateInput.addEventListener('change', () => _deps.setStateTaxRate(stateTaxRateInput.value));
+    }
+
     // Save data button - async for lazy-loaded I/O module (#180)
     const btnSaveData = document.querySelector('.btn-save-data');
     if (btnSaveData) {
@@ -326,7 +369,7 @@ function setupDashboardControls() {
 }
 
 /**
- * Set up chart controls: main chart types, YoY types, projection years/view/slider
+ * Set up chart controls: main chart types, YoY types, projection years/view/mode/slider/goal
  */
 function setupChartControls() {
     // Custom rate slider
@@ -340,7 +383,7 @@ function setupChartControls() {
     // Main chart type buttons
     document.querySelectorAll('.chart-type-btn[data-chart]').forEach(btn => {
         const chartType = btn.dataset.chart;
-        if (chartType && ['line', 'area', 'bar', 'step'].includes(chartType)) {
+        if (chartType && ['line', 'area', 'bar', 'step', 'cumulative'].includes(chartType)) {
             btn.addEventListener('click', () => _deps.setChartType(chartType));
         } else if (chartType && ['yoy-bar', 'yoy-line'].includes(chartType)) {
             btn.addEventListener('click', () => _deps.setYoyChartType(chartType.replace('yoy-', '')));
@@ -356,6 +399,17 @@ function setupChartControls() {
     document.querySelectorAll('.chart-type-btn[data-view]').forEach(btn => {
         btn.addEventListener('click', () => _deps.setProjectionView(btn.dataset.view));
     });
+
+    // Projection mode buttons (fixed-rate scenarios / Monte Carlo)
+    document.querySelectorAll('.chart-type-btn[data-projection-mode]').forEach(btn => {
+        btn.addEventListener('click', () => _deps.setProjectionMode(btn.dataset.projectionMode));
+    });
+
+    // Salary goal inputs
+    ['goalSalaryInput', 'goalDateInput'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', _deps.updateGoal);
+    });
+    document.getElementById('goalClearBtn')?.addEventListener('click', _deps.clearGoal);
 }
 
 /**
@@ -367,6 +421,8 @@ function setupInputValidation() {
     const pasteInput = document.getElementById('pasteInput');
     if (pasteInput) {
         const debouncedValidation = _deps.debounce(_deps.validatePasteInput, 300);
+        // Runs before the input event, so validation sees the copied table
+        pasteInput.addEventListener('paste', _deps.handlePaste);
         pasteInput.addEventListener('input', debouncedValidation);
     }
 
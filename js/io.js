@@ -2,10 +2,16 @@
 // FILE I/O MODULE
 // ========================================
 
-import { VALID_REASONS } from './constants.js';
+import { getValidReasons, getCustomReasons, mergeCustomReasons, checkCustomReasons } from './reasons.js';
 import { showUserMessage } from './notifications.js';
 import { validateSalaryRange } from './parser.js';
+import { detectPayFrequency, formatPayFrequency } from './calculations.js';
+import { PAY_FREQUENCIES, COMPENSATION_COMPONENTS } from './constants.js';
+import { getEquityErrors } from './equity.js';
+import { getEmployerErrors } from './employers.js';
+import { getBandErrors } from './bands.js';
 import { encryptData, decryptData, isEncrypted, isCryptoSupported, CryptoError } from './crypto.js';
+import { withoutCacheFields } from './memo.js';
 
 // ========================================
 // MODULE STATE (injected via initIO)
@@ -48,6 +54,15 @@ export function initIO({ getEmployeeData, setEmployeeData, showDashboard, update
  * - Invalid field types causing calculation errors
  * - Unrealistic salary values from corrupted data
  *
+ * Reasons must be built-in, user-defined, or declared in the file's own
+ * `customReasons` array (exports carry the custom reasons they use), whose
+ * entries are checked with "Custom reason N: ..." messages.
+ * The optional `components` array (bonuses, 401(k) match, ...) is checked
+ * entry by entry with "Component N: ..." messages, the optional `equity`
+ * block with "Grant N: ..." / "Share price N: ..." messages, the optional
+ * `bands` list with "Band N: ..." messages, and the optional `employers`
+ * list with "Employer N: ..." messages.
+ *
  * @param {Object} data - Parsed JSON data to validate
  * @returns {{ valid: boolean, errors: string[] }} Validation result
  *
@@ -83,6 +98,12 @@ export function validateImportedData(data) {
 
     // Per-record validation
     const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    const validReasons = getValidReasons();
+    if (data.customReasons !== undefined) {
+        const custom = checkCustomReasons(data.customReasons);
+        validReasons.push(...custom.names);
+        errors.push(...custom.errors);
+    }
 
     data.records.forEach((record, index) => {
         const prefix = `Record ${index + 1}`;
@@ -96,8 +117,8 @@ export function validateImportedData(data) {
 
         if (!record.reason) {
             errors.push(`${prefix}: missing "reason"`);
-        } else if (!VALID_REASONS.includes(record.reason)) {
-            errors.push(`${prefix}: invalid reason "${record.reason}". Valid: ${VALID_REASONS.join(', ')}`);
+        } else if (!validReasons.includes(record.reason)) {
+            errors.push(`${prefix}: invalid reason "${record.reason}". Valid: ${validReasons.join(', ')}`);
         }
 
         if (record.annual === undefined || record.annual === null) {
@@ -125,8 +146,64 @@ export function validateImportedData(data) {
                 errors.push(`${prefix}: ${e.message}`);
             }
         }
+
+        // payType is optional (older exports predate hourly support)
+        if (record.payType !== undefined && !['hourly', 'salary'].includes(record.payType)) {
+            errors.push(`${prefix}: payType must be "hourly" or "salary"`);
+        } else if (record.payType === 'hourly' && !(typeof record.hourlyRate === 'number' && record.hourlyRate > 0)) {
+            errors.push(`${prefix}: hourly records need a positive "hourlyRate"`);
+        }
+
+        // payFrequency is optional too; when known, perCheck must match annual at that frequency
+        if (record.payFrequency !== undefined && record.payFrequency !== 'unknown' && !PAY_FREQUENCIES[record.payFrequency]) {
+            errors.push(`${prefix}: payFrequency must be one of ${[...Object.keys(PAY_FREQUENCIES), 'unknown'].join(', ')}`);
+        } else if (PAY_FREQUENCIES[record.payFrequency] && record.perCheck > 0 && record.annual > 0 &&
+            detectPayFrequency(record.annual, record.perCheck) !== record.payFrequency) {
+            errors.push(`${prefix}: perCheck doesn't match annual salary for ${formatPayFrequency(record.payFrequency)} pay`);
+        }
     });
 
+    if (data.components !== undefined) {
+        if (!Array.isArray(data.components)) {
+            errors.push('"components" must be an array');
+        } else {
+            data.components.forEach((component, index) => {
+                const prefix = `Component ${index + 1}`;
+
+                if (!component?.date || !dateRegex.test(component.date)) {
+                    errors.push(`${prefix}: date must be YYYY-MM-DD`);
+                }
+
+                if (!Object.hasOwn(COMPENSATION_COMPONENTS, component?.type)) {
+                    errors.push(`${prefix}: type must be one of ${Object.keys(COMPENSATION_COMPONENTS).join(', ')}`);
+                }
+
+                if (typeof component?.amount !== 'number' || !(component.amount > 0)) {
+                    errors.push(`${prefix}: amount must be a positive number`);
+                } else {
+                    try {
+                        // One-time payments share the raise range (no floor beyond > 0)
+                        validateSalaryRange(component.amount, 'change');
+                    } catch (e) {
+                        errors.push(`${prefix}: ${e.message}`);
+                    }
+                }
+            });
+        }
+    }
+
+    if (data.equity !== undefined) {
+        errors.push(...getEquityErrors(data.equity));
+    }
+
+    if (data.bands !== undefined) {
+        errors.push(...getBandErrors(data.bands));
+    }
+
+    if (data.employers !== undefined) {
+        errors.push(...getEmployerErrors(data.employers, data.hireDate));
+    }
+
     return { valid: errors.length === 0, errors };
 }
 
@@ -300,6 +377,12 @@ export async function loadJsonFile(event) {
                 throw new Error(validation.errors.join('; '));
             }
 
+            // Files exported with custom reasons carry them along
+            if (parsed.customReasons) {
+                mergeCustomReasons(parsed.customReasons);
+                delete parsed.customReasons;
+            }
+
             _setEmployeeData(parsed);
             parsed.isDemo = false;
             _showDashboard();
@@ -347,7 +430,7 @@ export async function downloadData() {
     if (password) {
         // Encrypt and download
         try {
-            const plaintext = JSON.stringify(employeeData, null, 2);
+            const plaintext = JSON.stringify(buildExportPayload(employeeData), null, 2);
             const encrypted = await encryptData(plaintext, password);
             const dataStr = JSON.stringify(encrypted, null, 2);
             const blob = new Blob([dataStr], { type: 'application/json' });
@@ -371,13 +454,27 @@ export async function downloadData() {
     }
 }
 
+/**
+ * Adds the custom reasons used by the records so the file re-imports
+ * on a browser that doesn't have them defined.
+ *
+ * @param {Object} employeeData - Employee data to export
+ * @returns {Object} Export payload
+ */
+export function buildExportPayload(employeeData) {
+    const used = new Set(employeeData.records.map(r => r.reason));
+    const customReasons = getCustomReasons().filter(r => used.has(r.name));
+    const payload = withoutCacheFields(employeeData);
+    return customReasons.length > 0 ? { ...payload, customReasons } : payload;
+}
+
 /**
  * Downloads employee data as unencrypted JSON.
  * @param {Object} data - Employee data to download
  * @param {string} filename - Download filename
  */
 function downloadPlaintext(data, filename) {
-    const dataStr = JSON.stringify(data, null, 2);
+    const dataStr = JSON.stringify(buildExportPayload(data), null, 2);
     const blob = new Blob([dataStr], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
 
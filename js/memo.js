@@ -0,0 +1,96 @@
+// ========================================
+// MEMO MODULE
+// ========================================
+// Per-dataset memoization for derived metrics (CAGR, benchmark comparisons,
+// earnings). Results live in a WeakMap keyed on the employeeData object rather
+// than on the object itself, so they never reach exports or backups and are
+// garbage-collected with the data. Loading, importing or reviewing data
+// produces a new object, which starts with an empty memo; code that edits a
+// loaded object in place calls markDataChanged() so the next lookup recomputes.
+
+/** employeeData → { version, values: Map<key, result> } */
+let _memo = new WeakMap();
+
+/** employeeData → data version, bumped by markDataChanged() */
+const _versions = new WeakMap();
+
+/** Argument object → id used in memo keys (see objectKey()) */
+const _objectKeys = new WeakMap();
+let _nextObjectKey = 0;
+
+/**
+ * Records that employee data was edited in place, so results memoized for
+ * the previous contents are recomputed on their next lookup.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {void}
+ *
+ * @example
+ * data.records[0].annual = 90000;
+ * markDataChanged(data);
+ */
+export function markDataChanged(employeeData) {
+    _versions.set(employeeData, (_versions.get(employeeData) ?? 0) + 1);
+}
+
+/**
+ * Short stable id for an object argument (e.g. a benchmark profile), for use
+ * in memo keys instead of serializing it. Keyed on identity: a profile edited
+ * in place keeps its id, so pass a new object for new figures.
+ *
+ * @param {Object} object - Argument object
+ * @returns {number} Id, the same for every call with the same object
+ *
+ * @example
+ * memoize(employeeData, `benchmarks-${objectKey(profile)}`, compute);
+ */
+export function objectKey(object) {
+    if (!_objectKeys.has(object)) _objectKeys.set(object, ++_nextObjectKey);
+    return _objectKeys.get(object);
+}
+
+/**
+ * Returns the memoized result for `key`, computing it if the data was marked
+ * changed since it was last cached (or it was never computed).
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @param {string} key - Metric and arguments (e.g. 'cagr-base')
+ * @param {Function} compute - Computes the result on a miss
+ * @returns {*} Cached or fresh result
+ *
+ * @example
+ * return memoize(employeeData, `realCagr-${basis}`, () => computeRealCagr());
+ */
+export function memoize(employeeData, key, compute) {
+    const version = _versions.get(employeeData) ?? 0;
+    let entry = _memo.get(employeeData);
+    if (!entry || entry.version !== version) {
+        entry = { version, values: new Map() };
+        _memo.set(employeeData, entry);
+    }
+
+    if (!entry.values.has(key)) {
+        entry.values.set(key, compute());
+    }
+    return entry.values.get(key);
+}
+
+/**
+ * Drops every memoized result (tests, benchmarks).
+ *
+ * @returns {void}
+ */
+export function clearDataMemo() {
+    _memo = new WeakMap();
+}
+
+/**
+ * Shallow copy of employee data without the `_cached*` fields older versions
+ * stored on the object (still present in old backups and exports).
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @returns {Object} Data safe to persist or export
+ */
+export function withoutCacheFields(employeeData) {
+    return Object.fromEntries(Object.entries(employeeData).filter(([key]) => !key.startsWith('_cached')));
+}
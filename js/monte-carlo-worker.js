@@ -0,0 +1,12 @@
+// ========================================
+// MONTE CARLO WORKER
+// ========================================
+// Runs simulateSalaryPaths() off the main thread for monte-carlo.js, so
+// thousands of simulated paths never block the Projections tab.
+// Message in: { id, startSalary, stats } → out: { id, result }
+
+import { simulateSalaryPaths } from './monte-carlo.js';
+
+self.onmessage = ({ data }) => {
+    self.postMessage({ id: data.id, result: simulateSalaryPaths(data.startSalary, data.stats) });
+};
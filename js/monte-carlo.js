@@ -0,0 +1,336 @@
+// ========================================
+// MONTE CARLO PROJECTION MODULE
+// ========================================
+// Stochastic salary projections sampled from the user's own raise history.
+// Each simulated path draws the months until the next raise, whether it is a
+// promotion, and its size from the history's mean and spread; the Projections
+// tab plots the P10-P90 spread of thousands of such paths. Simulation runs in
+// a Web Worker (js/monte-carlo-worker.js) and is cached per dataset and
+// benchmark profile, so the custom rate slider and horizon buttons never
+// wait on it.
+
+import { CONSTANTS } from './constants.js';
+import { memoize, objectKey } from './memo.js';
+import { getCurrentSalary, getEmployerSegments, getJobChanges } from './calculations.js';
+import { getReasonCategory } from './reasons.js';
+
+/** Percentiles reported for every simulated year */
+export const MONTE_CARLO_PERCENTILES = [10, 25, 50, 75, 90];
+
+// ========================================
+// RAISE HISTORY STATISTICS
+// ========================================
+
+/**
+ * Mean and sample standard deviation of a list of values.
+ *
+ * @param {Array<number>} values - Values (at least one)
+ * @returns {{mean: number, stdDev: number}} stdDev is 0 for a single value
+ */
+function summarize(values) {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.length > 1
+        ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1)
+        : 0;
+    return { mean, stdDev: Math.sqrt(variance) };
+}
+
+/**
+ * Benchmark range as a distribution, reading min-max as roughly ±2 standard
+ * deviations around avg.
+ *
+ * @param {{min: number, max: number, avg: number}} range - Benchmark range (%)
+ * @returns {{mean: number, stdDev: number}}
+ */
+function rangeToDistribution(range) {
+    return { mean: range.avg, stdDev: (range.max - range.min) / 4 };
+}
+
+/**
+ * Months between two dates.
+ *
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {number} Fractional months
+ */
+function monthsBetween(from, to) {
+    return (new Date(to) - new Date(from)) / CONSTANTS.MS_PER_YEAR * 12;
+}
+
+/**
+ * Raise statistics the Monte Carlo simulation samples from: size of merit and
+ * other raises, months between raises (restarting at each employer's hire
+ * date), the share of raises that were promotions and their bump. Job changes
+ * are left out; they are not part of the raise cadence at one employer.
+ *
+ * Without raises of a kind, the benchmark profile fills in: typicalRaise for
+ * raise size, avgMonthsBetweenRaises for timing, promotionBump for bumps.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @param {Object} benchmarks - Benchmark profile used as fallback
+ * @returns {{raiseCount: number, promotionCount: number,
+ *   raise: {mean: number, stdDev: number}, monthsBetweenRaises: {mean: number, stdDev: number},
+ *   promotionShare: number, promotionBump: {mean: number, stdDev: number}, monthsSinceLastRaise: number}}
+ *   Sizes in %, promotionShare as a fraction (0-1) of raises
+ *
+ * @example
+ * // 4% raises every 12 months, one 15% promotion among them
+ * const stats = getRaiseHistoryStats(employeeData, benchmarks);
+ * stats.raise.mean;     // 4
+ * stats.promotionShare; // 0.25 (1 of 4 raises)
+ */
+export function getRaiseHistoryStats(employeeData, benchmarks) {
+    const jobChangeRecords = new Set(getJobChanges(employeeData).map(c => c.record));
+    const raiseSizes = [];
+    const promotionBumps = [];
+    const intervals = [];
+    let lastRaiseDate = employeeData.hireDate;
+
+    getEmployerSegments(employeeData).forEach(segment => {
+        let previous = segment.hireDate;
+        [...segment.records].reverse()
+            .filter(r => r.changePercent > 0 && !jobChangeRecords.has(r))
+            .forEach(r => {
+                if (getReasonCategory(r.reason) === 'promotion') promotionBumps.push(r.changePercent);
+                else raiseSizes.push(r.changePercent);
+                intervals.push(monthsBetween(previous, r.date));
+                previous = r.date;
+            });
+        lastRaiseDate = previous;
+    });
+
+    const raiseCount = raiseSizes.length + promotionBumps.length;
+    return {
+        raiseCount,
+        promotionCount: promotionBumps.length,
+        raise: raiseSizes.length > 0 ? summarize(raiseSizes) : rangeToDistribution(benchmarks.typicalRaise),
+        monthsBetweenRaises: intervals.length > 0
+            ? summarize(intervals)
+            : { mean: benchmarks.avgMonthsBetweenRaises, stdDev: 0 },
+        promotionShare: raiseCount > 0 ? promotionBumps.length / raiseCount : 0,
+        promotionBump: promotionBumps.length > 0 ? summarize(promotionBumps) : rangeToDistribution(benchmarks.promotionBump),
+        monthsSinceLastRaise: Math.max(0, monthsBetween(lastRaiseDate, employeeData.currentDate))
+    };
+}
+
+// ========================================
+// SIMULATION
+// ========================================
+
+/**
+ * Seeded pseudo-random generator (mulberry32). A fixed seed keeps the bands
+ * identical across re-renders of the same data.
+ *
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Returns uniform numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Draws from a normal distribution (Box-Muller).
+ *
+ * @param {Function} random - Uniform generator from createRandom()
+ * @param {{mean: number, stdDev: number}} dist - Distribution
+ * @returns {number} Sample
+ */
+function sampleNormal(random, { mean, stdDev }) {
+    if (stdDev === 0) return mean;
+    return mean + stdDev * Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Value at a percentile of sorted values, interpolating between neighbours.
+ *
+ * @param {Float64Array} sorted - Values in ascending order
+ * @param {number} percentile - Percentile (0-100)
+ * @returns {number} Value at the percentile
+ */
+function quantile(sorted, percentile) {
+    const position = (sorted.length - 1) * percentile / 100;
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, sorted.length - 1);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Simulates salary paths from raise statistics. Each path waits a sampled
+ * number of months (at least MONTE_CARLO_MIN_RAISE_MONTHS) between raises,
+ * the first one shortened by the months already since the last raise; each
+ * raise is a promotion with probability promotionShare. Raise sizes below 0
+ * are drawn as 0 (no raise that cycle).
+ *
+ * Pure and deterministic for a given seed, so it runs the same in the worker,
+ * on the main thread and in tests.
+ *
+ * @param {number} startSalary - Salary at year 0
+ * @param {Object} stats - Result of getRaiseHistoryStats()
+ * @param {Object} [options]
+ * @param {number} [options.years=CONSTANTS.MONTE_CARLO_YEARS] - Years to simulate
+ * @param {number} [options.paths=CONSTANTS.MONTE_CARLO_PATHS] - Number of paths
+ * @param {number} [options.seed=CONSTANTS.MONTE_CARLO_SEED] - Random seed
+ * @returns {{paths: number, years: number, p10: Array<number>, p25: Array<number>, p50: Array<number>,
+ *   p75: Array<number>, p90: Array<number>}} Percentile salaries per year, index 0 = startSalary
+ *
+ * @example
+ * const sim = simulateSalaryPaths(100000, getRaiseHistoryStats(employeeData, benchmarks));
+ * sim.p50[5]; // Median salary in 5 years
+ */
+export function simulateSalaryPaths(startSalary, stats, {
+    years = CONSTANTS.MONTE_CARLO_YEARS,
+    paths = CONSTANTS.MONTE_CARLO_PATHS,
+    seed = CONSTANTS.MONTE_CARLO_SEED
+} = {}) {
+    const random = createRandom(seed);
+    const nextInterval = () => Math.max(CONSTANTS.MONTE_CARLO_MIN_RAISE_MONTHS, sampleNormal(random, stats.monthsBetweenRaises));
+    // salaries[year - 1][path]
+    const salaries = Array.from({ length: years }, () => new Float64Array(paths));
+
+    for (let path = 0; path < paths; path++) {
+        let salary = startSalary;
+        let nextRaise = Math.max(0, nextInterval() - stats.monthsSinceLastRaise);
+
+        for (let year = 1; year <= years; year++) {
+            while (nextRaise <= year * 12) {
+                const dist = random() < stats.promotionShare ? stats.promotionBump : stats.raise;
+                salary *= 1 + Math.max(0, sampleNormal(random, dist)) / 100;
+                nextRaise += nextInterval();
+            }
+            salaries[year - 1][path] = salary;
+        }
+    }
+
+    const result = { paths, years };
+    MONTE_CARLO_PERCENTILES.forEach(p => { result[`p${p}`] = [startSalary]; });
+    salaries.forEach(values => {
+        values.sort();
+        MONTE_CARLO_PERCENTILES.forEach(p => result[`p${p}`].push(quantile(values, p)));
+    });
+    return result;
+}
+
+// ========================================
+// PROJECTIONS (main thread / worker)
+// ========================================
+
+let _worker = null;       // Simulation worker: null = not started, false = unavailable
+let _nextJobId = 0;
+const _pendingJobs = new Map();  // job id → { resolve, reject }
+
+/**
+ * Lazily starts the simulation worker. Returns null where workers are
+ * unavailable (Node, tests) or failed to load (e.g. file:// pages).
+ *
+ * @returns {Worker|null} Worker instance
+ */
+function getWorker() {
+    if (_worker === null) {
+        try {
+            _worker = typeof Worker === 'undefined'
+                ? false
+                : new Worker(new URL('./monte-carlo-worker.js', import.meta.url), { type: 'module' });
+        } catch (error) {
+            console.warn('Monte Carlo worker unavailable, simulating on the main thread:', error.message);
+            _worker = false;
+        }
+        if (_worker) {
+            _worker.onmessage = ({ data }) => {
+                _pendingJobs.get(data.id)?.resolve(data.result);
+                _pendingJobs.delete(data.id);
+            };
+            _worker.onerror = (event) => {
+                console.warn('Monte Carlo worker failed, simulating on the main thread:', event.message);
+                _worker.terminate();
+                _worker = false;
+                _pendingJobs.forEach(job => job.reject(new Error('Monte Carlo worker failed')));
+                _pendingJobs.clear();
+            };
+        }
+    }
+    return _worker || null;
+}
+
+/**
+ * Runs simulateSalaryPaths() in the worker, falling back to the main thread.
+ *
+ * @param {number} startSalary - Salary at year 0
+ * @param {Object} stats - Result of getRaiseHistoryStats()
+ * @returns {Promise<Object>} Simulation result
+ */
+function simulateOffMainThread(startSalary, stats) {
+    const worker = getWorker();
+    if (!worker) return Promise.resolve(simulateSalaryPaths(startSalary, stats));
+
+    return new Promise((resolve, reject) => {
+        const id = ++_nextJobId;
+        _pendingJobs.set(id, { resolve, reject });
+        worker.postMessage({ id, startSalary, stats });
+    }).catch(() => simulateSalaryPaths(startSalary, stats));
+}
+
+/**
+ * Monte Carlo projection of the current salary, computed synchronously
+ * (CLI, tests). Memoized per dataset and benchmark profile.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @param {Object} benchmarks - Benchmark profile (fallback raise statistics)
+ * @returns {Object} simulateSalaryPaths() result over MONTE_CARLO_YEARS
+ */
+export function getMonteCarloProjection(employeeData, benchmarks) {
+    return memoize(employeeData, `monteCarlo-${objectKey(benchmarks)}`, () =>
+        simulateSalaryPaths(getCurrentSalary(employeeData), getRaiseHistoryStats(employeeData, benchmarks))
+    );
+}
+
+/**
+ * Starts (or returns the running) background simulation for the chart and
+ * table. Memoized per dataset and benchmark profile, so redraws for the
+ * slider, horizon or privacy toggle reuse the same job.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @param {Object} benchmarks - Benchmark profile (fallback raise statistics)
+ * @returns {{result: Object|null, promise: Promise<Object>, redraws: Set<string>}} result is set
+ *   once the simulation finishes; redraws holds the onMonteCarloResult() keys
+ *
+ * @example
+ * const job = requestMonteCarloProjection(employeeData, profile);
+ * onMonteCarloResult(job, 'projectionChart', redraw);
+ */
+export function requestMonteCarloProjection(employeeData, benchmarks) {
+    return memoize(employeeData, `monteCarloJob-${objectKey(benchmarks)}`, () => {
+        const job = { result: null, promise: null, redraws: new Set() };
+        job.promise = simulateOffMainThread(getCurrentSalary(employeeData), getRaiseHistoryStats(employeeData, benchmarks))
+            .then(result => {
+                job.result = result;
+                return result;
+            });
+        return job;
+    });
+}
+
+/**
+ * Calls `redraw` once when a running job finishes. A view rebuilt several
+ * times while the simulation runs registers under the same key, so only the
+ * first registration per job attaches a callback.
+ *
+ * @param {Object} job - requestMonteCarloProjection() job
+ * @param {string} key - Identifies the view to redraw (e.g. 'projectionTable')
+ * @param {Function} redraw - Called with no arguments once the result is set
+ * @returns {void}
+ *
+ * @example
+ * onMonteCarloResult(job, 'projectionTable', buildProjectionTable);
+ */
+export function onMonteCarloResult(job, key, redraw) {
+    if (job.result || job.redraws.has(key)) return;
+    job.redraws.add(key);
+    job.promise.then(() => redraw());
+}
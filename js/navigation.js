@@ -2,7 +2,8 @@
 // NAVIGATION MODULE
 // ========================================
 
-import { VALID_TABS } from './constants.js';
+import { VALID_TABS, CONSTANTS } from './constants.js';
+import { hasBenchmarkProfile } from './calculations.js';
 
 // Module-level dependencies (injected via initNavigation)
 let _state;
@@ -12,8 +13,14 @@ let _buildYoyChart;
 let _initProjections;
 let _buildProjectionChart;
 let _buildProjectionTable;
+let _renderGoalSummary;
 let _setTheme;
 let _setViewMode;
+let _setBenchmarkProfile;
+let _setRealBaseYear;
+let _setShowNetPay;
+let _setFilingStatus;
+let _setStateTaxRate;
 let _loadDemoData;
 let _charts;
 // Phase 1: Lazy tab rendering deps (#181)
@@ -35,8 +42,14 @@ let _renderedTabs = new Set(['home']);
  * @param {Function} deps.initProjections - Function to initialize projection controls
  * @param {Function} deps.buildProjectionChart - Function to build projection chart
  * @param {Function} deps.buildProjectionTable - Function to build projection table
+ * @param {Function} deps.renderGoalSummary - Function to refresh the salary goal summary
  * @param {Function} deps.setTheme - Function to set application theme
  * @param {Function} deps.setViewMode - Function to set view mode (dollars/index)
+ * @param {Function} deps.setBenchmarkProfile - Function to select the benchmark profile
+ * @param {Function} deps.setRealBaseYear - Function to select the real-salary base year
+ * @param {Function} deps.setShowNetPay - Function to show or hide take-home pay
+ * @param {Function} deps.setFilingStatus - Function to select the take-home filing status
+ * @param {Function} deps.setStateTaxRate - Function to set the take-home state tax rate
  * @param {Function} deps.loadDemoData - Function to load demo data
  * @param {Object} deps.charts - Charts object reference
  * @param {Function} deps.buildHistoryTable - Function to build history table (#181)
@@ -50,8 +63,14 @@ export function initNavigation({
     initProjections,
     buildProjectionChart,
     buildProjectionTable,
+    renderGoalSummary,
     setTheme,
     setViewMode,
+    setBenchmarkProfile,
+    setRealBaseYear,
+    setShowNetPay,
+    setFilingStatus,
+    setStateTaxRate,
     loadDemoData,
     charts,
     buildHistoryTable,
@@ -64,8 +83,14 @@ export function initNavigation({
     _initProjections = initProjections;
     _buildProjectionChart = buildProjectionChart;
     _buildProjectionTable = buildProjectionTable;
+    _renderGoalSummary = renderGoalSummary;
     _setTheme = setTheme;
     _setViewMode = setViewMode;
+    _setBenchmarkProfile = setBenchmarkProfile;
+    _setRealBaseYear = setRealBaseYear;
+    _setShowNetPay = setShowNetPay;
+    _setFilingStatus = setFilingStatus;
+    _setStateTaxRate = setStateTaxRate;
     _loadDemoData = loadDemoData;
     _charts = charts;
     _buildHistoryTable = buildHistoryTable;
@@ -141,6 +166,8 @@ function renderTabContent(tabId) {
                     _buildProjectionChart();
                     _buildProjectionTable();
                 }
+                // Goal standing depends on the benchmark profile picked on the Market tab
+                _renderGoalSummary();
                 break;
         }
     }, 50);
@@ -186,6 +213,27 @@ export function updateUrlParams(pushHistory = false) {
         params.set('view', 'index');
     }
 
+    // Include benchmark profile (only if not the default)
+    if (_state.benchmarkProfile !== CONSTANTS.DEFAULT_BENCHMARK_PROFILE) {
+        params.set('bench', _state.benchmarkProfile);
+    }
+
+    // Include real-salary base year (only if the line is shown)
+    if (Number.isInteger(_state.realBaseYear)) {
+        params.set('real', String(_state.realBaseYear));
+    }
+
+    // Include take-home pay settings (only while net pay is shown)
+    if (_state.showNetPay) {
+        params.set('net', 'true');
+        if (_state.filingStatus !== CONSTANTS.DEFAULT_FILING_STATUS) {
+            params.set('filing', _state.filingStatus);
+        }
+        if (_state.stateTaxRate > 0) {
+            params.set('stateTax', String(_state.stateTaxRate));
+        }
+    }
+
     // Include demo flag if in demo mode
     if (employeeData && employeeData.isDemo) {
         params.set('demo', 'true');
@@ -213,6 +261,11 @@ export function updateUrlParams(pushHistory = false) {
  * @returns {boolean} return.demo - Whether demo mode is enabled
  * @returns {string|null} return.tab - Tab name or null
  * @returns {string|null} return.view - View mode or null
+ * @returns {string|null} return.bench - Benchmark profile key or null
+ * @returns {string|null} return.real - Real-salary base year or null
+ * @returns {boolean} return.net - Whether take-home pay is shown
+ * @returns {string|null} return.filing - Take-home filing status or null
+ * @returns {string|null} return.stateTax - Take-home state tax rate or null
  */
 export function getUrlParams() {
     const params = new URLSearchParams(window.location.search);
@@ -220,13 +273,19 @@ export function getUrlParams() {
         theme: params.get('theme'),
         demo: params.get('demo') === 'true',
         tab: params.get('tab'),
-        view: params.get('view')
+        view: params.get('view'),
+        bench: params.get('bench'),
+        real: params.get('real'),
+        net: params.get('net') === 'true',
+        filing: params.get('filing'),
+        stateTax: params.get('stateTax')
     };
 }
 
 /**
  * Initializes application state from URL parameters on page load.
- * Handles theme, view mode, tab selection, and demo mode.
+ * Handles theme, view mode, benchmark profile, real-salary base year,
+ * take-home pay settings, tab selection, and demo mode.
  */
 export function initFromUrl() {
     const params = getUrlParams();
@@ -241,6 +300,27 @@ export function initFromUrl() {
         _setViewMode('index');
     }
 
+    // Apply benchmark profile from URL if it names a bundled or imported profile
+    if (params.bench && hasBenchmarkProfile(params.bench)) {
+        _setBenchmarkProfile(params.bench);
+    }
+
+    // Apply real-salary base year from URL (ignored if outside the CPI data)
+    if (params.real) {
+        _setRealBaseYear(params.real);
+    }
+
+    // Apply take-home pay settings from URL (invalid values fall back to defaults)
+    if (params.filing) {
+        _setFilingStatus(params.filing);
+    }
+    if (params.stateTax) {
+        _setStateTaxRate(params.stateTax);
+    }
+    if (params.net) {
+        _setShowNetPay(true);
+    }
+
     // Set tab from URL BEFORE loading demo (so showDashboard can use it)
     if (params.tab && VALID_TABS.includes(params.tab)) {
         _state.currentTab = params.tab;
@@ -0,0 +1,250 @@
+// ========================================
+// PARSER REGISTRY MODULE
+// ========================================
+// Routes pasted payroll text to a provider-specific parser.
+// Every parser returns the same { hireDate, currentDate, records } shape
+// that parsePaylocityData produces, so the rest of the app is provider-agnostic.
+
+import {
+    parsePaylocityData,
+    parsePaylocityDataDetailed,
+    parseDelimitedData,
+    parseDelimitedDataDetailed,
+    isDelimitedCompensationData,
+    isHtmlTableCompensationData,
+    parseHtmlTableData,
+    parseHtmlTableDataDetailed
+} from './parser.js';
+
+// ========================================
+// REGISTRY STATE
+// ========================================
+
+const _parsers = [];
+
+/**
+ * Registers a payroll-provider parser.
+ *
+ * `detect` returns a confidence score between 0 (not this format) and 1
+ * (certainly this format). The highest score wins; ties go to the parser
+ * registered first. Registering an existing id replaces that parser in place.
+ *
+ * @param {Object} parser - Parser definition
+ * @param {string} parser.id - Unique identifier (e.g. 'paylocity')
+ * @param {string} parser.label - Human-readable provider name for UI messages
+ * @param {string} parser.hint - Copy instructions appended to parse errors
+ * @param {Function} parser.detect - (rawText) => number confidence score
+ * @param {Function} parser.parse - (rawText) => { hireDate, currentDate, records }
+ * @param {Function} [parser.parseWithDiagnostics] - (rawText) => { data, diagnostics }
+ *   Optional; powers the import modal's parse details panel
+ * @returns {void}
+ * @throws {Error} If the definition is missing required fields
+ *
+ * @example
+ * registerParser({
+ *     id: 'acme',
+ *     label: 'Acme Payroll',
+ *     hint: 'Export "Pay History" as CSV.',
+ *     detect: (text) => text.startsWith('ACME') ? 0.9 : 0,
+ *     parse: parseAcmeData
+ * });
+ */
+export function registerParser(parser) {
+    if (!parser || typeof parser.id !== 'string' || !parser.id) {
+        throw new Error('Parser must have a string "id"');
+    }
+    if (typeof parser.detect !== 'function' || typeof parser.parse !== 'function') {
+        throw new Error(`Parser "${parser.id}" must provide detect() and parse() functions`);
+    }
+
+    const entry = {
+        label: parser.id,
+        hint: '',
+        ...parser
+    };
+
+    const existing = _parsers.findIndex(p => p.id === parser.id);
+    if (existing !== -1) {
+        _parsers[existing] = entry;
+    } else {
+        _parsers.push(entry);
+    }
+}
+
+/**
+ * Removes a registered parser.
+ *
+ * @param {string} id - Parser id
+ * @returns {boolean} True if a parser was removed
+ */
+export function unregisterParser(id) {
+    const idx = _parsers.findIndex(p => p.id === id);
+    if (idx === -1) return false;
+    _parsers.splice(idx, 1);
+    return true;
+}
+
+/**
+ * Returns registered parsers in priority (registration) order.
+ *
+ * @returns {Array<Object>} Copy of the registry
+ */
+export function getRegisteredParsers() {
+    return [..._parsers];
+}
+
+/**
+ * Looks up a registered parser by id.
+ *
+ * @param {string} id - Parser id
+ * @returns {Object|null} Parser definition or null
+ */
+export function getParser(id) {
+    return _parsers.find(p => p.id === id) || null;
+}
+
+// ========================================
+// DETECTION & PARSING
+// ========================================
+
+/**
+ * Auto-detects which registered parser understands the pasted text.
+ *
+ * @param {string} rawText - Pasted payroll text
+ * @returns {Object|null} Best-matching parser, or null if none recognize the text
+ *
+ * @example
+ * detectParser('Effective Date,Reason,Annual Salary\n...').id; // 'csv'
+ */
+export function detectParser(rawText) {
+    if (!rawText || typeof rawText !== 'string') return null;
+
+    let best = null;
+    let bestScore = 0;
+    for (const parser of _parsers) {
+        let score = 0;
+        try {
+            score = Number(parser.detect(rawText)) || 0;
+        } catch (e) {
+            console.warn(`Parser "${parser.id}" detection failed:`, e);
+        }
+        if (score > bestScore) {
+            best = parser;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+/**
+ * Verifies a parser returned the shared { hireDate, currentDate, records } shape.
+ *
+ * @param {Object} result - Parser output
+ * @param {string} id - Parser id (for error messages)
+ * @throws {Error} If the shape is wrong
+ */
+function assertParseResult(result, id) {
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    if (!result || !Array.isArray(result.records)) {
+        throw new Error(`Parser "${id}" did not return a records array`);
+    }
+    if (!dateRegex.test(result.hireDate) || !dateRegex.test(result.currentDate)) {
+        throw new Error(`Parser "${id}" returned invalid hireDate/currentDate`);
+    }
+    const bad = result.records.find(r => !dateRegex.test(r.date) || typeof r.annual !== 'number');
+    if (bad) {
+        throw new Error(`Parser "${id}" returned a malformed record`);
+    }
+}
+
+/**
+ * Parses pasted payroll text with the auto-detected (or requested) parser.
+ *
+ * @param {string} rawText - Pasted payroll text
+ * @param {string} [parserId] - Force a specific parser instead of auto-detecting
+ * @returns {Object} Parsed data: { hireDate, currentDate, records, source }
+ * @throws {Error} If no parser recognizes the text, or parsing fails
+ *
+ * @example
+ * const data = parseCompensationData(pastedText);
+ * console.log(data.source); // 'paylocity'
+ */
+export function parseCompensationData(rawText, parserId) {
+    const parser = parserId ? getParser(parserId) : detectParser(rawText);
+    if (!parser) {
+        throw new Error(parserId
+            ? `Unknown parser "${parserId}"`
+            : 'Unrecognized format. Paste a Paylocity Rates tab or a CSV with date, reason and annual salary columns');
+    }
+
+    const result = parser.parse(rawText);
+    assertParseResult(result, parser.id);
+    result.source = parser.id;
+    return result;
+}
+
+/**
+ * Parses pasted payroll text and returns the parser's diagnostics report.
+ *
+ * Parsers without `parseWithDiagnostics` still parse normally; their
+ * diagnostics are null.
+ *
+ * @param {string} rawText - Pasted payroll text
+ * @param {string} [parserId] - Force a specific parser instead of auto-detecting
+ * @returns {{data: Object, diagnostics: Object|null, parser: Object}} Parsed data
+ *   (with `source`), diagnostics ({ parser, records, skipped, summary }) and the parser used
+ * @throws {Error} Same conditions as parseCompensationData
+ *
+ * @example
+ * const { data, diagnostics } = parseCompensationDataWithDiagnostics(pastedText);
+ * diagnostics.skipped.forEach(s => console.log(s.reason, s.sourceText));
+ */
+export function parseCompensationDataWithDiagnostics(rawText, parserId) {
+    const parser = parserId ? getParser(parserId) : detectParser(rawText);
+    if (!parser || typeof parser.parseWithDiagnostics !== 'function') {
+        return { data: parseCompensationData(rawText, parserId), diagnostics: null, parser };
+    }
+
+    const { data, diagnostics } = parser.parseWithDiagnostics(rawText);
+    assertParseResult(data, parser.id);
+    data.source = parser.id;
+    return { data, diagnostics, parser };
+}
+
+// ========================================
+// BUILT-IN PARSERS
+// ========================================
+
+registerParser({
+    id: 'paylocity',
+    label: 'Paylocity',
+    hint: 'Please make sure you copied from "Rates" down to "items".',
+    detect: (text) => {
+        if (!/\d{2}\/\d{2}\/\d{4}/.test(text)) return 0;
+        if (!/\$[0-9,]+\.\d{2}|\/\s*Hour/i.test(text)) return 0;
+        return /\b(Rates|Per Check|Annual Salary|items)\b/i.test(text) ? 0.9 : 0.6;
+    },
+    parse: parsePaylocityData,
+    parseWithDiagnostics: parsePaylocityDataDetailed
+});
+
+registerParser({
+    id: 'csv',
+    label: 'CSV export',
+    hint: 'Make sure the first line is a header with date, reason and annual salary columns.',
+    // A recognizable header row is a strong signal, so it outranks Paylocity keywords
+    detect: (text) => isDelimitedCompensationData(text) ? 0.95 : 0,
+    parse: parseDelimitedData,
+    parseWithDiagnostics: parseDelimitedDataDetailed
+});
+
+registerParser({
+    id: 'html-table',
+    label: 'Copied table',
+    hint: 'Copy the whole grid, including its header row, or paste as plain text instead.',
+    // Clipboard HTML (see handlePaste in validation.js); cells are read by column.
+    // Only a table with a recognizable header row outranks the text parsers
+    detect: (text) => isHtmlTableCompensationData(text) ? 1 : 0,
+    parse: parseHtmlTableData,
+    parseWithDiagnostics: parseHtmlTableDataDetailed
+});
@@ -2,7 +2,9 @@
 // PARSER FUNCTIONS
 // ========================================
 
-import { VALID_REASONS } from './constants.js';
+import { CONSTANTS, PAY_FREQUENCIES } from './constants.js';
+import { detectPayFrequency, getPayPeriodsPerYear } from './calculations.js';
+import { findReasonInText, getValidReasons, getCustomReasons } from './reasons.js';
 
 /**
  * Validates salary values are within reasonable ranges.
@@ -70,8 +72,11 @@ export function validateSalaryRange(value, fieldName = 'salary') {
  * @returns {Object} Parsed compensation record
  * @returns {string} returns.date - Record date in YYYY-MM-DD format
  * @returns {string} returns.reason - Change reason ('Merit Increase', 'Promotion', etc.)
- * @returns {number} returns.perCheck - Per-paycheck amount (bi-weekly)
- * @returns {number} returns.annual - Annual salary
+ * @returns {string} returns.payType - 'hourly' or 'salary'
+ * @returns {string|null} returns.payFrequency - Key of PAY_FREQUENCIES, 'unknown', or null if
+ *   the per-check amount was derived or missing (filled in later by assignPayFrequencies)
+ * @returns {number} returns.perCheck - Per-paycheck amount
+ * @returns {number} returns.annual - Annual salary (annualized from hourlyRate for hourly records)
  * @returns {number|null} returns.hourlyRate - Hourly rate (null if missing, derived if possible)
  *
  * @example
@@ -90,15 +95,19 @@ export function validateSalaryRange(value, fieldName = 'salary') {
  * // Concatenated values without spaces
  * const record = parseRecord("06/12/2022", "Merit Increase$1,166.6712.2807");
  * // Correctly parses: perCheck=$1,166.67, annual=12.28 (uses exactly 2 decimals)
+ *
+ * @example
+ * // Hourly row (no annual figure) - annualized at 2,080 hours/year
+ * const record = parseRecord("03/01/2021", "Merit Increase Hourly $25.00 / Hour 4.1667");
+ * // { payType: "hourly", hourlyRate: 25, annual: 52000, perCheck: 2166.67, ... }
  */
 /**
  * Extract change reason from record text (Closes #25 - complexity reduction)
  */
 function extractReason(text) {
-    for (const r of VALID_REASONS) {
-        if (text.includes(r)) {
-            return r.replace(/<[^>]*>/g, '');
-        }
+    const reason = findReasonInText(text);
+    if (reason) {
+        return reason.replace(/<[^>]*>/g, '');
     }
     if (text.includes('—')) {
         return '—';
@@ -121,12 +130,18 @@ function extractDollarAmounts(text) {
 
 /**
  * Determine annual, perCheck, and change from dollar amounts (Closes #25 - complexity reduction)
+ *
+ * Also reports which heuristic picked each field (`sources`) for parse diagnostics.
  */
 function parseSalaryValues(dollars) {
     let perCheck = 0, annual = 0, change = 0;
+    const sources = { annual: 'not found', perCheck: 'not found', change: 'not found' };
 
     if (dollars.length < 2) {
-        return { perCheck, annual, change };
+        if (dollars.length === 1) {
+            sources.annual = 'single dollar amount ignored (need per-check and annual)';
+        }
+        return { perCheck, annual, change, sources };
     }
 
     // Find annual salary (largest reasonable number, >= 500)
@@ -135,6 +150,7 @@ function parseSalaryValues(dollars) {
     const annualCandidates = dollars.filter(d => d >= 500);
     if (annualCandidates.length > 0) {
         annual = validateSalaryRange(Math.max(...annualCandidates), 'annual');
+        sources.annual = `largest of ${dollars.length} dollar amounts`;
     }
 
     // Determine per check value
@@ -142,8 +158,12 @@ function parseSalaryValues(dollars) {
     if (perCheck >= 20000) {
         const perCheckCandidate = dollars.find(d => d < 20000 && d > 100) || 0;
         perCheck = perCheckCandidate > 0 ? validateSalaryRange(perCheckCandidate, 'perCheck') : 0;
+        sources.perCheck = perCheck > 0
+            ? 'first amount under $20,000 (first amount too large for a paycheck)'
+            : 'not found (no amount under $20,000)';
     } else {
         perCheck = perCheck > 0 ? validateSalaryRange(perCheck, 'perCheck') : 0;
+        sources.perCheck = 'first dollar amount';
     }
 
     // Extract change amount if present
@@ -152,10 +172,11 @@ function parseSalaryValues(dollars) {
         const afterAnnual = dollars.slice(annualIdx + 1);
         if (afterAnnual.length > 0 && afterAnnual[0] > 0) {
             change = validateSalaryRange(afterAnnual[0], 'change');
+            sources.change = 'first amount after annual';
         }
     }
 
-    return { perCheck, annual, change };
+    return { perCheck, annual, change, sources };
 }
 
 /**
@@ -175,44 +196,152 @@ function extractRateAndPercent(text) {
     const percentPattern = /(\d+\.\d{4})\s*$/;
     const percentMatch = text.trim().match(percentPattern);
     let changePercent = 0;
+    let percentSource = 'not found';
     if (percentMatch) {
         changePercent = parseFloat(percentMatch[1]);
+        percentSource = 'trailing 4-decimal number';
     } else {
         const fallbackMatch = text.trim().match(/(\d+\.?\d*)\s*$/);
         if (fallbackMatch) {
             const potential = parseFloat(fallbackMatch[1]);
             if (potential < 100) {
                 changePercent = potential;
+                percentSource = 'trailing number under 100 (fallback)';
             }
         }
     }
 
-    return { hourlyRate, changePercent };
+    return { hourlyRate, changePercent, percentSource };
+}
+
+/**
+ * Remove standalone hourly rate tokens ("$25.00 / Hour") so the rate isn't
+ * mistaken for a per-check or annual amount. Rates glued to a preceding amount
+ * (e.g. "$65,000.0031.25 / Hour") are left alone so the annual still parses.
+ */
+function stripHourlyRate(text) {
+    return text.replace(/(^|[^\d.,])\$?\s*\d+(?:\.\d+)?\s*\/\s*Hour/gi, '$1 ');
+}
+
+/**
+ * Build an hourly record's salary values from its rate (hourly mode).
+ * Annual is always filled so hourly and salaried records chart as one series.
+ */
+function buildHourlyValues(hourlyRate, perCheck) {
+    const annual = validateSalaryRange(
+        Math.round(hourlyRate * CONSTANTS.STANDARD_HOURS_PER_YEAR * 100) / 100,
+        'annual'
+    );
+    return {
+        annual,
+        perCheck: perCheck > 0
+            ? perCheck
+            : Math.round((annual / CONSTANTS.PAY_PERIODS_PER_YEAR) * 100) / 100
+    };
 }
 
 export function parseRecord(dateStr, text) {
+    return parseRecordDetailed(dateStr, text).record;
+}
+
+/**
+ * Grades how much of a parsed record was guessed rather than read directly.
+ * Each note is one heuristic the user may want to double-check:
+ * no notes → 'high', one → 'medium', more → 'low'.
+ */
+function gradeConfidence(notes) {
+    if (notes.length === 0) return 'high';
+    return notes.length === 1 ? 'medium' : 'low';
+}
+
+/**
+ * Parses a single record and explains how each field was derived.
+ *
+ * @param {string} dateStr - Date string in MM/DD/YYYY format
+ * @param {string} text - Raw record text
+ * @returns {{record: Object|null, diagnostic: Object}} Parsed record (null if
+ *   skipped) plus its diagnostic: { date, sourceText, fields, confidence, notes }
+ * @throws {Error} If a value is outside the realistic salary range
+ */
+export function parseRecordDetailed(dateStr, text) {
     // Convert date format from MM/DD/YYYY to YYYY-MM-DD
     const [month, day, year] = dateStr.split('/');
     const date = `${year}-${month}-${day}`;
 
     const reason = extractReason(text);
-    const dollars = extractDollarAmounts(text);
-    const { perCheck, annual, change } = parseSalaryValues(dollars);
-    const { hourlyRate, changePercent } = extractRateAndPercent(text);
+    const { hourlyRate, changePercent, percentSource } = extractRateAndPercent(text);
+    const dollars = extractDollarAmounts(stripHourlyRate(text));
+    const parsed = parseSalaryValues(dollars);
+
+    // Hourly rows carry a "/Hour" rate but no annual figure
+    const isHourly = hourlyRate > 0 && (parsed.annual === 0 || /\bHourly\b/i.test(text));
+
+    const diagnostic = {
+        date,
+        sourceText: text.trim(),
+        fields: {
+            reason: reason === 'Unknown' ? 'not recognized' : `matched "${reason}"`,
+            annual: parsed.sources.annual,
+            perCheck: parsed.sources.perCheck,
+            hourlyRate: hourlyRate > 0 ? '"/ Hour" rate' : 'not found',
+            change: parsed.sources.change,
+            changePercent: percentSource
+        },
+        confidence: 'high',
+        notes: []
+    };
 
     // Validate we have minimum required data
-    if (annual === 0) {
-        return null;
+    if (parsed.annual === 0 && !isHourly) {
+        diagnostic.confidence = null;
+        diagnostic.notes.push('No annual salary or hourly rate found');
+        return { record: null, diagnostic };
+    }
+
+    const perCheckDerived = isHourly && (parsed.annual !== 0 || parsed.perCheck === 0);
+    const { perCheck, annual } = isHourly
+        ? buildHourlyValues(hourlyRate, perCheckDerived ? 0 : parsed.perCheck)
+        : parsed;
+
+    // Only a per-check amount read from the text says anything about pay frequency;
+    // derived or missing ones are filled in from the rest of the data (assignPayFrequencies)
+    const payFrequency = perCheckDerived ? null : detectPayFrequency(annual, perCheck);
+    diagnostic.fields.payFrequency = payFrequency
+        ? `annual ÷ per-check = ${(annual / perCheck).toFixed(1)}`
+        : 'not detected';
+
+    if (isHourly) {
+        diagnostic.fields.annual = `hourly rate × ${CONSTANTS.STANDARD_HOURS_PER_YEAR.toLocaleString('en-US')} hours`;
+        if (perCheckDerived) {
+            diagnostic.fields.perCheck = `annual ÷ ${CONSTANTS.PAY_PERIODS_PER_YEAR} pay periods`;
+        }
+        diagnostic.notes.push('Annualized from hourly rate (assumes full-time hours)');
+    } else if (perCheck === 0) {
+        diagnostic.notes.push('No per-check amount found');
+    } else if (parsed.sources.perCheck !== 'first dollar amount') {
+        diagnostic.notes.push('Per-check amount guessed (first amount looked like an annual salary)');
+    }
+    if (payFrequency === 'unknown') {
+        diagnostic.notes.push(`Per-check amount fits no known pay frequency (annual ÷ per-check = ${(annual / perCheck).toFixed(1)})`);
+    }
+    if (reason === 'Unknown') {
+        diagnostic.notes.push('Change reason not recognized');
     }
+    diagnostic.confidence = gradeConfidence(diagnostic.notes);
 
     return {
-        date,
-        reason,
-        perCheck,
-        annual,
-        hourlyRate,
-        change,
-        changePercent
+        record: {
+            date,
+            reason,
+            payType: isHourly ? 'hourly' : 'salary',
+            payFrequency,
+            perCheck,
+            annual,
+            hourlyRate,
+            change: isHourly ? 0 : parsed.change,
+            changePercent
+        },
+        diagnostic
     };
 }
 
@@ -230,8 +359,10 @@ export function parseRecord(dateStr, text) {
  * @returns {Array<Object>} returns.records - Array of compensation records, sorted descending by date
  * @returns {string} returns.records[].date - Record date (YYYY-MM-DD)
  * @returns {string} returns.records[].reason - Change reason ('Merit Increase', 'Promotion', etc.)
- * @returns {number} returns.records[].perCheck - Per-paycheck amount (bi-weekly)
- * @returns {number} returns.records[].annual - Annual salary
+ * @returns {string} returns.records[].payType - 'hourly' or 'salary'
+ * @returns {string} returns.records[].payFrequency - 'weekly' | 'biweekly' | 'semimonthly' | 'monthly' | 'unknown'
+ * @returns {number} returns.records[].perCheck - Per-paycheck amount at that frequency
+ * @returns {number} returns.records[].annual - Annual salary (hourly rows annualized at 2,080 hrs)
  * @returns {number} returns.records[].hourlyRate - Hourly rate (may be null)
  * @returns {number} returns.records[].change - Dollar change from previous record
  * @returns {number} returns.records[].changePercent - Percentage change from previous record
@@ -242,7 +373,43 @@ export function parseRecord(dateStr, text) {
  * console.log(data.records[0].annual); // 65000
  */
 export function parsePaylocityData(rawText) {
+    return parsePaylocityDataDetailed(rawText).data;
+}
+
+/**
+ * Summarizes per-record diagnostics into confidence counts.
+ *
+ * @param {string} parser - Parser id that produced the diagnostics
+ * @param {Array<Object>} records - Per-record diagnostics (kept records only)
+ * @param {Array<Object>} skipped - Skipped segments: { sourceText, reason }
+ * @returns {Object} Diagnostics report: { parser, records, skipped, summary }
+ */
+export function buildDiagnosticsReport(parser, records, skipped) {
+    const summary = { high: 0, medium: 0, low: 0, skipped: skipped.length };
+    records.forEach(d => { summary[d.confidence]++; });
+    return { parser, records, skipped, summary };
+}
+
+/**
+ * Parses Paylocity data and reports how every record was derived.
+ *
+ * Same parsing as parsePaylocityData, plus a diagnostics report listing each
+ * record's source text, the heuristic that picked each field, a confidence
+ * level ('high' | 'medium' | 'low') and every segment that was skipped.
+ *
+ * @param {string} rawText - Raw text copied from Paylocity "Rates" tab
+ * @returns {{data: Object, diagnostics: Object}} Parsed data (same shape as
+ *   parsePaylocityData) and diagnostics ({ parser, records, skipped, summary })
+ * @throws {Error} Same conditions as parsePaylocityData
+ *
+ * @example
+ * const { data, diagnostics } = parsePaylocityDataDetailed(rawText);
+ * console.log(diagnostics.summary); // { high: 5, medium: 1, low: 0, skipped: 1 }
+ */
+export function parsePaylocityDataDetailed(rawText) {
     const records = [];
+    const recordDiagnostics = [];
+    const skipped = [];
 
     // Clean up the text
     let text = rawText.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
@@ -270,9 +437,12 @@ export function parsePaylocityData(rawText) {
         const recordText = text.substring(startIdx, endIdx);
 
         try {
-            const record = parseRecord(dates[i].date, recordText);
+            const { record, diagnostic } = parseRecordDetailed(dates[i].date, recordText);
             if (record) {
                 records.push(record);
+                recordDiagnostics.push(diagnostic);
+            } else {
+                skipped.push({ sourceText: diagnostic.sourceText, reason: diagnostic.notes[0] });
             }
         } catch (e) {
             // Re-throw validation errors so they're shown to the user
@@ -281,9 +451,28 @@ export function parsePaylocityData(rawText) {
             }
             // Log and skip parsing errors (malformed format)
             console.warn('Failed to parse record:', recordText, e);
+            skipped.push({ sourceText: recordText.trim(), reason: e.message || 'Malformed record' });
         }
     }
 
+    describeAssignedFrequency(recordDiagnostics, assignPayFrequencies(records));
+    const data = buildParseResult(records);
+
+    // Keep diagnostics in the same (newest first) order as data.records
+    recordDiagnostics.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    return { data, diagnostics: buildDiagnosticsReport('paylocity', recordDiagnostics, skipped) };
+}
+
+/**
+ * Sorts parsed records and derives hire/current dates.
+ * Shared by every provider parser so they all return the same shape.
+ *
+ * @param {Array<Object>} records - Parsed compensation records (any order)
+ * @returns {{hireDate: string, currentDate: string, records: Array<Object>}} Parsed data
+ * @throws {Error} If no records were parsed
+ */
+export function buildParseResult(records) {
     if (records.length === 0) {
         throw new Error('Could not parse any records from the data');
     }
@@ -302,3 +491,544 @@ export function parsePaylocityData(rawText) {
         records
     };
 }
+
+// ========================================
+// GENERIC CSV PARSER (ADP / Workday exports)
+// ========================================
+
+/**
+ * Header aliases for the generic delimited parser, normalized to lowercase
+ * alphanumerics. Covers common ADP and Workday compensation-history exports.
+ */
+const CSV_COLUMN_ALIASES = {
+    date: ['date', 'effectivedate', 'changedate', 'compensationeffectivedate', 'payrateeffectivedate'],
+    reason: ['reason', 'changereason', 'actionreason', 'compensationchangereason', 'reasoncode', 'event'],
+    annual: ['annual', 'annualsalary', 'salary', 'annualrate', 'annualbasepay', 'basepay', 'totalbasepay', 'annualamount'],
+    hourlyRate: ['hourly', 'hourlyrate', 'hourlypayrate'],
+    perCheck: ['percheck', 'perpayperiod', 'payperiodamount', 'periodpay', 'grosspercheck']
+};
+
+/**
+ * Normalize a header cell for alias lookup ("Effective Date" → "effectivedate").
+ */
+function normalizeHeader(cell) {
+    return cell.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Pick the delimiter (comma, tab or semicolon) used most in the header line.
+ */
+function detectDelimiter(line) {
+    const candidates = [',', '\t', ';'];
+    const counts = candidates.map(d => line.split(d).length - 1);
+    const best = Math.max(...counts);
+    return best > 0 ? candidates[counts.indexOf(best)] : null;
+}
+
+/**
+ * Split a delimited line into cells, honoring double-quoted fields ("$1,000.00").
+ */
+function splitDelimitedLine(line, delimiter) {
+    const cells = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (ch === '"') {
+            if (inQuotes && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else {
+                inQuotes = !inQuotes;
+            }
+        } else if (ch === delimiter && !inQuotes) {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    cells.push(current.trim());
+    return cells;
+}
+
+/**
+ * Map header cells to column indexes for date/reason/annual/hourlyRate.
+ * Returns null unless both a date and a pay (annual or hourly) column exist.
+ */
+function mapCsvColumns(headerCells) {
+    const normalized = headerCells.map(normalizeHeader);
+    const columns = {};
+    for (const [field, aliases] of Object.entries(CSV_COLUMN_ALIASES)) {
+        const idx = normalized.findIndex(h => aliases.includes(h));
+        if (idx !== -1) columns[field] = idx;
+    }
+    if (columns.date === undefined || (columns.annual === undefined && columns.hourlyRate === undefined)) {
+        return null;
+    }
+    return columns;
+}
+
+/**
+ * Convert MM/DD/YYYY, M/D/YYYY or YYYY-MM-DD to YYYY-MM-DD (null if unrecognized).
+ */
+function normalizeDate(value) {
+    const iso = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (iso) {
+        return `${iso[1]}-${iso[2].padStart(2, '0')}-${iso[3].padStart(2, '0')}`;
+    }
+    const us = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+    if (us) {
+        return `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+    }
+    return null;
+}
+
+/**
+ * Parse a currency cell ("$65,000.00", "65000") into a number (0 if blank).
+ */
+function parseAmount(value) {
+    const cleaned = (value || '').replace(/[$,\s]/g, '');
+    if (cleaned === '') return 0;
+    const amount = parseFloat(cleaned);
+    if (!Number.isFinite(amount)) {
+        throw new Error(`Invalid amount: ${value}`);
+    }
+    return amount;
+}
+
+/**
+ * Map a free-text reason onto the supported reasons ("Annual Merit" → "Merit Increase").
+ */
+function normalizeCsvReason(value) {
+    const text = (value || '').replace(/<[^>]*>/g, '').trim();
+    if (!text) return '—';
+    const lower = text.toLowerCase();
+    const exact = getValidReasons().find(r => r.toLowerCase() === lower);
+    if (exact) return exact;
+    const custom = getCustomReasons().find(r => lower.includes(r.name.toLowerCase()));
+    if (custom) return custom.name;
+    if (lower.includes('merit')) return 'Merit Increase';
+    if (lower.includes('promot')) return 'Promotion';
+    if (lower.includes('market')) return 'Market Adjustment';
+    if (lower.includes('equity')) return 'Equity';
+    if (lower.includes('hire')) return 'New Hire';
+    return 'Unknown';
+}
+
+/**
+ * Set a record's change/changePercent from its chronological predecessor.
+ *
+ * @param {Object} record - Record to update (mutated in place)
+ * @param {Object|undefined} previous - The record before it in time
+ * @returns {Object} The same record
+ */
+export function deriveRecordChange(record, previous) {
+    if (!previous || !(previous.annual > 0)) {
+        record.change = 0;
+        record.changePercent = 0;
+        return record;
+    }
+    // Across a pay frequency change a per-check delta isn't a raise; spread the annual delta instead
+    const frequencyChanged = record.payFrequency && previous.payFrequency && record.payFrequency !== previous.payFrequency;
+    const delta = frequencyChanged
+        ? (record.annual - previous.annual) / getPayPeriodsPerYear(record)
+        : record.perCheck - previous.perCheck;
+    record.change = delta > 0 ? Math.round(delta * 100) / 100 : 0;
+    record.changePercent = Math.round(((record.annual - previous.annual) / previous.annual) * 1000000) / 10000;
+    return record;
+}
+
+/**
+ * Returns the known pay frequency shared by most records.
+ *
+ * @param {Array<Object>} records - Records with a payFrequency field
+ * @returns {string|null} Key of PAY_FREQUENCIES, or null if no record has a known frequency
+ */
+export function getMostCommonPayFrequency(records) {
+    const counts = {};
+    records.forEach(r => {
+        if (PAY_FREQUENCIES[r.payFrequency]) {
+            counts[r.payFrequency] = (counts[r.payFrequency] || 0) + 1;
+        }
+    });
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+}
+
+/**
+ * Fills in pay frequency for records whose per-check amount wasn't read from
+ * the source (hourly rows annualized from a rate, CSV rows without a
+ * per-check column).
+ *
+ * Uses the frequency detected most often in the rest of the data, or the
+ * semi-monthly default when none was detected. Derived per-check amounts are
+ * recomputed for that frequency.
+ *
+ * @param {Array<Object>} records - Parsed records (mutated in place)
+ * @returns {{frequency: string, inferred: boolean}} Frequency assigned to
+ *   undetected records, and whether it came from the data (vs. the default)
+ */
+export function assignPayFrequencies(records) {
+    const detected = getMostCommonPayFrequency(records);
+    const frequency = detected || CONSTANTS.DEFAULT_PAY_FREQUENCY;
+
+    records.forEach(r => {
+        if (r.payFrequency) return;
+        r.payFrequency = frequency;
+        if (r.perCheck > 0) {
+            r.perCheck = Math.round((r.annual / PAY_FREQUENCIES[frequency]) * 100) / 100;
+        }
+    });
+    return { frequency, inferred: Boolean(detected) };
+}
+
+/**
+ * Explains assigned frequencies in diagnostics built before assignPayFrequencies ran.
+ */
+function describeAssignedFrequency(recordDiagnostics, { frequency, inferred }) {
+    const periods = PAY_FREQUENCIES[frequency];
+    recordDiagnostics.forEach(d => {
+        if (d.fields.payFrequency !== 'not detected') return;
+        d.fields.payFrequency = inferred
+            ? `${frequency} (most common in this data)`
+            : `${frequency} (default; no per-check amounts found)`;
+        if (d.fields.perCheck.startsWith('annual ÷')) {
+            d.fields.perCheck = `annual ÷ ${periods} pay periods`;
+        }
+    });
+}
+
+/**
+ * Fill change/changePercent from each record's predecessor.
+ * Generic exports only list the salary, so deltas are derived rather than read.
+ *
+ * @param {Array<Object>} records - Records sorted newest first (mutated in place)
+ * @returns {Array<Object>} The same records
+ */
+export function deriveRecordChanges(records) {
+    records.forEach((record, i) => deriveRecordChange(record, records[i + 1]));
+    return records;
+}
+
+/**
+ * Checks whether text looks like a delimited export with a recognizable header.
+ *
+ * @param {string} rawText - Pasted text
+ * @returns {boolean} True if the first non-empty line is a date + pay header
+ */
+export function isDelimitedCompensationData(rawText) {
+    const firstLine = rawText.split(/\r?\n/).find(line => line.trim() !== '');
+    if (!firstLine) return false;
+    const delimiter = detectDelimiter(firstLine);
+    return delimiter !== null && mapCsvColumns(splitDelimitedLine(firstLine, delimiter)) !== null;
+}
+
+/**
+ * Parses a generic "date / reason / annual" delimited export (CSV, TSV or
+ * semicolon-separated) such as an ADP or Workday compensation history.
+ *
+ * The first non-empty line must be a header. Recognized columns (case and
+ * punctuation insensitive): a date column ("Date", "Effective Date"), an
+ * optional reason column ("Reason", "Change Reason", "Action Reason") and an
+ * annual column ("Annual Salary", "Base Pay", ...) or an hourly rate column.
+ * Rows with only an hourly rate are annualized like Paylocity hourly rows.
+ *
+ * @param {string} rawText - Delimited text including the header row
+ * @returns {Object} Parsed data in the same shape as parsePaylocityData
+ * @throws {Error} If no recognizable header is found or no rows parse
+ *
+ * @example
+ * const data = parseDelimitedData(`Effective Date,Reason,Annual Salary
+ * 2022-03-01,Hire,"$60,000.00"
+ * 2023-03-01,Merit,"$63,000.00"`);
+ * console.log(data.records[0].changePercent); // 5
+ */
+export function parseDelimitedData(rawText) {
+    return parseDelimitedDataDetailed(rawText).data;
+}
+
+/**
+ * Parses a delimited export and reports how every row was read.
+ * Diagnostics use the same shape as parsePaylocityDataDetailed.
+ *
+ * @param {string} rawText - Delimited text including the header row
+ * @returns {{data: Object, diagnostics: Object}} Parsed data and diagnostics
+ * @throws {Error} Same conditions as parseDelimitedData
+ */
+export function parseDelimitedDataDetailed(rawText) {
+    const lines = rawText.replace(/\r\n/g, '\n').replace(/\r/g, '\n')
+        .split('\n')
+        .filter(line => line.trim() !== '');
+
+    const delimiter = lines.length > 0 ? detectDelimiter(lines[0]) : null;
+    const headerCells = delimiter ? splitDelimitedLine(lines[0], delimiter) : [];
+    const columns = delimiter ? mapCsvColumns(headerCells) : null;
+    if (!columns) {
+        throw new Error('No header row with date and salary columns found');
+    }
+
+    const header = { cells: headerCells, columns };
+    const rows = lines.slice(1).map(line => ({
+        cells: splitDelimitedLine(line, delimiter),
+        sourceText: line.trim(),
+        header
+    }));
+    return parseCellRows('csv', rows);
+}
+
+/**
+ * Parses table rows copied from a web page (e.g. the Paylocity Rates grid).
+ *
+ * Cells are read by column, so amounts never need to be pulled apart the way
+ * the text parser splits "$2,500.0065,000.00". Any row whose cells form a
+ * recognizable header starts a new table (Paylocity's Current and History
+ * grids each have one). Rows before the first header and single-cell rows
+ * (section titles, "1 - 10 of 12 items") are ignored. A "$25.00 / Hour"
+ * value in any pay column marks an hourly row.
+ *
+ * @param {Array<Array<string>>} rows - Cell text per table row
+ * @returns {{data: Object, diagnostics: Object}} Parsed data and diagnostics
+ *   (same shapes as parseDelimitedDataDetailed)
+ * @throws {Error} If no header row is found or no rows parse
+ *
+ * @example
+ * const { data } = parseTableRowsDetailed([
+ *     ['Effective Date', 'Change Reason', 'Pay Type', 'Per Check', 'Annual Salary'],
+ *     ['01/15/2023', 'Merit Increase', 'Salary', '$2,500.00', '$65,000.00'],
+ *     ['06/01/2022', 'New Hire', 'Salary', '$2,307.69', '$60,000.00']
+ * ]);
+ * console.log(data.records[0].payFrequency); // 'biweekly'
+ */
+export function parseTableRowsDetailed(rows) {
+    const parsedRows = [];
+    let header = null;
+    for (const cells of rows) {
+        const columns = mapCsvColumns(cells);
+        if (columns) {
+            header = { cells, columns };
+        } else if (header && cells.filter(cell => cell.trim() !== '').length > 1) {
+            parsedRows.push({ cells, sourceText: cells.filter(Boolean).join(' | '), header });
+        }
+    }
+    if (!header) {
+        throw new Error('No header row with date and salary columns found');
+    }
+    return parseCellRows('html-table', parsedRows);
+}
+
+/**
+ * Extracts cell text from every table row in an HTML fragment, such as the
+ * `text/html` clipboard flavor of a grid copied from a browser.
+ * Uses DOMParser in the browser and a tag scanner elsewhere (Node CLI).
+ *
+ * @param {string} html - HTML containing one or more <table> elements
+ * @returns {Array<Array<string>>} Cell text (whitespace-collapsed) per row, in document order
+ */
+export function extractHtmlTableRows(html) {
+    if (typeof DOMParser === 'undefined') {
+        return scanHtmlTableRows(html);
+    }
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return [...doc.querySelectorAll('table tr')].map(tr =>
+        [...tr.querySelectorAll('th, td')].map(cell => cell.textContent.replace(/\s+/g, ' ').trim())
+    );
+}
+
+/**
+ * Checks whether HTML holds a table with a recognizable header row (date and
+ * pay columns, as parseTableRowsDetailed() requires).
+ *
+ * @param {string} html - Pasted text or clipboard HTML
+ * @returns {boolean} True if a <table> row maps to date + pay columns
+ */
+export function isHtmlTableCompensationData(html) {
+    if (!/<table[\s>]/i.test(html)) return false;
+    return extractHtmlTableRows(html).some(cells => mapCsvColumns(cells) !== null);
+}
+
+// Named character references seen in copied grids; numeric ones are decoded generically
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * DOM-free fallback for extractHtmlTableRows(). Reads <tr>/<th>/<td> tags
+ * inside <table> elements, tolerating omitted closing tags; nested tables
+ * are not supported.
+ *
+ * @param {string} html - HTML containing one or more <table> elements
+ * @returns {Array<Array<string>>} Cell text (whitespace-collapsed) per row
+ */
+function scanHtmlTableRows(html) {
+    const cellText = (cell) => cell
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+            if (name[0] === '#') {
+                const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+            }
+            return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    const source = html.replace(/<!--[\s\S]*?-->/g, '');
+    const rows = [];
+    for (const [table] of source.matchAll(/<table\b[\s\S]*?(?:<\/table\s*>|$)/gi)) {
+        for (const [, row] of table.matchAll(/<tr\b[^>]*>([\s\S]*?)(?=<\/tr\s*>|<tr\b|<\/table\s*>|$)/gi)) {
+            const cells = [...row.matchAll(/<t[hd]\b[^>]*>([\s\S]*?)(?=<\/t[hd]\s*>|<t[hd]\b|$)/gi)];
+            rows.push(cells.map(([, cell]) => cellText(cell)));
+        }
+    }
+    return rows;
+}
+
+/**
+ * Parses an HTML table copied from the browser (see parseTableRowsDetailed).
+ *
+ * @param {string} html - Clipboard HTML
+ * @returns {Object} Parsed data in the same shape as parsePaylocityData
+ * @throws {Error} If no table with a recognizable header is found or no rows parse
+ */
+export function parseHtmlTableData(html) {
+    return parseHtmlTableDataDetailed(html).data;
+}
+
+/**
+ * Parses an HTML table copied from the browser and reports how every row was read.
+ *
+ * @param {string} html - Clipboard HTML
+ * @returns {{data: Object, diagnostics: Object}} Parsed data and diagnostics
+ * @throws {Error} Same conditions as parseHtmlTableData
+ */
+export function parseHtmlTableDataDetailed(html) {
+    return parseTableRowsDetailed(extractHtmlTableRows(html));
+}
+
+/**
+ * Read a pay cell, splitting out a "$25.00 / Hour" rate (Paylocity shows
+ * hourly rates in the pay columns).
+ */
+function readPayCell(value) {
+    const text = value || '';
+    if (/\/\s*Hour/i.test(text)) {
+        return { amount: 0, hourlyRate: parseAmount(text.replace(/\/\s*Hour.*$/i, '')) };
+    }
+    return { amount: parseAmount(text), hourlyRate: 0 };
+}
+
+/**
+ * Shared row parser for delimited exports and copied tables.
+ *
+ * @param {string} parserId - Parser id for the diagnostics report
+ * @param {Array<Object>} rows - { cells, sourceText, header: { cells, columns } }
+ * @returns {{data: Object, diagnostics: Object}} Parsed data and diagnostics
+ */
+function parseCellRows(parserId, rows) {
+    const records = [];
+    const recordDiagnostics = [];
+    const skipped = [];
+    const skip = (sourceText, reason) => {
+        console.warn('Failed to parse record:', sourceText);
+        skipped.push({ sourceText, reason });
+    };
+
+    for (const { cells, sourceText, header } of rows) {
+        const { columns, cells: headerCells } = header;
+        const date = normalizeDate((cells[columns.date] || '').trim());
+        if (!date) {
+            skip(sourceText, `Unrecognized date "${cells[columns.date] || ''}"`);
+            continue;
+        }
+
+        let annualCell, hourlyCell, perCheckCell, hourlyColumn;
+        try {
+            const annualPay = readPayCell(columns.annual !== undefined ? cells[columns.annual] : '');
+            const perCheckPay = readPayCell(columns.perCheck !== undefined ? cells[columns.perCheck] : '');
+            const hourlyPay = readPayCell(columns.hourlyRate !== undefined ? cells[columns.hourlyRate] : '');
+            annualCell = annualPay.amount;
+            perCheckCell = perCheckPay.amount;
+            hourlyCell = hourlyPay.amount || hourlyPay.hourlyRate || annualPay.hourlyRate || perCheckPay.hourlyRate;
+            hourlyColumn = [
+                [hourlyPay.amount || hourlyPay.hourlyRate, columns.hourlyRate],
+                [annualPay.hourlyRate, columns.annual],
+                [perCheckPay.hourlyRate, columns.perCheck]
+            ].find(([rate]) => rate > 0)?.[1];
+        } catch (e) {
+            skip(sourceText, e.message);
+            continue;
+        }
+        const hourlyRate = hourlyCell > 0 ? validateSalaryRange(hourlyCell, 'hourlyRate') : 0;
+
+        const isHourly = annualCell === 0 && hourlyRate > 0;
+        if (annualCell === 0 && !isHourly) {
+            skip(sourceText, 'No annual salary or hourly rate found');
+            continue;
+        }
+
+        const perCheckRead = perCheckCell > 0 ? validateSalaryRange(perCheckCell, 'perCheck') : 0;
+        const { annual, perCheck } = isHourly
+            ? buildHourlyValues(hourlyRate, perCheckRead)
+            : {
+                annual: validateSalaryRange(annualCell, 'annual'),
+                perCheck: perCheckRead || Math.round((annualCell / CONSTANTS.PAY_PERIODS_PER_YEAR) * 100) / 100
+            };
+        // Derived per-check amounts get their frequency from assignPayFrequencies
+        const payFrequency = perCheckRead > 0 ? detectPayFrequency(annual, perCheck) : null;
+
+        const rawReason = columns.reason !== undefined ? (cells[columns.reason] || '') : '';
+        const reason = columns.reason !== undefined ? normalizeCsvReason(rawReason) : '—';
+
+        records.push({
+            date,
+            reason,
+            payType: isHourly ? 'hourly' : 'salary',
+            payFrequency,
+            perCheck,
+            annual,
+            hourlyRate,
+            change: 0,
+            changePercent: 0
+        });
+
+        const notes = [];
+        if (isHourly) notes.push('Annualized from hourly rate (assumes full-time hours)');
+        if (reason === 'Unknown') notes.push('Change reason not recognized');
+        if (payFrequency === 'unknown') {
+            notes.push(`Per-check amount fits no known pay frequency (annual ÷ per-check = ${(annual / perCheck).toFixed(1)})`);
+        }
+
+        let reasonSource = 'no reason column';
+        if (columns.reason !== undefined) {
+            reasonSource = reason === rawReason.trim()
+                ? `column "${headerCells[columns.reason]}"`
+                : `column "${headerCells[columns.reason]}" ("${rawReason.trim()}" → ${reason})`;
+        }
+
+        recordDiagnostics.push({
+            date,
+            sourceText,
+            fields: {
+                reason: reasonSource,
+                annual: isHourly
+                    ? `hourly rate × ${CONSTANTS.STANDARD_HOURS_PER_YEAR.toLocaleString('en-US')} hours`
+                    : `column "${headerCells[columns.annual]}"`,
+                perCheck: perCheckRead > 0
+                    ? `column "${headerCells[columns.perCheck]}"`
+                    : `annual ÷ ${CONSTANTS.PAY_PERIODS_PER_YEAR} pay periods`,
+                payFrequency: payFrequency ? `annual ÷ per-check = ${(annual / perCheck).toFixed(1)}` : 'not detected',
+                hourlyRate: hourlyRate > 0 ? `column "${headerCells[hourlyColumn]}"` : 'not found',
+                change: 'derived from previous record',
+                changePercent: 'derived from previous record'
+            },
+            confidence: gradeConfidence(notes),
+            notes
+        });
+    }
+
+    describeAssignedFrequency(recordDiagnostics, assignPayFrequencies(records));
+    const data = buildParseResult(records);
+    deriveRecordChanges(data.records);
+    recordDiagnostics.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    return { data, diagnostics: buildDiagnosticsReport(parserId, recordDiagnostics, skipped) };
+}
@@ -5,12 +5,14 @@
  * - Time period selection (5, 10, 15, 20 years)
  * - Custom rate slider
  * - Chart/table view switching
+ * - Scenario / Monte Carlo mode switching
+ * - Salary goal (target salary and date) with its required growth
  * - Chart type selection
  *
  * Uses dependency injection for testability.
  */
 
-import { calculateCAGR } from './calculations.js';
+import { calculateCAGR, getGoalAnalysis, getBenchmarkProfile, formatDateCompact } from './calculations.js';
 import { debounce } from './utils.js';
 
 // ========================================
@@ -22,6 +24,7 @@ let _getEmployeeData;
 let _updateMainChartType;
 let _updateYoyChartType;
 let _updateProjectionChartData;
+let _buildProjectionChart;
 let _buildProjectionTable;
 
 /**
@@ -33,6 +36,7 @@ let _buildProjectionTable;
  * @param {Function} deps.updateMainChartType - Update main chart type
  * @param {Function} deps.updateYoyChartType - Update YoY chart type
  * @param {Function} deps.updateProjectionChartData - Update projection chart data
+ * @param {Function} deps.buildProjectionChart - Rebuild projection chart (mode switches)
  * @param {Function} deps.buildProjectionTable - Build projection table
  */
 export function initProjectionsModule({
@@ -41,6 +45,7 @@ export function initProjectionsModule({
     updateMainChartType,
     updateYoyChartType,
     updateProjectionChartData,
+    buildProjectionChart,
     buildProjectionTable
 }) {
     _state = state;
@@ -48,6 +53,7 @@ export function initProjectionsModule({
     _updateMainChartType = updateMainChartType;
     _updateYoyChartType = updateYoyChartType;
     _updateProjectionChartData = updateProjectionChartData;
+    _buildProjectionChart = buildProjectionChart;
     _buildProjectionTable = buildProjectionTable;
 }
 
@@ -56,16 +62,17 @@ export function initProjectionsModule({
 // ========================================
 
 /**
- * Sets the main chart type (line, bar, area, step).
+ * Sets the main chart type (line, bar, area, step, cumulative).
  *
  * Updates state, toggles active button styling, and triggers
- * efficient chart type update (no full rebuild).
+ * efficient chart type update (no full rebuild, except when switching
+ * into or out of the cumulative earnings mode).
  *
- * @param {string} type - Chart type ('line', 'bar', 'area', 'step')
+ * @param {string} type - Chart type ('line', 'bar', 'area', 'step', 'cumulative')
  */
 export function setChartType(type) {
     _state.mainChartType = type;
-    document.querySelectorAll('.chart-controls .chart-type-btn').forEach(btn => {
+    document.querySelectorAll('.chart-controls .chart-type-btn[data-chart]').forEach(btn => {
         btn.classList.toggle('active', btn.dataset.chart === type);
     });
     // Use efficient type update instead of full rebuild
@@ -194,7 +201,7 @@ export function updateCustomRate() {
 export function setProjectionView(view) {
     const chartWrapper = document.getElementById('projectionChartWrapper');
     const tableWrapper = document.getElementById('projectionTableWrapper');
-    const buttons = document.querySelectorAll('#tab-projections .chart-type-btn');
+    const buttons = document.querySelectorAll('#tab-projections .chart-type-btn[data-view]');
 
     buttons.forEach(btn => {
         btn.classList.toggle('active', btn.dataset.view === view);
@@ -211,3 +218,129 @@ export function setProjectionView(view) {
     }
     // Note: Time period buttons always stay visible (affects both chart and table)
 }
+
+/**
+ * Switches the projection between fixed-rate scenarios and Monte Carlo bands.
+ *
+ * Rebuilds the chart (its datasets differ per mode) and the table (Monte
+ * Carlo adds percentile columns). The simulation itself runs in a worker and
+ * fills both in when it finishes.
+ *
+ * @param {string} mode - 'scenarios' or 'monteCarlo'
+ */
+export function setProjectionMode(mode) {
+    _state.projectionMode = mode;
+    document.querySelectorAll('#tab-projections .chart-type-btn[data-projection-mode]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.projectionMode === mode);
+    });
+
+    if (_buildProjectionChart) _buildProjectionChart();
+    if (_buildProjectionTable) _buildProjectionTable();
+}
+
+// ========================================
+// SALARY GOAL
+// ========================================
+
+/**
+ * Where the per-raise figure of a goal lands in the benchmark ranges.
+ *
+ * @param {Object} goal - Result of getGoalAnalysis()
+ * @param {Object} benchmarks - Benchmark profile
+ * @returns {string} Phrase like "within the typical range (3–5%)"
+ */
+function describeGoalStanding(goal, benchmarks) {
+    const typical = `${benchmarks.typicalRaise.min}–${benchmarks.typicalRaise.max}%`;
+    const high = `${benchmarks.highPerformerRaise.min}–${benchmarks.highPerformerRaise.max}%`;
+    if (goal.standing === 'typical') {
+        return goal.requiredRaisePerCycle < benchmarks.typicalRaise.min
+            ? `below the typical range (${typical})`
+            : `within the typical range (${typical})`;
+    }
+    if (goal.standing === 'highPerformer') return `above the typical range (${typical}), in high-performer territory (${high})`;
+    return `above even the high-performer range (${high})`;
+}
+
+/**
+ * Plain-language summary of a salary goal for the Projections tab: required
+ * annual growth vs historical CAGR, the equivalent typical raises or
+ * promotions, and the raise size needed at the benchmark cadence. Leaves out
+ * dollar amounts so it is safe to show in privacy mode.
+ *
+ * @param {Object} goal - Result of getGoalAnalysis()
+ * @param {Object} benchmarks - Benchmark profile used for the analysis
+ * @returns {string} Summary text
+ *
+ * @example
+ * describeGoal(getGoalAnalysis(employeeData, { salary: 200000, date: '2030-01-01' }, benchmarks), benchmarks);
+ * // "Reaching your goal by Jan 2030 (4.0 years) takes 7.5% a year, 1.7 pts above your historical 5.7% CAGR. ..."
+ */
+export function describeGoal(goal, benchmarks) {
+    const by = formatDateCompact(goal.targetDate);
+    if (goal.standing === 'reached') return `Your current salary already meets this goal, with no raises needed by ${by}.`;
+
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const cadence = `one raise every ${benchmarks.avgMonthsBetweenRaises} months`;
+    const sentences = [
+        `Reaching your goal by ${by} (${goal.years.toFixed(1)} years) takes ${goal.requiredRate.toFixed(1)}% a year, ` +
+            `${Math.abs(goal.vsHistorical).toFixed(1)} pts ${goal.vsHistorical >= 0 ? 'above' : 'below'} your historical ${goal.historicalCagr.toFixed(1)}% CAGR.`,
+        `That's about ${plural(goal.typicalRaisesNeeded, 'typical raise')} of ${benchmarks.typicalRaise.avg}% ` +
+            `or ${plural(goal.promotionsNeeded, 'promotion')} of ${benchmarks.promotionBump.avg}%.`,
+        goal.requiredRaisePerCycle === null
+            ? `At ${cadence}, no raise cycle fits before then.`
+            : `At ${cadence} (${goal.raiseCycles} by then), each would need to be ${goal.requiredRaisePerCycle.toFixed(1)}%, ${describeGoalStanding(goal, benchmarks)}.`
+    ];
+    return sentences.join(' ');
+}
+
+/**
+ * Shows the goal summary under the goal inputs, or why the goal can't be
+ * solved. Called when the goal changes and whenever the Projections tab is
+ * shown (the benchmark profile may have changed on the Market tab).
+ *
+ * @returns {void}
+ */
+export function renderGoalSummary() {
+    const summary = document.getElementById('goalSummary');
+    const employeeData = _getEmployeeData();
+    if (!summary || !employeeData) return;
+
+    if (!_state.goal) {
+        summary.textContent = '';
+        return;
+    }
+    const benchmarks = getBenchmarkProfile(_state.benchmarkProfile);
+    const goal = getGoalAnalysis(employeeData, _state.goal, benchmarks);
+    summary.textContent = goal
+        ? describeGoal(goal, benchmarks)
+        : `Pick a date after your latest record (${formatDateCompact(employeeData.currentDate)}).`;
+}
+
+/**
+ * Sets the salary goal from the goal inputs and redraws its chart marker,
+ * table row and summary. A missing salary or date clears the goal.
+ *
+ * @returns {void}
+ */
+export function updateGoal() {
+    const salary = parseFloat(document.getElementById('goalSalaryInput')?.value);
+    const date = document.getElementById('goalDateInput')?.value;
+    _state.goal = salary > 0 && date ? { salary, date } : null;
+
+    renderGoalSummary();
+    if (_updateProjectionChartData) _updateProjectionChartData();
+    if (_buildProjectionTable) _buildProjectionTable();
+}
+
+/**
+ * Clears the goal inputs and removes the goal.
+ *
+ * @returns {void}
+ */
+export function clearGoal() {
+    ['goalSalaryInput', 'goalDateInput'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.value = '';
+    });
+    updateGoal();
+}
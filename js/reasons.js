@@ -0,0 +1,353 @@
+// ========================================
+// REASON TAXONOMY MODULE
+// ========================================
+// Built-in change reasons plus user-defined ones ("Cost of Living",
+// "Retention", ...), each mapped to a category. Parsing, import validation,
+// history badges and the merit count all read the taxonomy from here.
+
+import { VALID_REASONS, CONSTANTS } from './constants.js';
+import { escapeHTML } from './security.js';
+
+/**
+ * Categories a custom reason can be mapped to.
+ */
+export const REASON_CATEGORIES = ['merit', 'promotion', 'market', 'equity', 'other'];
+
+const BUILTIN_CATEGORIES = {
+    'Merit Increase': 'merit',
+    'Promotion': 'promotion',
+    'Market Adjustment': 'market',
+    'Equity': 'equity',
+    'New Hire': 'hire'
+};
+
+// Promotion has no dedicated badge style (matches built-in "Promotion" rows)
+const CATEGORY_BADGES = {
+    merit: 'badge-merit',
+    equity: 'badge-equity',
+    market: 'badge-market',
+    hire: 'badge-new',
+    promotion: '',
+    other: ''
+};
+
+const MAX_REASON_LENGTH = 50;
+
+// ========================================
+// TAXONOMY STATE
+// ========================================
+
+let _customReasons = null;
+
+/**
+ * Lazily loads custom reasons from localStorage on first access.
+ *
+ * @returns {Array<{name: string, category: string}>} Live taxonomy array
+ */
+function getStore() {
+    if (_customReasons === null) {
+        _customReasons = [];
+        try {
+            const saved = JSON.parse(localStorage.getItem(CONSTANTS.STORAGE_KEY_CUSTOM_REASONS) || '[]');
+            addReasons(saved);
+        } catch {
+            // localStorage unavailable (tests, privacy mode) or corrupt - start empty
+        }
+    }
+    return _customReasons;
+}
+
+function persist() {
+    try {
+        localStorage.setItem(CONSTANTS.STORAGE_KEY_CUSTOM_REASONS, JSON.stringify(_customReasons));
+    } catch {
+        // Quota exceeded or localStorage disabled - taxonomy still works for this session
+    }
+}
+
+/**
+ * Validates and appends reasons to the store (no persistence).
+ *
+ * @param {Array} reasons - Candidate { name, category } entries
+ * @returns {number} Number of reasons added
+ */
+function addReasons(reasons) {
+    if (!Array.isArray(reasons)) return 0;
+    let added = 0;
+    for (const entry of reasons) {
+        const error = getCustomReasonError(entry?.name, entry?.category);
+        if (!error) {
+            _customReasons.push({ name: entry.name.trim(), category: entry.category });
+            added++;
+        }
+    }
+    return added;
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Returns the user-defined reasons.
+ *
+ * @returns {Array<{name: string, category: string}>} Copy of the custom reasons
+ */
+export function getCustomReasons() {
+    return getStore().map(r => ({ ...r }));
+}
+
+/**
+ * Returns every reason a record may use: built-ins first, then custom reasons.
+ *
+ * @returns {string[]} Valid reason names
+ *
+ * @example
+ * addCustomReason('Cost of Living', 'market');
+ * getValidReasons(); // ['Merit Increase', ..., 'New Hire', 'Cost of Living']
+ */
+export function getValidReasons() {
+    return [...VALID_REASONS, ...getStore().map(r => r.name)];
+}
+
+/**
+ * Checks a would-be custom reason.
+ *
+ * @param {string} name - Reason text as it appears in payroll exports
+ * @param {string} category - One of REASON_CATEGORIES
+ * @returns {string|null} Error message, or null if the reason can be added
+ */
+export function getCustomReasonError(name, category) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) return 'Reason name is required';
+    if (trimmed.length > MAX_REASON_LENGTH) return `Reason name must be ${MAX_REASON_LENGTH} characters or fewer`;
+    if (/[<>]/.test(trimmed)) return 'Reason name cannot contain < or >';
+    if (!REASON_CATEGORIES.includes(category)) {
+        return `Category must be one of: ${REASON_CATEGORIES.join(', ')}`;
+    }
+    const lower = trimmed.toLowerCase();
+    if ([...VALID_REASONS, ...getStore().map(r => r.name)].some(r => r.toLowerCase() === lower)) {
+        return `"${trimmed}" is already a reason`;
+    }
+    return null;
+}
+
+/**
+ * Validates a file's `customReasons` list (JSON import). Each entry must be a
+ * reason getCustomReasonError() accepts or repeat an existing custom reason
+ * with the same category, so mergeCustomReasons() keeps every name the file's
+ * records use.
+ *
+ * @param {Array<Object>} reasons - [{ name, category }]
+ * @returns {{names: string[], errors: string[]}} Reason names records may use, and
+ *   error messages ("Custom reason N: ..."), empty if valid
+ *
+ * @example
+ * checkCustomReasons([{ name: 'Retention', category: 'bonus' }]).errors;
+ * // ['Custom reason 1: Category must be one of: merit, promotion, market, equity, other']
+ */
+export function checkCustomReasons(reasons) {
+    if (!Array.isArray(reasons)) {
+        return { names: [], errors: ['"customReasons" must be an array'] };
+    }
+
+    const names = [];
+    const errors = [];
+    const added = [];  // Accepted entries earlier in this file
+    reasons.forEach((entry, index) => {
+        const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+        const existing = [...getStore(), ...added].find(r => r.name === name);
+        let error;
+        if (existing) {
+            error = existing.category === entry.category ? null : `"${name}" is already a reason (${existing.category})`;
+        } else {
+            error = getCustomReasonError(name, entry?.category);
+        }
+
+        if (error) {
+            errors.push(`Custom reason ${index + 1}: ${error}`);
+        } else {
+            names.push(name);
+            if (!existing) added.push({ name, category: entry.category });
+        }
+    });
+    return { names, errors };
+}
+
+/**
+ * Adds a custom reason and persists the taxonomy.
+ *
+ * @param {string} name - Reason text as it appears in payroll exports
+ * @param {string} category - One of REASON_CATEGORIES
+ * @returns {{name: string, category: string}} The added reason
+ * @throws {Error} If the name is empty, too long, duplicated or the category is unknown
+ */
+export function addCustomReason(name, category) {
+    getStore();
+    const error = getCustomReasonError(name, category);
+    if (error) throw new Error(error);
+    const reason = { name: name.trim(), category };
+    _customReasons.push(reason);
+    persist();
+    return { ...reason };
+}
+
+/**
+ * Removes a custom reason and persists the taxonomy.
+ *
+ * @param {string} name - Reason name
+ * @returns {boolean} True if a reason was removed
+ */
+export function removeCustomReason(name) {
+    const store = getStore();
+    const idx = store.findIndex(r => r.name === name);
+    if (idx === -1) return false;
+    store.splice(idx, 1);
+    persist();
+    return true;
+}
+
+/**
+ * Adds reasons that aren't already known (e.g. from an imported backup file).
+ * Invalid or duplicate entries are ignored.
+ *
+ * @param {Array<{name: string, category: string}>} reasons - Reasons to merge
+ * @returns {number} Number of reasons added
+ */
+export function mergeCustomReasons(reasons) {
+    getStore();
+    const added = addReasons(reasons);
+    if (added > 0) persist();
+    return added;
+}
+
+/**
+ * Replaces all custom reasons (no persistence). Intended for tests and resets.
+ *
+ * @param {Array<{name: string, category: string}>} reasons - New taxonomy
+ * @returns {void}
+ */
+export function setCustomReasons(reasons) {
+    _customReasons = [];
+    addReasons(reasons);
+}
+
+/**
+ * Finds the reason named in a block of payroll text.
+ * The longest match wins so "Merit Increase" beats a custom "Merit".
+ *
+ * @param {string} text - Record text
+ * @returns {string|null} Matching reason name, or null
+ */
+export function findReasonInText(text) {
+    let match = null;
+    for (const reason of getValidReasons()) {
+        if (text.includes(reason) && (!match || reason.length > match.length)) {
+            match = reason;
+        }
+    }
+    return match;
+}
+
+/**
+ * Returns a reason's category.
+ *
+ * Built-in and custom reasons use their mapping; anything else is classified
+ * by keyword ("Annual Merit Review" → merit), falling back to 'other'.
+ *
+ * @param {string} reason - Reason name
+ * @returns {string} 'merit' | 'promotion' | 'market' | 'equity' | 'hire' | 'other'
+ */
+export function getReasonCategory(reason) {
+    if (!reason) return 'other';
+    if (BUILTIN_CATEGORIES[reason]) return BUILTIN_CATEGORIES[reason];
+    const custom = getStore().find(r => r.name === reason);
+    if (custom) return custom.category;
+    if (reason.includes('Merit')) return 'merit';
+    if (reason.includes('Equity')) return 'equity';
+    if (reason.includes('Market')) return 'market';
+    if (reason.includes('New')) return 'hire';
+    if (reason.includes('Promot')) return 'promotion';
+    return 'other';
+}
+
+/**
+ * Returns the history-table badge class for a category.
+ *
+ * @param {string} category - Reason category
+ * @returns {string} CSS class name, or '' for unstyled badges
+ */
+export function getCategoryBadgeClass(category) {
+    return CATEGORY_BADGES[category] || '';
+}
+
+// ========================================
+// CUSTOM REASONS PANEL (import modal)
+// ========================================
+
+let _onChange = () => {};
+
+/**
+ * Renders the custom reason list in the import modal.
+ */
+function renderCustomReasons() {
+    const list = document.getElementById('customReasonsList');
+    if (!list) return;
+
+    const reasons = getStore();
+    list.innerHTML = reasons.length === 0
+        ? '<li class="custom-reasons-empty">No custom reasons yet.</li>'
+        : reasons.map(r => `
+            <li>
+                <span class="custom-reason-name">${escapeHTML(r.name)}</span>
+                <span class="custom-reason-category">${escapeHTML(r.category)}</span>
+                <button type="button" class="btn-text-alt" data-remove-reason="${escapeHTML(r.name)}" aria-label="Remove ${escapeHTML(r.name)}">Remove</button>
+            </li>`).join('');
+}
+
+/**
+ * Binds the custom reasons panel in the import modal.
+ *
+ * @param {Object} deps - Dependencies to inject
+ * @param {Function} deps.onChange - Called after the taxonomy changes (re-validates pasted text)
+ */
+export function initCustomReasonsPanel({ onChange }) {
+    _onChange = onChange;
+
+    const list = document.getElementById('customReasonsList');
+    const nameInput = document.getElementById('customReasonName');
+    const categorySelect = document.getElementById('customReasonCategory');
+    const addBtn = document.getElementById('customReasonAddBtn');
+    const errorEl = document.getElementById('customReasonError');
+    if (!list || !nameInput || !categorySelect || !addBtn) return;
+
+    const add = () => {
+        try {
+            addCustomReason(nameInput.value, categorySelect.value);
+            nameInput.value = '';
+            errorEl.classList.add('hidden');
+            renderCustomReasons();
+            _onChange();
+        } catch (e) {
+            errorEl.textContent = e.message;
+            errorEl.classList.remove('hidden');
+        }
+    };
+
+    addBtn.addEventListener('click', add);
+    nameInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            add();
+        }
+    });
+    list.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-remove-reason]');
+        if (!btn) return;
+        removeCustomReason(btn.dataset.removeReason);
+        renderCustomReasons();
+        _onChange();
+    });
+
+    renderCustomReasons();
+}
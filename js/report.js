@@ -0,0 +1,201 @@
+// ========================================
+// HEADLESS REPORT MODULE
+// ========================================
+// Parse → calculate → report without a browser, for the Node CLI (cli.js)
+// and batch analysis. Reads pasted payroll text or an exported JSON file,
+// runs the same calculations as the dashboard and returns plain KPI objects.
+// Only imports modules that don't touch the DOM at load time.
+
+import { CONSTANTS, benchmarkProfiles } from './constants.js';
+import {
+    calculateYearsOfService,
+    getStartingComp,
+    getCurrentComp,
+    getBenchmarkComparisons,
+    getBenchmarkProfile,
+    hasBenchmarkProfile,
+    hasCompComponents
+} from './calculations.js';
+import { parseCompensationData } from './parser-registry.js';
+import { validateImportedData } from './io.js';
+import { mergeCustomReasons } from './reasons.js';
+import { isEncrypted } from './crypto.js';
+
+/** Report output formats accepted by the CLI */
+export const REPORT_FORMATS = ['json', 'table'];
+
+// ========================================
+// INPUT
+// ========================================
+
+/**
+ * Loads employee data from a file's contents: an exported JSON file (checked
+ * with validateImportedData()) or pasted payroll text in any registered format.
+ *
+ * @param {string} text - File contents
+ * @param {Object} [options]
+ * @param {string} [options.parserId] - Force a parser for pasted text (see parser-registry.js)
+ * @returns {Object} Employee data, with `source` set to 'json' or the parser id
+ * @throws {Error} If the JSON is invalid or encrypted, or no parser recognizes the text
+ *
+ * @example
+ * const data = loadCompensationInput(fs.readFileSync('history.txt', 'utf8'));
+ * data.source; // 'paylocity'
+ */
+export function loadCompensationInput(text, { parserId } = {}) {
+    const trimmed = text.trim();
+    if (!trimmed.startsWith('{')) {
+        return parseCompensationData(trimmed, parserId);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(trimmed);
+    } catch (err) {
+        throw new Error(`Invalid JSON: ${err.message}`);
+    }
+    if (isEncrypted(data)) {
+        throw new Error('Encrypted files are not supported. Export the data without a password');
+    }
+
+    const validation = validateImportedData(data);
+    if (!validation.valid) {
+        throw new Error(validation.errors.join('; '));
+    }
+    if (data.customReasons) {
+        mergeCustomReasons(data.customReasons);
+        delete data.customReasons;
+    }
+    data.source = 'json';
+    return data;
+}
+
+// ========================================
+// REPORT
+// ========================================
+
+/**
+ * Computes the dashboard KPIs for one employee: CAGR, real growth, benchmark
+ * deltas, promotion bumps, estimated percentiles and performance tier (see getBenchmarkComparisons()).
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @param {Object} [options]
+ * @param {string} [options.basis='base'] - 'base' or 'total' (falls back to
+ *   'base' for data without bonuses or other components)
+ * @param {string} [options.benchmarkProfile='saas-all-us'] - benchmarkProfiles key to compare against
+ * @returns {Object} Flat KPI object (percentages as numbers, e.g. 5.2 for 5.2%)
+ * @throws {Error} If benchmarkProfile is not a benchmarkProfiles key
+ *
+ * @example
+ * buildReport(data).cagr;           // 8.4
+ * buildReport(data).performanceTier; // 'solid'
+ */
+export function buildReport(employeeData, {
+    basis = 'base',
+    benchmarkProfile = CONSTANTS.DEFAULT_BENCHMARK_PROFILE
+} = {}) {
+    if (!hasBenchmarkProfile(benchmarkProfile)) {
+        throw new Error(`Unknown benchmark profile "${benchmarkProfile}". Use one of: ${Object.keys(benchmarkProfiles).join(', ')}`);
+    }
+    const benchmarks = getBenchmarkProfile(benchmarkProfile);
+    const compBasis = basis === 'total' && hasCompComponents(employeeData) ? 'total' : 'base';
+    const bench = getBenchmarkComparisons(employeeData, benchmarks, compBasis);
+
+    return {
+        source: employeeData.source ?? null,
+        hireDate: employeeData.hireDate,
+        currentDate: employeeData.currentDate,
+        yearsOfService: calculateYearsOfService(employeeData),
+        records: employeeData.records.length,
+        compBasis,
+        startingComp: getStartingComp(employeeData, compBasis),
+        currentComp: getCurrentComp(employeeData, compBasis),
+        cagr: bench.userCagr,
+        realCagr: bench.realCagr,
+        nominalGrowth: bench.nominalGrowth,
+        inflation: bench.totalInflation,
+        realGrowth: bench.realGrowth,
+        purchasingPowerGain: bench.purchasingPowerGain,
+        totalRaises: bench.totalRaises,
+        avgRaise: bench.avgRaise,
+        avgMonthsBetweenRaises: bench.avgMonthsBetween,
+        benchmarkProfile,
+        industryCagr: benchmarks.industryCagr,
+        industryCagrOverTenure: bench.industryCagrOverTenure,
+        cagrVsIndustry: bench.cagrVsIndustry,
+        raiseVsTypical: bench.raiseVsTypical,
+        raiseVsHighPerformer: bench.raiseVsHighPerformer,
+        vsIndustrySalary: bench.vsIndustrySalary,
+        vsIndustryPercent: bench.vsIndustryPercent,
+        promotions: bench.promotions.count,
+        avgPromotionBump: bench.promotions.avgBump,
+        promotionBumpVsBenchmark: bench.promotions.bumpVsBenchmark,
+        promotionGrowthShare: bench.promotions.promotionShare,
+        raisePercentile: bench.percentiles.raise.percentile,
+        cagrPercentile: bench.percentiles.cagr.percentile,
+        raiseFrequencyPercentile: bench.percentiles.monthsBetweenRaises.percentile,
+        performanceTier: bench.performanceTier
+    };
+}
+
+// ========================================
+// TEXT OUTPUT
+// ========================================
+
+const currency = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
+const percent = (value) => `${value.toFixed(1)}%`;
+const signedPercent = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)} pts`;
+const signedCurrency = (value) => `${value >= 0 ? '+' : '-'}${currency.format(Math.abs(value))}`;
+
+// [report key, label, formatter, text for null values] rows of the text table, in print
+// order; null values without that text leave their row out
+const TABLE_ROWS = [
+    ['source', 'Source', String],
+    ['hireDate', 'Hire date', String],
+    ['currentDate', 'Latest change', String],
+    ['yearsOfService', 'Years of service', (v) => v.toFixed(1)],
+    ['compBasis', 'Basis', (v) => v === 'total' ? 'Total compensation' : 'Base salary'],
+    ['startingComp', 'Starting', (v) => currency.format(v)],
+    ['currentComp', 'Current', (v) => currency.format(v)],
+    ['cagr', 'CAGR', percent],
+    ['realCagr', 'Real CAGR', percent],
+    ['nominalGrowth', 'Nominal growth', percent],
+    ['inflation', 'Inflation', percent],
+    ['realGrowth', 'Real growth', percent],
+    ['purchasingPowerGain', 'Purchasing power', signedCurrency],
+    ['avgRaise', 'Average raise', (v, report) => `${percent(v)} over ${report.totalRaises} raises`],
+    ['avgMonthsBetweenRaises', 'Months between raises', (v) => v.toFixed(1)],
+    ['benchmarkProfile', 'Benchmark', (v) => getBenchmarkProfile(v).label],
+    ['cagrVsIndustry', 'CAGR vs industry', (v, report) => `${signedPercent(v)} (industry ${percent(report.industryCagrOverTenure)} over tenure)`],
+    ['raiseVsTypical', 'Raise vs typical', signedPercent],
+    ['raiseVsHighPerformer', 'Raise vs high performer', signedPercent],
+    ['vsIndustrySalary', 'vs industry trajectory', (v, report) => `${signedCurrency(v)} (${report.vsIndustryPercent >= 0 ? '+' : ''}${report.vsIndustryPercent.toFixed(1)}%)`],
+    ['promotions', 'Promotions', String],
+    ['avgPromotionBump', 'Avg promotion bump', (v, report) => `${percent(v)} (${signedPercent(report.promotionBumpVsBenchmark)} vs benchmark)`],
+    ['promotionGrowthShare', 'Growth from promotions', percent],
+    ['raisePercentile', 'Raise percentile', (v) => `P${Math.round(v)}`, 'n/a (no raises)'],
+    ['cagrPercentile', 'CAGR percentile', (v) => `P${Math.round(v)}`],
+    ['raiseFrequencyPercentile', 'Raise frequency', (v) => `faster than ${Math.round(v)}% of peers`, 'n/a (no raises)'],
+    ['performanceTier', 'Performance tier', String]
+];
+
+/**
+ * Formats a report as a two-column text table.
+ *
+ * @param {Object} report - Result of buildReport()
+ * @param {string} [title] - Heading line (e.g. the file name)
+ * @returns {string} Table text, without a trailing newline
+ *
+ * @example
+ * console.log(formatReportTable(buildReport(data), 'history.txt'));
+ * // history.txt
+ * // Source            paylocity
+ * // ...
+ */
+export function formatReportTable(report, title) {
+    const width = Math.max(...TABLE_ROWS.map(([, label]) => label.length)) + 2;
+    const lines = TABLE_ROWS
+        .filter(([key, , , nullText]) => report[key] !== undefined && (report[key] !== null || nullText))
+        .map(([key, label, format, nullText]) => `${label.padEnd(width)}${report[key] === null ? nullText : format(report[key], report)}`);
+    return [...(title ? [title, '-'.repeat(title.length)] : []), ...lines].join('\n');
+}
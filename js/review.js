@@ -0,0 +1,720 @@
+// ========================================
+// RECORD REVIEW MODULE
+// ========================================
+// Lazy-loaded step between parsing and dashboard generation.
+// Shows every parsed record in an editable grid so misparsed values
+// (e.g. concatenated "$1,166.6712.2807") are fixed before they feed CAGR.
+// Edits are checked live with the same rules as JSON import (validateImportedData).
+// Side grids collect pay beyond base salary: bonuses, 401(k) match, ...
+// (components) and equity grants with their share price history.
+
+import { CONSTANTS, COMPENSATION_COMPONENTS, VESTING_SCHEDULES } from './constants.js';
+import { getValidReasons } from './reasons.js';
+import { validateImportedData } from './io.js';
+import { deriveRecordChange, getMostCommonPayFrequency } from './parser.js';
+import { detectPayFrequency, formatPayFrequency } from './calculations.js';
+import { escapeHTML } from './security.js';
+
+// ========================================
+// MODULE STATE (injected via initReview)
+// ========================================
+
+let _completeImport;
+
+let _base = null;        // Parsed data without records (source, etc.)
+let _rows = [];          // Editable rows, in display order
+let _sideRows = { components: [], grants: [], prices: [], bands: [] }; // Side grid rows, in display order
+let _nextRowId = 1;
+let _listenersBound = false;
+
+const MAX_LISTED_ERRORS = 8;
+
+/**
+ * Initializes the review module with required dependencies.
+ * Must be called once before using any review functions.
+ *
+ * @param {Object} deps - Dependencies to inject
+ * @param {Function} deps.completeImport - async (employeeData, employer) => void; finishes the import
+ */
+export function initReview({ completeImport }) {
+    _completeImport = completeImport;
+}
+
+// ========================================
+// ROW MODEL (pure — no DOM)
+// ========================================
+
+/**
+ * Converts parsed records into editable review rows.
+ *
+ * Each row remembers its original chronological predecessor (`prevId`) so
+ * change amounts are only recomputed where an edit actually affects them.
+ *
+ * @param {Array<Object>} records - Parsed records, newest first
+ * @param {Object|null} [diagnostics] - Parse diagnostics (records in the same order)
+ * @returns {Array<Object>} Review rows
+ */
+export function createReviewRows(records, diagnostics = null) {
+    const rows = records.map((record, i) => ({
+        ...record,
+        id: _nextRowId++,
+        prevId: null,
+        edited: false,
+        added: false,
+        confidence: diagnostics?.records[i]?.confidence ?? null
+    }));
+    rows.forEach((row, i) => {
+        row.prevId = rows[i + 1] ? rows[i + 1].id : null;
+    });
+    return rows;
+}
+
+/**
+ * Creates a blank row for a record the parser missed.
+ *
+ * @returns {Object} Review row
+ */
+export function createBlankRow() {
+    return {
+        id: _nextRowId++,
+        prevId: null,
+        edited: true,
+        added: true,
+        confidence: null,
+        date: '',
+        reason: 'Merit Increase',
+        payType: 'salary',
+        payFrequency: null,
+        perCheck: 0,
+        annual: null,
+        hourlyRate: 0,
+        change: 0,
+        changePercent: 0
+    };
+}
+
+/**
+ * Applies a single field edit to a row.
+ *
+ * Numeric fields accept blank input (annual → missing, perCheck → 0).
+ * Editing an hourly row's annual value keeps its hourly rate consistent, and
+ * amount edits re-detect the pay frequency.
+ *
+ * @param {Object} row - Review row (mutated in place)
+ * @param {string} field - 'date' | 'reason' | 'annual' | 'perCheck'
+ * @param {string} value - Raw input value
+ * @returns {Object} The same row
+ */
+export function applyRowEdit(row, field, value) {
+    if (field === 'annual' || field === 'perCheck') {
+        const trimmed = String(value).trim();
+        if (trimmed === '') {
+            row[field] = field === 'annual' ? null : 0;
+        } else {
+            row[field] = parseFloat(trimmed.replace(/[$,]/g, ''));
+        }
+        if (field === 'annual' && row.payType === 'hourly' && row.annual > 0) {
+            row.hourlyRate = Math.round((row.annual / CONSTANTS.STANDARD_HOURS_PER_YEAR) * 100) / 100;
+        }
+        row.payFrequency = detectPayFrequency(row.annual, row.perCheck);
+    } else if (field === 'date' || field === 'reason') {
+        row[field] = String(value).trim();
+    } else {
+        return row;
+    }
+    row.edited = true;
+    return row;
+}
+
+/**
+ * Creates an editable compensation component row.
+ *
+ * @param {Object} [component] - Existing { date, type, amount } entry
+ * @returns {Object} Component row
+ */
+export function createComponentRow(component = {}) {
+    return {
+        id: _nextRowId++,
+        date: component.date || '',
+        type: component.type || 'bonus',
+        amount: component.amount ?? null
+    };
+}
+
+/**
+ * Creates an editable equity grant row (defaults: 4-year monthly vesting, 1-year cliff).
+ *
+ * @param {Object} [grant] - Existing { grantDate, shares, schedule, vestingMonths, cliffMonths } entry
+ * @returns {Object} Grant row
+ */
+export function createGrantRow(grant = {}) {
+    return {
+        id: _nextRowId++,
+        grantDate: grant.grantDate || '',
+        shares: grant.shares ?? null,
+        schedule: grant.schedule || 'monthly',
+        vestingMonths: grant.vestingMonths ?? 48,
+        cliffMonths: grant.cliffMonths ?? 12
+    };
+}
+
+/**
+ * Creates an editable share price row.
+ *
+ * @param {Object} [entry] - Existing { date, price } entry
+ * @returns {Object} Share price row
+ */
+export function createPriceRow(entry = {}) {
+    return {
+        id: _nextRowId++,
+        date: entry.date || '',
+        price: entry.price ?? null
+    };
+}
+
+/**
+ * Creates an editable pay band row.
+ *
+ * @param {Object} [band] - Existing { date, level, min, mid, max } entry
+ * @returns {Object} Band row
+ */
+export function createBandRow(band = {}) {
+    return {
+        id: _nextRowId++,
+        date: band.date || '',
+        level: band.level || '',
+        min: band.min ?? null,
+        mid: band.mid ?? null,
+        max: band.max ?? null
+    };
+}
+
+/**
+ * Applies a single field edit to a side grid row (component, grant, share price or band).
+ *
+ * Amount fields accept currency symbols and commas; blank numeric input
+ * becomes null so validation can point at it.
+ *
+ * @param {Object} row - Side grid row (mutated in place)
+ * @param {string} field - Field name from the grid's data-field attribute
+ * @param {string} value - Raw input value
+ * @returns {Object} The same row
+ */
+export function applySideRowEdit(row, field, value) {
+    if (!Object.hasOwn(row, field) || field === 'id') return row;
+    const trimmed = String(value).trim();
+    if (typeof row[field] === 'string') {
+        row[field] = trimmed;
+    } else {
+        row[field] = trimmed === '' ? null : Number(trimmed.replace(/[$,]/g, ''));
+    }
+    return row;
+}
+
+/**
+ * Builds employee data from the review rows.
+ *
+ * Rows are sorted newest first. change/changePercent are recomputed for any
+ * record that was edited, whose predecessor was edited, or whose predecessor
+ * changed (row added, deleted or re-dated); untouched records keep the values
+ * the parser read from the source. Component rows become `data.components`,
+ * grant / share price rows become `data.equity` and band rows become
+ * `data.bands` (all newest first), each omitted when there are none.
+ *
+ * @param {Object} base - Parsed data fields to carry over (e.g. source)
+ * @param {Array<Object>} rows - Review rows
+ * @param {Object} [sideRows] - { components, grants, prices, bands } side grid rows
+ * @returns {{data: Object, rowIds: Array<number>, sideRowIds: Object}} Employee data plus
+ *   the row id behind each data.records entry and, per side grid, behind each
+ *   components / grants / prices / bands entry (for mapping validation errors to rows)
+ */
+export function buildReviewedData(base, rows, sideRows = {}) {
+    const sorted = [...rows].sort((a, b) => String(b.date).localeCompare(String(a.date)));
+    // Rows without a per-check amount follow the rest of the data
+    const fallbackFrequency = getMostCommonPayFrequency(rows) || CONSTANTS.DEFAULT_PAY_FREQUENCY;
+
+    const records = sorted.map((row, i) => {
+        const record = {
+            date: row.date,
+            reason: row.reason,
+            payType: row.payType,
+            payFrequency: row.payFrequency || fallbackFrequency,
+            perCheck: row.perCheck,
+            annual: row.annual,
+            hourlyRate: row.hourlyRate,
+            change: row.change,
+            changePercent: row.changePercent
+        };
+        const prev = sorted[i + 1];
+        const predecessorChanged = (prev ? prev.id : null) !== row.prevId;
+        if (row.edited || prev?.edited || predecessorChanged) {
+            deriveRecordChange(record, prev);
+        }
+        return record;
+    });
+
+    // Rows still missing a date shouldn't mask their own per-record error
+    const dated = sorted.filter(row => /^\d{4}-\d{2}-\d{2}$/.test(row.date));
+    const data = {
+        ...base,
+        hireDate: dated.length > 0 ? dated[dated.length - 1].date : '',
+        currentDate: dated.length > 0 ? dated[0].date : '',
+        records
+    };
+
+    const newestFirst = (list = [], dateField = 'date') =>
+        [...list].sort((a, b) => String(b[dateField]).localeCompare(String(a[dateField])));
+    const components = newestFirst(sideRows.components);
+    const grants = newestFirst(sideRows.grants, 'grantDate');
+    const prices = newestFirst(sideRows.prices);
+    const bands = newestFirst(sideRows.bands);
+
+    if (components.length > 0) {
+        data.components = components.map(({ date, type, amount }) => ({ date, type, amount }));
+    }
+    if (grants.length > 0 || prices.length > 0) {
+        data.equity = {
+            grants: grants.map(({ id, cliffMonths, ...grant }) => ({
+                ...grant,
+                // Cliff-only grants have no separate cliff
+                ...(grant.schedule === 'cliff' || cliffMonths === null ? {} : { cliffMonths })
+            })),
+            prices: prices.map(({ date, price }) => ({ date, price }))
+        };
+    }
+    if (bands.length > 0) {
+        data.bands = bands.map(({ id, level, ...band }) => ({ ...band, ...(level ? { level } : {}) }));
+    }
+
+    const sideRowIds = {
+        components: components.map(row => row.id),
+        grants: grants.map(row => row.id),
+        prices: prices.map(row => row.id),
+        bands: bands.map(row => row.id)
+    };
+    return { data, rowIds: sorted.map(row => row.id), sideRowIds };
+}
+
+/**
+ * Runs the JSON-import validation rules plus the dashboard's own requirements.
+ *
+ * @param {Object} data - Employee data built from review rows
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+export function getReviewErrors(data) {
+    const { errors } = validateImportedData(data);
+
+    if (data.records.length >= 2 && data.records.every(r => r.reason === 'New Hire')) {
+        errors.push('No salary adjustments found. Add at least one record that is not "New Hire"');
+    }
+
+    return errors;
+}
+
+// ========================================
+// RENDERING
+// ========================================
+
+/**
+ * Formats a number for an input value (blank for missing values).
+ */
+function formatInputNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? String(value) : '';
+}
+
+/**
+ * Returns the status badge for a row (parse confidence, or edited/added).
+ */
+function getRowStatus(row) {
+    if (row.added) return { label: 'Added', className: 'confidence-added' };
+    if (row.edited) return { label: 'Edited', className: 'confidence-edited' };
+    if (row.confidence) {
+        return {
+            label: row.confidence.charAt(0).toUpperCase() + row.confidence.slice(1),
+            className: `confidence-${row.confidence}`
+        };
+    }
+    return { label: '—', className: '' };
+}
+
+/**
+ * Renders the detected pay frequency under the per-check input.
+ */
+function renderFrequencyNote(row) {
+    const unknown = row.payFrequency === 'unknown';
+    return `<span class="pay-type-note${unknown ? ' pay-frequency-unknown' : ''}" data-role="frequency"${unknown ? ' title="Per check × any pay frequency doesn\'t match annual"' : ''}>${formatPayFrequency(row.payFrequency)}</span>`;
+}
+
+/**
+ * Renders one editable table row.
+ */
+function renderRow(row) {
+    const validReasons = getValidReasons();
+    const reasons = validReasons.includes(row.reason) ? validReasons : [row.reason, ...validReasons];
+    const options = reasons.map(r =>
+        `<option value="${escapeHTML(r)}"${r === row.reason ? ' selected' : ''}>${escapeHTML(r)}</option>`
+    ).join('');
+    const status = getRowStatus(row);
+    const rowLabel = row.date || 'new record';
+
+    return `
+        <tr data-row-id="${row.id}">
+            <td><input type="date" class="review-input" data-field="date" value="${escapeHTML(row.date)}" aria-label="Date (${escapeHTML(rowLabel)})"></td>
+            <td><select class="review-input" data-field="reason" aria-label="Reason (${escapeHTML(rowLabel)})">${options}</select></td>
+            <td><input type="number" class="review-input" data-field="annual" step="0.01" min="0" value="${formatInputNumber(row.annual)}" aria-label="Annual salary (${escapeHTML(rowLabel)})"></td>
+            <td>
+                <input type="number" class="review-input" data-field="perCheck" step="0.01" min="0" value="${formatInputNumber(row.perCheck)}" aria-label="Per check (${escapeHTML(rowLabel)})">
+                ${renderFrequencyNote(row)}
+            </td>
+            <td><span class="confidence-badge ${status.className}" data-role="status">${status.label}</span></td>
+            <td><button type="button" class="review-delete-btn" data-action="delete" aria-label="Delete record (${escapeHTML(rowLabel)})">✕</button></td>
+        </tr>
+    `;
+}
+
+/**
+ * Renders a <select> of { key: label } options for a side grid cell.
+ */
+function renderOptions(options, selected) {
+    return Object.entries(options).map(([key, label]) =>
+        `<option value="${key}"${key === selected ? ' selected' : ''}>${escapeHTML(label)}</option>`
+    ).join('');
+}
+
+/**
+ * Renders the delete button cell shared by the side grids.
+ */
+function renderSideDeleteCell(label) {
+    return `<td><button type="button" class="review-delete-btn" data-action="delete" aria-label="Delete ${escapeHTML(label)}">✕</button></td>`;
+}
+
+/**
+ * Side grids below the records grid. `prefix` matches the validateImportedData()
+ * error prefix for that list; `describe` turns an entry into the label used in
+ * place of "Prefix N" in the error list.
+ */
+const SIDE_GRIDS = {
+    components: {
+        bodyId: 'reviewComponentsBody',
+        addBtnId: 'reviewAddComponentBtn',
+        prefix: 'Component',
+        create: () => createComponentRow(),
+        describe: (c) => `${c.date || 'New'} ${COMPENSATION_COMPONENTS[c.type] || 'payment'}`,
+        render: (row) => {
+            const label = `payment ${row.date || '(new)'}`;
+            return `
+                <td><input type="date" class="review-input" data-field="date" value="${escapeHTML(row.date)}" aria-label="Payment date (${escapeHTML(label)})"></td>
+                <td><select class="review-input" data-field="type" aria-label="Type (${escapeHTML(label)})">${renderOptions(COMPENSATION_COMPONENTS, row.type)}</select></td>
+                <td><input type="number" class="review-input" data-field="amount" step="0.01" min="0" value="${formatInputNumber(row.amount)}" aria-label="Amount (${escapeHTML(label)})"></td>
+                ${renderSideDeleteCell(label)}`;
+        }
+    },
+    grants: {
+        bodyId: 'reviewGrantsBody',
+        addBtnId: 'reviewAddGrantBtn',
+        prefix: 'Grant',
+        create: () => createGrantRow(),
+        describe: (g) => `${g.grantDate || 'New'} grant`,
+        render: (row) => {
+            const label = `grant ${row.grantDate || '(new)'}`;
+            return `
+                <td><input type="date" class="review-input" data-field="grantDate" value="${escapeHTML(row.grantDate)}" aria-label="Grant date (${escapeHTML(label)})"></td>
+                <td><input type="number" class="review-input" data-field="shares" step="1" min="0" value="${formatInputNumber(row.shares)}" aria-label="Shares (${escapeHTML(label)})"></td>
+                <td><select class="review-input" data-field="schedule" aria-label="Vesting schedule (${escapeHTML(label)})">${renderOptions(VESTING_SCHEDULES, row.schedule)}</select></td>
+                <td><input type="number" class="review-input" data-field="vestingMonths" step="1" min="1" value="${formatInputNumber(row.vestingMonths)}" aria-label="Vesting months (${escapeHTML(label)})"></td>
+                <td><input type="number" class="review-input" data-field="cliffMonths" step="1" min="0" value="${formatInputNumber(row.cliffMonths)}" aria-label="Cliff months (${escapeHTML(label)})"></td>
+                ${renderSideDeleteCell(label)}`;
+        }
+    },
+    prices: {
+        bodyId: 'reviewPricesBody',
+        addBtnId: 'reviewAddPriceBtn',
+        prefix: 'Share price',
+        create: () => createPriceRow(),
+        describe: (p) => `${p.date || 'New'} share price`,
+        render: (row) => {
+            const label = `share price ${row.date || '(new)'}`;
+            return `
+                <td><input type="date" class="review-input" data-field="date" value="${escapeHTML(row.date)}" aria-label="Price date (${escapeHTML(label)})"></td>
+                <td><input type="number" class="review-input" data-field="price" step="0.01" min="0" value="${formatInputNumber(row.price)}" aria-label="Price per share (${escapeHTML(label)})"></td>
+                ${renderSideDeleteCell(label)}`;
+        }
+    },
+    bands: {
+        bodyId: 'reviewBandsBody',
+        addBtnId: 'reviewAddBandBtn',
+        prefix: 'Band',
+        create: () => createBandRow(),
+        describe: (b) => `${b.date || 'New'} ${b.level || 'pay'} band`,
+        render: (row) => {
+            const label = `band ${row.date || '(new)'}`;
+            return `
+                <td><input type="date" class="review-input" data-field="date" value="${escapeHTML(row.date)}" aria-label="Band start date (${escapeHTML(label)})"></td>
+                <td><input type="text" class="review-input" data-field="level" maxlength="50" value="${escapeHTML(row.level)}" placeholder="e.g. L4" aria-label="Level (${escapeHTML(label)})"></td>
+                <td><input type="number" class="review-input" data-field="min" step="1" min="0" value="${formatInputNumber(row.min)}" aria-label="Band minimum (${escapeHTML(label)})"></td>
+                <td><input type="number" class="review-input" data-field="mid" step="1" min="0" value="${formatInputNumber(row.mid)}" aria-label="Band midpoint (${escapeHTML(label)})"></td>
+                <td><input type="number" class="review-input" data-field="max" step="1" min="0" value="${formatInputNumber(row.max)}" aria-label="Band maximum (${escapeHTML(label)})"></td>
+                ${renderSideDeleteCell(label)}`;
+        }
+    }
+};
+
+/**
+ * Re-renders the whole grid (used on open, add and delete; plain edits
+ * update state in place so the focused input is not replaced).
+ */
+function renderReviewTable() {
+    const tbody = document.getElementById('reviewTableBody');
+    if (!tbody) return;
+    tbody.innerHTML = _rows.map(renderRow).join('');
+
+    for (const [key, grid] of Object.entries(SIDE_GRIDS)) {
+        const body = document.getElementById(grid.bodyId);
+        if (body) {
+            body.innerHTML = _sideRows[key].map(row => `<tr data-side-id="${row.id}">${grid.render(row)}</tr>`).join('');
+        }
+    }
+    refreshReviewValidation();
+}
+
+/**
+ * Re-runs validation and updates row highlighting, the error list and the
+ * confirm button.
+ *
+ * @returns {{data: Object, errors: Array<string>}} Current data and errors
+ */
+function refreshReviewValidation() {
+    const { data, rowIds, sideRowIds } = buildReviewedData(_base, _rows, _sideRows);
+    const errors = getReviewErrors(data);
+    const sideEntries = {
+        components: data.components || [],
+        grants: data.equity?.grants || [],
+        prices: data.equity?.prices || [],
+        bands: data.bands || []
+    };
+
+    // Map "Record N: ..." errors back to the rows that caused them
+    const invalidRowIds = new Set();
+    errors.forEach(error => {
+        const match = error.match(/^Record (\d+):/);
+        if (match) invalidRowIds.add(rowIds[parseInt(match[1], 10) - 1]);
+    });
+    document.querySelectorAll('#reviewTableBody tr[data-row-id]').forEach(tr => {
+        tr.classList.toggle('invalid', invalidRowIds.has(Number(tr.dataset.rowId)));
+    });
+
+    // Same for the side grids ("Component N: ...", "Grant N: ...", "Share price N: ...", "Band N: ...")
+    for (const [key, grid] of Object.entries(SIDE_GRIDS)) {
+        const pattern = new RegExp(`^${grid.prefix} (\\d+):`);
+        const invalidIds = new Set();
+        errors.forEach(error => {
+            const match = error.match(pattern);
+            if (match) invalidIds.add(sideRowIds[key][parseInt(match[1], 10) - 1]);
+        });
+        document.querySelectorAll(`#${grid.bodyId} tr[data-side-id]`).forEach(tr => {
+            tr.classList.toggle('invalid', invalidIds.has(Number(tr.dataset.sideId)));
+        });
+    }
+
+    // Row numbers in messages refer to the sorted lists; show dates instead
+    const messages = errors.map(error => {
+        const message = error.replace(/^Record (\d+):/, (_, n) => {
+            const record = data.records[parseInt(n, 10) - 1];
+            return record?.date ? `${record.date}:` : 'New record:';
+        });
+        return Object.entries(SIDE_GRIDS).reduce((text, [key, grid]) =>
+            text.replace(new RegExp(`^${grid.prefix} (\\d+):`), (_, n) =>
+                `${grid.describe(sideEntries[key][parseInt(n, 10) - 1])}:`), message);
+    });
+
+    const errorList = document.getElementById('reviewErrors');
+    if (errorList) {
+        const listed = messages.slice(0, MAX_LISTED_ERRORS).map(m => `<li>${escapeHTML(m)}</li>`);
+        if (messages.length > MAX_LISTED_ERRORS) {
+            listed.push(`<li>…and ${messages.length - MAX_LISTED_ERRORS} more</li>`);
+        }
+        errorList.innerHTML = listed.join('');
+        errorList.classList.toggle('hidden', messages.length === 0);
+    }
+
+    const summary = document.getElementById('reviewSummary');
+    if (summary) {
+        const edited = _rows.filter(r => r.edited).length;
+        summary.textContent = `${_rows.length} record${_rows.length === 1 ? '' : 's'}` +
+            (edited > 0 ? ` · ${edited} edited` : '') +
+            (errors.length > 0 ? ` · ${errors.length} issue${errors.length === 1 ? '' : 's'} to fix` : ' · ready');
+    }
+
+    const confirmBtn = document.getElementById('reviewGenerateBtn');
+    if (confirmBtn) confirmBtn.disabled = errors.length > 0;
+
+    return { data, errors };
+}
+
+// ========================================
+// EVENT HANDLING
+// ========================================
+
+/**
+ * Attaches grid listeners once (event delegation on the table body).
+ */
+function bindReviewListeners() {
+    if (_listenersBound) return;
+    _listenersBound = true;
+
+    const tbody = document.getElementById('reviewTableBody');
+    const onEdit = (e) => {
+        const input = e.target.closest('[data-field]');
+        const tr = e.target.closest('tr[data-row-id]');
+        if (!input || !tr) return;
+        const row = _rows.find(r => r.id === Number(tr.dataset.rowId));
+        if (!row) return;
+
+        applyRowEdit(row, input.dataset.field, input.value);
+        const status = tr.querySelector('[data-role="status"]');
+        if (status) {
+            const { label, className } = getRowStatus(row);
+            status.className = `confidence-badge ${className}`;
+            status.textContent = label;
+        }
+        const frequency = tr.querySelector('[data-role="frequency"]');
+        if (frequency) frequency.outerHTML = renderFrequencyNote(row);
+        refreshReviewValidation();
+    };
+
+    tbody?.addEventListener('input', onEdit);
+    tbody?.addEventListener('change', onEdit);
+    tbody?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action="delete"]');
+        const tr = e.target.closest('tr[data-row-id]');
+        if (!button || !tr) return;
+        _rows = _rows.filter(r => r.id !== Number(tr.dataset.rowId));
+        renderReviewTable();
+    });
+
+    document.getElementById('reviewAddBtn')?.addEventListener('click', () => {
+        _rows.unshift(createBlankRow());
+        renderReviewTable();
+        document.querySelector('#reviewTableBody tr [data-field="date"]')?.focus();
+    });
+
+    for (const [key, grid] of Object.entries(SIDE_GRIDS)) {
+        const body = document.getElementById(grid.bodyId);
+        const onSideEdit = (e) => {
+            const input = e.target.closest('[data-field]');
+            const tr = e.target.closest('tr[data-side-id]');
+            if (!input || !tr) return;
+            const row = _sideRows[key].find(r => r.id === Number(tr.dataset.sideId));
+            if (!row) return;
+            applySideRowEdit(row, input.dataset.field, input.value);
+            refreshReviewValidation();
+        };
+
+        body?.addEventListener('input', onSideEdit);
+        body?.addEventListener('change', onSideEdit);
+        body?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="delete"]');
+            const tr = e.target.closest('tr[data-side-id]');
+            if (!button || !tr) return;
+            _sideRows[key] = _sideRows[key].filter(r => r.id !== Number(tr.dataset.sideId));
+            renderReviewTable();
+        });
+
+        document.getElementById(grid.addBtnId)?.addEventListener('click', () => {
+            _sideRows[key].unshift(grid.create());
+            renderReviewTable();
+            document.querySelector(`#${grid.bodyId} tr [data-field]`)?.focus();
+        });
+    }
+
+    document.getElementById('reviewBackBtn')?.addEventListener('click', () => {
+        closeReview();
+        document.getElementById('pasteInput')?.focus();
+    });
+
+    document.getElementById('reviewGenerateBtn')?.addEventListener('click', confirmReview);
+}
+
+/**
+ * Reads the "add as another employer" option of the review step.
+ *
+ * @returns {{name: string, careerName?: string}|null} Employer names, or null to replace the loaded data
+ */
+function getEmployerOption() {
+    const option = document.getElementById('reviewEmployerOption');
+    if (!option || option.classList.contains('hidden') || !document.getElementById('reviewAddEmployer')?.checked) {
+        return null;
+    }
+    const careerInput = document.getElementById('reviewCareerName');
+    const careerName = careerInput && !careerInput.classList.contains('hidden') ? careerInput.value.trim() : '';
+    return {
+        name: document.getElementById('reviewEmployerName')?.value ?? '',
+        ...(careerName ? { careerName } : {})
+    };
+}
+
+/**
+ * Validates the reviewed records and hands them to the import pipeline.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function confirmReview() {
+    const { data, errors } = refreshReviewValidation();
+    if (errors.length > 0) return;
+
+    try {
+        await _completeImport(data, getEmployerOption());
+        closeReview();
+    } catch (e) {
+        console.error('Review import error:', e);
+        const errorList = document.getElementById('reviewErrors');
+        if (errorList) {
+            errorList.innerHTML = `<li>${escapeHTML(e.message)}</li>`;
+            errorList.classList.remove('hidden');
+        }
+    }
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Opens the review grid in the import modal for freshly parsed data.
+ *
+ * @param {Object} data - Parsed employee data ({ hireDate, currentDate, records, components?, equity?, bands?, ... })
+ * @param {Object|null} [diagnostics] - Parse diagnostics, used for per-row confidence badges
+ * @returns {void}
+ */
+export function openReview(data, diagnostics = null) {
+    const { records, components = [], equity = {}, bands = [], ...base } = data;
+    _base = base;
+    _rows = createReviewRows(records, diagnostics);
+    _sideRows = {
+        components: components.map(createComponentRow),
+        grants: (equity.grants || []).map(createGrantRow),
+        prices: (equity.prices || []).map(createPriceRow),
+        bands: bands.map(createBandRow)
+    };
+
+    bindReviewListeners();
+    renderReviewTable();
+
+    document.getElementById('importModal')?.classList.add('reviewing');
+    document.getElementById('reviewStep')?.classList.remove('hidden');
+    document.querySelector('#reviewTableBody [data-field]')?.focus();
+}
+
+/**
+ * Leaves the review step and returns the modal to the paste step.
+ *
+ * @returns {void}
+ */
+export function closeReview() {
+    document.getElementById('importModal')?.classList.remove('reviewing');
+    document.getElementById('reviewStep')?.classList.add('hidden');
+    _rows = [];
+    _sideRows = { components: [], grants: [], prices: [], bands: [] };
+    _base = null;
+}
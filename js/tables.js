@@ -6,7 +6,11 @@
  */
 
 import { CONSTANTS } from './constants.js';
-import { formatDateDetail } from './calculations.js';
+import { formatDateDetail, formatDateCompact, isHourlyRecord, formatHourlyRate, getPayPeriodsPerYear, getBenchmarkProfile, getGoalAnalysis } from './calculations.js';
+import { requestMonteCarloProjection, onMonteCarloResult } from './monte-carlo.js';
+import { getReasonCategory, getCategoryBadgeClass } from './reasons.js';
+import { hasEquity, getVestedValueByRecord } from './equity.js';
+import { getTakeHomeByRecord } from './taxes.js';
 
 // ========================================
 // MODULE STATE (injected via init)
@@ -63,6 +67,9 @@ export function initTables({
  * - Market adjustments → badge-market (typically purple)
  * - New Hire → badge-new (typically neutral)
  *
+ * User-defined reasons use their category from the reason taxonomy
+ * ("Cost of Living" mapped to market → badge-market).
+ *
  * @param {string} reason - The adjustment reason text
  * @returns {string} CSS class name for the badge
  *
@@ -72,11 +79,7 @@ export function initTables({
  * getBadgeClass('Unknown Type') // Returns ''
  */
 export function getBadgeClass(reason) {
-    if (reason.includes('Merit')) return 'badge-merit';
-    if (reason.includes('Equity')) return 'badge-equity';
-    if (reason.includes('Market')) return 'badge-market';
-    if (reason.includes('New')) return 'badge-new';
-    return '';
+    return getCategoryBadgeClass(getReasonCategory(reason));
 }
 
 // ========================================
@@ -89,10 +92,12 @@ export function getBadgeClass(reason) {
  * Renders each salary record as a table row with:
  * - Date (formatted)
  * - Reason (with badge styling)
- * - Salary (actual or indexed based on privacy mode)
+ * - Salary (actual or indexed based on privacy mode; hourly rows also show the rate)
  * - Index (percentage of starting salary)
  * - Change amount (dollars or index points)
  * - Change percentage
+ * - Estimated take-home pay, annual and per check (only when state.showNetPay is on)
+ * - Vested equity while the rate was in effect (only when equity grants exist)
  *
  * @returns {void}
  */
@@ -104,29 +109,77 @@ export function buildHistoryTable() {
     if (!tbody) return;
 
     const startingSalary = _getStartingSalary(employeeData);
+    const showEquity = hasEquity(employeeData);
+    const vested = showEquity ? getVestedValueByRecord(employeeData) : [];
+    document.getElementById('historyEquityHeader')?.classList.toggle('hidden', !showEquity);
+    const takeHome = _state.showNetPay
+        ? getTakeHomeByRecord(employeeData, { filingStatus: _state.filingStatus, stateTaxRate: _state.stateTaxRate })
+        : [];
+    document.getElementById('historyNetPayHeader')?.classList.toggle('hidden', !_state.showNetPay);
 
-    tbody.innerHTML = employeeData.records.map(r => {
+    tbody.innerHTML = employeeData.records.map((r, i) => {
         const badgeClass = getBadgeClass(r.reason);
         const index = ((r.annual / startingSalary) * 100).toFixed(0);
-        const changeDisplay = r.change > 0
+        const hourly = isHourlyRecord(r);
+
+        // Hourly rows have no per-check change amount; use the annualized delta instead
+        const previous = employeeData.records[i + 1];
+        const annualChange = hourly
+            ? (previous ? r.annual - previous.annual : 0)
+            : r.change * getPayPeriodsPerYear(r);
+        const changeDisplay = annualChange > 0
             ? (_state.showDollars
-                ? `+${_formatCurrency(r.change * CONSTANTS.PAY_PERIODS_PER_YEAR)}`
-                : `+${((r.change * CONSTANTS.PAY_PERIODS_PER_YEAR / startingSalary) * 100).toFixed(1)}`)
+                ? `+${_formatCurrency(annualChange)}`
+                : `+${((annualChange / startingSalary) * 100).toFixed(1)}`)
             : '—';
+        const salaryDisplay = _state.showDollars
+            ? `${_formatCurrency(r.annual)}${hourly ? ` <span class="pay-type-note">${formatHourlyRate(r.hourlyRate)}</span>` : ''}`
+            : `Index: ${index}`;
+        const netPayCell = _state.showNetPay ? `<td>${formatTakeHome(takeHome[i], startingSalary)}</td>` : '';
+        const equityCell = showEquity ? `<td>${formatVestedEquity(vested[i], startingSalary)}</td>` : '';
 
         return `
             <tr>
                 <td>${formatDateDetail(r.date)}</td>
                 <td><span class="badge ${badgeClass}">${_escapeHTML(r.reason)}</span></td>
-                <td>${_state.showDollars ? _formatCurrency(r.annual) : `Index: ${index}`}</td>
+                <td>${salaryDisplay}</td>
                 <td>${index}</td>
                 <td>${changeDisplay}</td>
                 <td>${r.changePercent > 0 ? `+${r.changePercent.toFixed(2)}%` : '—'}</td>
+                ${netPayCell}
+                ${equityCell}
             </tr>
         `;
     }).join('');
 }
 
+/**
+ * Formats a History table take-home cell (net annual pay plus per check, or index).
+ *
+ * @param {{net: number, perCheck: number}} takeHome - Estimated take-home pay for the record
+ * @param {number} startingSalary - Base for the index
+ * @returns {string} Cell HTML
+ */
+function formatTakeHome(takeHome, startingSalary) {
+    if (!_state.showDollars) return ((takeHome.net / startingSalary) * 100).toFixed(0);
+    return `${_formatCurrency(takeHome.net)} <span class="pay-type-note">${_formatCurrency(takeHome.perCheck)}/check</span>`;
+}
+
+/**
+ * Formats a History table vested-equity cell (dollars or index points, plus shares).
+ *
+ * @param {{shares: number, value: number}} vested - Equity vested during the record's period
+ * @param {number} startingSalary - Base for index points
+ * @returns {string} Cell HTML
+ */
+function formatVestedEquity(vested, startingSalary) {
+    if (!vested || vested.shares === 0) return '—';
+    const amount = _state.showDollars
+        ? _formatCurrency(vested.value)
+        : `${((vested.value / startingSalary) * 100).toFixed(1)} pts`;
+    return `${amount} <span class="pay-type-note">${vested.shares.toLocaleString('en-US')} sh</span>`;
+}
+
 /**
  * Builds the salary projection table.
  *
@@ -136,6 +189,13 @@ export function buildHistoryTable() {
  * - Conservative: 3% annual growth
  * - Custom: User-adjustable rate
  *
+ * In Monte Carlo mode (state.projectionMode) adds simulated P10, median and
+ * P90 columns, shown as "…" until the background simulation finishes and the
+ * table is rebuilt.
+ *
+ * A salary goal (state.goal) adds a highlighted row at the goal date with
+ * each scenario's projected salary there and the growth rate it requires.
+ *
  * Respects privacy mode (shows indexed values when enabled).
  *
  * @returns {void}
@@ -157,21 +217,60 @@ export function buildProjectionTable() {
 
     const cagr = _calculateCAGR(employeeData) / 100;
     const customRate = _state.customRate / 100;
+    const format = (value) => _state.showDollars ? _formatCurrency(value) : value.toFixed(0);
+
+    const monteCarlo = _state.projectionMode === 'monteCarlo';
+    document.querySelectorAll('#projectionTableWrapper .monte-carlo-col').forEach(th => {
+        th.classList.toggle('hidden', !monteCarlo);
+    });
+    const benchmarks = getBenchmarkProfile(_state.benchmarkProfile);
+    const job = monteCarlo ? requestMonteCarloProjection(employeeData, benchmarks) : null;
+    if (job) {
+        onMonteCarloResult(job, 'projectionTable', () => {
+            if (_state.projectionMode === 'monteCarlo') buildProjectionTable();
+        });
+    }
+    // Simulated in dollars; same index scale as the other columns in privacy mode.
+    // Fractional years (goal row) interpolate between the yearly percentiles.
+    const simulated = (percentile, year) => {
+        if (!job.result) return '…';
+        const values = job.result[percentile];
+        if (year > values.length - 1) return '—';
+        const before = Math.floor(year);
+        const after = Math.min(before + 1, values.length - 1);
+        const value = values[before] + (values[after] - values[before]) * (year - before);
+        return format(value * currentSalary / currentSalaryRaw);
+    };
 
     // Fixed intervals: 1-5 yearly, then 10, 15, 20
     const intervals = [1, 2, 3, 4, 5, 10, 15, 20];
+    const rows = intervals.map(year => ({ year, label: `${year} year${year > 1 ? 's' : ''}` }));
 
-    tbody.innerHTML = intervals.map(year => {
+    const goal = _state.goal ? getGoalAnalysis(employeeData, _state.goal, benchmarks) : null;
+    if (goal) {
+        const target = _state.showDollars ? `${_formatCurrency(goal.targetSalary)} · ` : '';
+        const at = rows.findIndex(row => row.year > goal.years);
+        rows.splice(at === -1 ? rows.length : at, 0, {
+            year: goal.years,
+            goal: true,
+            label: `Goal: ${target}${formatDateCompact(goal.targetDate)} <span class="pay-type-note">needs ${goal.requiredRate.toFixed(1)}%/yr</span>`
+        });
+    }
+
+    tbody.innerHTML = rows.map(({ year, label, goal: isGoal }) => {
         const historicalValue = currentSalary * Math.pow(1 + cagr, year);
         const conservativeValue = currentSalary * Math.pow(1 + CONSTANTS.PROJECTION_RATE_CONSERVATIVE, year);
         const customValue = currentSalary * Math.pow(1 + customRate, year);
 
         return `
-            <tr>
-                <td>${year} year${year > 1 ? 's' : ''}</td>
-                <td>${_state.showDollars ? _formatCurrency(historicalValue) : historicalValue.toFixed(0)}</td>
-                <td>${_state.showDollars ? _formatCurrency(conservativeValue) : conservativeValue.toFixed(0)}</td>
-                <td>${_state.showDollars ? _formatCurrency(customValue) : customValue.toFixed(0)}</td>
+            <tr${isGoal ? ' class="projection-goal-row"' : ''}>
+                <td>${label}</td>
+                <td>${format(historicalValue)}</td>
+                <td>${format(conservativeValue)}</td>
+                <td>${format(customValue)}</td>${monteCarlo ? `
+                <td>${simulated('p10', year)}</td>
+                <td>${simulated('p50', year)}</td>
+                <td>${simulated('p90', year)}</td>` : ''}
             </tr>
         `;
     }).join('');
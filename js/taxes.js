@@ -0,0 +1,142 @@
+// ========================================
+// TAKE-HOME PAY MODULE
+// ========================================
+// Estimated net pay for each base-rate record from the bundled federal tax
+// data in constants.js: federal income tax on wages less the standard
+// deduction (and personal exemptions before 2018), Social Security and
+// Medicare, and a flat state rate on gross wages. Estimates assume base
+// salary is the only income and ignore pre-tax deductions and credits.
+
+import { CONSTANTS, FILING_STATUSES, federalTaxData, additionalMedicareThresholds } from './constants.js';
+import { getPayPeriodsPerYear } from './calculations.js';
+
+const TAX_YEARS = Object.keys(federalTaxData).map(Number);
+
+// Personal exemptions claimed per filing status (no dependents)
+const EXEMPTIONS = { single: 1, married: 2, headOfHousehold: 1 };
+
+// ========================================
+// TAX TABLE LOOKUPS
+// ========================================
+
+/**
+ * Returns the bundled tax year used for a calendar year: the year itself, or
+ * the nearest year with data (first or latest).
+ *
+ * @param {number} year - Calendar year
+ * @returns {number} Key of federalTaxData
+ *
+ * @example
+ * getTaxYear(2022); // 2022
+ * getTaxYear(2009); // 2013 (earliest bundled year)
+ */
+export function getTaxYear(year) {
+    return Math.min(Math.max(year, TAX_YEARS[0]), TAX_YEARS[TAX_YEARS.length - 1]);
+}
+
+/**
+ * Normalizes take-home settings: unknown filing statuses fall back to the
+ * default and the state rate is clamped to 0 - MAX_STATE_TAX_RATE.
+ *
+ * @param {Object} [settings] - { filingStatus, stateTaxRate }
+ * @returns {{filingStatus: string, stateTaxRate: number}} Valid settings
+ */
+export function normalizeTaxSettings(settings = {}) {
+    const rate = Number(settings.stateTaxRate);
+    return {
+        filingStatus: Object.hasOwn(FILING_STATUSES, settings.filingStatus ?? '')
+            ? settings.filingStatus
+            : CONSTANTS.DEFAULT_FILING_STATUS,
+        stateTaxRate: Number.isFinite(rate) ? Math.min(Math.max(rate, 0), CONSTANTS.MAX_STATE_TAX_RATE) : 0
+    };
+}
+
+// ========================================
+// TAX CALCULATIONS
+// ========================================
+
+/**
+ * Federal income tax on wages for a year and filing status.
+ *
+ * @param {number} gross - Annual wages
+ * @param {number} year - Calendar year (see getTaxYear())
+ * @param {string} filingStatus - FILING_STATUSES key
+ * @returns {number} Tax owed
+ *
+ * @example
+ * // 2024, single: $100,000 - $14,600 deduction = $85,400 taxable
+ * calculateFederalIncomeTax(100000, 2024, 'single'); // 13841
+ */
+export function calculateFederalIncomeTax(gross, year, filingStatus) {
+    const table = federalTaxData[getTaxYear(year)];
+    const taxable = gross - table.standardDeduction[filingStatus] - table.personalExemption * EXEMPTIONS[filingStatus];
+    const brackets = table.brackets[filingStatus];
+
+    return brackets.reduce((tax, [floor, rate], i) => {
+        const ceiling = brackets[i + 1]?.[0] ?? Infinity;
+        return taxable > floor ? tax + (Math.min(taxable, ceiling) - floor) * rate / 100 : tax;
+    }, 0);
+}
+
+/**
+ * Employee FICA taxes: Social Security up to the year's wage base, Medicare
+ * on all wages plus the Additional Medicare Tax above the filing status threshold.
+ *
+ * @param {number} gross - Annual wages
+ * @param {number} year - Calendar year (see getTaxYear())
+ * @param {string} filingStatus - FILING_STATUSES key
+ * @returns {{socialSecurity: number, medicare: number}} Taxes owed
+ */
+export function calculateFicaTax(gross, year, filingStatus) {
+    const { socialSecurityWageBase } = federalTaxData[getTaxYear(year)];
+    const additionalWages = Math.max(gross - additionalMedicareThresholds[filingStatus], 0);
+
+    return {
+        socialSecurity: Math.min(gross, socialSecurityWageBase) * CONSTANTS.SOCIAL_SECURITY_RATE,
+        medicare: gross * CONSTANTS.MEDICARE_RATE + additionalWages * CONSTANTS.ADDITIONAL_MEDICARE_RATE
+    };
+}
+
+/**
+ * Estimates annual take-home pay for a salary in a given year.
+ *
+ * @param {number} gross - Annual wages
+ * @param {number} year - Calendar year (see getTaxYear())
+ * @param {Object} [settings] - { filingStatus, stateTaxRate } (see normalizeTaxSettings())
+ * @returns {{gross: number, federal: number, socialSecurity: number, medicare: number, state: number, net: number}}
+ *   Annual amounts
+ *
+ * @example
+ * estimateTakeHome(100000, 2024, { filingStatus: 'single', stateTaxRate: 5 }).net; // 73509
+ */
+export function estimateTakeHome(gross, year, settings) {
+    const { filingStatus, stateTaxRate } = normalizeTaxSettings(settings);
+    const federal = calculateFederalIncomeTax(gross, year, filingStatus);
+    const { socialSecurity, medicare } = calculateFicaTax(gross, year, filingStatus);
+    const state = gross * stateTaxRate / 100;
+
+    return {
+        gross,
+        federal,
+        socialSecurity,
+        medicare,
+        state,
+        net: gross - federal - socialSecurity - medicare - state
+    };
+}
+
+/**
+ * Estimated take-home pay for each record, with the tax rules of the year the
+ * rate took effect.
+ *
+ * @param {Object} employeeData - Employee compensation data
+ * @param {Object} [settings] - { filingStatus, stateTaxRate }
+ * @returns {Array<{net: number, perCheck: number}>} Net annual and per-check pay,
+ *   aligned with employeeData.records (newest first)
+ */
+export function getTakeHomeByRecord(employeeData, settings) {
+    return employeeData.records.map(record => {
+        const { net } = estimateTakeHome(record.annual, Number(record.date.slice(0, 4)), settings);
+        return { net, perCheck: net / getPayPeriodsPerYear(record) };
+    });
+}
@@ -73,5 +73,6 @@ export function setTheme(theme) {
         updateChartTheme(_charts.main);
         updateChartTheme(_charts.yoy);
         updateChartTheme(_charts.projection);
+        updateChartTheme(_charts.percentile);
     }
 }
@@ -1,16 +1,21 @@
 /**
  * Input Validation Module
  *
- * Handles Paylocity data validation and parsing pipeline.
+ * Handles pasted payroll data validation and parsing pipeline.
+ * Source format is auto-detected via the parser registry.
  * Uses dependency injection for testability.
  */
 
-import { parsePaylocityData } from './parser.js';
+import { detectParser, getParser, parseCompensationDataWithDiagnostics } from './parser-registry.js';
+import { escapeHTML } from './security.js';
+import { getEmployers } from './calculations.js';
+import { addEmployerHistory } from './employers.js';
 
 // ========================================
 // MODULE STATE (injected via init)
 // ========================================
 
+let _getEmployeeData;
 let _setEmployeeData;
 let _getDomCache;
 let _showDashboard;
@@ -18,11 +23,13 @@ let _updateUrlParams;
 let _saveBackup;
 let _loadChartJS;
 let _showUserMessage;
+let _openReview;
 
 /**
  * Initialize the validation module with dependencies.
  *
  * @param {Object} deps - Dependencies
+ * @param {Function} deps.getEmployeeData - Function that returns the loaded employee data
  * @param {Function} deps.setEmployeeData - Function to set employee data
  * @param {Function} deps.getDomCache - Function to get DOM cache
  * @param {Function} deps.showDashboard - Function to show dashboard
@@ -30,16 +37,20 @@ let _showUserMessage;
  * @param {Function} deps.saveBackup - Function to save backup
  * @param {Function} deps.loadChartJS - Function to lazy-load Chart.js
  * @param {Function} deps.showUserMessage - Function to show user messages
+ * @param {Function} deps.openReview - async (data, diagnostics) => void; opens the record review step
  */
 export function initValidation({
+    getEmployeeData,
     setEmployeeData,
     getDomCache,
     showDashboard,
     updateUrlParams,
     saveBackup,
     loadChartJS,
-    showUserMessage
+    showUserMessage,
+    openReview
 }) {
+    _getEmployeeData = getEmployeeData;
     _setEmployeeData = setEmployeeData;
     _getDomCache = getDomCache;
     _showDashboard = showDashboard;
@@ -47,6 +58,7 @@ export function initValidation({
     _saveBackup = saveBackup;
     _loadChartJS = loadChartJS;
     _showUserMessage = showUserMessage;
+    _openReview = openReview;
 }
 
 // ========================================
@@ -54,11 +66,12 @@ export function initValidation({
 // ========================================
 
 /**
- * Main data pipeline: parses Paylocity input and initializes the dashboard.
+ * Main data pipeline, step 1: parses pasted payroll input and opens the review step.
  *
- * Validates input, parses compensation records, updates URL with encoded data,
- * hides the landing page, and initializes all dashboard components.
- * Shows user-friendly error messages for invalid or incomplete data.
+ * Detects the source format (Paylocity, CSV export, ...), parses compensation
+ * records and hands them (with parse diagnostics) to the record review grid,
+ * where users fix misparsed values before completeImport() renders the dashboard.
+ * Shows user-friendly error messages when nothing can be parsed.
  *
  * @async
  * @returns {Promise<void>}
@@ -77,55 +90,269 @@ export async function parseAndGenerate() {
         return;
     }
 
+    const { parser, parsed, parseError } = parsePastedInput(input);
+
     try {
-        const employeeData = parsePaylocityData(input);
+        if (parseError) throw parseError;
+        messageDiv.className = 'validation-message';
+        syncEmployerOption();
+        await _openReview(parsed.data, parsed.diagnostics);
+    } catch (e) {
+        console.error('Parse error:', e);
+        messageDiv.className = 'validation-message error visible';
+        const hint = parser ? ` ${parser.hint}` : '';
+        messageDiv.textContent = `✗ ${e.message}.${hint}`;
+    }
+}
 
-        if (employeeData.records.length < 2) {
-            throw new Error('Need at least 2 records to generate insights');
-        }
+/**
+ * Offers "add as another employer" in the review step while real (non-demo)
+ * data is loaded. The loaded data's employer name is only asked for until it
+ * has an `employers` list.
+ */
+function syncEmployerOption() {
+    const loaded = _getEmployeeData();
+    const canAdd = Boolean(loaded) && !loaded.isDemo;
+    document.getElementById('reviewEmployerOption')?.classList.toggle('hidden', !canAdd);
+    document.getElementById('reviewCareerName')?.classList.toggle('hidden', !canAdd || getEmployers(loaded).length > 0);
+}
 
-        // Check if there are any actual adjustments (not just New Hire)
-        const adjustments = employeeData.records.filter(r => r.reason !== 'New Hire');
-        if (adjustments.length === 0) {
-            throw new Error('No salary adjustments found. You may be too new to have raise history yet');
-        }
+/**
+ * Main data pipeline, step 2: loads reviewed records into the dashboard.
+ *
+ * With `employer`, the records are added to the loaded history as another
+ * employer (see addEmployerHistory()) instead of replacing it.
+ * Closes the import modal, lazy-loads Chart.js, shows the dashboard,
+ * updates the URL and saves a backup.
+ *
+ * @async
+ * @param {Object} employeeData - Reviewed employee data
+ * @param {{name: string, careerName?: string}|null} [employer] - Employer names when adding to the loaded history
+ * @returns {Promise<void>}
+ * @throws {Error} If there are fewer than 2 records or no adjustments, or the employer can't be added
+ */
+export async function completeImport(employeeData, employer = null) {
+    if (employer) {
+        employeeData = addEmployerHistory(_getEmployeeData(), employeeData, employer.name, employer.careerName);
+    }
 
-        employeeData.isDemo = false;
-        _setEmployeeData(employeeData);
-        messageDiv.className = 'validation-message';
+    if (employeeData.records.length < 2) {
+        throw new Error('Need at least 2 records to generate insights');
+    }
 
-        // Close import modal if open
-        const domCache = _getDomCache();
-        if (domCache.importModal) {
-            domCache.importModal.classList.remove('visible');
-            document.body.style.overflow = '';
-        }
+    // Check if there are any actual adjustments (not just New Hire)
+    const adjustments = employeeData.records.filter(r => r.reason !== 'New Hire');
+    if (adjustments.length === 0) {
+        throw new Error('No salary adjustments found. You may be too new to have raise history yet');
+    }
 
-        // Lazy-load Chart.js before showing dashboard (performance optimization)
-        await _loadChartJS();
+    employeeData.isDemo = false;
+    _setEmployeeData(employeeData);
 
-        _showDashboard();
-        // Hide demo banner for real data
-        document.getElementById('demoBanner').classList.add('hidden');
-        // Update URL (removes demo flag)
-        _updateUrlParams();
-        // Save backup to localStorage
-        _saveBackup();
-    } catch (e) {
-        console.error('Parse error:', e);
-        messageDiv.className = 'validation-message error visible';
-        messageDiv.textContent = `✗ ${e.message}. Please make sure you copied from "Rates" down to "items".`;
+    // Close import modal if open
+    const domCache = _getDomCache();
+    if (domCache.importModal) {
+        domCache.importModal.classList.remove('visible', 'reviewing');
+        document.body.style.overflow = '';
     }
+
+    // Lazy-load Chart.js before showing dashboard (performance optimization)
+    await _loadChartJS();
+
+    _showDashboard();
+    // Hide demo banner for real data
+    document.getElementById('demoBanner').classList.add('hidden');
+    // Update URL (removes demo flag)
+    _updateUrlParams();
+    // Save backup to localStorage
+    _saveBackup();
 }
 
 // ========================================
 // REAL-TIME VALIDATION
 // ========================================
 
+/**
+ * Shows the result of a full parse for non-Paylocity formats.
+ * Generic exports are small and strictly structured, so the parse result
+ * gives more accurate feedback than pattern heuristics.
+ *
+ * @param {Object} parser - Detected parser from the registry
+ * @param {Object|null} parsed - Result of parseCompensationDataWithDiagnostics (null on failure)
+ * @param {Error|null} parseError - Parse error, if any
+ * @param {HTMLElement} messageDiv - Validation message element
+ * @param {HTMLButtonElement} generateBtn - Generate button
+ */
+function showParserValidation(parser, parsed, parseError, messageDiv, generateBtn) {
+    if (parsed) {
+        messageDiv.className = 'validation-message success visible';
+        messageDiv.textContent = `✓ Detected ${parser.label}: found ${parsed.data.records.length} compensation records. Ready to generate!`;
+        generateBtn.disabled = false;
+    } else {
+        messageDiv.className = 'validation-message error visible';
+        messageDiv.textContent = `✗ ${parser.label}: ${parseError.message}. ${parser.hint}`;
+        generateBtn.disabled = true;
+    }
+}
+
+// ========================================
+// CLIPBOARD HTML TABLES
+// ========================================
+
+let _pastedTable = null;    // { text, html } from the last paste that carried a <table>
+
+/**
+ * Normalizes line endings so pasted text compares equal to the textarea value.
+ */
+function normalizePastedText(text) {
+    return text.replace(/\r\n?/g, '\n').trim();
+}
+
+/**
+ * Paste handler for the paste textarea.
+ *
+ * Copying the Paylocity Rates grid also puts a `text/html` table on the
+ * clipboard. Keeping it lets the parser read cells by column instead of
+ * splitting concatenated amounts out of the plain text. The plain text is
+ * still pasted as usual.
+ *
+ * @param {ClipboardEvent} event - Paste event
+ */
+export function handlePaste(event) {
+    const html = event.clipboardData?.getData('text/html') || '';
+    _pastedTable = /<table[\s>]/i.test(html)
+        ? { text: normalizePastedText(event.clipboardData.getData('text/plain') || ''), html }
+        : null;
+}
+
+/**
+ * Parses the pasted input, preferring the copied HTML table while the
+ * textarea still holds exactly the text pasted alongside it. Falls back to
+ * the text parsers if the table can't be read (or was edited since).
+ *
+ * @param {string} input - Trimmed textarea value
+ * @returns {{parser: Object|null, parsed: Object|null, parseError: Error|null}}
+ *   Parser used, result of parseCompensationDataWithDiagnostics, and any parse error
+ */
+function parsePastedInput(input) {
+    if (_pastedTable && _pastedTable.text === normalizePastedText(input)) {
+        try {
+            return {
+                parser: getParser('html-table'),
+                parsed: parseCompensationDataWithDiagnostics(_pastedTable.html, 'html-table'),
+                parseError: null
+            };
+        } catch (e) {
+            console.warn('Copied table could not be parsed, using pasted text:', e.message);
+        }
+    }
+
+    const parser = detectParser(input);
+    try {
+        return { parser, parsed: parseCompensationDataWithDiagnostics(input), parseError: null };
+    } catch (e) {
+        return { parser, parsed: null, parseError: e };
+    }
+}
+
+// ========================================
+// PARSE DIAGNOSTICS PANEL
+// ========================================
+
+const CONFIDENCE_LABELS = { high: 'High', medium: 'Medium', low: 'Low' };
+
+/**
+ * Formats a dollar amount for the diagnostics table.
+ */
+function formatDiagnosticAmount(amount) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount);
+}
+
+/**
+ * Renders the parse diagnostics panel in the import modal.
+ *
+ * Lists every parsed record with its confidence level and the heuristic that
+ * picked each field, plus every skipped segment, so users can see what was
+ * dropped or guessed before generating the dashboard. Opens automatically
+ * when anything was skipped or parsed with low confidence.
+ *
+ * @param {Object|null} diagnostics - Diagnostics report from the parser registry
+ * @param {Array<Object>} [records] - Parsed records, in the same order as diagnostics.records
+ */
+export function renderParseDiagnostics(diagnostics, records = []) {
+    const panel = document.getElementById('parseDiagnostics');
+    if (!panel) return;
+
+    if (!diagnostics) {
+        panel.classList.add('hidden');
+        panel.innerHTML = '';
+        return;
+    }
+
+    const { summary } = diagnostics;
+    const counts = ['high', 'medium', 'low']
+        .filter(level => summary[level] > 0)
+        .map(level => `${summary[level]} ${level}`)
+        .join(', ');
+    const skippedText = summary.skipped > 0
+        ? ` · ${summary.skipped} skipped segment${summary.skipped > 1 ? 's' : ''}`
+        : '';
+
+    const rows = diagnostics.records.map((d, i) => {
+        const record = records[i];
+        const fieldList = Object.entries(d.fields)
+            .map(([field, source]) => `<li><span class="parse-field">${escapeHTML(field)}</span> ${escapeHTML(source)}</li>`)
+            .join('');
+        const notes = d.notes.length > 0
+            ? d.notes.map(n => escapeHTML(n)).join('<br>')
+            : 'All fields read directly';
+
+        return `
+            <tr>
+                <td>${escapeHTML(d.date)}</td>
+                <td>${record ? escapeHTML(record.reason) : '—'}</td>
+                <td>${record ? formatDiagnosticAmount(record.annual) : '—'}</td>
+                <td><span class="confidence-badge confidence-${d.confidence}">${CONFIDENCE_LABELS[d.confidence]}</span></td>
+                <td>
+                    ${notes}
+                    <details class="parse-field-details">
+                        <summary>How each field was read</summary>
+                        <ul>${fieldList}</ul>
+                        <code>${escapeHTML(d.sourceText)}</code>
+                    </details>
+                </td>
+            </tr>
+        `;
+    }).join('');
+
+    const skipped = diagnostics.skipped.map(sk => `
+        <li>
+            <strong>${escapeHTML(sk.reason)}</strong>
+            <code>${escapeHTML(sk.sourceText.length > 160 ? sk.sourceText.slice(0, 160) + '…' : sk.sourceText)}</code>
+        </li>
+    `).join('');
+
+    panel.innerHTML = `
+        <summary>Parse details: ${diagnostics.records.length} records (${counts || 'none'} confidence)${skippedText}</summary>
+        <div class="parse-diagnostics-body">
+            <table class="parse-diagnostics-table">
+                <thead>
+                    <tr><th>Date</th><th>Reason</th><th>Annual</th><th>Confidence</th><th>Details</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${skipped ? `<div class="parse-diagnostics-skipped-title">Skipped segments</div><ul class="parse-diagnostics-skipped">${skipped}</ul>` : ''}
+        </div>
+    `;
+    panel.open = summary.skipped > 0 || summary.low > 0;
+    panel.classList.remove('hidden');
+}
+
 /**
  * Validates paste input in real-time as user types.
  *
- * Provides progressive feedback:
+ * Non-Paylocity formats detected by the parser registry are validated by
+ * their own parser. Paylocity pastes get progressive feedback:
  * - Error: No dates or dollars found
  * - Warning: Incomplete data or missing sections
  * - Success: Valid data ready to generate
@@ -141,6 +368,16 @@ export function validatePasteInput() {
         messageDiv.className = 'validation-message';
         messageDiv.textContent = '';
         generateBtn.disabled = true;
+        renderParseDiagnostics(null);
+        return;
+    }
+
+    // Full parse up front so the diagnostics panel shows what was dropped or guessed
+    const { parser, parsed, parseError } = parsePastedInput(input);
+    renderParseDiagnostics(parsed?.diagnostics ?? null, parsed?.data.records);
+
+    if (parser && parser.id !== 'paylocity') {
+        showParserValidation(parser, parsed, parseError, messageDiv, generateBtn);
         return;
     }
 
@@ -192,6 +429,14 @@ export function validatePasteInput() {
         return;
     }
 
+    const skippedCount = parsed?.diagnostics?.summary.skipped ?? 0;
+    if (skippedCount > 0) {
+        messageDiv.className = 'validation-message warning visible';
+        messageDiv.textContent = '⚠ Parsed ' + parsed.data.records.length + ' records but skipped ' + skippedCount + ' segment(s). See parse details below.';
+        generateBtn.disabled = false;
+        return;
+    }
+
     // Success
     messageDiv.className = 'validation-message success visible';
     messageDiv.textContent = '✓ Found ' + dates.length + ' compensation records. Ready to generate!';
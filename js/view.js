@@ -2,14 +2,18 @@
 // VIEW MODE FUNCTIONS MODULE
 // ========================================
 
-import { getCurrentSalary } from './calculations.js';
-import { updateMainChartData, updateProjectionChartData } from './charts.js';
+import { getCurrentComp, getStartingComp, isHourlyRecord, formatHourlyRate, calculateEarnings, getCpiYearRange, hasBenchmarkProfile, getBenchmarkProfile } from './calculations.js';
+import { buildMainChart, updateMainChartData, updateProjectionChartData } from './charts.js';
+import { CONSTANTS, FILING_STATUSES, benchmarkProfiles } from './constants.js';
+import { normalizeTaxSettings } from './taxes.js';
+import { getCustomBenchmarkProfiles } from './custom-benchmarks.js';
+import { escapeHTML } from './security.js';
 
 // ========================================
 // MODULE STATE (injected via initView)
 // ========================================
 
-let _state, _charts, _getEmployeeData, _formatCurrency, _buildHistoryTable, _updateAnalytics, _updateStory, _buildProjectionTable, _updateUrlParams;
+let _state, _charts, _getEmployeeData, _formatCurrency, _buildHistoryTable, _updateAnalytics, _updateStory, _updateMarket, _buildProjectionTable, _updateUrlParams;
 
 /**
  * Initializes the view module with required dependencies.
@@ -23,10 +27,11 @@ let _state, _charts, _getEmployeeData, _formatCurrency, _buildHistoryTable, _upd
  * @param {Function} deps.buildHistoryTable - Function to build history table
  * @param {Function} deps.updateAnalytics - Function to update analytics display
  * @param {Function} deps.updateStory - Function to update story content
+ * @param {Function} deps.updateMarket - Function to update the Market tab
  * @param {Function} deps.buildProjectionTable - Function to build projection table
  * @param {Function} deps.updateUrlParams - Function to update URL parameters
  */
-export function initView({ state, charts, getEmployeeData, formatCurrency, buildHistoryTable, updateAnalytics, updateStory, buildProjectionTable, updateUrlParams }) {
+export function initView({ state, charts, getEmployeeData, formatCurrency, buildHistoryTable, updateAnalytics, updateStory, updateMarket, buildProjectionTable, updateUrlParams }) {
     _state = state;
     _charts = charts;
     _getEmployeeData = getEmployeeData;
@@ -34,6 +39,7 @@ export function initView({ state, charts, getEmployeeData, formatCurrency, build
     _buildHistoryTable = buildHistoryTable;
     _updateAnalytics = updateAnalytics;
     _updateStory = updateStory;
+    _updateMarket = updateMarket;
     _buildProjectionTable = buildProjectionTable;
     _updateUrlParams = updateUrlParams;
 }
@@ -73,6 +79,251 @@ export function togglePrivacy() {
     setViewMode(_state.showDollars ? 'index' : 'dollars');
 }
 
+/**
+ * Switches KPI cards, CAGR and Market tab metrics between base salary and
+ * total compensation (base plus bonuses, 401(k) match, ...).
+ *
+ * @param {string} basis - 'base' or 'total'
+ * @returns {void}
+ *
+ * @example
+ * setCompBasis('total'); // CAGR and growth include bonuses
+ */
+export function setCompBasis(basis) {
+    _state.compBasis = basis === 'total' ? 'total' : 'base';
+    syncCompBasisControls();
+
+    if (_getEmployeeData()) {
+        updateAllDisplays();
+        _updateMarket();
+    }
+}
+
+/**
+ * Syncs the Base/Total buttons and basis-specific KPI help text with state.
+ *
+ * @returns {void}
+ */
+export function syncCompBasisControls() {
+    document.querySelectorAll('.comp-basis-btn').forEach(btn => {
+        const isActive = btn.dataset.basis === _state.compBasis;
+        btn.classList.toggle('active', isActive);
+        btn.setAttribute('aria-pressed', isActive);
+    });
+    document.querySelectorAll('[data-comp-basis-help]').forEach(el => {
+        el.classList.toggle('hidden', el.dataset.compBasisHelp !== _state.compBasis);
+    });
+}
+
+/**
+ * Fills the Lifetime Earnings KPI card: base salary earned to date and the
+ * latest calendar year's share of it.
+ *
+ * @returns {void}
+ */
+export function updateEarningsCard() {
+    const employeeData = _getEmployeeData();
+    if (!employeeData) return;
+
+    const { total, byYear } = calculateEarnings(employeeData);
+    const latest = byYear[byYear.length - 1];
+    const format = (amount) => _state.showDollars ? _formatCurrency(amount) : `Index: ${_formatCurrency(amount, false)}`;
+
+    document.getElementById('lifetimeEarnings').textContent = format(total);
+    document.getElementById('earningsThisYear').textContent = latest ? `${latest.year}: ${format(latest.earnings)}` : '';
+}
+
+/**
+ * Selects the benchmark profile (role family × level × region, or an imported
+ * benchmark file) the Market tab and Story tab compare against. Unknown
+ * profiles fall back to the default.
+ *
+ * @param {string} profileId - benchmarkProfiles key (e.g. 'engineering-mid-us') or 'custom-...' id
+ * @returns {void}
+ *
+ * @example
+ * setBenchmarkProfile('sales-mid-us'); // Compare against mid-level sales base pay
+ */
+export function setBenchmarkProfile(profileId) {
+    _state.benchmarkProfile = hasBenchmarkProfile(profileId) ? profileId : CONSTANTS.DEFAULT_BENCHMARK_PROFILE;
+
+    const select = document.getElementById('benchmarkProfileSelect');
+    if (select) select.value = _state.benchmarkProfile;
+    // Only imported benchmarks can be removed
+    document.getElementById('benchmarkRemoveBtn')?.classList.toggle('hidden', !getBenchmarkProfile(_state.benchmarkProfile).custom);
+
+    if (_getEmployeeData()) {
+        _updateStory();
+        _updateMarket();
+    }
+    _updateUrlParams();
+}
+
+/**
+ * Selects the base year for the real (inflation-adjusted) salary line on the
+ * main chart. Empty or out-of-range years (no bundled CPI data) hide the line.
+ *
+ * @param {number|string|null} year - Base year, or null / '' for nominal only
+ * @returns {void}
+ *
+ * @example
+ * setRealBaseYear(2020); // Also plot salary in 2020 dollars
+ * setRealBaseYear(null); // Nominal salary only
+ */
+export function setRealBaseYear(year) {
+    const { first, last } = getCpiYearRange();
+    const parsed = Number(year);
+    _state.realBaseYear = year !== null && year !== '' && Number.isInteger(parsed) && parsed >= first && parsed <= last
+        ? parsed
+        : null;
+
+    const select = document.getElementById('realBaseYearSelect');
+    if (select) select.value = _state.realBaseYear ?? '';
+
+    if (_getEmployeeData()) buildMainChart();
+    _updateUrlParams();
+}
+
+/**
+ * Shows or hides estimated take-home pay: the History table's net pay column
+ * and the main chart's net pay series.
+ *
+ * @param {boolean|string} show - true / 'true' to show
+ * @returns {void}
+ *
+ * @example
+ * setShowNetPay(true); // Add take-home pay next to gross salary
+ */
+export function setShowNetPay(show) {
+    _state.showNetPay = show === true || show === 'true';
+
+    const checkbox = document.getElementById('netPayToggle');
+    if (checkbox) checkbox.checked = _state.showNetPay;
+
+    refreshTakeHomeDisplays(true);
+}
+
+/**
+ * Selects the federal filing status for take-home estimates.
+ * Unknown statuses fall back to CONSTANTS.DEFAULT_FILING_STATUS.
+ *
+ * @param {string} status - FILING_STATUSES key
+ * @returns {void}
+ */
+export function setFilingStatus(status) {
+    _state.filingStatus = normalizeTaxSettings({ filingStatus: status }).filingStatus;
+
+    const select = document.getElementById('filingStatusSelect');
+    if (select) select.value = _state.filingStatus;
+
+    refreshTakeHomeDisplays(false);
+}
+
+/**
+ * Sets the flat state income tax rate for take-home estimates, clamped to
+ * 0 - CONSTANTS.MAX_STATE_TAX_RATE (non-numbers become 0).
+ *
+ * @param {number|string} rate - Percent (e.g. 5 for 5%)
+ * @returns {void}
+ *
+ * @example
+ * setStateTaxRate('4.95'); // Illinois flat rate
+ */
+export function setStateTaxRate(rate) {
+    _state.stateTaxRate = normalizeTaxSettings({ stateTaxRate: rate }).stateTaxRate;
+
+    const input = document.getElementById('stateTaxRateInput');
+    if (input && Number(input.value) !== _state.stateTaxRate) input.value = _state.stateTaxRate;
+
+    refreshTakeHomeDisplays(false);
+}
+
+/**
+ * Re-renders the displays that show take-home pay after a setting changes.
+ *
+ * @param {boolean} toggled - True when the net pay series is added or removed
+ *   (the main chart is rebuilt rather than updated in place)
+ * @returns {void}
+ */
+function refreshTakeHomeDisplays(toggled) {
+    document.querySelectorAll('.take-home-setting').forEach(el => {
+        el.classList.toggle('hidden', !_state.showNetPay);
+    });
+
+    if (_getEmployeeData() && (toggled || _state.showNetPay)) {
+        _buildHistoryTable();
+        if (toggled) buildMainChart();
+        else updateMainChartData();
+    }
+    _updateUrlParams();
+}
+
+/**
+ * Fills the main chart's filing status selector.
+ *
+ * @returns {void}
+ */
+export function renderFilingStatusOptions() {
+    const select = document.getElementById('filingStatusSelect');
+    if (!select) return;
+
+    // Security Note: innerHTML safe - keys and labels come from constants.js
+    select.innerHTML = Object.entries(FILING_STATUSES)
+        .map(([key, label]) => `<option value="${key}">${escapeHTML(label)}</option>`)
+        .join('');
+    select.value = _state.filingStatus;
+}
+
+/**
+ * Fills the main chart's real-dollars base year selector: the years from hire
+ * to the latest bundled CPI data, newest first.
+ *
+ * @returns {void}
+ */
+export function renderRealBaseYearOptions() {
+    const select = document.getElementById('realBaseYearSelect');
+    const employeeData = _getEmployeeData();
+    if (!select || !employeeData) return;
+
+    const { first, last } = getCpiYearRange();
+    const from = Math.min(Math.max(Number(employeeData.hireDate.slice(0, 4)), first), last);
+    const years = [];
+    for (let year = last; year >= from; year--) years.push(year);
+    if (Number.isInteger(_state.realBaseYear) && !years.includes(_state.realBaseYear)) {
+        years.push(_state.realBaseYear);
+    }
+
+    // Security Note: innerHTML safe - options are integers
+    select.innerHTML = '<option value="">Nominal only</option>' +
+        years.map(year => `<option value="${year}">${year} dollars</option>`).join('');
+    select.value = _state.realBaseYear ?? '';
+}
+
+/**
+ * Fills the Market tab's benchmark profile selector, grouped by role family
+ * (imported benchmarks last, under "Custom").
+ *
+ * @returns {void}
+ */
+export function renderBenchmarkProfileOptions() {
+    const select = document.getElementById('benchmarkProfileSelect');
+    if (!select) return;
+
+    const groups = new Map();
+    for (const [key, profile] of Object.entries({ ...benchmarkProfiles, ...getCustomBenchmarkProfiles() })) {
+        groups.set(profile.roleFamily, [...(groups.get(profile.roleFamily) ?? []), [key, profile]]);
+    }
+
+    // Security Note: innerHTML safe - keys are constants.js keys or slugs ([a-z0-9-]),
+    // labels (including imported benchmark names) are escaped
+    select.innerHTML = [...groups].map(([roleFamily, profiles]) =>
+        `<optgroup label="${escapeHTML(roleFamily)}">` +
+        profiles.map(([key, profile]) => `<option value="${key}">${escapeHTML(profile.label)}</option>`).join('') +
+        '</optgroup>'
+    ).join('');
+    select.value = _state.benchmarkProfile;
+}
+
 /**
  * Updates all salary displays throughout the application.
  * Called after view mode changes to refresh all visible values.
@@ -81,16 +332,25 @@ export function togglePrivacy() {
  */
 export function updateAllDisplays() {
     const employeeData = _getEmployeeData();
-    const current = getCurrentSalary(employeeData);
+    const current = getCurrentComp(employeeData, _state.compBasis);
+    const start = getStartingComp(employeeData, _state.compBasis);
+    const currentRecord = employeeData.records[0];
+    // The hourly rate only describes base pay
+    const rateSuffix = _state.compBasis === 'base' && isHourlyRecord(currentRecord)
+        ? ` · ${formatHourlyRate(currentRecord.hourlyRate)}`
+        : '';
 
     document.getElementById('currentSalary').textContent = _state.showDollars
         ? _formatCurrency(current)
         : `Index: ${_formatCurrency(current, false)}`;
 
     document.getElementById('currentSalaryIndexed').textContent = _state.showDollars
-        ? `Index: ${_formatCurrency(current, false)}`
+        ? `Index: ${_formatCurrency(current, false)}${rateSuffix}`
         : `Base 100 = Starting salary`;
 
+    document.getElementById('totalGrowth').textContent = `+${(((current - start) / start) * 100).toFixed(0)}%`;
+    updateEarningsCard();
+
     _buildHistoryTable();
     _updateAnalytics();
     _updateStory();
@@ -4,7 +4,8 @@
  * Update CPI Data Script
  *
  * Fetches latest CPI data from Bureau of Labor Statistics API
- * and updates js/constants.js with annual inflation rates.
+ * and updates the monthly CPI-U index series (cpiMonthlyIndex) in js/constants.js.
+ * Annual rates (cpiData) are derived from that series at load time.
  *
  * BLS API: https://www.bls.gov/developers/api_signature_v2.htm
  * Series ID: CUUR0000SA0 (CPI All Urban Consumers, U.S. city average)
@@ -16,20 +17,22 @@ const path = require('path');
 const BLS_API_URL = 'https://api.bls.gov/publicAPI/v2/timeseries/data/';
 const SERIES_ID = 'CUUR0000SA0'; // CPI-U All items, U.S. city average
 const CONSTANTS_FILE = path.join(__dirname, '../js/constants.js');
+const CPI_INDEX_REGEX = /export const cpiMonthlyIndex = \{[\s\S]*?\n\};/;
+
+const START_YEAR = 2010; // First year kept in cpiMonthlyIndex
+const MAX_YEARS_PER_REQUEST = 10; // BLS v2 limit without a registration key
 
 /**
- * Fetches CPI data from BLS API
+ * Fetches CPI data from BLS API for a range of years
+ * @param {number} startYear - First year to request
+ * @param {number} endYear - Last year to request
  * @returns {Promise<Object>} API response with CPI series data
  */
-async function fetchCPIData() {
-    const currentYear = new Date().getFullYear();
-    const startYear = 2010; // Match existing data start
-
+async function fetchCPIData(startYear, endYear) {
     const payload = {
         seriesid: [SERIES_ID],
         startyear: startYear.toString(),
-        endyear: currentYear.toString(),
-        calculations: true
+        endyear: endYear.toString()
     };
 
     const response = await fetch(BLS_API_URL, {
@@ -54,87 +57,115 @@ async function fetchCPIData() {
 }
 
 /**
- * Extracts December CPI values by year
+ * Extracts monthly CPI index values by year
  * @param {Object} blsData - BLS API response
- * @returns {Map<number, number>} Map of year to December CPI index
+ * @returns {Map<number, Map<number, number>>} Map of year to (0-indexed month → index value)
  */
-function extractDecemberValues(blsData) {
+function extractMonthlyValues(blsData) {
     const series = blsData.Results?.series?.[0];
     if (!series?.data) {
         throw new Error('No CPI data found in BLS response');
     }
 
-    const decemberValues = new Map();
+    const monthlyValues = new Map();
 
     for (const item of series.data) {
         // BLS returns M01-M12 for months (M13 is annual average)
-        if (item.period === 'M12') {
-            const year = parseInt(item.year, 10);
-            const value = parseFloat(item.value);
-            decemberValues.set(year, value);
-        }
+        const match = /^M(0[1-9]|1[0-2])$/.exec(item.period);
+        const value = parseFloat(item.value);
+        // Unpublished months come back as "-"
+        if (!match || !Number.isFinite(value)) continue;
+
+        const year = parseInt(item.year, 10);
+        if (!monthlyValues.has(year)) monthlyValues.set(year, new Map());
+        monthlyValues.get(year).set(parseInt(match[1], 10) - 1, value);
     }
 
-    return decemberValues;
+    return monthlyValues;
 }
 
 /**
- * Calculates year-over-year inflation rates
- * @param {Map<number, number>} decemberValues - December CPI values by year
- * @returns {Object} Object mapping year to inflation rate (%)
+ * Reads the existing cpiMonthlyIndex block from constants.js
+ * @param {string} content - constants.js source
+ * @returns {Map<number, Array<number|null>>} Map of year to 12 monthly values
  */
-function calculateInflationRates(decemberValues) {
-    const rates = {};
-    const years = Array.from(decemberValues.keys()).sort((a, b) => a - b);
-
-    for (let i = 1; i < years.length; i++) {
-        const year = years[i];
-        const prevYear = years[i - 1];
-        const currentValue = decemberValues.get(year);
-        const prevValue = decemberValues.get(prevYear);
-
-        // YoY inflation: ((current - previous) / previous) * 100
-        const inflationRate = ((currentValue - prevValue) / prevValue) * 100;
-        rates[year] = Math.round(inflationRate * 10) / 10; // Round to 1 decimal
+function readExistingIndex(content) {
+    const blockMatch = CPI_INDEX_REGEX.exec(content);
+    if (!blockMatch) {
+        throw new Error('Could not find cpiMonthlyIndex block in constants.js');
     }
 
-    return rates;
+    const index = new Map();
+    for (const [, year, values] of blockMatch[0].matchAll(/(\d{4}):\s*\[([^\]]*)\]/g)) {
+        index.set(Number(year), values.split(',').map(v => (v.trim() === 'null' ? null : Number(v))));
+    }
+    return index;
 }
 
 /**
- * Updates js/constants.js with new CPI data
- * @param {Object} newRates - New inflation rates by year
+ * Merges fetched values over the existing series (fetched months win)
+ * @param {Map<number, Array<number|null>>} existing - Current series from constants.js
+ * @param {Map<number, Map<number, number>>} fetched - Values from BLS
+ * @returns {Map<number, Array<number|null>>} Merged series
  */
-function updateConstantsFile(newRates) {
-    let content = fs.readFileSync(CONSTANTS_FILE, 'utf8');
-
-    // Build new cpiData object string
-    const years = Object.keys(newRates).map(Number).sort((a, b) => a - b);
-    const rateEntries = years.map(year => `    ${year}: ${newRates[year]}`);
-    const newCpiDataBlock = `export const cpiData = {\n${rateEntries.join(',\n')}\n};`;
-
-    // Replace existing cpiData block using regex
-    const cpiDataRegex = /export const cpiData = \{[\s\S]*?\};/;
-    if (!cpiDataRegex.test(content)) {
-        throw new Error('Could not find cpiData block in constants.js');
+function mergeMonthlyValues(existing, fetched) {
+    const merged = new Map(existing);
+    for (const [year, months] of fetched) {
+        const values = [...(merged.get(year) || new Array(12).fill(null))];
+        for (const [month, value] of months) {
+            values[month] = value;
+        }
+        merged.set(year, values);
     }
-    content = content.replace(cpiDataRegex, newCpiDataBlock);
+    return merged;
+}
 
-    // Update cpiMetadata.lastUpdated
-    const now = new Date();
-    const yearMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+/**
+ * Finds the most recent published month in the series
+ * @param {Map<number, Array<number|null>>} index - Monthly series
+ * @returns {string} YYYY-MM
+ */
+function getLatestMonth(index) {
+    const years = Array.from(index.keys()).sort((a, b) => b - a);
+    for (const year of years) {
+        const month = index.get(year).map(v => v !== null).lastIndexOf(true);
+        if (month !== -1) {
+            return `${year}-${String(month + 1).padStart(2, '0')}`;
+        }
+    }
+    throw new Error('CPI series is empty');
+}
+
+/**
+ * Updates js/constants.js with the new monthly series
+ * @param {string} content - constants.js source
+ * @param {Map<number, Array<number|null>>} index - Monthly series to write
+ */
+function updateConstantsFile(content, index) {
+    // Build new cpiMonthlyIndex object string (3 decimals, as published by BLS)
+    const years = Array.from(index.keys()).sort((a, b) => a - b);
+    const yearEntries = years.map(year => {
+        const values = index.get(year).map(v => (v === null ? 'null' : v.toFixed(3)));
+        return `    ${year}: [${values.join(', ')}]`;
+    });
+    const newIndexBlock = `export const cpiMonthlyIndex = {\n${yearEntries.join(',\n')}\n};`;
+    content = content.replace(CPI_INDEX_REGEX, newIndexBlock);
+
+    // cpiMetadata.lastUpdated tracks the most recent month in the series
+    const latestMonth = getLatestMonth(index);
     const lastUpdatedRegex = /lastUpdated: ['"][^'"]+['"]/;
     if (lastUpdatedRegex.test(content)) {
-        content = content.replace(lastUpdatedRegex, `lastUpdated: '${yearMonth}'`);
+        content = content.replace(lastUpdatedRegex, `lastUpdated: '${latestMonth}'`);
     }
 
     // Also update benchmarkMetadata.lastUpdated.inflationData
     const inflationDataRegex = /(inflationData:\s*['"])[^'"]+(['"])/;
     if (inflationDataRegex.test(content)) {
-        content = content.replace(inflationDataRegex, `$1${yearMonth}$2`);
+        content = content.replace(inflationDataRegex, `$1${latestMonth}$2`);
     }
 
     fs.writeFileSync(CONSTANTS_FILE, content, 'utf8');
+    return latestMonth;
 }
 
 /**
@@ -144,25 +175,34 @@ async function main() {
     console.log('Fetching CPI data from BLS API...');
 
     try {
-        const blsData = await fetchCPIData();
-        console.log('BLS API response received');
-
-        const decemberValues = extractDecemberValues(blsData);
-        console.log(`Found December values for ${decemberValues.size} years`);
-
-        const inflationRates = calculateInflationRates(decemberValues);
-        const years = Object.keys(inflationRates);
-        console.log(`Calculated inflation rates for ${years.length} years: ${years[0]}-${years[years.length - 1]}`);
-
-        updateConstantsFile(inflationRates);
-        console.log('Updated js/constants.js');
-
-        // Log the new values for PR review
-        console.log('\nNew CPI inflation rates:');
-        for (const [year, rate] of Object.entries(inflationRates).slice(-5)) {
-            console.log(`  ${year}: ${rate}%`);
+        const content = fs.readFileSync(CONSTANTS_FILE, 'utf8');
+        const existing = readExistingIndex(content);
+
+        // BLS caps the years per request, so fetch in windows
+        const currentYear = new Date().getFullYear();
+        const fetched = new Map();
+        for (let start = START_YEAR; start <= currentYear; start += MAX_YEARS_PER_REQUEST) {
+            const end = Math.min(start + MAX_YEARS_PER_REQUEST - 1, currentYear);
+            const blsData = await fetchCPIData(start, end);
+            for (const [year, months] of extractMonthlyValues(blsData)) {
+                fetched.set(year, months);
+            }
+            console.log(`BLS API response received for ${start}-${end}`);
         }
 
+        const merged = mergeMonthlyValues(existing, fetched);
+        const latestMonth = updateConstantsFile(content, merged);
+        console.log(`Updated js/constants.js (monthly CPI-U index through ${latestMonth})`);
+
+        // Log the newest values for PR review
+        console.log('\nLatest CPI-U index values:');
+        const latestYear = Math.max(...merged.keys());
+        merged.get(latestYear).forEach((value, month) => {
+            if (value !== null) {
+                console.log(`  ${latestYear}-${String(month + 1).padStart(2, '0')}: ${value}`);
+            }
+        });
+
         console.log('\nCPI data update complete!');
     } catch (error) {
         console.error('Error updating CPI data:', error.message);
@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for Salary Bands
+ *
+ * Tests pay band positioning in js/bands.js and its consumers:
+ * - getBandAt() - Band history lookups, bands resetting at a job change
+ * - calculateCompaRatio() / calculateRangePenetration() / getBandPositions() - Position in band
+ * - getBandErrors() / validateImportedData() - "bands" list checks
+ * - buildReviewedData() - Band rows from the review grid
+ * - renderBandHistory() - Market tab penetration bars
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    hasBands,
+    getBandAt,
+    calculateCompaRatio,
+    calculateRangePenetration,
+    getBandPositions,
+    getBandErrors
+} from '../js/bands.js';
+import { validateImportedData } from '../js/io.js';
+import { createReviewRows, createBandRow, applySideRowEdit, buildReviewedData } from '../js/review.js';
+import { renderBandHistory } from '../js/content.js';
+import { mockRecord, mockEmployeeData } from './helpers/employee-data.js';
+
+const employeeData = () => mockEmployeeData([
+    mockRecord('2023-09-01', 'Promotion', 130000),
+    mockRecord('2022-03-01', 'Merit Increase', 100000),
+    mockRecord('2021-03-15', 'New Hire', 90000)
+], {
+    bands: [
+        { date: '2023-09-01', level: 'L5', min: 120000, mid: 140000, max: 160000 },
+        { date: '2021-01-01', level: 'L4', min: 80000, mid: 100000, max: 120000 }
+    ]
+});
+
+describe('getBandAt', () => {
+    it('uses the latest band on or before the date', () => {
+        const data = employeeData();
+
+        expect(hasBands(data)).toBe(true);
+        expect(getBandAt(data, '2020-12-31')).toBeNull();
+        expect(getBandAt(data, '2023-08-31').level).toBe('L4');
+        expect(getBandAt(data, '2023-09-01').level).toBe('L5');
+    });
+
+    it('does not carry a band over to a later employer', () => {
+        const data = {
+            ...employeeData(),
+            employers: [{ name: 'Acme', hireDate: '2021-03-15' }, { name: 'Globex', hireDate: '2023-09-01' }],
+            bands: [{ date: '2021-01-01', level: 'L4', min: 80000, mid: 100000, max: 120000 }]
+        };
+
+        expect(getBandAt(data, '2023-08-31').level).toBe('L4');
+        expect(getBandAt(data, '2023-09-01')).toBeNull();
+    });
+});
+
+describe('band positioning', () => {
+    it('computes compa-ratio and range penetration', () => {
+        const band = { min: 80000, mid: 100000, max: 120000 };
+
+        expect(calculateCompaRatio(95000, band)).toBe(0.95);
+        expect(calculateRangePenetration(95000, band)).toBe(37.5);
+        expect(calculateRangePenetration(70000, band)).toBe(-25);
+    });
+
+    it('positions each record in its band, oldest first', () => {
+        expect(getBandPositions(employeeData()).map(p => [p.date, p.band.level, p.compaRatio, p.penetration])).toEqual([
+            ['2021-03-15', 'L4', 0.9, 25],
+            ['2022-03-01', 'L4', 1, 50],
+            ['2023-09-01', 'L5', 130000 / 140000, 25]
+        ]);
+    });
+
+    it('renders one penetration bar per record, clamped to the band', () => {
+        const positions = getBandPositions(employeeData());
+        positions[0] = { ...positions[0], penetration: -10 };
+        const html = renderBandHistory(positions);
+
+        expect(html.match(/class="band-history-bar"/g)).toHaveLength(3);
+        expect(html).toContain('style="height: 0.0%"');
+        expect(html).toContain('style="height: 50.0%"');
+    });
+});
+
+describe('band validation', () => {
+    it('accepts valid bands', () => {
+        expect(getBandErrors(employeeData().bands)).toEqual([]);
+        expect(validateImportedData(employeeData()).valid).toBe(true);
+    });
+
+    it('reports each invalid band', () => {
+        expect(getBandErrors({})).toEqual(['"bands" must be an array']);
+        expect(getBandErrors([
+            { date: '2022-01-01', min: 100000, mid: 90000, max: 120000 },
+            { date: '', level: 7, min: 0, mid: 100000, max: 120000 }
+        ])).toEqual([
+            'Band 1: band must satisfy min ≤ mid ≤ max with min below max',
+            'Band 2: date must be YYYY-MM-DD',
+            'Band 2: level must be text of up to 50 characters',
+            'Band 2: min must be a positive number'
+        ]);
+    });
+});
+
+describe('band rows in the review grid', () => {
+    it('builds the bands list from band rows', () => {
+        const { records } = employeeData();
+        const band = createBandRow();
+        applySideRowEdit(band, 'date', '2021-01-01');
+        applySideRowEdit(band, 'min', '$80,000');
+        applySideRowEdit(band, 'mid', '100000');
+        applySideRowEdit(band, 'max', '120000');
+        const leveled = createBandRow({ date: '2023-09-01', level: 'L5', min: 120000, mid: 140000, max: 160000 });
+
+        const { data, sideRowIds } = buildReviewedData({}, createReviewRows(records), { bands: [band, leveled] });
+
+        expect(data.bands).toEqual([
+            { date: '2023-09-01', level: 'L5', min: 120000, mid: 140000, max: 160000 },
+            { date: '2021-01-01', min: 80000, mid: 100000, max: 120000 }
+        ]);
+        expect(sideRowIds.bands).toEqual([leveled.id, band.id]);
+        expect(validateImportedData(data).valid).toBe(true);
+    });
+});
@@ -0,0 +1,156 @@
+/**
+ * Unit Tests for Benchmark Percentiles
+ *
+ * Tests P10-P90 benchmark distributions in js/calculations.js and consumers:
+ * - benchmarkProfiles[*].percentiles - Bundled distributions
+ * - estimatePercentile() - Interpolation, extrapolation, clamping
+ * - getBenchmarkPercentiles() - Bundled, imported and range-estimated distributions
+ * - getBenchmarkComparisons() - User standing per metric
+ * - validateBenchmarkData() - Optional percentiles in imported files
+ * - describePercentiles() / buildReport() - Market summary and CLI rows
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { benchmarks, benchmarkProfiles, BENCHMARK_PERCENTILE_METRICS } from '../js/constants.js';
+import { estimatePercentile, getBenchmarkPercentiles, getBenchmarkComparisons, getBenchmarkProfile } from '../js/calculations.js';
+import { validateBenchmarkData, addCustomBenchmark, setCustomBenchmarks } from '../js/custom-benchmarks.js';
+import { describePercentiles } from '../js/content.js';
+import { buildReport, formatReportTable } from '../js/report.js';
+import { mockRecord, mockEmployeeData } from './helpers/employee-data.js';
+
+// Raises of 4.75% every 9 months
+const employeeData = () => mockEmployeeData([
+    mockRecord('2022-07-01', 'Merit Increase', 109753, 4.75, { change: 4976 }),
+    mockRecord('2021-10-01', 'Merit Increase', 104750, 4.75, { change: 4750 }),
+    mockRecord('2021-01-01', 'New Hire', 100000)
+]);
+
+const importedFile = (extra = {}) => ({
+    typicalRaise: { min: 3, max: 5, avg: 4 },
+    highPerformerRaise: { min: 6, max: 10, avg: 8 },
+    promotionBump: { min: 10, max: 20, avg: 15 },
+    industryCagr: 6,
+    avgMonthsBetweenRaises: 12,
+    benchmarkMetadata: { name: 'Survey', source: 'Internal comp survey' },
+    ...extra
+});
+
+beforeEach(() => {
+    setCustomBenchmarks([]);
+});
+
+describe('bundled percentile distributions', () => {
+    it('lists non-decreasing P10-P90 values centered on each profile', () => {
+        for (const profile of Object.values(benchmarkProfiles)) {
+            for (const metric of Object.keys(BENCHMARK_PERCENTILE_METRICS)) {
+                const values = Object.values(profile.percentiles[metric]);
+                expect(values).toHaveLength(5);
+                expect([...values].sort((a, b) => a - b)).toEqual(values);
+            }
+            expect(profile.percentiles.cagr.p50).toBe(profile.industryCagr);
+            expect(profile.percentiles.raise.p50).toBe(profile.typicalRaise.avg);
+        }
+    });
+});
+
+describe('estimatePercentile', () => {
+    const raise = { p10: 2, p25: 3, p50: 4, p75: 5.5, p90: 8 };
+
+    it('interpolates between points and extrapolates past the tails', () => {
+        expect(estimatePercentile(4, raise)).toBe(50);
+        expect(estimatePercentile(4.75, raise)).toBe(62.5);
+        expect(estimatePercentile(2.5, raise)).toBe(17.5);
+        expect(estimatePercentile(9, raise)).toBe(96);
+        expect(estimatePercentile(0, raise)).toBe(1);
+        expect(estimatePercentile(20, raise)).toBe(99);
+    });
+
+    it('handles flat stretches of a distribution', () => {
+        const flat = { p10: 12, p25: 12, p50: 12, p75: 14, p90: 18 };
+        expect(estimatePercentile(12, flat)).toBe(50);
+        expect(estimatePercentile(11, flat)).toBe(1);
+    });
+});
+
+describe('getBenchmarkPercentiles', () => {
+    it('uses bundled or imported distributions and estimates missing ones from ranges', () => {
+        expect(getBenchmarkPercentiles(benchmarks)).toEqual({ ...benchmarks.percentiles, estimated: false });
+
+        const estimated = getBenchmarkPercentiles(getBenchmarkProfile(addCustomBenchmark(importedFile())));
+        expect(estimated.estimated).toBe(true);
+        expect(estimated.raise).toEqual({ p10: 2, p25: 3, p50: 4, p75: 5, p90: 8 });
+        expect(estimated.cagr).toEqual({ p10: 4, p25: 5, p50: 6, p75: 7, p90: 10 });
+        expect(estimated.monthsBetweenRaises.p50).toBe(12);
+
+        const percentiles = {
+            raise: { p10: 1, p25: 2, p50: 3, p75: 4, p90: 5 },
+            cagr: { p10: 1, p25: 2, p50: 3, p75: 4, p90: 5 },
+            monthsBetweenRaises: { p10: 6, p25: 9, p50: 12, p75: 15, p90: 18 }
+        };
+        const imported = getBenchmarkProfile(addCustomBenchmark(importedFile({ percentiles })));
+        expect(getBenchmarkPercentiles(imported)).toEqual({ ...percentiles, estimated: false });
+    });
+
+    it('rejects malformed percentiles in imported files', () => {
+        const file = importedFile({
+            percentiles: {
+                raise: { p10: 5, p25: 3, p50: 4, p75: 5, p90: 6 },
+                cagr: { p10: 1, p25: 2, p50: 3, p75: 4 },
+                monthsBetweenRaises: { p10: 6, p25: 9, p50: 12, p75: 15, p90: 80 }
+            }
+        });
+
+        expect(validateBenchmarkData(file).errors).toEqual([
+            '"percentiles.raise" must not decrease from p10 to p90',
+            '"percentiles.cagr" must have numeric p10, p25, p50, p75, p90',
+            '"percentiles.monthsBetweenRaises" values must be between 0 and 60'
+        ]);
+        expect(validateBenchmarkData(importedFile({ percentiles: [] })).errors).toEqual(['"percentiles" must be an object']);
+    });
+});
+
+describe('percentile standings', () => {
+    it('places the user in each distribution, faster raises ranking higher', () => {
+        const { percentiles } = getBenchmarkComparisons(employeeData(), benchmarks);
+
+        expect(percentiles.estimated).toBe(false);
+        expect(percentiles.raise).toMatchObject({ value: 4.75, percentile: 62.5, distribution: benchmarks.percentiles.raise });
+        expect(percentiles.monthsBetweenRaises.value).toBeCloseTo(9, 0);
+        expect(percentiles.monthsBetweenRaises.percentile).toBeGreaterThan(85);
+        expect(percentiles.cagr.percentile).toBeGreaterThan(50);
+    });
+
+    it('summarizes standings for the Market tab and the CLI report', () => {
+        const { percentiles } = getBenchmarkComparisons(employeeData(), benchmarks);
+        const report = buildReport(employeeData());
+
+        expect(describePercentiles(percentiles, benchmarks)).toMatch(
+            /^Estimated standing vs B2B SaaS · All roles · United States: average raise P63 · CAGR P\d+ · raises faster than \d+% of peers$/
+        );
+        expect(describePercentiles({ ...percentiles, estimated: true }, benchmarks)).toMatch(/\(distributions estimated from the benchmark ranges\)$/);
+        expect(report.raisePercentile).toBe(62.5);
+        expect(formatReportTable(report)).toContain('Raise percentile         P63');
+    });
+
+    it('bases the performance tier on the raise percentile', () => {
+        // 4.75% is P62.5: at or above the median, below P75
+        expect(getBenchmarkComparisons(employeeData(), benchmarks).performanceTier).toBe('solid');
+
+        const data = employeeData();
+        data.records.slice(0, 2).forEach(r => { r.changePercent = 5.5; });
+        const bench = getBenchmarkComparisons(data, benchmarks);
+        expect(bench.percentiles.raise.percentile).toBe(75);
+        expect(bench.performanceTier).toBe('high');
+    });
+
+    it('has no raise standing without raises', () => {
+        const data = { ...employeeData(), currentDate: '2021-01-01', records: employeeData().records.slice(-1) };
+        const { percentiles, performanceTier } = getBenchmarkComparisons(data, benchmarks);
+
+        expect(percentiles.raise).toMatchObject({ value: null, percentile: null });
+        expect(percentiles.monthsBetweenRaises).toMatchObject({ value: null, percentile: null });
+        expect(performanceTier).toBe('below');
+        expect(describePercentiles(percentiles, benchmarks)).toMatch(/average raise n\/a · CAGR P\d+ · raise frequency n\/a$/);
+        expect(formatReportTable(buildReport(data))).toContain('Raise percentile         n/a (no raises)');
+    });
+});
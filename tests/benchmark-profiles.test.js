@@ -0,0 +1,91 @@
+/**
+ * Unit Tests for Benchmark Profiles
+ *
+ * Tests role family × level × region benchmarks in js/constants.js and consumers:
+ * - benchmarkProfiles - Shape of every bundled profile
+ * - getBenchmarkProfile() - Lookups and default fallback
+ * - getBenchmarkComparisons() - Deltas and tier follow the selected profile
+ * - describeMarketSources() - Market tab footnote text
+ * - buildReport() - CLI benchmark profile option
+ */
+
+import { describe, it, expect } from 'vitest';
+import { CONSTANTS, benchmarks, benchmarkProfiles } from '../js/constants.js';
+import { getBenchmarkProfile, getBenchmarkComparisons } from '../js/calculations.js';
+import { describeMarketSources } from '../js/content.js';
+import { buildReport } from '../js/report.js';
+import { mockRecord, mockEmployeeData } from './helpers/employee-data.js';
+
+const employeeData = () => mockEmployeeData([
+    mockRecord('2024-03-01', 'Merit Increase', 84000, 5, { change: 4000 }),
+    mockRecord('2023-03-01', 'Merit Increase', 80000, 5, { change: 3809 }),
+    mockRecord('2022-03-01', 'Merit Increase', 76190, 5, { change: 3628 }),
+    mockRecord('2021-03-01', 'Merit Increase', 72562, 5, { change: 3455 }),
+    mockRecord('2020-03-01', 'New Hire', 69107)
+]);
+
+describe('benchmarkProfiles', () => {
+    it('bundles the fields comparisons and labels read for every profile', () => {
+        for (const profile of Object.values(benchmarkProfiles)) {
+            for (const range of [profile.typicalRaise, profile.highPerformerRaise, profile.promotionBump]) {
+                expect(range.min).toBeLessThanOrEqual(range.avg);
+                expect(range.avg).toBeLessThanOrEqual(range.max);
+            }
+            expect(profile.industryCagr).toBeGreaterThan(0);
+            expect(profile.avgMonthsBetweenRaises).toBeGreaterThan(0);
+            expect(profile).toMatchObject({
+                label: expect.any(String),
+                roleFamily: expect.any(String),
+                level: expect.any(String),
+                region: expect.any(String),
+                industry: expect.any(String),
+                dataAsOf: expect.stringMatching(/^\d{4}-Q[1-4]$/)
+            });
+        }
+    });
+
+    it('looks up profiles and falls back to the default', () => {
+        expect(getBenchmarkProfile('sales-mid-us')).toBe(benchmarkProfiles['sales-mid-us']);
+        expect(getBenchmarkProfile('atlantis')).toBe(benchmarks);
+        expect(getBenchmarkProfile(undefined)).toBe(benchmarkProfiles[CONSTANTS.DEFAULT_BENCHMARK_PROFILE]);
+    });
+});
+
+describe('getBenchmarkComparisons with a profile', () => {
+    it('compares against the selected profile', () => {
+        const data = employeeData();
+        const sales = getBenchmarkComparisons(data, getBenchmarkProfile('sales-mid-us'));
+        const engineering = getBenchmarkComparisons(data, getBenchmarkProfile('engineering-mid-us'));
+
+        expect(sales.userCagr).toBeCloseTo(engineering.userCagr, 9);
+        // Both profiles move with the same yearly merit budgets
+        expect(sales.cagrVsIndustry - engineering.cagrVsIndustry).toBeCloseTo(7 - 4.5, 3);
+        // 5% average raise: high performer for sales (min 5%), solid for engineering (min 7%)
+        expect(sales.performanceTier).toBe('high');
+        expect(engineering.performanceTier).toBe('solid');
+        // 2021-2024 budgets average 0.05 points below 2024's, lowering each typical raise
+        expect(sales.raiseVsTypical).toBeCloseTo(1.55, 9);
+        expect(engineering.raiseVsTypical).toBeCloseTo(0.55, 9);
+    });
+});
+
+describe('describeMarketSources', () => {
+    it('names the benchmark profile', () => {
+        expect(describeMarketSources('engineering-senior-sf')).toBe(
+            'Benchmarks: Engineering · Senior · SF Bay Area (2024-Q4) | CPI Data: 2025-12 | ' +
+            'Region: San Francisco Bay Area | Industry: B2B SaaS'
+        );
+        expect(describeMarketSources('atlantis')).toMatch(/^Benchmarks: B2B SaaS · All roles · United States/);
+    });
+});
+
+describe('buildReport with a benchmark profile', () => {
+    it('reports against the chosen profile and rejects unknown ones', () => {
+        const report = buildReport(employeeData(), { benchmarkProfile: 'support-entry-us' });
+
+        expect(report.benchmarkProfile).toBe('support-entry-us');
+        expect(report.industryCagr).toBe(4);
+        expect(buildReport(employeeData()).benchmarkProfile).toBe('saas-all-us');
+        expect(() => buildReport(employeeData(), { benchmarkProfile: 'atlantis' })).toThrow(/^Unknown benchmark profile "atlantis"/);
+    });
+});
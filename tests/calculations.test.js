@@ -3,20 +3,33 @@
  *
  * Tests critical calculation logic from app.js:
  * - calculateCAGR() - Compound Annual Growth Rate
- * - calculateInflationOverPeriod() - Cumulative inflation
+ * - calculateInflationOverPeriod() - Cumulative inflation (CPI index ratio)
+ * - calculateInflationBetweenDates() / getCpiIndex() - Monthly CPI lookups
  * - calculateRealGrowth() - Inflation-adjusted growth
  * - calculateInflationAdjustedSalary() - Salary adjustments
+ * - calculateEarnings() - Salary earned over time, prorated by day
+ * - toRealDollars() / buildRealSalarySeries() / calculateRealCAGR() - Real (base-year) dollars
  */
 
 import { describe, it, expect } from 'vitest';
 import { CONSTANTS, benchmarks, cpiData } from '../js/constants.js';
 import {
     calculateInflationOverPeriod,
+    calculateInflationBetweenDates,
+    getCpiIndex,
     calculateRealGrowth,
     calculateInflationAdjustedSalary,
     calculateCAGR,
     getBenchmarkComparisons,
-    calculateAverageMonthsBetweenDates
+    calculateAverageMonthsBetweenDates,
+    detectPayFrequency,
+    getPayPeriodsPerYear,
+    calculateEarnings,
+    getCpiAnnualAverage,
+    getCpiYearRange,
+    toRealDollars,
+    buildRealSalarySeries,
+    calculateRealCAGR
 } from '../js/calculations.js';
 
 /**
@@ -196,80 +209,115 @@ describe('calculateInflationOverPeriod', () => {
         });
 
         it('returns 1 month of inflation for same month start/end', () => {
-            // Month 0 to month 0 = 1 month (January)
-            // 2018 annual: 1.9%, 1 month: 1.9/12 = 0.158%
+            // Month 0 to month 0 = January: Jan 2018 index ÷ Dec 2017 index
+            // 247.867 / 246.524 - 1 = 0.545% (NSA index, not 1/12 of the annual rate)
             const result = calculateInflationOverPeriod(2018, 2018, 0, 0);
 
-            expect(result).toBeCloseTo(0.158, 1);
+            expect(result).toBeCloseTo(0.5448, 3);
         });
     });
 
     describe('Partial Year Calculations', () => {
         it('calculates partial year inflation (8 months)', () => {
-            // March 2018 to October 2018 (8 months) using actual CPI data
-            // 2018 annual: 1.9%, Monthly: 1.9/12 = 0.158%
-            // 8 months: 0.158% * 8 = 1.27%
+            // March 2018 to October 2018: Oct 2018 index ÷ Feb 2018 index
+            // 252.885 / 248.991 - 1 = 1.564%
             const result = calculateInflationOverPeriod(2018, 2018, 2, 9);
 
-            expect(result).toBeCloseTo(1.27, 1);
+            expect(result).toBeCloseTo(1.5639, 3);
         });
 
         it('calculates multi-year with partial start and end', () => {
-            // July 2016 through May 2018 using actual CPI data
+            // July 2016 through May 2018: May 2018 index ÷ June 2016 index
+            // 251.588 / 241.018 - 1 = 4.386%
             const result = calculateInflationOverPeriod(2016, 2018, 6, 4);
 
-            // 2016: 6 months = 2.1/12*6 = 1.05%, 2017: full = 2.1%, 2018: 5 months = 1.9/12*5 = 0.79%
-            // Should be around 4-5% cumulative
-            expect(result).toBeGreaterThan(3);
-            expect(result).toBeLessThan(6);
+            expect(result).toBeCloseTo(4.3856, 3);
         });
 
-        it('handles partial first year correctly', () => {
-            // September 2018 through December 2018 (4 months)
-            // 2018: 1.9% annual, 4 months = 1.9/12 * 4 = 0.63%
+        it('reflects price declines within a year', () => {
+            // September 2018 through December 2018: Dec 2018 ÷ Aug 2018
+            // 251.233 / 252.146 - 1 = -0.362% (prices fell in late 2018)
             const result = calculateInflationOverPeriod(2018, 2018, 8, 11);
 
-            expect(result).toBeCloseTo(0.63, 1);
+            expect(result).toBeCloseTo(-0.3621, 3);
         });
 
         it('handles partial last year correctly', () => {
-            // January 2018 through March 2018 (3 months)
-            // 2018: 1.9% annual, 3 months = 1.9/12 * 3 = 0.475%
+            // January 2018 through March 2018: Mar 2018 ÷ Dec 2017
+            // 249.554 / 246.524 - 1 = 1.229%
             const result = calculateInflationOverPeriod(2018, 2018, 0, 2);
 
-            expect(result).toBeCloseTo(0.475, 1);
+            expect(result).toBeCloseTo(1.2291, 3);
         });
     });
 
     describe('Edge Cases', () => {
         it('uses default CPI rate for missing year', () => {
-            // Year 2030 doesn't exist in cpiData
+            // Year 2030 doesn't exist in cpiMonthlyIndex - extrapolated at 2.5%/year
             const result = calculateInflationOverPeriod(2030, 2030);
 
-            expect(result).toBeCloseTo(CONSTANTS.DEFAULT_CPI_RATE, 1);
+            expect(result).toBeCloseTo(CONSTANTS.DEFAULT_CPI_RATE, 6);
         });
 
         it('handles year boundaries correctly', () => {
-            // December 2018 to January 2019 (2 months) using actual CPI data years
-            // 2018: 1.9% annual, Dec only = 1/12 ≈ 0.158%
-            // 2019: 2.3% annual, Jan only = 1/12 ≈ 0.192%
+            // December 2018 to January 2019: Jan 2019 ÷ Nov 2018
+            // 251.712 / 252.038 - 1 = -0.129%
             const result = calculateInflationOverPeriod(2018, 2019, 11, 0);
 
-            expect(result).toBeGreaterThan(0.3);
-            expect(result).toBeLessThan(0.5);
+            expect(result).toBeCloseTo(-0.1293, 3);
         });
 
         it('compounds inflation correctly for multi-year periods', () => {
             // Verify compounding, not simple addition
             const result = calculateInflationOverPeriod(2013, 2014);
 
-            // 2013: 1.5%, 2014: 0.8% (from actual cpiData)
-            // Compounded: (1.015 * 1.008) - 1 = 2.312%
-            expect(result).toBeCloseTo(2.312, 1);
+            // Dec 2014 ÷ Dec 2012 = 234.812 / 229.601 - 1 = 2.270%
+            // (same as compounding the unrounded Dec/Dec rates 1.50% and 0.76%)
+            expect(result).toBeCloseTo(2.2696, 3);
+        });
+
+        it('matches the December-over-December rate in cpiData for a full year', () => {
+            for (const year of [2015, 2018, 2021, 2024]) {
+                expect(calculateInflationOverPeriod(year, year)).toBeCloseTo(cpiData[year], 1);
+            }
         });
     });
 });
 
+describe('calculateInflationBetweenDates', () => {
+    it('returns the index ratio between the months of two dates', () => {
+        // June 2024 index ÷ June 2022 index = 314.175 / 296.311 - 1
+        expect(calculateInflationBetweenDates('2022-06-15', '2024-06-01')).toBeCloseTo(6.0288, 3);
+    });
+
+    it('returns 0 for dates in the same month', () => {
+        expect(calculateInflationBetweenDates('2023-03-01', '2023-03-31')).toBe(0);
+    });
+
+    it('is negative when prices fell', () => {
+        expect(calculateInflationBetweenDates('2020-03-10', '2020-05-10')).toBeLessThan(0);
+    });
+});
+
+describe('getCpiIndex', () => {
+    it('returns published index values', () => {
+        expect(getCpiIndex(2024, 11)).toBe(315.605);
+        expect(getCpiIndex(2010, 0)).toBe(216.687);
+    });
+
+    it('interpolates unpublished months geometrically', () => {
+        // October 2025 was never published; midpoint of Sep (324.800) and Nov (324.122)
+        expect(getCpiIndex(2025, 9)).toBeCloseTo(Math.sqrt(324.800 * 324.122), 6);
+    });
+
+    it('extrapolates outside the series at the default CPI rate', () => {
+        const rate = 1 + CONSTANTS.DEFAULT_CPI_RATE / 100;
+
+        expect(getCpiIndex(2026, 11) / getCpiIndex(2025, 11)).toBeCloseTo(rate, 9);
+        expect(getCpiIndex(2010, 0) / getCpiIndex(2009, 0)).toBeCloseTo(rate, 9);
+    });
+});
+
 describe('calculateRealGrowth (Inflation-Adjusted Growth)', () => {
 
     it('calculates real growth correctly with positive nominal and inflation', () => {
@@ -343,8 +391,7 @@ describe('calculateInflationAdjustedSalary', () => {
 
     it('adjusts salary forward with inflation', () => {
         // $65,000 in 2016 adjusted to 2019 (uses CPI data years)
-        // 2016: 2.1%, 2017: 2.1%, 2018: 1.9%
-        // Calculation: 65000 * 1.021 * 1.021 * 1.019 = 69,066
+        // Dec 2018 index ÷ Dec 2015 index: 65000 * 251.233 / 236.525 = 69,042
         const result = calculateInflationAdjustedSalary(65000, 2016, 2019);
 
         expect(result).toBeGreaterThan(69000);
@@ -366,7 +413,7 @@ describe('calculateInflationAdjustedSalary', () => {
     });
 
     it('uses default CPI rate for missing years', () => {
-        // Year 2030 doesn't exist in cpiData
+        // Year 2030 doesn't exist in cpiMonthlyIndex
         const result = calculateInflationAdjustedSalary(65000, 2030, 2031);
 
         // Should use CONSTANTS.DEFAULT_CPI_RATE (2.5%)
@@ -693,9 +740,10 @@ describe('getBenchmarkComparisons (Market Tab Metrics)', () => {
 
             const result = getBenchmarkComparisons(employeeData, benchmarks);
 
-            // At 6% industry CAGR over 5 years:
-            // 60000 * (1.06)^5 = ~80,294
-            expect(result.industryProjectedSalary).toBeCloseTo(80294, -2);
+            // 6% industry CAGR as of 2024 (3.9% merit budget), compounded at each year's
+            // rate: 4.9% in 2020, 5.1% in 2021, 6.2% in 2022, 6.5% in 2023, 6% in 2024,
+            // 5.7% in early 2025 = ~79,338 (a flat 6% would give ~80,294)
+            expect(result.industryProjectedSalary).toBeCloseTo(79338, -2);
         });
 
         it('calculates vsIndustrySalary (difference from industry)', () => {
@@ -738,8 +786,8 @@ describe('getBenchmarkComparisons (Market Tab Metrics)', () => {
 
             const result = getBenchmarkComparisons(employeeData, benchmarks);
 
-            // userCagr (~10.76%) - industryCagr (6%) = ~4.76%
-            expect(result.cagrVsIndustry).toBeCloseTo(4.76, 1);
+            // userCagr (~10.76%) - industry rate over 2020-2025 (~5.75%) = ~5.01%
+            expect(result.cagrVsIndustry).toBeCloseTo(5.01, 1);
         });
     });
 
@@ -926,6 +974,7 @@ describe('getBenchmarkComparisons (Market Tab Metrics)', () => {
             expect(result).toHaveProperty('nominalGrowth');
             expect(result).toHaveProperty('totalInflation');
             expect(result).toHaveProperty('realGrowth');
+            expect(result).toHaveProperty('realCagr');
             expect(result).toHaveProperty('inflationAdjustedStart');
             expect(result).toHaveProperty('purchasingPowerGain');
 
@@ -973,3 +1022,120 @@ describe('getBenchmarkComparisons (Market Tab Metrics)', () => {
         });
     });
 });
+
+describe('detectPayFrequency', () => {
+    it('matches the per-check to annual ratio to a pay frequency', () => {
+        expect(detectPayFrequency(65000, 1250)).toBe('weekly');
+        expect(detectPayFrequency(65000, 2500)).toBe('biweekly');
+        expect(detectPayFrequency(65000, 2708.33)).toBe('semimonthly');
+        expect(detectPayFrequency(65000, 5416.67)).toBe('monthly');
+    });
+
+    it('flags ratios that fit no known frequency', () => {
+        expect(detectPayFrequency(65000, 3000)).toBe('unknown');
+    });
+
+    it('returns null when an amount is missing', () => {
+        expect(detectPayFrequency(65000, 0)).toBeNull();
+        expect(detectPayFrequency(null, 2500)).toBeNull();
+    });
+
+    it('falls back to the default pay periods for records without a known frequency', () => {
+        expect(getPayPeriodsPerYear({ payFrequency: 'weekly' })).toBe(52);
+        expect(getPayPeriodsPerYear({ payFrequency: 'unknown' })).toBe(CONSTANTS.PAY_PERIODS_PER_YEAR);
+        expect(getPayPeriodsPerYear({})).toBe(CONSTANTS.PAY_PERIODS_PER_YEAR);
+    });
+});
+
+describe('calculateEarnings', () => {
+    const employeeData = () => createMockEmployeeData({
+        startSalary: 100000,
+        endSalary: 120000,
+        hireDate: '2023-01-01',
+        currentDate: '2023-07-01'
+    });
+
+    it('earns exactly the annual salary over a full calendar year', () => {
+        const data = createMockEmployeeData({ startSalary: 73000, endSalary: 73000, hireDate: '2024-01-01', currentDate: '2024-01-01' });
+
+        expect(calculateEarnings(data, '2025-01-01').total).toBeCloseTo(73000, 6);
+    });
+
+    it('prorates each rate by day between changes', () => {
+        const { total, periods } = calculateEarnings(employeeData(), '2024-01-01');
+
+        // 181 days at $100k, then 184 days at $120k (365-day year)
+        expect(periods.map(p => [p.date, p.endDate])).toEqual([
+            ['2023-01-01', '2023-07-01'],
+            ['2023-07-01', '2024-01-01']
+        ]);
+        expect(periods[0].earnings).toBeCloseTo(100000 * 181 / 365, 6);
+        expect(periods[1].cumulative).toBeCloseTo(total, 6);
+        expect(total).toBeCloseTo(100000 * 181 / 365 + 120000 * 184 / 365, 6);
+    });
+
+    it('splits earnings by calendar year, using 366 days in leap years', () => {
+        const { byYear } = calculateEarnings(employeeData(), '2024-03-01');
+
+        expect(byYear.map(y => y.year)).toEqual([2023, 2024]);
+        expect(byYear[1].earnings).toBeCloseTo(120000 * 60 / 366, 6);
+    });
+
+    it('runs the current rate until today by default', () => {
+        const data = employeeData();
+        const { asOf, total } = calculateEarnings(data);
+
+        expect(asOf).toBe(new Date().toISOString().slice(0, 10));
+        expect(total).toBeGreaterThan(calculateEarnings(employeeData(), '2024-01-01').total);
+        expect(calculateEarnings(data)).toBe(calculateEarnings(data));
+    });
+});
+
+describe('real (inflation-adjusted) salary', () => {
+    it('expresses amounts in base-year dollars using the annual average CPI', () => {
+        const average2024 = getCpiAnnualAverage(2024);
+
+        expect(average2024).toBeCloseTo([308.417, 310.326, 312.332, 313.548, 314.069, 314.175,
+            314.540, 314.796, 315.301, 315.664, 315.493, 315.605].reduce((a, b) => a + b) / 12, 9);
+        expect(toRealDollars(100000, '2020-06-15', 2024)).toBeCloseTo(100000 * average2024 / getCpiIndex(2020, 5), 6);
+        expect(getCpiYearRange()).toEqual({ first: 2010, last: 2025 });
+    });
+
+    it('shows real pay falling when a raise trails inflation', () => {
+        const employeeData = {
+            hireDate: '2021-01-15',
+            currentDate: '2022-06-15',
+            records: [
+                { date: '2022-06-15', annual: 62000, reason: 'Merit Increase' },
+                { date: '2021-01-15', annual: 60000, reason: 'New Hire' }
+            ]
+        };
+
+        const series = buildRealSalarySeries(employeeData, 2020);
+
+        expect(series.map(p => p.nominal)).toEqual([60000, 62000]);
+        // +3.3% nominal against ~10% CPI growth (Jan 2021 → Jun 2022)
+        expect(series[1].real).toBeLessThan(series[0].real);
+        expect(calculateRealCAGR(employeeData)).toBeLessThan(0);
+    });
+
+    it('deflates nominal CAGR by the same inflation as the Market tab', () => {
+        const employeeData = createMockEmployeeData();
+        const bench = getBenchmarkComparisons(createMockEmployeeData(), benchmarks);
+        const years = (new Date('2025-01-15') - new Date('2020-01-15')) / CONSTANTS.MS_PER_YEAR;
+
+        const realCagr = calculateRealCAGR(employeeData);
+
+        expect(realCagr).toBeCloseTo((Math.pow(1 + bench.realGrowth / 100, 1 / years) - 1) * 100, 9);
+        expect(realCagr).toBeLessThan(calculateCAGR(employeeData));
+        expect(bench.realCagr).toBeCloseTo(realCagr, 9);
+    });
+
+    it('adds no cache fields to the data and returns 0 for invalid tenure', () => {
+        const employeeData = createMockEmployeeData();
+
+        calculateRealCAGR(employeeData);
+        expect(Object.keys(employeeData).filter(key => key.startsWith('_cached'))).toEqual([]);
+        expect(calculateRealCAGR(createMockEmployeeData({ currentDate: '2020-01-15' }))).toBe(0);
+    });
+});
@@ -320,6 +320,55 @@ describe('Chart Module', () => {
             expect(mockChart.data.datasets[0].pointBorderColor).toBe('#fca311');
         });
 
+        it('fills the cumulative earnings area with fill1', () => {
+            mockChart.data.datasets[0].datasetType = 'cumulativeEarnings';
+
+            chartsModule.updateChartTheme(mockChart);
+
+            expect(mockChart.data.datasets[0].borderColor).toBe('#fca311'); // line1
+            expect(mockChart.data.datasets[0].backgroundColor).toBe('rgba(252, 163, 17, 0.2)'); // fill1
+        });
+
+        it('colors the real salary line with the secondary text color', () => {
+            mockChart.data.datasets[0].datasetType = 'realSalary';
+            mockState.mainChartType = 'bar';
+
+            chartsModule.updateChartTheme(mockChart);
+
+            expect(mockChart.data.datasets[0].borderColor).toBe('#5c5650');
+            expect(mockChart.data.datasets[0].backgroundColor).toBe('#5c5650');
+        });
+
+        it('draws take-home bars in the salary fill color', () => {
+            mockChart.data.datasets[0].datasetType = 'netPay';
+            mockState.mainChartType = 'bar';
+
+            chartsModule.updateChartTheme(mockChart);
+
+            expect(mockChart.data.datasets[0].borderColor).toBe('#fca311'); // line1
+            expect(mockChart.data.datasets[0].backgroundColor).toBe('rgba(252, 163, 17, 0.2)'); // fill1
+        });
+
+        it('shades the pay band with the grid color', () => {
+            mockChart.data.datasets[0].datasetType = 'bandMax';
+
+            chartsModule.updateChartTheme(mockChart);
+
+            expect(mockChart.data.datasets[0].borderColor).toBe('rgba(0, 0, 0, 0.1)');
+            expect(mockChart.data.datasets[0].backgroundColor).toBe('rgba(0, 0, 0, 0.1)');
+        });
+
+        it('colors the total-comp line with line2', () => {
+            mockChart.data.datasets[0].datasetType = 'totalComp';
+            mockState.mainChartType = 'bar';
+
+            chartsModule.updateChartTheme(mockChart);
+
+            expect(mockChart.data.datasets[0].borderColor).toBe('#4c9a83'); // line2
+            expect(mockChart.data.datasets[0].pointBorderColor).toBe('#4c9a83');
+            expect(mockChart.data.datasets[0].backgroundColor).toBe('#4c9a83');
+        });
+
         it('updates grid and tick colors', () => {
             chartsModule.updateChartTheme(mockChart);
 
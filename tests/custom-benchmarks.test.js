@@ -0,0 +1,134 @@
+/**
+ * Unit Tests for Custom Benchmark Import
+ *
+ * Tests imported benchmark files in js/custom-benchmarks.js and consumers:
+ * - validateBenchmarkData() - benchmarks shape plus benchmarkMetadata checks
+ * - addCustomBenchmark() / removeCustomBenchmark() - Store, replacement by name
+ * - getBenchmarkProfile() / hasBenchmarkProfile() - Imported profiles next to bundled ones
+ * - describeBenchmarkSource() / describeMarketSources() - Provenance on cards and footnote
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { benchmarks } from '../js/constants.js';
+import {
+    validateBenchmarkData,
+    addCustomBenchmark,
+    removeCustomBenchmark,
+    getCustomBenchmarkProfiles,
+    setCustomBenchmarks
+} from '../js/custom-benchmarks.js';
+import { getBenchmarkProfile, hasBenchmarkProfile, getBenchmarkComparisons } from '../js/calculations.js';
+import { describeBenchmarkSource, describeMarketSources } from '../js/content.js';
+
+const radford = () => ({
+    typicalRaise: { min: 3.5, max: 6, avg: 4.5 },
+    highPerformerRaise: { min: 7, max: 12, avg: 9 },
+    promotionBump: { min: 10, max: 18, avg: 14 },
+    industryCagr: 5.5,
+    avgMonthsBetweenRaises: 12,
+    lastUpdated: '2025',
+    benchmarkMetadata: {
+        name: 'Radford ENG-3',
+        source: 'Radford Global Technology Survey (licensed)',
+        level: 'P3',
+        region: 'United States',
+        industry: 'Software',
+        lastUpdated: { salaryBenchmarks: '2025-Q2' }
+    }
+});
+
+beforeEach(() => {
+    setCustomBenchmarks([]);
+});
+
+describe('validateBenchmarkData', () => {
+    it('accepts a benchmark file and the bundled shape with metadata', () => {
+        expect(validateBenchmarkData(radford())).toEqual({ valid: true, errors: [] });
+        expect(validateBenchmarkData({ ...benchmarks, benchmarkMetadata: { name: 'Copy', source: 'Bundled' } }).valid).toBe(true);
+    });
+
+    it('reports every problem in the file', () => {
+        const file = radford();
+        file.typicalRaise = { min: 5, max: 4, avg: 4.5 };
+        file.promotionBump = { min: 10, avg: 'high', max: 20 };
+        file.industryCagr = '6';
+        file.benchmarkMetadata.name = '<img src=x>';
+        delete file.benchmarkMetadata.source;
+
+        expect(validateBenchmarkData(file).errors).toEqual([
+            '"typicalRaise" must satisfy min ≤ avg ≤ max',
+            '"promotionBump" must have numeric min, avg and max',
+            '"industryCagr" must be a number between -50 and 100 (%)',
+            'benchmarkMetadata.name cannot contain < or >',
+            'benchmarkMetadata.source must be a non-empty string'
+        ]);
+        expect(validateBenchmarkData({ ...benchmarks }).errors).toEqual(['Missing or invalid "benchmarkMetadata" object']);
+    });
+});
+
+describe('imported benchmark profiles', () => {
+    it('adds a selectable profile and replaces imports with the same name', () => {
+        const id = addCustomBenchmark(radford());
+
+        expect(id).toBe('custom-radford-eng-3');
+        expect(hasBenchmarkProfile(id)).toBe(true);
+        expect(getBenchmarkProfile(id)).toMatchObject({
+            label: 'Radford ENG-3',
+            roleFamily: 'Custom',
+            dataAsOf: '2025-Q2',
+            custom: true,
+            industryCagr: 5.5
+        });
+
+        addCustomBenchmark({ ...radford(), industryCagr: 7 });
+        expect(Object.keys(getCustomBenchmarkProfiles())).toEqual([id]);
+        expect(getBenchmarkProfile(id).industryCagr).toBe(7);
+    });
+
+    it('rejects invalid files with all validation errors', () => {
+        expect(() => addCustomBenchmark({ ...radford(), avgMonthsBetweenRaises: 0, industryCagr: null }))
+            .toThrow('"industryCagr" must be a number between -50 and 100 (%); "avgMonthsBetweenRaises" must be a number between 0 and 60');
+        expect(getCustomBenchmarkProfiles()).toEqual({});
+    });
+
+    it('drives benchmark comparisons and falls back once removed', () => {
+        const id = addCustomBenchmark(radford());
+        const employeeData = {
+            hireDate: '2021-01-01',
+            currentDate: '2023-01-01',
+            records: [
+                { date: '2023-01-01', reason: 'Merit Increase', annual: 110250, change: 5250, changePercent: 5 },
+                { date: '2022-01-01', reason: 'Merit Increase', annual: 105000, change: 5000, changePercent: 5 },
+                { date: '2021-01-01', reason: 'New Hire', annual: 100000, change: 0, changePercent: 0 }
+            ]
+        };
+
+        const custom = getBenchmarkComparisons(employeeData, getBenchmarkProfile(id));
+        // 4.5% typical as of 2025 (3.6% budget): 5.0% in 2022 (4.1%), 5.3% in 2023 (4.4%)
+        expect(custom.raiseVsTypical).toBeCloseTo(5 - 5.15, 9);
+        // 5.5% shifted by the 2021 (3.0%) and 2022 (4.1%) budgets
+        expect(custom.industryCagrOverTenure).toBeCloseTo(5.45, 1);
+        expect(custom.cagrVsIndustry).toBeCloseTo(custom.userCagr - custom.industryCagrOverTenure, 9);
+        // Same profile object on every lookup, so the comparison stays memoized
+        expect(getBenchmarkProfile(id)).toBe(getBenchmarkProfile(id));
+        expect(getBenchmarkComparisons(employeeData, getBenchmarkProfile(id))).toBe(custom);
+
+        expect(removeCustomBenchmark(id)).toBe(true);
+        expect(hasBenchmarkProfile(id)).toBe(false);
+        expect(getBenchmarkProfile(id)).toBe(benchmarks);
+    });
+});
+
+describe('benchmark provenance', () => {
+    it('labels cards and the footnote with the imported source', () => {
+        const id = addCustomBenchmark({
+            ...radford(),
+            benchmarkMetadata: { ...radford().benchmarkMetadata, source: 'Radford & Mercer "2025"' }
+        });
+
+        expect(describeBenchmarkSource(getBenchmarkProfile(id)))
+            .toBe('Source: Radford &amp; Mercer &quot;2025&quot; · Radford ENG-3 · as of 2025-Q2');
+        expect(describeBenchmarkSource(benchmarks)).toBe('');
+        expect(describeMarketSources(id)).toMatch(/^Benchmarks: Radford ENG-3 \(2025-Q2\) \| Source: Radford & Mercer "2025" \(imported\) \| CPI Data/);
+    });
+});
@@ -174,14 +174,13 @@ test.describe('Data Import & Validation', () => {
     // Wait for real-time validation
     await page.waitForTimeout(300);
 
-    // Click Generate Dashboard (button enabled, but parser will reject single record)
+    // Click Generate Dashboard (single record parses, then opens the review step)
     await page.getByRole('button', { name: 'Generate Dashboard' }).click();
 
-    // Wait for parsing to complete
-    await page.waitForTimeout(500);
-
-    // Verify error message appears (post-click validation during parsing)
-    await assertErrorMessage(page, /need.*2|at least.*2|minimum.*2|two.*records/i);
+    // Review step flags the missing record and blocks generation until one is added
+    await expect(page.locator('#reviewStep')).toBeVisible();
+    await expect(page.locator('#reviewErrors')).toContainText(/need.*2|at least.*2|minimum.*2|two.*records/i);
+    await expect(page.locator('#reviewGenerateBtn')).toBeDisabled();
 
     // Verify dashboard is NOT visible
     await expect(page.locator('#dashboardPage')).toBeHidden();
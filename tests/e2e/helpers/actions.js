@@ -23,9 +23,13 @@ export async function importData(page, dataText) {
   // Fill the paste input textarea
   await page.locator('#pasteInput').fill(dataText);
 
-  // Click Generate Dashboard button (triggers Chart.js lazy load)
+  // Click Generate Dashboard button (parses and opens the record review step)
   await page.getByRole('button', { name: 'Generate Dashboard' }).click();
 
+  // Confirm the reviewed records (triggers Chart.js lazy load)
+  await page.locator('#reviewStep').waitFor({ state: 'visible' });
+  await page.locator('#reviewGenerateBtn').click();
+
   // Wait for dashboard to appear (implies Chart.js loaded successfully)
   // Dashboard won't be visible unless Chart.js loads and initializes
   await page.locator('#dashboardPage').waitFor({ state: 'visible', timeout: 15000 });
@@ -0,0 +1,143 @@
+/**
+ * Unit Tests for Multi-Employer Careers
+ *
+ * Tests employer segments in js/calculations.js and js/employers.js:
+ * - getEmployerSegments() / getJobChanges() - Assigning records to employers
+ * - getInternalRaises() / getEmployerSummaries() - Job-change vs internal raises, per-employer CAGR
+ * - addEmployerHistory() - Merging another employer's history
+ * - getEmployerErrors() / validateImportedData() - "employers" list checks
+ */
+
+import { describe, it, expect } from 'vitest';
+import { benchmarks } from '../js/constants.js';
+import {
+    getEmployers,
+    hasMultipleEmployers,
+    getEmployerSegments,
+    getJobChanges,
+    getInternalRaises,
+    getEmployerSummaries,
+    calculateCAGR,
+    getBenchmarkComparisons
+} from '../js/calculations.js';
+import { addEmployerHistory, getEmployerErrors } from '../js/employers.js';
+import { validateImportedData } from '../js/io.js';
+import { mockRecord, mockEmployeeData } from './helpers/employee-data.js';
+
+const acme = () => mockEmployeeData([
+    mockRecord('2021-06-01', 'Merit Increase', 88200, 5),
+    mockRecord('2020-06-01', 'Merit Increase', 84000, 5),
+    mockRecord('2019-06-03', 'New Hire', 80000)
+]);
+
+const globex = () => mockEmployeeData([
+    mockRecord('2023-01-10', 'Merit Increase', 104000, 4),
+    mockRecord('2022-01-10', 'New Hire', 100000)
+]);
+
+describe('addEmployerHistory', () => {
+    it('merges a later employer and derives the job-change raise', () => {
+        const career = addEmployerHistory(acme(), globex(), 'Globex', 'Acme');
+
+        expect(career.employers).toEqual([
+            { name: 'Acme', hireDate: '2019-06-03' },
+            { name: 'Globex', hireDate: '2022-01-10' }
+        ]);
+        expect(career.hireDate).toBe('2019-06-03');
+        expect(career.currentDate).toBe('2023-01-10');
+        expect(career.records.map(r => r.date)).toEqual(['2023-01-10', '2022-01-10', '2021-06-01', '2020-06-01', '2019-06-03']);
+        // $88,200 at Acme → $100,000 at Globex
+        expect(career.records[1].changePercent).toBe(13.3787);
+        expect(career.records[1].change).toBe(491.67);
+        expect(validateImportedData(career).valid).toBe(true);
+    });
+
+    it('accepts an earlier employer and keeps existing employer names', () => {
+        const career = addEmployerHistory(globex(), acme(), 'Acme', 'Globex');
+        const initech = {
+            hireDate: '2024-03-04',
+            currentDate: '2024-09-01',
+            records: [mockRecord('2024-09-01', 'Merit Increase', 125000, 4.1667), mockRecord('2024-03-04', 'New Hire', 120000)]
+        };
+
+        expect(career.records[1].changePercent).toBe(13.3787);
+        expect(career.records[4].changePercent).toBe(0);
+        expect(getEmployers(addEmployerHistory(career, initech, 'Initech', 'ignored')).map(e => e.name))
+            .toEqual(['Acme', 'Globex', 'Initech']);
+    });
+
+    it('rejects overlapping histories, missing names and equity at both employers', () => {
+        const overlapping = { ...globex(), hireDate: '2021-01-04' };
+        overlapping.records[1].date = '2021-01-04';
+        const withEquity = (data) => ({ ...data, equity: { grants: [{ grantDate: data.hireDate, shares: 100, schedule: 'cliff', vestingMonths: 12 }], prices: [{ date: data.hireDate, price: 10 }] } });
+
+        expect(() => addEmployerHistory(acme(), overlapping, 'Globex', 'Acme'))
+            .toThrow('Records for Globex overlap the loaded history');
+        expect(() => addEmployerHistory(acme(), globex(), '  ', 'Acme'))
+            .toThrow('Employer 2: name must be 1 to 100 characters');
+        expect(() => addEmployerHistory(withEquity(acme()), withEquity(globex()), 'Globex', 'Acme'))
+            .toThrow('Equity grants can only be tracked for one employer');
+    });
+});
+
+describe('employer segments', () => {
+    it('treats data without employers as one unnamed employer', () => {
+        const data = acme();
+
+        expect(hasMultipleEmployers(data)).toBe(false);
+        expect(getEmployerSegments(data)).toEqual([
+            { name: '', hireDate: '2019-06-03', currentDate: '2021-06-01', records: data.records }
+        ]);
+        expect(getJobChanges(data)).toEqual([]);
+        expect(getInternalRaises(data)).toHaveLength(2);
+    });
+
+    it('separates job-change raises from internal raises', () => {
+        const career = addEmployerHistory(acme(), globex(), 'Globex', 'Acme');
+
+        expect(hasMultipleEmployers(career)).toBe(true);
+        expect(getEmployerSegments(career).map(s => [s.name, s.currentDate, s.records.length]))
+            .toEqual([['Acme', '2022-01-10', 3], ['Globex', '2023-01-10', 2]]);
+        expect(getJobChanges(career)).toEqual([{
+            date: '2022-01-10', from: 'Acme', to: 'Globex', record: career.records[1], changePercent: 13.3787
+        }]);
+        expect(getInternalRaises(career).map(r => r.changePercent)).toEqual([4, 5, 5]);
+        // Market tab average raise counts internal raises only
+        expect(getBenchmarkComparisons(career, benchmarks).avgRaise).toBeCloseTo(14 / 3, 9);
+    });
+
+    it('computes CAGR per employer and for the whole career', () => {
+        const career = addEmployerHistory(acme(), globex(), 'Globex', 'Acme');
+        const [first, second] = getEmployerSummaries(career);
+        const acmeYears = (new Date('2022-01-10') - new Date('2019-06-03')) / (365.25 * 24 * 60 * 60 * 1000);
+
+        expect(first).toMatchObject({ name: 'Acme', startSalary: 80000, endSalary: 88200, internalRaises: 2, jobChangeRaise: null });
+        expect(first.cagr).toBeCloseTo((Math.pow(88200 / 80000, 1 / acmeYears) - 1) * 100, 9);
+        expect(second).toMatchObject({ name: 'Globex', startSalary: 100000, endSalary: 104000, internalRaises: 1, jobChangeRaise: 13.3787 });
+        expect(second.cagr).toBeCloseTo(4, 1);
+        // Whole career: $80,000 → $104,000 from the first hire date
+        expect(calculateCAGR(career)).toBeGreaterThan(first.cagr);
+    });
+});
+
+describe('employer validation', () => {
+    it('reports invalid employers', () => {
+        expect(getEmployerErrors({})).toEqual(['"employers" must be an array']);
+        expect(getEmployerErrors([
+            { name: 'Acme', hireDate: '2019-06-03' },
+            { name: '', hireDate: '2019-06-03' },
+            { name: 'Globex', hireDate: '01/10/2022' }
+        ])).toEqual([
+            'Employer 2: name must be 1 to 100 characters',
+            'Employer 2: another employer starts on 2019-06-03',
+            'Employer 3: hireDate must be YYYY-MM-DD'
+        ]);
+    });
+
+    it('requires the earliest employer to start on hireDate', () => {
+        const career = addEmployerHistory(acme(), globex(), 'Globex', 'Acme');
+        career.hireDate = '2019-01-01';
+
+        expect(validateImportedData(career).errors).toEqual(['The earliest employer must start on "hireDate"']);
+    });
+});
@@ -0,0 +1,193 @@
+/**
+ * Unit Tests for Equity Vesting
+ *
+ * Tests RSU / stock grant tracking in js/equity.js and its consumers:
+ * - getVestingEvents() - Cliff, monthly and quarterly schedules
+ * - getSharePriceAt() - Price history lookups
+ * - getVestedValueByRecord() / getTrailingVestedValue() - Vested value per period
+ * - getEquityErrors() / validateImportedData() - "equity" block checks
+ * - buildReviewedData() - Grant and share price rows from the review grid
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    hasEquity,
+    getVestingEvents,
+    getSharePriceAt,
+    getEquityEndDate,
+    getVestedValueByRecord,
+    getTrailingVestedValue,
+    getEquityErrors
+} from '../js/equity.js';
+import { validateImportedData } from '../js/io.js';
+import { createReviewRows, createGrantRow, createPriceRow, applySideRowEdit, buildReviewedData } from '../js/review.js';
+import { mockRecord, mockEmployeeData } from './helpers/employee-data.js';
+
+const prices = [
+    { date: '2022-06-30', price: 20 },
+    { date: '2022-01-01', price: 10 },
+    { date: '2023-06-30', price: 30 }
+];
+
+const employeeData = () => mockEmployeeData([
+    mockRecord('2023-03-01', 'Merit Increase', 130000),
+    mockRecord('2022-03-01', 'Merit Increase', 120000),
+    mockRecord('2021-03-15', 'New Hire', 110000)
+], {
+    equity: {
+        grants: [
+            { grantDate: '2021-03-15', shares: 4800, schedule: 'monthly', vestingMonths: 48, cliffMonths: 12 },
+            { grantDate: '2022-01-10', shares: 1000, schedule: 'quarterly', vestingMonths: 12 }
+        ],
+        prices
+    }
+});
+
+describe('getVestingEvents', () => {
+    it('vests everything at the cliff date for cliff grants', () => {
+        expect(getVestingEvents({ grantDate: '2023-06-01', shares: 300, schedule: 'cliff', vestingMonths: 24 }))
+            .toEqual([{ date: '2025-06-01', shares: 300 }]);
+    });
+
+    it('catches up monthly vesting at the cliff', () => {
+        const events = getVestingEvents(employeeData().equity.grants[0]);
+
+        expect(events).toHaveLength(37);
+        expect(events[0]).toEqual({ date: '2022-03-15', shares: 1200 });
+        expect(events[1]).toEqual({ date: '2022-04-15', shares: 100 });
+        expect(events[36]).toEqual({ date: '2025-03-15', shares: 100 });
+        expect(events.reduce((sum, e) => sum + e.shares, 0)).toBe(4800);
+    });
+
+    it('vests quarterly, with a cliff between quarters', () => {
+        expect(getVestingEvents(employeeData().equity.grants[1]).map(e => e.date))
+            .toEqual(['2022-04-10', '2022-07-10', '2022-10-10', '2023-01-10']);
+        expect(getVestingEvents({ grantDate: '2022-01-31', shares: 1200, schedule: 'quarterly', vestingMonths: 12, cliffMonths: 4 }))
+            .toEqual([
+                { date: '2022-05-31', shares: 400 },
+                { date: '2022-07-31', shares: 200 },
+                { date: '2022-10-31', shares: 300 },
+                { date: '2023-01-31', shares: 300 }
+            ]);
+    });
+
+    it('keeps whole shares and vests the remainder last', () => {
+        expect(getVestingEvents({ grantDate: '2024-01-31', shares: 1000, schedule: 'monthly', vestingMonths: 3 }))
+            .toEqual([
+                { date: '2024-02-29', shares: 333 },
+                { date: '2024-03-31', shares: 333 },
+                { date: '2024-04-30', shares: 334 }
+            ]);
+    });
+});
+
+describe('getSharePriceAt', () => {
+    it('uses the latest price on or before the date', () => {
+        expect(getSharePriceAt(prices, '2022-06-29')).toBe(10);
+        expect(getSharePriceAt(prices, '2022-06-30')).toBe(20);
+        expect(getSharePriceAt(prices, '2030-01-01')).toBe(30);
+    });
+
+    it('falls back to the earliest price, or 0 without prices', () => {
+        expect(getSharePriceAt(prices, '2020-01-01')).toBe(10);
+        expect(getSharePriceAt([], '2020-01-01')).toBe(0);
+    });
+});
+
+describe('vested value', () => {
+    it('reports what vested while each pay rate was in effect', () => {
+        const data = employeeData();
+
+        expect(hasEquity(data)).toBe(true);
+        expect(getEquityEndDate(data)).toBe('2023-06-30');
+        expect(getVestedValueByRecord(data)).toEqual([
+            // 2023-03-01 → 2023-06-30: four monthly vests at $20
+            { shares: 400, value: 8000 },
+            // 2022-03-01 → 2023-02-28: cliff + 11 monthly vests, all four quarterly vests
+            { shares: 3300, value: 48500 },
+            // Before the cliff
+            { shares: 0, value: 0 }
+        ]);
+    });
+
+    it('sums the trailing 12 months for the main chart', () => {
+        const data = employeeData();
+
+        expect(getTrailingVestedValue(data, '2023-03-01')).toBe(48500);
+        expect(getTrailingVestedValue(data, '2022-06-30')).toBe(17500);
+        expect(getTrailingVestedValue(data, '2021-03-15')).toBe(0);
+    });
+
+    it('treats data without grants as having no equity', () => {
+        const { equity, ...data } = employeeData();
+
+        expect(hasEquity(data)).toBe(false);
+        expect(getVestedValueByRecord(data)).toEqual([
+            { shares: 0, value: 0 },
+            { shares: 0, value: 0 },
+            { shares: 0, value: 0 }
+        ]);
+    });
+});
+
+describe('equity validation', () => {
+    it('accepts valid grants and prices', () => {
+        expect(getEquityErrors(employeeData().equity)).toEqual([]);
+        expect(validateImportedData(employeeData()).valid).toBe(true);
+    });
+
+    it('reports each invalid grant and price', () => {
+        const errors = getEquityErrors({
+            grants: [
+                { grantDate: '2022-01-01', shares: 100, schedule: 'yearly', vestingMonths: 48 },
+                { grantDate: '', shares: -5, schedule: 'monthly', vestingMonths: 12.5 },
+                { grantDate: '2022-01-01', shares: 100, schedule: 'monthly', vestingMonths: 12, cliffMonths: 13 }
+            ],
+            prices: [{ date: '2022-01-01', price: 0 }]
+        });
+
+        expect(errors).toEqual([
+            'Grant 1: schedule must be one of cliff, monthly, quarterly',
+            'Grant 2: grantDate must be YYYY-MM-DD',
+            'Grant 2: shares must be a positive number',
+            'Grant 2: vestingMonths must be a whole number from 1 to 120',
+            'Grant 3: cliffMonths must be a whole number from 0 to vestingMonths',
+            'Share price 1: price must be a positive number'
+        ]);
+    });
+
+    it('requires a share price for grants and rejects malformed blocks', () => {
+        const data = employeeData();
+        data.equity.prices = [];
+
+        expect(validateImportedData(data).errors).toEqual(['Equity grants need at least one share price']);
+        expect(getEquityErrors([])).toEqual(['"equity" must be an object with "grants" and "prices" arrays']);
+        expect(getEquityErrors({ grants: {}, prices: [] })).toEqual(['"equity.grants" must be an array']);
+    });
+});
+
+describe('equity rows in the review grid', () => {
+    it('builds the equity block from grant and price rows', () => {
+        const { records } = employeeData();
+        const grant = createGrantRow();
+        applySideRowEdit(grant, 'grantDate', '2022-01-10');
+        applySideRowEdit(grant, 'shares', '1,000');
+        applySideRowEdit(grant, 'schedule', 'cliff');
+        const price = createPriceRow({ date: '2022-01-01', price: 10 });
+
+        const { data, sideRowIds } = buildReviewedData({}, createReviewRows(records), { grants: [grant], prices: [price] });
+
+        expect(data.equity).toEqual({
+            grants: [{ grantDate: '2022-01-10', shares: 1000, schedule: 'cliff', vestingMonths: 48 }],
+            prices: [{ date: '2022-01-01', price: 10 }]
+        });
+        expect(sideRowIds.grants).toEqual([grant.id]);
+        expect(validateImportedData(data).valid).toBe(true);
+    });
+
+    it('omits the equity block without grant or price rows', () => {
+        const { data } = buildReviewedData({}, createReviewRows(employeeData().records));
+
+        expect(data).not.toHaveProperty('equity');
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit Tests for Salary Goal Seek
+ *
+ * Tests solving for a target salary in js/calculations.js and consumers:
+ * - getGoalAnalysis() - Required growth, equivalent raises / promotions, benchmark standing
+ * - describeGoal() - Projections tab goal summary
+ */
+
+import { describe, it, expect } from 'vitest';
+import { benchmarks } from '../js/constants.js';
+import { getGoalAnalysis, calculateCAGR } from '../js/calculations.js';
+import { describeGoal } from '../js/projections.js';
+import { mockRecord, mockEmployeeData } from './helpers/employee-data.js';
+
+// $120k hire in 2022, $150k by 2026
+const employeeData = () => mockEmployeeData([
+    mockRecord('2026-01-01', 'Merit Increase', 150000, 5.26, { change: 7500 }),
+    mockRecord('2022-01-01', 'New Hire', 120000)
+]);
+
+describe('getGoalAnalysis', () => {
+    it('solves for the annual growth rate and compares it with historical CAGR', () => {
+        const goal = getGoalAnalysis(employeeData(), { salary: 200000, date: '2030-01-01' }, benchmarks);
+        const years = (Date.UTC(2030, 0, 1) - Date.UTC(2026, 0, 1)) / (365.25 * 86400000);
+
+        expect(goal.years).toBeCloseTo(years, 9);
+        expect(goal.requiredRate).toBeCloseTo((Math.pow(200000 / 150000, 1 / years) - 1) * 100, 9);
+        expect(goal.historicalCagr).toBe(calculateCAGR(employeeData()));
+        expect(goal.vsHistorical).toBeCloseTo(goal.requiredRate - goal.historicalCagr, 9);
+    });
+
+    it('counts the typical raises or promotions that close the gap', () => {
+        const goal = getGoalAnalysis(employeeData(), { salary: 200000, date: '2030-01-01' }, benchmarks);
+
+        // +33.3%: seven 4% raises reach +31.6% and two 15% promotions +32.25%, one short each
+        expect(goal.typicalRaisesNeeded).toBe(8);
+        expect(goal.promotionsNeeded).toBe(3);
+        // Exact fits are not rounded up
+        expect(getGoalAnalysis(employeeData(), { salary: 150000 * 1.15 * 1.15, date: '2030-01-01' }, benchmarks).promotionsNeeded).toBe(2);
+    });
+
+    it('places the raise needed per review cycle in the benchmark ranges', () => {
+        const at = (salary, date) => getGoalAnalysis(employeeData(), { salary, date }, benchmarks);
+
+        // 3 raise cycles (12 months each) before March 2029
+        expect(at(200000, '2029-03-01')).toMatchObject({ raiseCycles: 3, standing: 'beyond' });
+        expect(at(200000, '2029-03-01').requiredRaisePerCycle).toBeCloseTo((Math.cbrt(4 / 3) - 1) * 100, 9);
+        expect(at(200000, '2030-01-01').standing).toBe('highPerformer');
+        expect(at(170000, '2030-01-01').standing).toBe('typical');
+        expect(at(160000, '2026-06-01')).toMatchObject({ raiseCycles: 0, requiredRaisePerCycle: null, standing: 'beyond' });
+        expect(at(140000, '2030-01-01')).toMatchObject({ standing: 'reached', typicalRaisesNeeded: 0, promotionsNeeded: 0 });
+        expect(at(140000, '2030-01-01').requiredRate).toBeLessThan(0);
+    });
+
+    it('returns null for dates not after the latest record or non-positive targets', () => {
+        expect(getGoalAnalysis(employeeData(), { salary: 200000, date: '2026-01-01' }, benchmarks)).toBeNull();
+        expect(getGoalAnalysis(employeeData(), { salary: 200000, date: '2024-01-01' }, benchmarks)).toBeNull();
+        expect(getGoalAnalysis(employeeData(), { salary: 0, date: '2030-01-01' }, benchmarks)).toBeNull();
+        expect(getGoalAnalysis(employeeData(), { salary: 200000, date: '' }, benchmarks)).toBeNull();
+    });
+});
+
+describe('describeGoal', () => {
+    it('summarizes the goal without dollar amounts', () => {
+        const goal = getGoalAnalysis(employeeData(), { salary: 200000, date: '2030-01-15' }, benchmarks);
+        const text = describeGoal(goal, benchmarks);
+
+        expect(text).toMatch(/^Reaching your goal by Jan 2030 \(4\.0 years\) takes 7\.4% a year, 1\.6 pts above your historical 5\.7% CAGR\./);
+        expect(text).toContain("That's about 8 typical raises of 4% or 3 promotions of 15%.");
+        expect(text).toContain('At one raise every 12 months (4 by then), each would need to be 7.5%, above the typical range (3–5%), in high-performer territory (6–10%).');
+        expect(text).not.toContain('$');
+    });
+
+    it('covers reached goals, short horizons and typical raises', () => {
+        const summary = (salary, date) => describeGoal(getGoalAnalysis(employeeData(), { salary, date }, benchmarks), benchmarks);
+
+        expect(summary(140000, '2030-01-15')).toBe('Your current salary already meets this goal, with no raises needed by Jan 2030.');
+        expect(summary(160000, '2026-06-15')).toMatch(/At one raise every 12 months, no raise cycle fits before then\.$/);
+        expect(summary(170000, '2030-01-15')).toMatch(/each would need to be 3\.2%, within the typical range \(3–5%\)\.$/);
+        expect(summary(155000, '2030-01-15')).toMatch(/below the typical range \(3–5%\)\.$/);
+    });
+});
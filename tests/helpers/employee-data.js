@@ -0,0 +1,46 @@
+/**
+ * Employee Data Factories
+ *
+ * Shared record and dataset builders for the unit tests. Records are valid
+ * for validateImportedData(): semi-monthly perCheck, YYYY-MM-DD dates.
+ */
+
+/**
+ * Builds one compensation record.
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} reason - Change reason (e.g. 'Merit Increase')
+ * @param {number} annual - Annual salary
+ * @param {number} [changePercent=0] - Raise over the previous record (%)
+ * @param {Object} [fields] - Extra or overriding fields (e.g. { change: 3500 })
+ * @returns {Object} Record
+ *
+ * @example
+ * mockRecord('2023-01-01', 'Merit Increase', 104000, 4);
+ */
+export function mockRecord(date, reason, annual, changePercent = 0, fields = {}) {
+    return { date, reason, annual, perCheck: annual / 24, change: 0, changePercent, ...fields };
+}
+
+/**
+ * Builds employee data from records listed newest first. hireDate and
+ * currentDate default to the oldest and newest record dates.
+ *
+ * @param {Array<Object>} records - Records, newest first (see mockRecord())
+ * @param {Object} [fields] - Extra or overriding top-level fields (components, equity, ...)
+ * @returns {Object} Employee data
+ *
+ * @example
+ * mockEmployeeData([
+ *     mockRecord('2023-01-01', 'Merit Increase', 104000, 4),
+ *     mockRecord('2022-01-01', 'New Hire', 100000)
+ * ], { currentDate: '2023-07-01' });
+ */
+export function mockEmployeeData(records, fields = {}) {
+    return {
+        hireDate: records[records.length - 1].date,
+        currentDate: records[0].date,
+        records,
+        ...fields
+    };
+}
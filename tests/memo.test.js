@@ -0,0 +1,102 @@
+/**
+ * Unit Tests for the Calculation Memo
+ *
+ * Tests per-dataset memoization in js/memo.js and its consumers:
+ * - memoize() / markDataChanged() - Results keyed on the data object, invalidated by in-place edits
+ * - objectKey() - Identity keys for benchmark profiles
+ * - calculateCAGR() / getBenchmarkComparisons() - No cache fields on the data
+ * - clearMemoCache() - Forced recomputation
+ * - withoutCacheFields() / buildExportPayload() - Legacy _cached* fields dropped
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { memoize, markDataChanged, objectKey, withoutCacheFields } from '../js/memo.js';
+import { calculateCAGR, getBenchmarkComparisons, clearMemoCache } from '../js/calculations.js';
+import { buildExportPayload } from '../js/io.js';
+import { benchmarks } from '../js/constants.js';
+import { mockRecord, mockEmployeeData } from './helpers/employee-data.js';
+
+// Biweekly salaried records, $10k raises every two years
+const biweekly = (annual, change) => ({ payType: 'salary', payFrequency: 'biweekly', perCheck: annual / 26, change });
+
+const employeeData = () => mockEmployeeData([
+    mockRecord('2024-01-15', 'Merit Increase', 80000, 0, biweekly(80000, 10000)),
+    mockRecord('2022-01-15', 'Merit Increase', 70000, 0, biweekly(70000, 10000)),
+    mockRecord('2020-01-15', 'New Hire', 60000, 0, biweekly(60000, 0))
+]);
+
+describe('memoize', () => {
+    it('computes once per key until the data is marked changed', () => {
+        const data = employeeData();
+        const compute = vi.fn(() => 42);
+
+        expect(memoize(data, 'answer', compute)).toBe(42);
+        expect(memoize(data, 'answer', compute)).toBe(42);
+        expect(compute).toHaveBeenCalledTimes(1);
+
+        data.records[0].annual = 90000;
+        markDataChanged(data);
+        memoize(data, 'answer', compute);
+        expect(compute).toHaveBeenCalledTimes(2);
+    });
+
+    it('never serializes the data on lookup', () => {
+        const data = employeeData();
+        data.toJSON = vi.fn(() => ({}));
+
+        memoize(data, 'answer', () => 42);
+        memoize(data, 'answer', () => 42);
+        expect(data.toJSON).not.toHaveBeenCalled();
+    });
+
+    it('keys objects by identity', () => {
+        const profile = { ...benchmarks };
+
+        expect(objectKey(profile)).toBe(objectKey(profile));
+        expect(objectKey({ ...benchmarks })).not.toBe(objectKey(profile));
+    });
+});
+
+describe('memoized calculations', () => {
+    it('recomputes CAGR after records are edited in place', () => {
+        const data = employeeData();
+        const before = calculateCAGR(data);
+
+        data.records[0].annual = 100000;
+        markDataChanged(data);
+
+        expect(calculateCAGR(data)).toBeGreaterThan(before);
+        expect(Object.keys(data).filter(key => key.startsWith('_cached'))).toEqual([]);
+    });
+
+    it('keys benchmark comparisons by the benchmark set', () => {
+        const data = employeeData();
+        const standard = getBenchmarkComparisons(data, benchmarks);
+        const higher = getBenchmarkComparisons(data, { ...benchmarks, industryCagr: benchmarks.industryCagr + 2 });
+
+        // Year-specific rates compound, so +2 points a year is not exactly -2 points of CAGR
+        expect(higher.cagrVsIndustry).toBeCloseTo(standard.cagrVsIndustry - 2, 3);
+        expect(getBenchmarkComparisons(data, benchmarks)).toBe(standard);
+    });
+
+    it('clearMemoCache() forces fresh results', () => {
+        const data = employeeData();
+        const first = getBenchmarkComparisons(data, benchmarks);
+
+        clearMemoCache();
+
+        const second = getBenchmarkComparisons(data, benchmarks);
+        expect(second).not.toBe(first);
+        expect(second).toEqual(first);
+    });
+});
+
+describe('withoutCacheFields', () => {
+    it('drops cache fields left by older versions from exports', () => {
+        const data = { ...employeeData(), _cachedCAGR: 12, _cachedBenchmarks: {} };
+
+        expect(withoutCacheFields(data)).toEqual(employeeData());
+        expect(Object.keys(buildExportPayload(data))).not.toContain('_cachedCAGR');
+        expect(data._cachedCAGR).toBe(12);
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit Tests for Monte Carlo Projections
+ *
+ * Tests stochastic salary projections in js/monte-carlo.js:
+ * - getRaiseHistoryStats() - Raise size, timing and promotion share from history
+ * - simulateSalaryPaths() - Seeded paths, percentile bands per year
+ * - getMonteCarloProjection() / requestMonteCarloProjection() - Memoized sync and background runs
+ * - onMonteCarloResult() - One redraw per view and job
+ */
+
+import { describe, it, expect } from 'vitest';
+import { benchmarks } from '../js/constants.js';
+import {
+    getRaiseHistoryStats,
+    simulateSalaryPaths,
+    getMonteCarloProjection,
+    requestMonteCarloProjection,
+    onMonteCarloResult
+} from '../js/monte-carlo.js';
+import { mockRecord, mockEmployeeData } from './helpers/employee-data.js';
+
+// $100k hire, raises of 3% and 5% a year apart, a 15% promotion after another year
+const employeeData = () => mockEmployeeData([
+    mockRecord('2023-01-01', 'Promotion', 124200, 15),
+    mockRecord('2022-01-01', 'Merit Increase', 108150, 5),
+    mockRecord('2021-01-01', 'Merit Increase', 103000, 3),
+    mockRecord('2020-01-01', 'New Hire', 100000)
+], { currentDate: '2023-07-01' });
+
+describe('getRaiseHistoryStats', () => {
+    it('summarizes raise size, timing and promotion share', () => {
+        const stats = getRaiseHistoryStats(employeeData(), benchmarks);
+
+        expect(stats).toMatchObject({ raiseCount: 3, promotionCount: 1, promotionShare: 1 / 3 });
+        expect(stats.raise.mean).toBe(4);
+        expect(stats.raise.stdDev).toBeCloseTo(Math.SQRT2, 9);
+        expect(stats.promotionBump).toEqual({ mean: 15, stdDev: 0 });
+        expect(stats.monthsBetweenRaises.mean).toBeCloseTo(12, 0);
+        expect(stats.monthsSinceLastRaise).toBeCloseTo(6, 0);
+    });
+
+    it('falls back to the benchmark profile without raises', () => {
+        const data = { ...employeeData(), records: employeeData().records.slice(-1) };
+        const stats = getRaiseHistoryStats(data, benchmarks);
+
+        expect(stats.raiseCount).toBe(0);
+        expect(stats.raise).toEqual({
+            mean: benchmarks.typicalRaise.avg,
+            stdDev: (benchmarks.typicalRaise.max - benchmarks.typicalRaise.min) / 4
+        });
+        expect(stats.monthsBetweenRaises).toEqual({ mean: benchmarks.avgMonthsBetweenRaises, stdDev: 0 });
+        expect(stats.promotionShare).toBe(0);
+    });
+});
+
+describe('simulateSalaryPaths', () => {
+    it('matches fixed compounding when the history has no spread', () => {
+        const stats = {
+            raise: { mean: 4, stdDev: 0 },
+            monthsBetweenRaises: { mean: 12, stdDev: 0 },
+            promotionShare: 0,
+            promotionBump: { mean: 15, stdDev: 0 },
+            monthsSinceLastRaise: 0
+        };
+        const sim = simulateSalaryPaths(100000, stats, { years: 3, paths: 50 });
+
+        // Raises at months 12, 24 and 36
+        expect(sim.p10).toEqual(sim.p90);
+        expect(sim.p50.map(Math.round)).toEqual([100000, 104000, 108160, 112486]);
+        // 6 months since the last raise: the first one comes at month 6
+        expect(simulateSalaryPaths(100000, { ...stats, monthsSinceLastRaise: 6 }, { years: 1, paths: 50 }).p50[1]).toBe(104000);
+    });
+
+    it('produces ordered, reproducible bands that widen over time', () => {
+        const stats = getRaiseHistoryStats(employeeData(), benchmarks);
+        const sim = simulateSalaryPaths(124200, stats, { years: 10, paths: 2000 });
+
+        expect(sim).toMatchObject({ paths: 2000, years: 10 });
+        expect(sim.p50).toHaveLength(11);
+        for (let year = 1; year <= 10; year++) {
+            expect(sim.p10[year]).toBeLessThanOrEqual(sim.p25[year]);
+            expect(sim.p25[year]).toBeLessThanOrEqual(sim.p50[year]);
+            expect(sim.p50[year]).toBeLessThanOrEqual(sim.p75[year]);
+            expect(sim.p75[year]).toBeLessThanOrEqual(sim.p90[year]);
+        }
+        expect(sim.p90[10] - sim.p10[10]).toBeGreaterThan(sim.p90[2] - sim.p10[2]);
+        expect(simulateSalaryPaths(124200, stats, { years: 10, paths: 2000 })).toEqual(sim);
+        expect(simulateSalaryPaths(124200, stats, { years: 10, paths: 2000, seed: 7 }).p50[10]).not.toBe(sim.p50[10]);
+    });
+
+    it('lifts the bands with promotions in the mix', () => {
+        const stats = getRaiseHistoryStats(employeeData(), benchmarks);
+        const withPromotions = simulateSalaryPaths(100000, stats, { years: 10, paths: 2000 });
+        const meritOnly = simulateSalaryPaths(100000, { ...stats, promotionShare: 0 }, { years: 10, paths: 2000 });
+
+        expect(withPromotions.p50[10]).toBeGreaterThan(meritOnly.p50[10]);
+        expect(withPromotions.p90[10]).toBeGreaterThan(meritOnly.p90[10]);
+    });
+});
+
+describe('Monte Carlo projections', () => {
+    it('simulates the current salary over the full horizon, synchronously or in the background', async () => {
+        const data = employeeData();
+        const projection = getMonteCarloProjection(data, benchmarks);
+
+        expect(projection.years).toBe(20);
+        expect(projection.p50[0]).toBe(124200);
+        expect(getMonteCarloProjection(data, benchmarks)).toBe(projection);
+
+        // No Worker in Node: the job runs on the main thread with the same seed
+        const job = requestMonteCarloProjection(data, benchmarks);
+        expect(requestMonteCarloProjection(data, benchmarks)).toBe(job);
+        await expect(job.promise).resolves.toEqual(projection);
+        expect(job.result).toEqual(projection);
+    });
+
+    it('redraws each view once per job however often it is rebuilt', async () => {
+        const job = requestMonteCarloProjection(employeeData(), benchmarks);
+        let chartRedraws = 0;
+        let tableRedraws = 0;
+        for (let i = 0; i < 3; i++) {
+            onMonteCarloResult(job, 'projectionChart', () => chartRedraws++);
+            onMonteCarloResult(job, 'projectionTable', () => tableRedraws++);
+        }
+        await job.promise;
+        await Promise.resolve();
+
+        expect([chartRedraws, tableRedraws]).toEqual([1, 1]);
+        // Finished jobs have nothing to wait for
+        onMonteCarloResult(job, 'goalSummary', () => chartRedraws++);
+        await Promise.resolve();
+        expect(chartRedraws).toBe(1);
+    });
+});
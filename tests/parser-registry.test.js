@@ -0,0 +1,289 @@
+/**
+ * Unit Tests for Parser Registry
+ *
+ * Tests provider auto-detection and the generic CSV parser:
+ * - detectParser() - Format detection by confidence score
+ * - parseCompensationData() - Routing + shared output shape
+ * - parseCompensationDataWithDiagnostics() - Diagnostics passthrough
+ * - registerParser() - Custom provider registration
+ * - parseDelimitedData() - Generic "date / reason / annual" exports
+ * - parseTableRowsDetailed() - Copied HTML tables (cells read by column)
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+    registerParser,
+    unregisterParser,
+    getRegisteredParsers,
+    detectParser,
+    parseCompensationData,
+    parseCompensationDataWithDiagnostics
+} from '../js/parser-registry.js';
+import { parseDelimitedData, parsePaylocityData, parseTableRowsDetailed } from '../js/parser.js';
+
+const PAYLOCITY_INPUT = `Rates
+History
+01/15/2023   Merit Increase   Salary   $2,500.00$65,000.00
+06/01/2022   New Hire   Salary   $2,307.69$60,000.00`;
+
+const CSV_INPUT = `Effective Date,Reason,Annual Salary
+2022-06-01,Hire,"$60,000.00"
+2023-01-15,Annual Merit,"$63,000.00"
+2024-02-01,Promotion,"$72,450.00"`;
+
+describe('detectParser', () => {
+    it('detects Paylocity Rates tab text', () => {
+        expect(detectParser(PAYLOCITY_INPUT).id).toBe('paylocity');
+    });
+
+    it('detects CSV exports by their header row', () => {
+        expect(detectParser(CSV_INPUT).id).toBe('csv');
+    });
+
+    it('prefers CSV when a header row uses Paylocity-like column names', () => {
+        const input = `Effective Date\tChange Reason\tAnnual Salary
+01/15/2023\tMerit Increase\t$65,000.00
+06/01/2022\tNew Hire\t$60,000.00`;
+        expect(detectParser(input).id).toBe('csv');
+    });
+
+    it('detects clipboard HTML tables with a header row', () => {
+        const html = '<table><tr><th>Effective Date</th><th>Annual Salary</th></tr><tr><td>01/15/2023</td><td>$2,500.00</td></tr></table>';
+        expect(detectParser(html).id).toBe('html-table');
+    });
+
+    it('ignores HTML tables without a recognizable header', () => {
+        expect(detectParser('<table><tr><td>Notes</td><td>Reviewed</td></tr></table>')).toBeNull();
+        expect(detectParser(`${PAYLOCITY_INPUT}\n<table><tr><td>notes</td></tr></table>`).id).toBe('paylocity');
+        expect(detectParser(`${CSV_INPUT}\n<table>`).id).toBe('csv');
+    });
+
+    it('returns null for unrecognized text', () => {
+        expect(detectParser('hello world')).toBeNull();
+        expect(detectParser('')).toBeNull();
+        expect(detectParser(null)).toBeNull();
+    });
+
+    it('ships Paylocity as the first registered parser', () => {
+        expect(getRegisteredParsers()[0].id).toBe('paylocity');
+    });
+});
+
+describe('parseCompensationData', () => {
+    it('returns the same shape for every provider', () => {
+        const paylocity = parseCompensationData(PAYLOCITY_INPUT);
+        const csv = parseCompensationData(CSV_INPUT);
+
+        for (const data of [paylocity, csv]) {
+            expect(data).toHaveProperty('hireDate', '2022-06-01');
+            expect(Object.keys(data.records[0]).sort()).toEqual(
+                ['annual', 'change', 'changePercent', 'date', 'hourlyRate', 'payFrequency', 'payType', 'perCheck', 'reason']
+            );
+        }
+        expect(paylocity.source).toBe('paylocity');
+        expect(csv.source).toBe('csv');
+    });
+
+    it('matches parsePaylocityData output for Paylocity text', () => {
+        const { source, ...data } = parseCompensationData(PAYLOCITY_INPUT);
+        expect(source).toBe('paylocity');
+        expect(data).toEqual(parsePaylocityData(PAYLOCITY_INPUT));
+    });
+
+    it('throws a helpful error when no parser recognizes the text', () => {
+        expect(() => parseCompensationData('nothing to see here')).toThrow(/Unrecognized format/);
+    });
+
+    it('can force a specific parser', () => {
+        expect(() => parseCompensationData(CSV_INPUT, 'nope')).toThrow(/Unknown parser/);
+        expect(parseCompensationData(CSV_INPUT, 'csv').records).toHaveLength(3);
+    });
+});
+
+describe('parseCompensationDataWithDiagnostics', () => {
+    it('returns diagnostics from the detected parser', () => {
+        const { data, diagnostics, parser } = parseCompensationDataWithDiagnostics(CSV_INPUT);
+
+        expect(parser.id).toBe('csv');
+        expect(data.source).toBe('csv');
+        expect(diagnostics.records).toHaveLength(3);
+        expect(diagnostics.records[0].fields.annual).toBe('column "Annual Salary"');
+        expect(diagnostics.records[1].fields.reason).toBe('column "Reason" ("Annual Merit" → Merit Increase)');
+    });
+
+    it('reports skipped CSV rows', () => {
+        const { diagnostics } = parseCompensationDataWithDiagnostics(`Date,Reason,Annual
+2020-01-01,New Hire,50000
+soon,Merit,55000
+2021-01-01,Merit,`);
+
+        expect(diagnostics.summary.skipped).toBe(2);
+        expect(diagnostics.skipped.map(s => s.reason)).toEqual([
+            'Unrecognized date "soon"',
+            'No annual salary or hourly rate found'
+        ]);
+    });
+
+    it('returns null diagnostics for parsers without diagnostics support', () => {
+        registerParser({
+            id: 'test-provider',
+            detect: (text) => text.startsWith('TEST') ? 1 : 0,
+            parse: () => ({
+                hireDate: '2020-01-01',
+                currentDate: '2020-01-01',
+                records: [{ date: '2020-01-01', reason: 'New Hire', annual: 50000 }]
+            })
+        });
+
+        const result = parseCompensationDataWithDiagnostics('TEST');
+        unregisterParser('test-provider');
+
+        expect(result.diagnostics).toBeNull();
+        expect(result.data.source).toBe('test-provider');
+    });
+});
+
+describe('registerParser', () => {
+    afterEach(() => {
+        unregisterParser('test-provider');
+    });
+
+    it('routes to a newly registered parser when it scores highest', () => {
+        registerParser({
+            id: 'test-provider',
+            label: 'Test',
+            detect: (text) => text.startsWith('TEST') ? 1 : 0,
+            parse: () => ({
+                hireDate: '2020-01-01',
+                currentDate: '2021-01-01',
+                records: [
+                    { date: '2021-01-01', reason: 'Merit Increase', annual: 55000 },
+                    { date: '2020-01-01', reason: 'New Hire', annual: 50000 }
+                ]
+            })
+        });
+
+        expect(detectParser('TEST data').id).toBe('test-provider');
+        expect(parseCompensationData('TEST data').source).toBe('test-provider');
+    });
+
+    it('rejects parsers that return the wrong shape', () => {
+        registerParser({
+            id: 'test-provider',
+            detect: () => 1,
+            parse: () => ({ rows: [] })
+        });
+
+        expect(() => parseCompensationData('anything')).toThrow(/records array/);
+    });
+
+    it('requires detect and parse functions', () => {
+        expect(() => registerParser({ id: 'test-provider' })).toThrow(/detect\(\) and parse\(\)/);
+        expect(() => registerParser({})).toThrow(/"id"/);
+    });
+});
+
+describe('parseDelimitedData', () => {
+    it('parses a generic CSV export and derives changes', () => {
+        const data = parseDelimitedData(CSV_INPUT);
+
+        expect(data.hireDate).toBe('2022-06-01');
+        expect(data.currentDate).toBe('2024-02-01');
+        expect(data.records.map(r => r.reason)).toEqual(['Promotion', 'Merit Increase', 'New Hire']);
+        expect(data.records[0]).toMatchObject({ annual: 72450, payType: 'salary', changePercent: 15 });
+        expect(data.records[1].changePercent).toBe(5);
+        expect(data.records[1].change).toBeCloseTo(125, 2); // per-check delta: $3,000 annual raise ÷ 24 periods
+        expect(data.records[2]).toMatchObject({ change: 0, changePercent: 0 });
+    });
+
+    it('accepts tab-delimited text with MM/DD/YYYY dates', () => {
+        const data = parseDelimitedData(`Date\tChange Reason\tBase Pay
+03/01/2021\tMarket Adjustment\t70000
+3/1/2020\tNew Hire\t65000`);
+
+        expect(data.records[0]).toMatchObject({ date: '2021-03-01', reason: 'Market Adjustment', annual: 70000 });
+        expect(data.records[1].date).toBe('2020-03-01');
+    });
+
+    it('annualizes hourly-only rows', () => {
+        const data = parseDelimitedData(`Effective Date;Reason;Hourly Rate
+2020-01-01;New Hire;20.00
+2021-01-01;Merit;21.00`);
+
+        expect(data.records[0]).toMatchObject({ payType: 'hourly', hourlyRate: 21, annual: 43680 });
+    });
+
+    it('maps unrecognized reasons to Unknown and skips rows without dates', () => {
+        const data = parseDelimitedData(`Date,Reason,Annual
+2020-01-01,Reorg,50000
+not a date,Merit,55000
+2021-01-01,Merit,52000`);
+
+        expect(data.records).toHaveLength(2);
+        expect(data.records[1].reason).toBe('Unknown');
+    });
+
+    it('throws on out-of-range salaries', () => {
+        expect(() => parseDelimitedData(`Date,Reason,Annual
+2020-01-01,New Hire,500`)).toThrow(/below minimum/);
+    });
+
+    it('throws without a recognizable header', () => {
+        expect(() => parseDelimitedData('2020-01-01,New Hire,50000')).toThrow(/header row/);
+    });
+});
+
+describe('parseTableRowsDetailed', () => {
+    const HEADER = ['Effective Date', 'Change Reason', 'Pay Type', 'Per Check', 'Annual Salary'];
+
+    it('reads Paylocity grid cells by column', () => {
+        const { data, diagnostics } = parseTableRowsDetailed([
+            ['Rates'],
+            HEADER,
+            ['01/15/2024', 'Merit Increase', 'Salary', '$2,708.33', '$65,000.00'],
+            ['History'],
+            HEADER,
+            ['01/15/2023', 'Market Adjustment', 'Salary', '$1,166.67', '$28,000.00'],
+            ['06/12/2022', 'New Hire', 'Salary', '$1,000.00', '$24,000.00'],
+            ['1 - 3 of 3 items']
+        ]);
+
+        expect(data.records.map(r => [r.date, r.reason, r.perCheck, r.annual])).toEqual([
+            ['2024-01-15', 'Merit Increase', 2708.33, 65000],
+            ['2023-01-15', 'Market Adjustment', 1166.67, 28000],
+            ['2022-06-12', 'New Hire', 1000, 24000]
+        ]);
+        expect(data.records[1].changePercent).toBeCloseTo(16.6667, 4);
+        expect(diagnostics.parser).toBe('html-table');
+        expect(diagnostics.records[0].fields.perCheck).toBe('column "Per Check"');
+        expect(diagnostics.skipped).toEqual([]);
+    });
+
+    it('reads "/ Hour" rates from pay columns as hourly rows', () => {
+        const { data, diagnostics } = parseTableRowsDetailed([
+            HEADER,
+            ['01/15/2023', 'Merit Increase', 'Hourly', '$2,000.00', '$25.00 / Hour'],
+            ['06/12/2022', 'New Hire', 'Hourly', '', '$24.00 / Hour']
+        ]);
+
+        expect(data.records[0]).toMatchObject({ payType: 'hourly', hourlyRate: 25, annual: 52000, payFrequency: 'biweekly' });
+        expect(data.records[1]).toMatchObject({ hourlyRate: 24, perCheck: 1920 });
+        expect(diagnostics.records[0].fields.hourlyRate).toBe('column "Annual Salary"');
+    });
+
+    it('reports data rows it cannot read', () => {
+        const { diagnostics } = parseTableRowsDetailed([
+            HEADER,
+            ['01/15/2023', 'Merit Increase', 'Salary', '$2,708.33', '$65,000.00'],
+            ['Pending', 'Promotion', 'Salary', '$3,000.00', '$72,000.00']
+        ]);
+
+        expect(diagnostics.skipped).toEqual([
+            { sourceText: 'Pending | Promotion | Salary | $3,000.00 | $72,000.00', reason: 'Unrecognized date "Pending"' }
+        ]);
+    });
+
+    it('throws without a header row', () => {
+        expect(() => parseTableRowsDetailed([['01/15/2023', 'Merit Increase', '$65,000.00']])).toThrow(/header row/);
+    });
+});
@@ -11,10 +11,14 @@
 import { describe, it, expect } from 'vitest';
 import {
     parsePaylocityData,
+    parsePaylocityDataDetailed,
     parseRecord,
+    parseRecordDetailed,
+    parseDelimitedData,
     validateSalaryRange
 } from '../js/parser.js';
 import { escapeHTML } from '../js/security.js';
+import { validateImportedData } from '../js/io.js';
 
 describe('parsePaylocityData', () => {
     describe('Valid Input Handling', () => {
@@ -209,6 +213,191 @@ describe('parseRecord', () => {
     });
 });
 
+describe('Hourly records', () => {
+    it('builds an hourly record from the rate when no annual figure is present', () => {
+        const record = parseRecord('03/01/2021', 'Merit Increase   Hourly   $25.00 / Hour   4.1667');
+
+        expect(record).toMatchObject({
+            date: '2021-03-01',
+            reason: 'Merit Increase',
+            payType: 'hourly',
+            hourlyRate: 25,
+            annual: 52000, // 25 × 2,080 standard hours
+            changePercent: 4.1667
+        });
+        expect(record.perCheck).toBeCloseTo(52000 / 24, 2);
+    });
+
+    it('does not mistake the hourly rate for a dollar amount', () => {
+        const record = parseRecord('03/01/2021', 'New Hire   $24.00/Hour');
+
+        expect(record.payType).toBe('hourly');
+        expect(record.annual).toBe(49920);
+    });
+
+    it('marks rows with an annual figure as salaried', () => {
+        const record = parseRecord('01/15/2023', 'Promotion   $2,500.00$65,000.0031.25 / Hour 5.0000');
+
+        expect(record.payType).toBe('salary');
+        expect(record.annual).toBe(65000);
+        expect(record.hourlyRate).toBe(31.25);
+    });
+
+    it('still returns null when there is neither an annual figure nor a rate', () => {
+        expect(parseRecord('01/15/2023', 'Merit Increase   4.1667')).toBeNull();
+    });
+
+    it('keeps mixed hourly → salaried histories in one record list', () => {
+        const input = `01/15/2019   New Hire   $20.00 / Hour
+01/15/2020   Merit Increase   $21.00 / Hour   5.0000
+06/01/2021   Promotion   $2,500.00$60,000.00   37.5000`;
+
+        const result = parsePaylocityData(input);
+
+        expect(result.records.map(r => r.payType)).toEqual(['salary', 'hourly', 'hourly']);
+        expect(result.records.map(r => r.annual)).toEqual([60000, 43680, 41600]);
+        expect(result.hireDate).toBe('2019-01-15');
+    });
+
+    it('validates the annualized value against the salary range', () => {
+        expect(() => parsePaylocityData('01/15/2023   Merit Increase   $4999.00 / Hour'))
+            .toThrow(/above maximum/);
+    });
+});
+
+describe('Parse diagnostics', () => {
+    it('reports high confidence when per-check and annual reconcile', () => {
+        const { diagnostic } = parseRecordDetailed('01/15/2023', 'Merit Increase   $2,500.00$60,000.00   4.1667');
+
+        expect(diagnostic.confidence).toBe('high');
+        expect(diagnostic.notes).toEqual([]);
+        expect(diagnostic.fields).toMatchObject({
+            reason: 'matched "Merit Increase"',
+            annual: 'largest of 2 dollar amounts',
+            perCheck: 'first dollar amount',
+            changePercent: 'trailing 4-decimal number'
+        });
+        expect(diagnostic.sourceText).toContain('$60,000.00');
+    });
+
+    it('lowers confidence for each guessed field', () => {
+        const { diagnostic } = parseRecordDetailed('01/15/2023', 'Special Bonus   $2,500.00$70,000.00');
+
+        // 70,000 ÷ 2,500 = 28 fits no pay frequency, and the reason is unrecognized
+        expect(diagnostic.notes).toHaveLength(2);
+        expect(diagnostic.confidence).toBe('low');
+    });
+
+    it('flags the per-check fallback heuristic', () => {
+        const { record, diagnostic } = parseRecordDetailed('01/15/2023', 'Promotion   $72,000.00$3,000.00');
+
+        expect(record.perCheck).toBe(3000);
+        expect(diagnostic.fields.perCheck).toMatch(/first amount under \$20,000/);
+        expect(diagnostic.confidence).toBe('medium');
+    });
+
+    it('explains hourly annualization', () => {
+        const { diagnostic } = parseRecordDetailed('01/15/2023', 'Merit Increase   $25.00 / Hour');
+
+        expect(diagnostic.fields.annual).toBe('hourly rate × 2,080 hours');
+        expect(diagnostic.confidence).toBe('medium');
+    });
+
+    it('lists skipped segments with their source text', () => {
+        const input = `01/15/2023   Merit Increase   $2,500.00$60,000.00
+06/01/2022   Merit Increase   $2,400.00
+01/01/2022   New Hire   $2,300.00$55,200.00`;
+
+        const { data, diagnostics } = parsePaylocityDataDetailed(input);
+
+        expect(data.records).toHaveLength(2);
+        expect(diagnostics.parser).toBe('paylocity');
+        expect(diagnostics.skipped).toHaveLength(1);
+        expect(diagnostics.skipped[0].sourceText).toContain('06/01/2022');
+        expect(diagnostics.skipped[0].reason).toMatch(/No annual salary/);
+        expect(diagnostics.summary).toEqual({ high: 2, medium: 0, low: 0, skipped: 1 });
+    });
+
+    it('orders record diagnostics like data.records', () => {
+        const input = `01/01/2022   New Hire   $2,300.00$55,200.00
+01/15/2023   Merit Increase   $2,500.00$60,000.00`;
+
+        const { data, diagnostics } = parsePaylocityDataDetailed(input);
+
+        expect(diagnostics.records.map(d => d.date)).toEqual(data.records.map(r => r.date));
+    });
+
+    it('returns the same data as parsePaylocityData', () => {
+        const input = '01/15/2023   Merit Increase   $2,500.00$65,000.0031.25';
+        expect(parsePaylocityDataDetailed(input).data).toEqual(parsePaylocityData(input));
+    });
+});
+
+describe('Pay frequency', () => {
+    it('detects each record\'s frequency from per-check and annual', () => {
+        const data = parsePaylocityData(`01/15/2024   Merit Increase   $1,300.00$67,600.00
+01/15/2023   Market Adjustment   $2,500.00$65,000.00
+06/01/2022   New Hire   $2,500.00$60,000.00`);
+
+        expect(data.records.map(r => r.payFrequency)).toEqual(['weekly', 'biweekly', 'semimonthly']);
+    });
+
+    it('flags per-check amounts that fit no frequency', () => {
+        const { record, diagnostic } = parseRecordDetailed('01/15/2023', 'Merit Increase   $3,000.00$65,000.00');
+
+        expect(record.payFrequency).toBe('unknown');
+        expect(diagnostic.notes[0]).toMatch(/fits no known pay frequency \(annual ÷ per-check = 21\.7\)/);
+    });
+
+    it('derives hourly per-check amounts from the most common detected frequency', () => {
+        const { data, diagnostics } = parsePaylocityDataDetailed(`01/15/2024   Merit Increase   $2,600.00$67,600.00
+01/15/2023   Merit Increase   Hourly   $31.25 / Hour`);
+
+        expect(data.records[1]).toMatchObject({ payFrequency: 'biweekly', perCheck: 2500 });
+        expect(diagnostics.records[1].fields.perCheck).toBe('annual ÷ 26 pay periods');
+        expect(diagnostics.records[1].fields.payFrequency).toBe('biweekly (most common in this data)');
+    });
+
+    it('uses a CSV per-check column when present', () => {
+        const data = parseDelimitedData(`Date,Reason,Annual Salary,Per Check
+2022-01-01,New Hire,52000,1000
+2023-01-01,Merit,54600,2100`);
+
+        expect(data.records.map(r => r.payFrequency)).toEqual(['biweekly', 'weekly']);
+    });
+
+    it('defaults CSV exports without per-check amounts to semi-monthly', () => {
+        const data = parseDelimitedData(`Date,Reason,Annual
+2022-01-01,New Hire,48000
+2023-01-01,Merit,52000`);
+
+        expect(data.records.map(r => r.payFrequency)).toEqual(['semimonthly', 'semimonthly']);
+        expect(data.records[0].perCheck).toBe(2166.67);
+    });
+
+    it('annualizes the change across a pay frequency switch', () => {
+        const data = parseDelimitedData(`Date,Reason,Annual Salary,Per Check
+2022-01-01,New Hire,52000,1000
+2023-01-01,Merit,57200,2200`);
+
+        // Per-check jumps 1,000 → 2,200, but the raise is 5,200/yr = 200 per bi-weekly check
+        expect(data.records[0].change).toBe(200);
+    });
+
+    it('rejects imports whose perCheck contradicts payFrequency', () => {
+        const record = { date: '2023-01-01', reason: 'Merit Increase', annual: 65000, perCheck: 2500 };
+        const data = (payFrequency) => ({
+            hireDate: '2022-01-01',
+            records: [{ ...record, payFrequency }, { ...record, date: '2022-01-01', reason: 'New Hire', payFrequency }]
+        });
+
+        expect(validateImportedData(data('biweekly')).valid).toBe(true);
+        expect(validateImportedData(data('unknown')).valid).toBe(true);
+        expect(validateImportedData(data('weekly')).errors[0]).toMatch(/doesn't match annual salary for weekly pay/);
+        expect(validateImportedData(data('fortnightly')).errors[0]).toMatch(/payFrequency must be one of/);
+    });
+});
+
 describe('validateSalaryRange', () => {
     describe('Annual Salary Validation', () => {
         it('accepts valid annual salaries', () => {
@@ -0,0 +1,96 @@
+/**
+ * Unit Tests for Promotion Analysis
+ *
+ * Tests promotion bumps in js/calculations.js and consumers:
+ * - getPromotionAnalysis() - Bump vs benchmark, timing, share of growth
+ * - getBenchmarkComparisons() - `promotions` next to the raise comparisons
+ * - buildReport() - Promotion KPIs for the CLI
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { benchmarks } from '../js/constants.js';
+import { getPromotionAnalysis, getBenchmarkComparisons } from '../js/calculations.js';
+import { setCustomReasons } from '../js/reasons.js';
+import { buildReport } from '../js/report.js';
+import { mockRecord, mockEmployeeData } from './helpers/employee-data.js';
+
+// $80k hire, 5% merit, 15% promotion two years after hire
+const employeeData = () => mockEmployeeData([
+    mockRecord('2022-01-01', 'Promotion', 96600, 15),
+    mockRecord('2021-01-01', 'Merit Increase', 84000, 5),
+    mockRecord('2020-01-01', 'New Hire', 80000)
+]);
+
+afterEach(() => {
+    setCustomReasons([]);
+});
+
+describe('getPromotionAnalysis', () => {
+    it('compares the average bump with the benchmark promotionBump', () => {
+        const promo = getPromotionAnalysis(employeeData(), benchmarks);
+
+        expect(promo.count).toBe(1);
+        expect(promo.avgBump).toBe(15);
+        expect(promo.largestBump).toBe(15);
+        expect(promo.bumpVsBenchmark).toBeCloseTo(15 - benchmarks.promotionBump.avg, 9);
+        expect(promo.avgMonthsBetween).toBeCloseTo(24, 0);
+    });
+
+    it('splits salary growth between promotions, merit and other changes', () => {
+        const data = employeeData();
+        data.records.unshift(mockRecord('2022-06-01', 'Market Adjustment', 100000, 3.5));
+        const promo = getPromotionAnalysis(data, benchmarks);
+
+        expect(promo.totalGrowth).toBe(20000);
+        expect([promo.promotionGrowth, promo.meritGrowth, promo.otherGrowth]).toEqual([12600, 4000, 3400]);
+        expect(promo.promotionShare).toBeCloseTo(63, 9);
+        expect(promo.promotionShare + promo.meritShare + promo.otherShare).toBeCloseTo(100, 9);
+    });
+
+    it('restarts promotion timing at each employer and skips job-change raises', () => {
+        const data = {
+            hireDate: '2018-01-01',
+            currentDate: '2023-01-01',
+            employers: [{ name: 'Acme', hireDate: '2018-01-01' }, { name: 'Globex', hireDate: '2021-01-01' }],
+            records: [
+                mockRecord('2023-01-01', 'Promotion', 138000, 15),
+                mockRecord('2021-01-01', 'Promotion', 120000, 20),
+                mockRecord('2019-01-01', 'Promotion', 100000, 25),
+                mockRecord('2018-01-01', 'New Hire', 80000)
+            ]
+        };
+        const promo = getPromotionAnalysis(data, benchmarks);
+
+        expect(promo.promotions.map(p => p.date)).toEqual(['2019-01-01', '2023-01-01']);
+        expect(promo.promotions[1].monthsSincePrevious).toBeCloseTo(24, 0);
+        expect(promo.otherGrowth).toBe(20000);
+    });
+
+    it('counts custom reasons mapped to the promotion category', () => {
+        setCustomReasons([{ name: 'Level Up', category: 'promotion' }]);
+        const data = employeeData();
+        data.records[0].reason = 'Level Up';
+
+        expect(getPromotionAnalysis(data, benchmarks).count).toBe(1);
+    });
+
+    it('returns null bump figures without promotions', () => {
+        const data = employeeData();
+        data.records[0].reason = 'Merit Increase';
+        const promo = getPromotionAnalysis(data, benchmarks);
+
+        expect(promo).toMatchObject({ count: 0, avgBump: null, bumpVsBenchmark: null, avgMonthsBetween: null, promotionShare: 0 });
+        expect(getPromotionAnalysis({ ...data, records: data.records.slice(-1) }, benchmarks).promotionShare).toBeNull();
+    });
+});
+
+describe('promotion consumers', () => {
+    it('includes promotions in benchmark comparisons and the report', () => {
+        const data = employeeData();
+        const report = buildReport(data);
+
+        expect(getBenchmarkComparisons(data, benchmarks).promotions.avgBump).toBe(15);
+        expect(report).toMatchObject({ promotions: 1, avgPromotionBump: 15 });
+        expect(report.promotionGrowthShare).toBeCloseTo(12600 / 16600 * 100, 9);
+    });
+});
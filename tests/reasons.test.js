@@ -0,0 +1,197 @@
+/**
+ * Unit Tests for Reason Taxonomy
+ *
+ * Tests user-defined change reasons and everything that reads them:
+ * - addCustomReason() / getValidReasons() - Taxonomy management
+ * - getReasonCategory() - Category lookup + keyword fallback
+ * - parsePaylocityData() / parseDelimitedData() - Custom reasons in parsing
+ * - validateImportedData() - Custom reasons on re-import
+ * - getBadgeClass() - Category-driven badges
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    addCustomReason,
+    removeCustomReason,
+    mergeCustomReasons,
+    setCustomReasons,
+    getCustomReasons,
+    getValidReasons,
+    getReasonCategory,
+    findReasonInText
+} from '../js/reasons.js';
+import { parsePaylocityData, parseDelimitedData } from '../js/parser.js';
+import { validateImportedData, buildExportPayload } from '../js/io.js';
+import { getBadgeClass } from '../js/tables.js';
+import { loadCompensationInput } from '../js/report.js';
+import { mockRecord, mockEmployeeData } from './helpers/employee-data.js';
+
+const PAYLOCITY_INPUT = `Rates
+History
+01/15/2024   Cost of Living   Salary   $2,625.00$63,000.00
+01/15/2023   Merit Increase   Salary   $2,500.00$60,000.00
+06/01/2022   New Hire   Salary   $2,291.67$55,000.00`;
+
+describe('custom reason taxonomy', () => {
+    beforeEach(() => {
+        setCustomReasons([]);
+    });
+
+    it('appends custom reasons after the built-ins', () => {
+        addCustomReason('Cost of Living', 'market');
+
+        expect(getValidReasons()).toEqual(['Merit Increase', 'Promotion', 'Market Adjustment', 'Equity', 'New Hire', 'Cost of Living']);
+        expect(getReasonCategory('Cost of Living')).toBe('market');
+    });
+
+    it('rejects duplicates, unknown categories and markup', () => {
+        addCustomReason('Retention', 'other');
+
+        expect(() => addCustomReason('retention', 'other')).toThrow(/already a reason/);
+        expect(() => addCustomReason('Merit Increase', 'merit')).toThrow(/already a reason/);
+        expect(() => addCustomReason('Transfer', 'lateral')).toThrow(/Category must be one of/);
+        expect(() => addCustomReason('<b>Bonus</b>', 'other')).toThrow(/< or >/);
+        expect(() => addCustomReason('   ', 'other')).toThrow(/required/);
+    });
+
+    it('removes custom reasons', () => {
+        addCustomReason('Transfer', 'other');
+
+        expect(removeCustomReason('Transfer')).toBe(true);
+        expect(removeCustomReason('Transfer')).toBe(false);
+        expect(getCustomReasons()).toEqual([]);
+    });
+
+    it('merges only new, valid reasons', () => {
+        addCustomReason('Retention', 'other');
+
+        const added = mergeCustomReasons([
+            { name: 'Retention', category: 'merit' },
+            { name: 'Reclassification', category: 'promotion' },
+            { name: 'Bad', category: 'nope' }
+        ]);
+
+        expect(added).toBe(1);
+        expect(getCustomReasons()).toEqual([
+            { name: 'Retention', category: 'other' },
+            { name: 'Reclassification', category: 'promotion' }
+        ]);
+    });
+
+    it('classifies unknown reasons by keyword', () => {
+        expect(getReasonCategory('Annual Merit Review')).toBe('merit');
+        expect(getReasonCategory('Promotion')).toBe('promotion');
+        expect(getReasonCategory('Reorg')).toBe('other');
+    });
+
+    it('prefers the longest reason found in text', () => {
+        addCustomReason('Merit', 'merit');
+
+        expect(findReasonInText('01/15/2023 Merit Increase Salary')).toBe('Merit Increase');
+        expect(findReasonInText('01/15/2023 Merit Salary')).toBe('Merit');
+        expect(findReasonInText('01/15/2023 Salary')).toBeNull();
+    });
+});
+
+describe('custom reasons in parsing and import', () => {
+    beforeEach(() => {
+        setCustomReasons([]);
+    });
+
+    it('parses rows with custom reasons instead of Unknown', () => {
+        expect(parsePaylocityData(PAYLOCITY_INPUT).records[0].reason).toBe('Unknown');
+
+        addCustomReason('Cost of Living', 'market');
+
+        expect(parsePaylocityData(PAYLOCITY_INPUT).records[0].reason).toBe('Cost of Living');
+    });
+
+    it('maps CSV reasons onto custom reasons', () => {
+        addCustomReason('Retention', 'other');
+
+        const data = parseDelimitedData(`Date,Reason,Annual
+2022-01-01,New Hire,50000
+2023-01-01,retention,55000
+2024-01-01,Retention Bonus Adjustment,60000`);
+
+        expect(data.records.map(r => r.reason)).toEqual(['Retention', 'Retention', 'New Hire']);
+    });
+
+    it('accepts custom reasons on re-import', () => {
+        const data = {
+            hireDate: '2022-01-01',
+            records: [mockRecord('2023-01-01', 'Transfer', 55000), mockRecord('2022-01-01', 'New Hire', 50000)]
+        };
+
+        expect(validateImportedData(data).errors[0]).toMatch(/invalid reason "Transfer"/);
+
+        addCustomReason('Transfer', 'other');
+
+        expect(validateImportedData(data).valid).toBe(true);
+    });
+
+    it('accepts reasons declared by the file itself', () => {
+        const data = {
+            hireDate: '2022-01-01',
+            customReasons: [{ name: 'Transfer', category: 'other' }],
+            records: [mockRecord('2023-01-01', 'Transfer', 55000), mockRecord('2022-01-01', 'New Hire', 50000)]
+        };
+
+        expect(validateImportedData(data).valid).toBe(true);
+    });
+
+    it('rejects invalid reasons declared by the file', () => {
+        addCustomReason('Transfer', 'other');
+        const data = (customReasons) => ({
+            hireDate: '2022-01-01',
+            customReasons,
+            records: [mockRecord('2023-01-01', 'Retention', 55000), mockRecord('2022-01-01', 'New Hire', 50000)]
+        });
+
+        expect(validateImportedData(data([{ name: 'Retention', category: 'bonus' }])).errors).toEqual([
+            'Custom reason 1: Category must be one of: merit, promotion, market, equity, other',
+            'Record 1: invalid reason "Retention". Valid: Merit Increase, Promotion, Market Adjustment, Equity, New Hire, Transfer'
+        ]);
+        expect(validateImportedData(data([{ name: 'Transfer', category: 'merit' }, { name: 'Retention', category: 'merit' }])).errors)
+            .toEqual(['Custom reason 1: "Transfer" is already a reason (other)']);
+        expect(validateImportedData(data([{ name: 'Transfer', category: 'other' }, { name: 'Retention', category: 'merit' }])).valid).toBe(true);
+        expect(validateImportedData(data({})).errors).toContain('"customReasons" must be an array');
+    });
+
+    it('round-trips custom reasons through import and export', () => {
+        const file = JSON.stringify({
+            hireDate: '2022-01-01',
+            customReasons: [{ name: 'Retention', category: 'merit' }],
+            records: [mockRecord('2023-01-01', 'Retention', 55000), mockRecord('2022-01-01', 'New Hire', 50000)]
+        });
+        const data = loadCompensationInput(file);
+
+        expect(getReasonCategory('Retention')).toBe('merit');
+        const exported = buildExportPayload(data);
+        expect(exported.customReasons).toEqual([{ name: 'Retention', category: 'merit' }]);
+        expect(validateImportedData(JSON.parse(JSON.stringify(exported))).valid).toBe(true);
+
+        setCustomReasons([]);
+        expect(() => loadCompensationInput(file.replace('"merit"', '"bonus"'))).toThrow(/^Custom reason 1: Category must be one of/);
+    });
+
+    it('exports the custom reasons the records use', () => {
+        addCustomReason('Transfer', 'other');
+        addCustomReason('Retention', 'other');
+        const employeeData = {
+            hireDate: '2022-01-01',
+            records: [mockRecord('2023-01-01', 'Transfer', 55000), mockRecord('2022-01-01', 'New Hire', 50000)]
+        };
+
+        expect(buildExportPayload(employeeData).customReasons).toEqual([{ name: 'Transfer', category: 'other' }]);
+        expect(buildExportPayload({ ...employeeData, records: [] })).not.toHaveProperty('customReasons');
+    });
+
+    it('uses the custom category for history badges', () => {
+        addCustomReason('Cost of Living', 'market');
+        addCustomReason('Retention Merit', 'equity');
+
+        expect(getBadgeClass('Cost of Living')).toBe('badge-market');
+        expect(getBadgeClass('Retention Merit')).toBe('badge-equity');
+    });
+});
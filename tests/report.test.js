@@ -0,0 +1,92 @@
+/**
+ * Unit Tests for the Headless Report
+ *
+ * Tests js/report.js (used by cli.js):
+ * - loadCompensationInput() - Paste text vs exported JSON, invalid and encrypted files
+ * - buildReport() - CAGR, real growth, benchmark deltas, performance tier
+ * - formatReportTable() - Text table output
+ */
+
+import { describe, it, expect } from 'vitest';
+import { loadCompensationInput, buildReport, formatReportTable } from '../js/report.js';
+import { calculateCAGR } from '../js/calculations.js';
+
+const csv = `Effective Date,Reason,Annual Salary
+2020-02-01,New Hire,90000
+2021-02-01,Merit Increase,94500
+2023-02-01,Promotion,110000`;
+
+describe('loadCompensationInput', () => {
+    it('parses pasted text with the detected parser', () => {
+        const data = loadCompensationInput(csv);
+
+        expect(data.source).toBe('csv');
+        expect(data.hireDate).toBe('2020-02-01');
+        expect(data.records).toHaveLength(3);
+    });
+
+    it('reads copied HTML tables without a DOM', () => {
+        const html = `<table><tr><th>Effective Date</th><th>Reason</th><th>Annual&nbsp;Salary</th></tr>
+            <tr><td>02/01/2021<td>Merit Increase<td><span>$94,500.00</span>
+            <tr><td>02/01/2020</td><td>New Hire</td><td>$90,000.00</td></tr></table>`;
+        const data = loadCompensationInput(html);
+
+        expect(data.source).toBe('html-table');
+        expect(data.records.map(r => [r.date, r.annual])).toEqual([['2021-02-01', 94500], ['2020-02-01', 90000]]);
+    });
+
+    it('reads exported JSON files', () => {
+        const exported = JSON.stringify({ ...loadCompensationInput(csv), source: undefined });
+        const data = loadCompensationInput(exported);
+
+        expect(data.source).toBe('json');
+        expect(data.records[0].annual).toBe(110000);
+    });
+
+    it('rejects invalid and encrypted JSON', () => {
+        expect(() => loadCompensationInput('{ "records": ')).toThrow(/^Invalid JSON/);
+        expect(() => loadCompensationInput('{ "records": [] }')).toThrow('Missing or invalid "hireDate" field');
+        expect(() => loadCompensationInput(JSON.stringify({
+            encrypted: true, version: 2, algorithm: 'AES-256-GCM', payload: { salt: 'a', iv: 'b', ciphertext: 'c' }
+        }))).toThrow('Encrypted files are not supported');
+    });
+});
+
+describe('buildReport', () => {
+    it('reports growth, inflation and benchmark deltas', () => {
+        const data = loadCompensationInput(csv);
+        const report = buildReport(data);
+
+        expect(report).toMatchObject({
+            source: 'csv',
+            compBasis: 'base',
+            startingComp: 90000,
+            currentComp: 110000,
+            totalRaises: 2,
+            industryCagr: 6,
+            performanceTier: 'high'
+        });
+        expect(report.cagr).toBeCloseTo(calculateCAGR(data), 9);
+        expect(report.cagrVsIndustry).toBeCloseTo(report.cagr - report.industryCagrOverTenure, 9);
+        expect(report.nominalGrowth).toBeCloseTo(200 / 9, 9);
+        expect(report.realGrowth).toBeLessThan(report.nominalGrowth);
+    });
+
+    it('falls back to base salary without components', () => {
+        const data = loadCompensationInput(csv);
+
+        expect(buildReport(data, { basis: 'total' }).compBasis).toBe('base');
+    });
+});
+
+describe('formatReportTable', () => {
+    it('prints one aligned row per KPI under the title', () => {
+        const table = formatReportTable(buildReport(loadCompensationInput(csv)), 'history.csv');
+        const lines = table.split('\n');
+
+        expect(lines.slice(0, 2)).toEqual(['history.csv', '-----------']);
+        expect(lines).toContain('Current                  $110,000');
+        expect(table).toContain('Inflation                ');
+        expect(lines[lines.length - 1]).toBe('Performance tier         high');
+    });
+});
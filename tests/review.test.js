@@ -0,0 +1,172 @@
+/**
+ * Unit Tests for Record Review Module
+ *
+ * Tests the pure row model behind the review grid in js/review.js:
+ * - createReviewRows() / createBlankRow() - Row construction
+ * - applyRowEdit() - Field edits from grid inputs
+ * - buildReviewedData() - Sorting + change recomputation
+ * - getReviewErrors() - Live validation (validateImportedData rules)
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    createReviewRows,
+    createBlankRow,
+    applyRowEdit,
+    buildReviewedData,
+    getReviewErrors
+} from '../js/review.js';
+
+// Newest first, as returned by the parsers
+const parsedRecords = () => [
+    { date: '2024-01-15', reason: 'Promotion', payType: 'salary', perCheck: 3000, annual: 72000, hourlyRate: 0, change: 250, changePercent: 9.0909 },
+    { date: '2023-01-15', reason: 'Merit Increase', payType: 'salary', perCheck: 2750, annual: 66000, hourlyRate: 0, change: 250, changePercent: 10 },
+    { date: '2022-01-15', reason: 'New Hire', payType: 'salary', perCheck: 2500, annual: 60000, hourlyRate: 0, change: 0, changePercent: 0 }
+];
+
+describe('createReviewRows', () => {
+    it('links each row to its chronological predecessor', () => {
+        const rows = createReviewRows(parsedRecords());
+
+        expect(rows[0].prevId).toBe(rows[1].id);
+        expect(rows[1].prevId).toBe(rows[2].id);
+        expect(rows[2].prevId).toBeNull();
+    });
+
+    it('carries parse confidence from diagnostics', () => {
+        const diagnostics = { records: [{ confidence: 'high' }, { confidence: 'low' }, { confidence: 'medium' }] };
+        const rows = createReviewRows(parsedRecords(), diagnostics);
+
+        expect(rows.map(r => r.confidence)).toEqual(['high', 'low', 'medium']);
+    });
+});
+
+describe('applyRowEdit', () => {
+    it('parses currency input and marks the row edited', () => {
+        const [row] = createReviewRows(parsedRecords());
+        applyRowEdit(row, 'annual', '$75,000.00');
+
+        expect(row.annual).toBe(75000);
+        expect(row.edited).toBe(true);
+    });
+
+    it('treats blank annual as missing and blank per-check as zero', () => {
+        const [row] = createReviewRows(parsedRecords());
+        applyRowEdit(row, 'annual', '');
+        applyRowEdit(row, 'perCheck', ' ');
+
+        expect(row.annual).toBeNull();
+        expect(row.perCheck).toBe(0);
+    });
+
+    it('keeps hourly rates consistent with an edited annual value', () => {
+        const [row] = createReviewRows([{ ...parsedRecords()[0], payType: 'hourly', hourlyRate: 30 }]);
+        applyRowEdit(row, 'annual', '52000');
+
+        expect(row.hourlyRate).toBe(25);
+    });
+
+    it('ignores unknown fields', () => {
+        const [row] = createReviewRows(parsedRecords());
+        applyRowEdit(row, 'change', '999');
+
+        expect(row.change).toBe(250);
+        expect(row.edited).toBe(false);
+    });
+});
+
+describe('buildReviewedData', () => {
+    it('keeps parsed change values for untouched records', () => {
+        const { data } = buildReviewedData({ source: 'paylocity' }, createReviewRows(parsedRecords()));
+
+        expect(data.source).toBe('paylocity');
+        expect(data.hireDate).toBe('2022-01-15');
+        expect(data.currentDate).toBe('2024-01-15');
+        expect(data.records.map(r => r.changePercent)).toEqual([9.0909, 10, 0]);
+    });
+
+    it('recomputes changes for an edited record and its successor', () => {
+        const rows = createReviewRows(parsedRecords());
+        // Fix a misparsed middle record: 66,000 → 63,000 (per check 2,625)
+        applyRowEdit(rows[1], 'annual', '63000');
+        applyRowEdit(rows[1], 'perCheck', '2625');
+
+        const { data } = buildReviewedData({}, rows);
+
+        expect(data.records[1].changePercent).toBe(5);
+        expect(data.records[1].change).toBe(125);
+        expect(data.records[0].changePercent).toBeCloseTo(14.2857, 4);
+        expect(data.records[2].changePercent).toBe(0);
+    });
+
+    it('recomputes the successor when a row is deleted', () => {
+        const rows = createReviewRows(parsedRecords());
+        const withoutMiddle = [rows[0], rows[2]];
+
+        const { data } = buildReviewedData({}, withoutMiddle);
+
+        expect(data.records[0].changePercent).toBe(20);
+    });
+
+    it('sorts added rows into place and maps rows to records', () => {
+        const rows = createReviewRows(parsedRecords());
+        const added = createBlankRow();
+        applyRowEdit(added, 'date', '2023-07-01');
+        applyRowEdit(added, 'reason', 'Market Adjustment');
+        applyRowEdit(added, 'annual', '69300');
+        applyRowEdit(added, 'perCheck', '2887.50');
+
+        const { data, rowIds } = buildReviewedData({}, [added, ...rows]);
+
+        expect(data.records.map(r => r.date)).toEqual(['2024-01-15', '2023-07-01', '2023-01-15', '2022-01-15']);
+        expect(rowIds[1]).toBe(added.id);
+        expect(data.records[1].changePercent).toBe(5);
+        expect(data.records[0].changePercent).toBeCloseTo(3.8961, 4);
+    });
+
+    it('ignores undated rows when deriving hire/current dates', () => {
+        const rows = [createBlankRow(), ...createReviewRows(parsedRecords())];
+        const { data } = buildReviewedData({}, rows);
+
+        expect(data.hireDate).toBe('2022-01-15');
+        expect(data.currentDate).toBe('2024-01-15');
+    });
+});
+
+describe('getReviewErrors', () => {
+    it('accepts valid reviewed data', () => {
+        const { data } = buildReviewedData({}, createReviewRows(parsedRecords()));
+        expect(getReviewErrors(data)).toEqual([]);
+    });
+
+    it('applies validateImportedData rules to edited rows', () => {
+        const rows = createReviewRows(parsedRecords());
+        applyRowEdit(rows[0], 'annual', '500');
+        const blank = createBlankRow();
+
+        const { data } = buildReviewedData({}, [blank, ...rows]);
+        const errors = getReviewErrors(data);
+
+        expect(errors.some(e => /below minimum/.test(e))).toBe(true);
+        expect(errors.some(e => /missing "date"/.test(e))).toBe(true);
+        expect(errors.some(e => /missing "annual"/.test(e))).toBe(true);
+    });
+
+    it('requires at least one adjustment besides New Hire', () => {
+        const rows = createReviewRows(parsedRecords()).slice(1);
+        applyRowEdit(rows[0], 'reason', 'New Hire');
+
+        const { data } = buildReviewedData({}, rows);
+
+        expect(getReviewErrors(data)).toEqual([
+            'No salary adjustments found. Add at least one record that is not "New Hire"'
+        ]);
+    });
+
+    it('requires at least 2 records', () => {
+        const rows = createReviewRows(parsedRecords()).slice(0, 1);
+        const { data } = buildReviewedData({}, rows);
+
+        expect(getReviewErrors(data)).toContain('Need at least 2 records for analysis');
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit Tests for Take-Home Pay Estimates
+ *
+ * Tests js/taxes.js against the bundled federal tax data:
+ * - getTaxYear() / normalizeTaxSettings() - Tax year fallback, settings checks
+ * - calculateFederalIncomeTax() - Brackets, standard deduction, personal exemptions
+ * - calculateFicaTax() - Social Security wage base, Additional Medicare Tax
+ * - estimateTakeHome() / getTakeHomeByRecord() - Net annual and per-check pay
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    getTaxYear,
+    normalizeTaxSettings,
+    calculateFederalIncomeTax,
+    calculateFicaTax,
+    estimateTakeHome,
+    getTakeHomeByRecord
+} from '../js/taxes.js';
+
+describe('tax year and settings', () => {
+    it('uses the nearest bundled tax year', () => {
+        expect(getTaxYear(2022)).toBe(2022);
+        expect(getTaxYear(2009)).toBe(2013);
+        expect(getTaxYear(2031)).toBe(2026);
+    });
+
+    it('falls back to defaults for invalid settings', () => {
+        expect(normalizeTaxSettings()).toEqual({ filingStatus: 'single', stateTaxRate: 0 });
+        expect(normalizeTaxSettings({ filingStatus: 'toString', stateTaxRate: '4.95' }))
+            .toEqual({ filingStatus: 'single', stateTaxRate: 4.95 });
+        expect(normalizeTaxSettings({ filingStatus: 'married', stateTaxRate: 40 }))
+            .toEqual({ filingStatus: 'married', stateTaxRate: 15 });
+    });
+});
+
+describe('federal income tax', () => {
+    it('applies the brackets above the standard deduction', () => {
+        // 2024 single: $85,400 taxable → 10% of 11,600 + 12% of 35,550 + 22% of 38,250
+        expect(calculateFederalIncomeTax(100000, 2024, 'single')).toBeCloseTo(13841, 6);
+        // 2024 married: $70,800 taxable → 10% of 23,200 + 12% of 47,600
+        expect(calculateFederalIncomeTax(100000, 2024, 'married')).toBeCloseTo(8032, 6);
+        expect(calculateFederalIncomeTax(10000, 2024, 'single')).toBe(0);
+    });
+
+    it('deducts personal exemptions before 2018', () => {
+        // 2017 single: $50,000 - 6,350 - 4,050 = $39,600 taxable
+        expect(calculateFederalIncomeTax(50000, 2017, 'single')).toBeCloseTo(932.5 + 4293.75 + 412.5, 6);
+    });
+});
+
+describe('FICA', () => {
+    it('caps Social Security at the wage base and adds Additional Medicare Tax', () => {
+        expect(calculateFicaTax(100000, 2024, 'single')).toEqual({ socialSecurity: 6200, medicare: 1450 });
+
+        const high = calculateFicaTax(300000, 2024, 'married');
+        expect(high.socialSecurity).toBeCloseTo(168600 * 0.062, 6);
+        expect(high.medicare).toBeCloseTo(300000 * 0.0145 + 50000 * 0.009, 6);
+    });
+});
+
+describe('take-home pay', () => {
+    it('subtracts federal, FICA and a flat state rate', () => {
+        const estimate = estimateTakeHome(100000, 2024, { filingStatus: 'single', stateTaxRate: 5 });
+
+        expect(estimate.state).toBe(5000);
+        expect(estimate.net).toBeCloseTo(73509, 6);
+    });
+
+    it('estimates each record with its own year and pay frequency', () => {
+        const records = [
+            { date: '2024-03-01', annual: 100000, payFrequency: 'biweekly' },
+            { date: '2017-06-01', annual: 50000 }
+        ];
+        const [current, first] = getTakeHomeByRecord({ records }, { filingStatus: 'single' });
+
+        expect(current.net).toBeCloseTo(100000 - 13841 - 7650, 6);
+        expect(current.perCheck).toBeCloseTo(current.net / 26, 6);
+        expect(first.perCheck).toBeCloseTo(first.net / 24, 6);
+        expect(first.net).toBeCloseTo(50000 - 5638.75 - 3825, 6);
+    });
+});
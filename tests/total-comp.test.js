@@ -0,0 +1,155 @@
+/**
+ * Unit Tests for Total Compensation
+ *
+ * Tests compensation components (bonuses, 401(k) match, ...) alongside base pay:
+ * - getTotalCompAt() / getCompEndDate() - Trailing 12-month total comp
+ * - buildCompTimeline() - Main chart points for base + total lines
+ * - calculateCAGR() / getBenchmarkComparisons() - Base vs total basis
+ * - validateImportedData() - "components" array checks
+ * - buildReviewedData() / applySideRowEdit() - Review grid component rows
+ */
+
+import { describe, it, expect } from 'vitest';
+import { benchmarks } from '../js/constants.js';
+import {
+    hasCompComponents,
+    getBaseSalaryAt,
+    getTotalCompAt,
+    getCompEndDate,
+    getStartingComp,
+    getCurrentComp,
+    buildCompTimeline,
+    calculateCAGR,
+    getBenchmarkComparisons
+} from '../js/calculations.js';
+import { validateImportedData } from '../js/io.js';
+import { createComponentRow, applySideRowEdit, buildReviewedData, getReviewErrors } from '../js/review.js';
+import { mockRecord, mockEmployeeData } from './helpers/employee-data.js';
+
+const employeeData = () => mockEmployeeData([
+    mockRecord('2023-01-01', 'Merit Increase', 120000),
+    mockRecord('2021-06-01', 'Merit Increase', 110000),
+    mockRecord('2020-01-01', 'New Hire', 100000)
+], {
+    components: [
+        { date: '2024-03-01', type: 'bonus', amount: 15000 },
+        { date: '2023-03-01', type: 'bonus', amount: 12000 },
+        { date: '2023-03-01', type: 'match401k', amount: 4000 },
+        { date: '2020-01-01', type: 'signOn', amount: 10000 }
+    ]
+});
+
+describe('total compensation', () => {
+    it('adds components paid in the trailing 12 months to base', () => {
+        const data = employeeData();
+
+        expect(hasCompComponents(data)).toBe(true);
+        expect(getBaseSalaryAt(data, '2022-12-31')).toBe(110000);
+        expect(getTotalCompAt(data, '2020-01-01')).toBe(110000);
+        expect(getTotalCompAt(data, '2020-12-31')).toBe(110000);
+        // Window start is exclusive: the sign-on bonus drops out a year later
+        expect(getTotalCompAt(data, '2021-01-01')).toBe(100000);
+        expect(getTotalCompAt(data, '2023-06-30')).toBe(136000);
+    });
+
+    it('runs total comp through the latest component', () => {
+        const data = employeeData();
+
+        expect(getCompEndDate(data)).toBe('2024-03-01');
+        expect(getStartingComp(data, 'total')).toBe(110000);
+        expect(getCurrentComp(data, 'total')).toBe(135000);
+        expect(getStartingComp(data)).toBe(100000);
+        expect(getCurrentComp(data)).toBe(120000);
+    });
+
+    it('treats data without components as base-only', () => {
+        const { components, ...data } = employeeData();
+
+        expect(hasCompComponents(data)).toBe(false);
+        expect(getCompEndDate(data)).toBe('2023-01-01');
+        expect(getCurrentComp(data, 'total')).toBe(120000);
+    });
+
+    it('builds one chart point per record and payment date', () => {
+        const timeline = buildCompTimeline(employeeData());
+
+        expect(timeline.map(p => p.date)).toEqual(['2020-01-01', '2021-06-01', '2023-01-01', '2023-03-01', '2024-03-01']);
+        expect(timeline.map(p => p.base)).toEqual([100000, 110000, 120000, 120000, 120000]);
+        expect(timeline.map(p => p.total)).toEqual([110000, 110000, 120000, 136000, 135000]);
+        expect(timeline[3].record.date).toBe('2023-01-01');
+    });
+});
+
+describe('base vs total metrics', () => {
+    it('caches CAGR per basis', () => {
+        const data = employeeData();
+        const years = (new Date('2024-03-01') - new Date('2020-01-01')) / (365.25 * 24 * 60 * 60 * 1000);
+
+        const base = calculateCAGR(data);
+        const total = calculateCAGR(data, 'total');
+
+        expect(total).toBeCloseTo((Math.pow(135000 / 110000, 1 / years) - 1) * 100, 9);
+        expect(total).not.toBeCloseTo(base, 2);
+        expect(calculateCAGR(data)).toBe(base);
+        expect(calculateCAGR(data, 'total')).toBe(total);
+        expect(Object.keys(data).filter(key => key.startsWith('_cached'))).toEqual([]);
+    });
+
+    it('recomputes benchmark comparisons when the basis changes', () => {
+        const data = employeeData();
+
+        const base = getBenchmarkComparisons(data, benchmarks);
+        const total = getBenchmarkComparisons(data, benchmarks, 'total');
+
+        expect(base.compBasis).toBe('base');
+        expect(total.compBasis).toBe('total');
+        expect(total.nominalGrowth).toBeCloseTo((135000 / 110000 - 1) * 100, 9);
+        expect(total.avgRaise).toBe(base.avgRaise);
+        expect(getBenchmarkComparisons(data, benchmarks, 'total')).toBe(total);
+    });
+});
+
+describe('components in import and review', () => {
+    it('validates component entries', () => {
+        const data = employeeData();
+        expect(validateImportedData(data).valid).toBe(true);
+
+        data.components.push(
+            { date: '03/01/2024', type: 'bonus', amount: 1000 },
+            { date: '2024-03-01', type: 'stock', amount: 1000 },
+            { date: '2024-03-01', type: 'spot', amount: 0 }
+        );
+
+        expect(validateImportedData(data).errors).toEqual([
+            'Component 5: date must be YYYY-MM-DD',
+            'Component 6: type must be one of bonus, signOn, match401k, spot',
+            'Component 7: amount must be a positive number'
+        ]);
+        expect(validateImportedData({ ...employeeData(), components: {} }).errors).toEqual(['"components" must be an array']);
+    });
+
+    it('adds component rows to the reviewed data, newest first', () => {
+        const { records } = employeeData();
+        const older = createComponentRow({ date: '2022-03-01', type: 'bonus', amount: 5000 });
+        const added = createComponentRow();
+        applySideRowEdit(added, 'date', '2023-03-01');
+        applySideRowEdit(added, 'type', 'spot');
+        applySideRowEdit(added, 'amount', '$1,500');
+
+        const { data, sideRowIds } = buildReviewedData({}, records, { components: [older, added] });
+
+        expect(data.components).toEqual([
+            { date: '2023-03-01', type: 'spot', amount: 1500 },
+            { date: '2022-03-01', type: 'bonus', amount: 5000 }
+        ]);
+        expect(sideRowIds.components).toEqual([added.id, older.id]);
+        expect(buildReviewedData({}, records).data).not.toHaveProperty('components');
+    });
+
+    it('reports incomplete component rows', () => {
+        const { records } = employeeData();
+        const { data } = buildReviewedData({}, records, { components: [createComponentRow({ date: '2022-03-01' })] });
+
+        expect(getReviewErrors(data)).toEqual(['Component 1: amount must be a positive number']);
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit Tests for Year-Specific Benchmarks
+ *
+ * Tests time-indexed benchmarks in js/calculations.js and consumers:
+ * - getBenchmarksForYear() - Merit budget shifts, byYear figures
+ * - getBenchmarkComparisons() - Raises vs their year's budget, compounded industry path
+ * - validateBenchmarkData() - Optional byYear in imported files
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { benchmarks, benchmarkProfiles, meritBudgetHistory, CONSTANTS } from '../js/constants.js';
+import { getBenchmarksForYear, getBenchmarkComparisons, getBenchmarkProfile } from '../js/calculations.js';
+import { validateBenchmarkData, addCustomBenchmark, setCustomBenchmarks } from '../js/custom-benchmarks.js';
+import { mockRecord, mockEmployeeData } from './helpers/employee-data.js';
+
+// 2017 hire with 3.5% raises in 2018 and 2019
+const employeeData = () => mockEmployeeData([
+    mockRecord('2019-01-01', 'Merit Increase', 107122, 3.5, { change: 3622 }),
+    mockRecord('2018-01-01', 'Merit Increase', 103500, 3.5, { change: 3500 }),
+    mockRecord('2017-01-01', 'New Hire', 100000)
+]);
+
+const importedFile = (byYear) => ({
+    typicalRaise: { min: 3, max: 5, avg: 4 },
+    highPerformerRaise: { min: 6, max: 10, avg: 8 },
+    promotionBump: { min: 10, max: 20, avg: 15 },
+    industryCagr: 6,
+    avgMonthsBetweenRaises: 12,
+    byYear,
+    benchmarkMetadata: { name: 'Yearly', source: 'Internal comp survey', lastUpdated: { salaryBenchmarks: '2024-Q4' } }
+});
+
+beforeEach(() => {
+    setCustomBenchmarks([]);
+});
+
+describe('getBenchmarksForYear', () => {
+    it('moves raise ranges and industry CAGR with the merit budget', () => {
+        const shift = meritBudgetHistory[2018] - meritBudgetHistory[2024];
+        const y2018 = getBenchmarksForYear(benchmarks, 2018);
+
+        expect(y2018.year).toBe(2018);
+        expect(y2018.typicalRaise.avg).toBeCloseTo(4 + shift, 9);
+        expect(y2018.highPerformerRaise.min).toBeCloseTo(6 + shift, 9);
+        expect(y2018.industryCagr).toBeCloseTo(6 + shift, 9);
+        expect(getBenchmarksForYear(benchmarks, 2024).typicalRaise).toEqual(benchmarks.typicalRaise);
+    });
+
+    it('uses the nearest budget year and each profile\'s own data year', () => {
+        const first = Math.min(...Object.keys(meritBudgetHistory).map(Number));
+        expect(getBenchmarksForYear(benchmarks, first - 5).industryCagr).toBe(getBenchmarksForYear(benchmarks, first).industryCagr);
+
+        // Sales profiles are as of 2024-Q3, so 2024 leaves them unchanged
+        const sales = benchmarkProfiles['sales-mid-us'];
+        expect(getBenchmarksForYear(sales, 2024).industryCagr).toBe(sales.industryCagr);
+    });
+
+    it('prefers figures listed in byYear', () => {
+        const profile = getBenchmarkProfile(addCustomBenchmark(importedFile({
+            2018: { typicalRaise: { min: 2, max: 3, avg: 2.5 }, industryCagr: 4 }
+        })));
+        const y2018 = getBenchmarksForYear(profile, 2018);
+
+        expect(y2018.typicalRaise).toEqual({ min: 2, max: 3, avg: 2.5 });
+        expect(y2018.industryCagr).toBe(4);
+        // Not listed: shifted like bundled profiles
+        expect(y2018.highPerformerRaise.min).toBeCloseTo(6 + meritBudgetHistory[2018] - meritBudgetHistory[2024], 9);
+    });
+});
+
+describe('getBenchmarkComparisons with year-specific benchmarks', () => {
+    it('compares each raise with its own year\'s typical budget', () => {
+        const bench = getBenchmarkComparisons(employeeData(), benchmarks);
+
+        expect(bench.raiseComparisons.map(c => c.date)).toEqual(['2019-01-01', '2018-01-01']);
+        expect(bench.raiseComparisons[1].vsTypical).toBeCloseTo(3.5 - getBenchmarksForYear(benchmarks, 2018).typicalRaise.avg, 9);
+        // 3.5% trails today's 4% typical raise but beat the 2018-2019 budgets
+        expect(bench.raiseVsTypical).toBeGreaterThan(0);
+        expect(bench.typicalRaiseOverTenure.avg).toBeCloseTo(
+            (getBenchmarksForYear(benchmarks, 2018).typicalRaise.avg + getBenchmarksForYear(benchmarks, 2019).typicalRaise.avg) / 2, 9);
+        // The tier follows the raise percentile in the profile's distribution (P50 = 4%)
+        expect(bench.percentiles.raise.percentile).toBeLessThan(50);
+        expect(bench.performanceTier).toBe('below');
+    });
+
+    it('compounds each year\'s industry CAGR for the projected salary', () => {
+        const bench = getBenchmarkComparisons(employeeData(), benchmarks);
+        const rate = (year) => 1 + getBenchmarksForYear(benchmarks, year).industryCagr / 100;
+        const years = (Date.UTC(2019, 0, 1) - Date.UTC(2017, 0, 1)) / CONSTANTS.MS_PER_YEAR;
+
+        expect(bench.industryProjectedSalary).toBeCloseTo(100000 * Math.pow(rate(2017), 365 / 365.25) * Math.pow(rate(2018), 365 / 365.25), 6);
+        expect(bench.industryCagrOverTenure).toBeCloseTo((Math.pow(bench.industryProjectedSalary / 100000, 1 / years) - 1) * 100, 9);
+        expect(bench.cagrVsIndustry).toBeCloseTo(bench.userCagr - bench.industryCagrOverTenure, 9);
+        expect(bench.industryCagrOverTenure).toBeLessThan(benchmarks.industryCagr);
+    });
+});
+
+describe('byYear in imported benchmark files', () => {
+    it('validates year keys and figures', () => {
+        expect(validateBenchmarkData(importedFile({ 2019: { industryCagr: 5 } })).valid).toBe(true);
+        expect(validateBenchmarkData(importedFile({
+            '19': { industryCagr: 5 },
+            2020: { typicalRaise: { min: 4, max: 3, avg: 3.5 }, industryCagr: 'high' },
+            2021: null
+        })).errors).toEqual([
+            '"byYear" key "19" must be a four-digit year',
+            '"byYear.2020.typicalRaise" must satisfy min ≤ avg ≤ max',
+            '"byYear.2020.industryCagr" must be a number between -50 and 100 (%)',
+            '"byYear.2021" must be an object'
+        ]);
+    });
+});